@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import AccountToken from '../models/AccountToken.js';
+import Session from '../models/Session.js';
+import { registerChannel, resetChannels } from '../services/notifications/index.js';
+import { createMemoryChannel } from '../services/notifications/channels.js';
+import {
+  VerificationError,
+  sendEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  sendPhoneVerification,
+  verifyPhone,
+  backfillLegacyEmailVerification
+} from '../services/accountVerificationService.js';
+import { requireVerifiedAccount } from '../middleware/verificationCheck.js';
+import { issuedBeforePasswordChange } from '../middleware/auth.js';
+import { id } from './helpers/factories.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Account verification', () => {
+  const now = new Date('2025-09-01T08:00:00Z');
+  let user;
+  let email;
+  let sms;
+  let tokens;
+
+  const linkToken = (channel) => decodeURIComponent(channel.sent.at(-1).rendered.message.match(/token=(\S+)/)[1]);
+
+  beforeAll(() => {
+    process.env.ACCOUNT_TOKEN_SECRET = 'test-account-secret';
+  });
+
+  beforeEach(() => {
+    email = createMemoryChannel('email');
+    sms = createMemoryChannel('sms');
+    registerChannel('email', email);
+    registerChannel('sms', sms);
+
+    user = User.hydrate({
+      _id: id(),
+      email: 'nimal@example.com',
+      phone: '0771234567',
+      fullName: 'Nimal Perera',
+      role: 'customer',
+      password: 'old-hash'
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    // In-memory token store behind the model statics the service uses
+    tokens = [];
+    jest.spyOn(AccountToken, 'create').mockImplementation(async (data) => {
+      const token = { _id: id(), attempts: 0, usedAt: null, createdAt: now, ...data };
+      tokens.push(token);
+      return token;
+    });
+    jest.spyOn(AccountToken, 'findOne').mockImplementation((filter) => {
+      const found = tokens
+        .filter((t) => t.purpose === filter.purpose && (filter.usedAt !== null || !t.usedAt))
+        .at(-1) || null;
+      const query = { sort: () => Promise.resolve(found) };
+      query.select = () => query;
+      return query;
+    });
+    jest.spyOn(AccountToken, 'deleteMany').mockImplementation(async (filter) => {
+      tokens = tokens.filter((t) => t.purpose !== filter.purpose || t.usedAt);
+      return {};
+    });
+    jest.spyOn(AccountToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const token = tokens.find((t) => (
+        !t.usedAt && (filter._id ? t._id === filter._id : t.jti === filter.jti && t.purpose === filter.purpose)
+      ));
+      if (!token || (filter.expiresAt && token.expiresAt <= filter.expiresAt.$gt)) return null;
+      Object.assign(token, update.$set);
+      return token;
+    });
+    jest.spyOn(AccountToken, 'updateOne').mockImplementation(async (filter, update) => {
+      const token = tokens.find((t) => t._id === filter._id);
+      token.attempts += update.$inc.attempts;
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetChannels();
+  });
+
+  test('Should verify the email address once from the emailed link', async () => {
+    await sendEmailVerification(user, { now });
+
+    expect(email.sent).toHaveLength(1);
+    expect(tokens[0]).toMatchObject({
+      purpose: 'email_verification',
+      target: 'nimal@example.com',
+      expiresAt: new Date(now.getTime() + 24 * 60 * MINUTE_MS)
+    });
+
+    const token = linkToken(email);
+    const later = new Date(now.getTime() + 5 * MINUTE_MS);
+    const verified = await verifyEmail(token, { now: later });
+    expect(verified.emailVerifiedAt).toEqual(later);
+
+    await expect(verifyEmail(token, { now: later })).rejects.toThrow('This link has already been used or replaced by a newer one');
+  });
+
+  test('Should refuse expired, tampered and wrong-purpose links', async () => {
+    await sendEmailVerification(user, { now });
+    const token = linkToken(email);
+
+    await expect(verifyEmail(token, { now: new Date(now.getTime() + 25 * 60 * MINUTE_MS) }))
+      .rejects.toThrow('This link has expired. Please request a new one.');
+    await expect(verifyEmail(`${token.slice(0, -2)}xx`, { now })).rejects.toThrow('This link is invalid');
+    await expect(resetPassword(token, 'NewPass123!', { now })).rejects.toBeInstanceOf(VerificationError);
+  });
+
+  test('Should refuse to resend before the cooldown and replace the older link after it', async () => {
+    await sendEmailVerification(user, { now });
+    const first = linkToken(email);
+
+    await expect(sendEmailVerification(user, { now: new Date(now.getTime() + 10 * 1000) }))
+      .rejects.toMatchObject({ statusCode: 429 });
+
+    const later = new Date(now.getTime() + 2 * MINUTE_MS);
+    await sendEmailVerification(user, { now: later });
+    expect(tokens).toHaveLength(1);
+    await expect(verifyEmail(first, { now: later })).rejects.toThrow('replaced by a newer one');
+  });
+
+  test('Should reset the password from the link and revoke earlier tokens', async () => {
+    const revokeSessions = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValueOnce(null);
+    await requestPasswordReset('nobody@example.com', { now });
+    expect(email.sent).toHaveLength(0);
+
+    findOne.mockResolvedValueOnce(user);
+    await requestPasswordReset('Nimal@Example.com', { now });
+    expect(findOne).toHaveBeenLastCalledWith({ email: 'nimal@example.com' });
+
+    const resetAt = new Date(now.getTime() + 10 * MINUTE_MS);
+    await resetPassword(linkToken(email), 'NewPass123!', { now: resetAt });
+
+    expect(await bcrypt.compare('NewPass123!', user.password)).toBe(true);
+    expect(user.passwordChangedAt).toEqual(resetAt);
+    expect(revokeSessions).toHaveBeenCalledWith(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: resetAt, revokedReason: 'password_reset' } }
+    );
+    expect(issuedBeforePasswordChange({ iat: Math.floor(now.getTime() / 1000) }, user)).toBe(true);
+    expect(issuedBeforePasswordChange({ iat: Math.floor(resetAt.getTime() / 1000) + 1 }, user)).toBe(false);
+  });
+
+  test('Should verify the phone with the texted code and limit wrong guesses', async () => {
+    await sendPhoneVerification(user, { now });
+    const code = sms.sent[0].rendered.sms.match(/\d{6}/)[0];
+    expect(tokens[0].codeHash).not.toContain(code);
+
+    const wrong = code === '000000' ? '111111' : '000000';
+    await expect(verifyPhone(user, wrong, { now })).rejects.toThrow('The code is incorrect');
+    expect(tokens[0].attempts).toBe(1);
+
+    await verifyPhone(user, code, { now });
+    expect(user.phoneVerifiedAt).toEqual(now);
+
+    user.phoneVerifiedAt = null;
+    await sendPhoneVerification(user, { now: new Date(now.getTime() + 2 * MINUTE_MS) });
+    tokens.at(-1).attempts = 5;
+    await expect(verifyPhone(user, code, { now })).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  test('Should keep unverified accounts from posting or applying', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    requireVerifiedAccount({ user }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ missingVerifications: ['email'] }));
+
+    user.emailVerifiedAt = now;
+    requireVerifiedAccount({ user }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('Should let accounts from before email verification keep posting and applying', async () => {
+    const createdAt = new Date('2024-03-01T00:00:00Z');
+    // Stored documents: the legacy account predates the field, the new one stores null
+    const stored = [
+      { _id: id(), email: 'old@example.com', role: 'tasker', createdAt },
+      { _id: id(), email: 'new@example.com', role: 'customer', createdAt: now, emailVerifiedAt: null }
+    ];
+    jest.spyOn(User, 'updateMany').mockImplementation(async (filter, pipeline) => {
+      expect(filter).toEqual({ emailVerifiedAt: { $exists: false } });
+      expect(pipeline).toEqual([{ $set: { emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]);
+      const legacy = stored.filter((doc) => !('emailVerifiedAt' in doc));
+      legacy.forEach((doc) => { doc.emailVerifiedAt = doc.createdAt; });
+      return { modifiedCount: legacy.length };
+    });
+
+    expect(await backfillLegacyEmailVerification()).toBe(1);
+    expect(await backfillLegacyEmailVerification()).toBe(0);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    requireVerifiedAccount({ user: User.hydrate(stored[0]) }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(stored[0].emailVerifiedAt).toEqual(createdAt);
+
+    requireVerifiedAccount({ user: User.hydrate(stored[1]) }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Admin from '../models/Admin.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import {
+  PermissionError,
+  getEffectivePermissions,
+  grantPermissions,
+  revokePermissions
+} from '../services/adminPermissionService.js';
+import { requirePermission, requireSuperAdmin } from '../middleware/permissionCheck.js';
+import { ADMIN_PERMISSION_KEYS } from '../config/adminPermissions.js';
+import { id } from './helpers/factories.js';
+
+describe('Admin permissions', () => {
+  let superAdmin;
+  let admin;
+  let logs;
+
+  const mockRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+  beforeEach(() => {
+    superAdmin = User.hydrate({ _id: id(), role: 'admin', email: 'root@example.com', isSuperAdmin: true, permissions: [] });
+    admin = User.hydrate({ _id: id(), role: 'admin', email: 'ops@example.com', permissions: ['users.read'] });
+
+    jest.spyOn(Admin.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Admin, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+    logs = [];
+    jest.spyOn(AdminActionLog, 'create').mockImplementation(async (data) => {
+      logs.push(data);
+      return data;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should load admin users as Admin documents with their permissions', () => {
+    expect(admin).toBeInstanceOf(Admin);
+    expect(getEffectivePermissions(admin)).toEqual(['users.read']);
+    expect(getEffectivePermissions(superAdmin)).toEqual(ADMIN_PERMISSION_KEYS);
+    expect(getEffectivePermissions(User.hydrate({ _id: id(), role: 'customer' }))).toEqual([]);
+  });
+
+  test('Should only let admins holding every listed permission through', () => {
+    const next = jest.fn();
+    const res = mockRes();
+
+    requirePermission('users.read')({ user: admin }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    requirePermission('users.read', 'users.delete')({ user: admin }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ missingPermissions: ['users.delete'] }));
+
+    requirePermission('users.delete')({ user: superAdmin }, res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+
+    requireSuperAdmin({ user: admin }, res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+
+    expect(() => requirePermission('users.destroy')).toThrow('unknown permission users.destroy');
+  });
+
+  test('Should grant permissions and record the change', async () => {
+    const { changed } = await grantPermissions(
+      superAdmin,
+      admin._id,
+      ['users.read', 'users.suspend', 'payments.refund'],
+      { ipAddress: '10.0.0.1' }
+    );
+
+    expect(changed).toEqual(['users.suspend', 'payments.refund']);
+    expect(admin.permissions).toEqual(['users.read', 'users.suspend', 'payments.refund']);
+    expect(logs).toEqual([expect.objectContaining({
+      adminId: superAdmin._id,
+      actionType: 'ADMIN_PERMISSIONS_GRANTED',
+      targetId: admin._id,
+      targetModel: 'User',
+      ipAddress: '10.0.0.1',
+      metadata: {
+        permissions: ['users.suspend', 'payments.refund'],
+        previousPermissions: ['users.read'],
+        currentPermissions: ['users.read', 'users.suspend', 'payments.refund']
+      }
+    })]);
+
+    // Nothing new to grant, so nothing is saved or logged
+    await grantPermissions(superAdmin, admin._id, ['users.suspend']);
+    expect(logs).toHaveLength(1);
+  });
+
+  test('Should revoke permissions and record the change', async () => {
+    const { changed } = await revokePermissions(superAdmin, admin._id, ['users.read', 'users.delete']);
+
+    expect(changed).toEqual(['users.read']);
+    expect(admin.permissions).toEqual([]);
+    expect(logs[0]).toMatchObject({
+      actionType: 'ADMIN_PERMISSIONS_REVOKED',
+      metadata: { permissions: ['users.read'], currentPermissions: [] }
+    });
+  });
+
+  test('Should refuse unknown permissions, missing admins and changes to oneself', async () => {
+    await expect(grantPermissions(superAdmin, admin._id, ['users.destroy'])).rejects.toThrow('Unknown permission: users.destroy');
+    await expect(grantPermissions(superAdmin, admin._id, [])).rejects.toBeInstanceOf(PermissionError);
+    await expect(revokePermissions(superAdmin, superAdmin._id, ['users.read'])).rejects.toMatchObject({ statusCode: 403 });
+
+    Admin.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+    await expect(grantPermissions(superAdmin, id(), ['users.read'])).rejects.toMatchObject({ statusCode: 404 });
+    expect(logs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import {
+  AuditLogError,
+  buildAuditLogQuery,
+  encodeCursor,
+  listAuditLogs,
+  streamAuditLogs
+} from '../services/auditLogService.js';
+import { exportAuditLogs } from '../controllers/auditLogController.js';
+import { id } from './helpers/factories.js';
+
+describe('Admin audit logs', () => {
+  const admin = { _id: id(), fullName: 'Ops Admin', email: 'ops@example.com' };
+  let entries;
+
+  // Entries as find() returns them, with the admin populated
+  const entry = (minutesAgo, data = {}) => {
+    const log = AdminActionLog.hydrate({
+      _id: id(),
+      adminId: admin._id,
+      actionType: 'USER_SUSPENDED',
+      targetModel: 'User',
+      targetId: id(),
+      details: 'Suspended user account',
+      ipAddress: '10.0.0.1',
+      metadata: {},
+      createdAt: new Date(Date.UTC(2025, 8, 1, 12, 0) - minutesAgo * 60 * 1000),
+      ...data
+    });
+    log.populated('adminId', admin._id);
+    log.adminId = User.hydrate({ role: 'admin', ...admin });
+    return log;
+  };
+
+  // Writable stand-in for an Express response
+  const mockOutput = () => {
+    const output = { chunks: [], destroyed: false, headers: {} };
+    output.write = jest.fn((chunk) => output.chunks.push(chunk) > 0);
+    output.end = jest.fn();
+    output.destroy = jest.fn();
+    output.setHeader = jest.fn((name, value) => { output.headers[name] = value; });
+    output.status = jest.fn(() => output);
+    output.json = jest.fn();
+    return output;
+  };
+
+  beforeEach(() => {
+    entries = [entry(0), entry(5), entry(10)];
+    jest.spyOn(AdminActionLog, 'find').mockImplementation(() => {
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        populate: () => query,
+        cursor: () => (async function* rows() { yield* entries; })(),
+        then: (resolve, reject) => Promise.resolve(entries).then(resolve, reject)
+      };
+      return query;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should accept every action type the admin controllers log', () => {
+    const logged = [
+      ['TASK_STATUS_UPDATED', 'Task', 'task_management'],
+      ['TASKS_VIEWED', 'User', 'task_management'],
+      ['USER_REACTIVATED', 'User', 'user_management']
+    ];
+
+    for (const [actionType, targetModel, category] of logged) {
+      const log = new AdminActionLog({ adminId: id(), actionType, targetModel, targetId: id(), details: actionType });
+      expect(log.validateSync()).toBeUndefined();
+      expect(log.actionCategory).toBe(category);
+    }
+  });
+
+  test('Should build the query from the filters and reject bad ones', () => {
+    const adminId = id();
+    const query = buildAuditLogQuery({
+      adminId: String(adminId),
+      actionType: 'USER_SUSPENDED, USER_DELETED',
+      targetModel: 'User',
+      from: '2025-09-01',
+      to: '2025-09-30T23:59:59Z',
+      q: 'refund (partial)'
+    });
+
+    expect(query).toEqual({
+      adminId,
+      actionType: { $in: ['USER_SUSPENDED', 'USER_DELETED'] },
+      targetModel: 'User',
+      createdAt: { $gte: new Date('2025-09-01'), $lte: new Date('2025-09-30T23:59:59Z') },
+      $or: [
+        { details: { $regex: 'refund \\(partial\\)', $options: 'i' } },
+        { ipAddress: { $regex: 'refund \\(partial\\)', $options: 'i' } }
+      ]
+    });
+
+    expect(() => buildAuditLogQuery({ actionType: 'USER_HACKED' })).toThrow('Unknown action type: USER_HACKED');
+    expect(() => buildAuditLogQuery({ targetId: 'abc' })).toThrow(AuditLogError);
+    expect(() => buildAuditLogQuery({ from: '2025-10-01', to: '2025-09-01' })).toThrow('The from date must be before the to date');
+  });
+
+  test('Should page with a cursor from the last entry', async () => {
+    const first = await listAuditLogs({ actionType: 'USER_SUSPENDED' }, { limit: 2 });
+    expect(first.logs).toEqual(entries.slice(0, 2));
+    expect(first.nextCursor).toBe(encodeCursor(entries[1]));
+
+    entries = [entries[2]];
+    const second = await listAuditLogs({ actionType: 'USER_SUSPENDED' }, { limit: 2, cursor: first.nextCursor });
+    expect(second.nextCursor).toBeNull();
+    expect(AdminActionLog.find).toHaveBeenLastCalledWith({
+      $and: [
+        { actionType: 'USER_SUSPENDED' },
+        {
+          $or: [
+            { createdAt: { $lt: first.logs[1].createdAt } },
+            { createdAt: first.logs[1].createdAt, _id: { $lt: first.logs[1]._id } }
+          ]
+        }
+      ]
+    });
+
+    await expect(listAuditLogs({}, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+  });
+
+  test('Should stream CSV and NDJSON exports', async () => {
+    entries[1] = entry(5, { details: '=HYPERLINK("http://evil")', metadata: { reason: 'spam' } });
+
+    const csv = mockOutput();
+    expect(await streamAuditLogs({}, 'csv', csv)).toBe(3);
+    const lines = csv.chunks.join('').trim().split('\r\n');
+    expect(lines[0]).toBe('Timestamp,Action,Category,Admin ID,Admin Name,Admin Email,Target Model,Target ID,Details,IP Address,Metadata');
+    expect(lines[2]).toContain(`"'=HYPERLINK(""http://evil"")",10.0.0.1,"{""reason"":""spam""}"`);
+
+    const ndjson = mockOutput();
+    await streamAuditLogs({}, 'ndjson', ndjson);
+    const records = ndjson.chunks.map((line) => JSON.parse(line));
+    expect(records).toHaveLength(3);
+    expect(records[0]).toMatchObject({
+      actionType: 'USER_SUSPENDED',
+      category: 'user_management',
+      admin: { fullName: 'Ops Admin', email: 'ops@example.com' }
+    });
+  });
+
+  test('Should log the export before streaming it', async () => {
+    const create = jest.spyOn(AdminActionLog, 'create').mockResolvedValue({});
+    const req = {
+      user: admin,
+      ip: '10.0.0.9',
+      query: { format: 'ndjson', actionType: 'USER_SUSPENDED' },
+      get: () => 'jest'
+    };
+
+    const res = mockOutput();
+    await exportAuditLogs(req, res);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      actionType: 'DATA_EXPORTED',
+      targetId: admin._id,
+      metadata: { export: 'audit_logs', format: 'ndjson', filters: { actionType: 'USER_SUSPENDED' } }
+    }));
+    expect(res.headers['Content-Type']).toContain('application/x-ndjson');
+    expect(res.chunks).toHaveLength(3);
+    expect(res.end).toHaveBeenCalled();
+
+    const rejected = mockOutput();
+    await exportAuditLogs({ ...req, query: { format: 'xlsx' } }, rejected);
+    expect(rejected.status).toHaveBeenCalledWith(400);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
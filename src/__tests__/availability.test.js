@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import Application from '../models/Application.js';
+import {
+  AvailabilityError,
+  weeklyHoursFromDays,
+  normaliseAvailability,
+  checkCalendar,
+  getBusySlots,
+  assertTaskerCanBook
+} from '../services/availabilityService.js';
+import { toIcs } from '../utils/ics.js';
+import { id } from './helpers/factories.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Monday 7 July 2025, 09:00 in Colombo
+const mondayNine = new Date('2025-07-07T03:30:00Z');
+
+const calendar = {
+  weeklyHours: [{ day: 1, start: '08:00', end: '18:00' }],
+  blockedPeriods: [{ start: new Date('2025-07-08T00:00:00Z'), end: new Date('2025-07-08T12:00:00Z') }],
+  holidays: [{ date: '2025-07-14', name: 'Poya' }]
+};
+
+const mockBookings = (tasks, applications = []) => {
+  jest.spyOn(Task, 'find').mockReturnValue({
+    select: () => ({ sort: () => Promise.resolve(tasks) })
+  });
+  jest.spyOn(Application, 'find').mockReturnValue({
+    select: () => Promise.resolve(applications)
+  });
+};
+
+describe('Tasker availability', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should turn registration ticks into working hours', () => {
+    expect(weeklyHoursFromDays({ monday: true, tuesday: false, saturday: true })).toEqual([
+      { day: 1, start: '08:00', end: '18:00' },
+      { day: 6, start: '08:00', end: '18:00' }
+    ]);
+  });
+
+  test('Should validate and sort calendar fields', () => {
+    expect(normaliseAvailability({
+      weeklyHours: { friday: { start: '13:00', end: '17:00' }, monday: true },
+      holidays: ['2025-12-25', { date: '2025-04-14', name: 'New Year' }, '2025-12-25']
+    })).toEqual({
+      weeklyHours: [{ day: 1, start: '08:00', end: '18:00' }, { day: 5, start: '13:00', end: '17:00' }],
+      holidays: [{ date: '2025-04-14', name: 'New Year' }, { date: '2025-12-25' }]
+    });
+
+    expect(() => normaliseAvailability({
+      weeklyHours: [{ day: 1, start: '08:00', end: '12:00' }, { day: 1, start: '11:00', end: '15:00' }]
+    })).toThrow('Working hours overlap on monday');
+    expect(() => normaliseAvailability({ weeklyHours: [{ day: 2, start: '9am', end: '17:00' }] }))
+      .toThrow(AvailabilityError);
+    expect(() => normaliseAvailability({
+      blockedPeriods: [{ start: '2025-07-09T10:00:00Z', end: '2025-07-09T09:00:00Z' }]
+    })).toThrow('Blocked periods must end after they start');
+  });
+
+  test('Should check bookings against working hours, blocked periods and holidays', () => {
+    const within = (start, hours) => checkCalendar(calendar, start, new Date(start.getTime() + hours * HOUR_MS));
+
+    expect(within(mondayNine, 2)).toBeNull();
+    expect(within(mondayNine, 9.5)?.type).toBe('outside_hours');
+    expect(within(new Date('2025-07-08T03:30:00Z'), 1)?.type).toBe('blocked');
+    expect(within(new Date('2025-07-14T03:30:00Z'), 1)).toMatchObject({ type: 'holiday', date: '2025-07-14' });
+    expect(checkCalendar(undefined, mondayNine, new Date(mondayNine.getTime() + HOUR_MS))).toBeNull();
+  });
+
+  test('Should turn selected tasks into busy slots lasting the estimated duration', async () => {
+    const tasker = id();
+    const withEstimate = { _id: id(), title: 'Paint fence', area: 'Colombo', status: 'scheduled', agreedTime: mondayNine };
+    const withoutEstimate = {
+      _id: id(),
+      title: 'Fix tap',
+      area: 'Colombo',
+      status: 'active',
+      agreedTime: new Date(mondayNine.getTime() + 6 * HOUR_MS)
+    };
+    mockBookings([withEstimate, withoutEstimate], [{ task: withEstimate._id, estimatedDuration: 3 }]);
+
+    const slots = await getBusySlots(tasker, {
+      from: mondayNine,
+      to: new Date(mondayNine.getTime() + 24 * HOUR_MS)
+    });
+
+    expect(Task.find.mock.calls[0][0]).toMatchObject({
+      $or: [{ selectedTasker: tasker }, { 'assignments.tasker': tasker }],
+      status: { $in: ['active', 'scheduled', 'in_progress'] }
+    });
+    expect(slots.map(({ title, start, end }) => ({ title, start, end }))).toEqual([
+      { title: 'Paint fence', start: mondayNine, end: new Date(mondayNine.getTime() + 3 * HOUR_MS) },
+      {
+        title: 'Fix tap',
+        start: withoutEstimate.agreedTime,
+        end: new Date(withoutEstimate.agreedTime.getTime() + 2 * HOUR_MS)
+      }
+    ]);
+  });
+
+  test('Should refuse double bookings', async () => {
+    const tasker = { _id: id(), taskerProfile: { availability: calendar } };
+    const booked = { _id: id(), title: 'Paint fence', status: 'scheduled', agreedTime: mondayNine };
+    mockBookings([booked], [{ task: booked._id, estimatedDuration: 3 }]);
+
+    const error = await assertTaskerCanBook(tasker, {
+      start: new Date(mondayNine.getTime() + 2 * HOUR_MS),
+      hours: 1
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(AvailabilityError);
+    expect(error.statusCode).toBe(409);
+    expect(error.conflict).toMatchObject({ type: 'booked', taskId: booked._id });
+
+    await expect(assertTaskerCanBook(tasker, {
+      start: new Date(mondayNine.getTime() + 3 * HOUR_MS),
+      hours: 1
+    })).resolves.toBeUndefined();
+  });
+
+  test('Should write bookings and holidays as iCalendar events', () => {
+    const ics = toIcs({
+      name: 'Schedule',
+      now: new Date('2025-07-01T00:00:00Z'),
+      events: [
+        {
+          uid: 'task-1@taskgo',
+          start: mondayNine,
+          end: new Date(mondayNine.getTime() + HOUR_MS),
+          summary: 'Paint fence, gate; shed',
+          status: 'CONFIRMED'
+        },
+        { uid: 'holiday-1@taskgo', start: '2025-07-14', allDay: true, summary: 'Holiday: Poya' }
+      ]
+    });
+
+    const lines = ics.split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'DTSTART:20250707T033000Z',
+      'DTEND:20250707T043000Z',
+      'SUMMARY:Paint fence\\, gate\\; shed',
+      'DTSTART;VALUE=DATE:20250714',
+      'DTEND;VALUE=DATE:20250715'
+    ]));
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+});
@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Feedback from '../models/Feedback.js';
+import {
+  CrewError,
+  addCrewAssignment,
+  confirmCrewAssignment,
+  markCrewPaymentPaid,
+  completeCrewAssignment,
+  rateCrew,
+  isWorkingTasker
+} from '../services/crewService.js';
+import { checkTransition, resolveActorRole } from '../services/taskStateMachine.js';
+import { applyCompletionEffects } from '../services/taskCompletionService.js';
+import { resetPendingTaskPayment } from '../services/paymentService.js';
+import { id, hydrateTask } from './helpers/factories.js';
+
+const now = new Date('2025-08-01T09:00:00Z');
+const agreedTime = new Date('2025-08-05T08:00:00Z');
+
+describe('Crew tasks', () => {
+  const customer = { _id: id(), role: 'customer' };
+  const movers = [id(), id(), id()];
+  let task;
+
+  const applicationFor = (tasker) => ({ _id: id(), tasker });
+
+  const buildCrew = () => {
+    addCrewAssignment(task, applicationFor(movers[0]), { agreedTime, agreedPayment: 4000 });
+    addCrewAssignment(task, applicationFor(movers[1]), { agreedTime, agreedPayment: 3000 });
+    addCrewAssignment(task, applicationFor(movers[2]), { agreedTime, agreedPayment: 3000 });
+  };
+
+  beforeEach(() => {
+    task = hydrateTask({
+      title: 'Move house',
+      customer: customer._id,
+      crewSize: 3,
+      assignments: []
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should add taskers to the crew with their own payments up to the crew size', () => {
+    buildCrew();
+
+    expect(task.selectedTasker).toEqual(movers[0]);
+    expect(task.agreedPayment).toBe(10000);
+    expect(task.assignments.map((a) => a.agreedPayment)).toEqual([4000, 3000, 3000]);
+    expect(isWorkingTasker(task, movers[2])).toBe(true);
+    expect(resolveActorRole(task, { _id: movers[1], role: 'tasker' })).toBe('tasker');
+
+    const error = (() => {
+      try {
+        addCrewAssignment(task, applicationFor(id()), { agreedTime, agreedPayment: 3000 });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(CrewError);
+    expect(error.statusCode).toBe(409);
+  });
+
+  test('Should refuse a second booking of the same tasker or a different time', () => {
+    addCrewAssignment(task, applicationFor(movers[0]), { agreedTime, agreedPayment: 4000 });
+
+    expect(() => addCrewAssignment(task, applicationFor(movers[0]), { agreedTime, agreedPayment: 4000 }))
+      .toThrow('This tasker is already part of the crew');
+    expect(() => addCrewAssignment(task, applicationFor(movers[1]), {
+      agreedTime: new Date(agreedTime.getTime() + 60 * 60 * 1000),
+      agreedPayment: 3000
+    })).toThrow('Crew members must be booked for the same time as the rest of the crew');
+  });
+
+  test('Should only schedule once the crew is full and every advance is paid', () => {
+    addCrewAssignment(task, applicationFor(movers[0]), { agreedTime, agreedPayment: 4000 });
+    expect(checkTransition(task, 'scheduled', null)).toBe('All 3 crew members must be selected before the task can be scheduled');
+
+    addCrewAssignment(task, applicationFor(movers[1]), { agreedTime, agreedPayment: 3000 });
+    addCrewAssignment(task, applicationFor(movers[2]), { agreedTime, agreedPayment: 3000 });
+    expect(checkTransition(task, 'scheduled', null)).toBeNull();
+
+    const advance = (tasker) => ({ tasker, paymentType: 'advance' });
+    expect(markCrewPaymentPaid(task, advance(movers[0]), { now })).toBe(false);
+    expect(markCrewPaymentPaid(task, advance(movers[1]), { now })).toBe(false);
+    expect(markCrewPaymentPaid(task, advance(movers[2]), { now })).toBe(true);
+    expect(task.assignments[0]).toMatchObject({ advancePaymentStatus: 'paid', advancePaymentDate: now });
+  });
+
+  test('Should track confirmations and completions per crew member', () => {
+    buildCrew();
+
+    expect(confirmCrewAssignment(task, movers[0], { now })).toBe(false);
+    confirmCrewAssignment(task, movers[1], { now });
+    expect(confirmCrewAssignment(task, movers[2], { now })).toBe(true);
+    expect(task.taskerConfirmed).toBe(true);
+
+    completeCrewAssignment(task, movers[0], { completionPhotos: ['/uploads/tasks/boxes.jpg'] }, { now });
+    completeCrewAssignment(task, movers[1], {}, { now });
+    expect(task.taskerCompletedAt).toBeNull();
+
+    const later = new Date(now.getTime() + 60 * 60 * 1000);
+    completeCrewAssignment(task, movers[2], { taskerRatingForCustomer: 4 }, { now: later });
+    expect(task.taskerCompletedAt).toEqual(later);
+    expect(task.completionPhotos).toEqual(['/uploads/tasks/boxes.jpg']);
+
+    expect(() => completeCrewAssignment(task, id())).toThrow('You are not part of this crew');
+  });
+
+  test('Should rate and credit every crew member separately on completion', async () => {
+    buildCrew();
+    rateCrew(task, { ratings: [{ taskerId: String(movers[0]), rating: 5, review: 'Great lead' }], rating: 4 });
+    task.assignments[2].taskerRatingForCustomer = 5;
+
+    const users = new Map([[String(customer._id), { incrementTaskStat: jest.fn(), updateRating: jest.fn() }]]);
+    movers.forEach((mover) => users.set(String(mover), { incrementTaskStat: jest.fn(), updateRating: jest.fn() }));
+    jest.spyOn(User, 'findById').mockImplementation(async (userId) => users.get(String(userId)));
+    const create = jest.spyOn(Feedback, 'create').mockResolvedValue({});
+
+    await applyCompletionEffects(task);
+
+    expect(users.get(String(movers[0])).updateRating).toHaveBeenCalledWith(5);
+    expect(users.get(String(movers[1])).updateRating).toHaveBeenCalledWith(4);
+    movers.forEach((mover) => {
+      expect(users.get(String(mover)).incrementTaskStat).toHaveBeenCalledWith('tasksCompleted');
+    });
+    expect(users.get(String(customer._id)).incrementTaskStat).toHaveBeenCalledTimes(1);
+    expect(users.get(String(customer._id)).updateRating).toHaveBeenCalledWith(5);
+    expect(create.mock.calls.map(([data]) => [data.feedbackType, String(data.toUser)])).toEqual([
+      ['customer-to-tasker', String(movers[0])],
+      ['customer-to-tasker', String(movers[1])],
+      ['customer-to-tasker', String(movers[2])],
+      ['tasker-to-customer', String(customer._id)]
+    ]);
+  });
+
+  test('Should reset only the crew member\'s checkout when their payment fails', async () => {
+    buildCrew();
+    Object.assign(task.assignments[1], { advancePayment: 600, advancePaymentStatus: 'pending', paymentId: 'TASK_X_1' });
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    const payment = Payment.hydrate({ tasker: movers[1], paymentType: 'advance', payhereOrderId: 'TASK_X_1' });
+
+    expect(await resetPendingTaskPayment(task, payment)).toBe(true);
+    expect(task.assignments[1].advancePaymentStatus).toBeNull();
+    expect(task.assignments[1].paymentId).toBeNull();
+
+    const other = Payment.hydrate({ tasker: movers[0], paymentType: 'advance', payhereOrderId: 'TASK_X_2' });
+    expect(await resetPendingTaskPayment(task, other)).toBe(false);
+  });
+});
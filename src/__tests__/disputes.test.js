@@ -0,0 +1,273 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Refund from '../models/Refund.js';
+import Dispute from '../models/Dispute.js';
+import ChatMessage from '../models/ChatMessage.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import Notification from '../models/Notification.js';
+import {
+  DisputeError,
+  openDispute,
+  calculateSettlement,
+  resolveDispute
+} from '../services/disputeService.js';
+import { approveRefund, RefundError } from '../services/refundService.js';
+import { createStubRefundAdapter, setRefundAdapter } from '../services/refundAdapter.js';
+import { id } from './helpers/factories.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Disputes', () => {
+  const now = new Date('2025-07-10T00:00:00Z');
+  let customer;
+  let tasker;
+  let task;
+  let payment;
+
+  const mockHeldAdvance = (held = payment) => {
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ sort: () => Promise.resolve(held) });
+  };
+
+  beforeEach(() => {
+    customer = { _id: id(), role: 'customer' };
+    tasker = { _id: id(), role: 'tasker' };
+    task = {
+      _id: id(),
+      title: 'Paint fence',
+      status: 'completed',
+      customer: customer._id,
+      customerCompletedAt: new Date(now.getTime() - 2 * DAY_MS)
+    };
+    payment = Payment.hydrate({
+      _id: id(),
+      task: task._id,
+      customer: customer._id,
+      tasker: tasker._id,
+      amount: 2000,
+      platformCommissionAmount: 200,
+      payhereOrderId: `TASK_${task._id}_1`,
+      paymentType: 'advance',
+      status: 'completed'
+    });
+
+    jest.spyOn(Task, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(task);
+      query.select = () => Promise.resolve(task);
+      return query;
+    });
+    jest.spyOn(Task, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Dispute, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Dispute.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: () => Promise.resolve({ _id: userId, fullName: 'Nimal Perera', notificationPreferences: {} })
+    }));
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setRefundAdapter(null);
+  });
+
+  describe('openDispute', () => {
+    test('Should let the customer dispute a completed task and quote the task chat', async () => {
+      mockHeldAdvance();
+      const message = { _id: id(), senderId: tasker._id, message: 'Fence is done', createdAt: now };
+      const find = jest.spyOn(ChatMessage, 'find').mockReturnValue({
+        select: () => ({ sort: () => Promise.resolve([message]) })
+      });
+
+      const dispute = await openDispute({
+        taskId: task._id,
+        user: customer,
+        category: 'poor_quality',
+        reason: 'Half the fence is still unpainted',
+        evidencePhotos: ['/uploads/disputes/fence.jpg'],
+        chatMessageIds: [String(message._id)]
+      }, { now });
+
+      expect(dispute).toMatchObject({
+        task: task._id,
+        payment: payment._id,
+        tasker: tasker._id,
+        openedByRole: 'customer',
+        status: 'open',
+        taskStatus: 'completed'
+      });
+      expect(dispute.evidencePhotos[0]).toMatchObject({ url: '/uploads/disputes/fence.jpg', uploadedBy: customer._id });
+      expect(dispute.chatExcerpts[0]).toMatchObject({ message: message._id, text: 'Fence is done' });
+      expect(find.mock.calls[0][0]).toMatchObject({ taskId: task._id });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: tasker._id,
+        type: 'dispute_opened'
+      }));
+    });
+
+    test('Should refuse outsiders, stale completions and a second open dispute', async () => {
+      mockHeldAdvance();
+      const params = { taskId: task._id, category: 'other', reason: 'Not happy' };
+
+      await expect(openDispute({ ...params, user: { _id: id(), role: 'tasker' } }, { now }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      task.customerCompletedAt = new Date(now.getTime() - 30 * DAY_MS);
+      await expect(openDispute({ ...params, user: tasker }, { now }))
+        .rejects.toThrow('Completed tasks can only be disputed within 14 days');
+
+      task.customerCompletedAt = now;
+      Dispute.findOne.mockResolvedValueOnce({ _id: id(), status: 'open' });
+      await expect(openDispute({ ...params, user: tasker }, { now }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('Should need an advance that is still held', async () => {
+      mockHeldAdvance(null);
+
+      await expect(openDispute({ taskId: task._id, user: customer, category: 'other', reason: 'Late' }, { now }))
+        .rejects.toBeInstanceOf(DisputeError);
+    });
+  });
+
+  test('Should split the advance only with a partial refund amount', () => {
+    expect(calculateSettlement('split', 2000, 500)).toEqual({ refundAmount: 500, releasedAmount: 1500 });
+    expect(calculateSettlement('refund_to_customer', 2000)).toEqual({ refundAmount: 2000, releasedAmount: 0 });
+    expect(() => calculateSettlement('split', 2000, 2000)).toThrow('A split needs a refund amount between 0 and 2000');
+    expect(() => calculateSettlement('keep', 2000)).toThrow(DisputeError);
+  });
+
+  describe('resolveDispute', () => {
+    const admin = { _id: id(), role: 'admin' };
+    let dispute;
+
+    beforeEach(() => {
+      dispute = Dispute.hydrate({
+        _id: id(),
+        task: task._id,
+        payment: payment._id,
+        customer: customer._id,
+        tasker: tasker._id,
+        openedBy: customer._id,
+        openedByRole: 'customer',
+        status: 'under_review'
+      });
+      jest.spyOn(Dispute, 'findById').mockResolvedValue(dispute);
+      jest.spyOn(Dispute, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+        Dispute.hydrate({ ...dispute.toObject(), ...update.$set })
+      ));
+      jest.spyOn(Dispute, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+      jest.spyOn(LedgerTransaction, 'create').mockImplementation(async ([data]) => [data]);
+    });
+
+    test('Should split the advance through a refund and close pending cancellation refunds', async () => {
+      jest.spyOn(Refund, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Refund, 'create').mockImplementation(async (data) => Refund.hydrate({ _id: id(), ...data }));
+      jest.spyOn(Refund.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+
+      const result = await resolveDispute(dispute._id, admin, {
+        outcome: 'split',
+        refundAmount: 500,
+        summary: 'Work half done'
+      }, { now });
+
+      expect(result.dispute.status).toBe('resolved');
+      expect(result.dispute.resolution).toMatchObject({ outcome: 'split', refundAmount: 500, releasedAmount: 1500 });
+      expect(result.refund).toMatchObject({ status: 'completed', amount: 500, retainedAmount: 1500 });
+      expect(Refund.updateMany).toHaveBeenCalledWith(
+        { payment: payment._id, status: { $in: ['pending_approval', 'failed'] } },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'rejected' }) })
+      );
+      expect(payment.refundAmount).toBe(500);
+      expect(payment.escrowReleasedAt).toBeInstanceOf(Date);
+      expect(LedgerTransaction.create.mock.calls.map(([[data]]) => data.type)).toEqual(['refund', 'escrow_release']);
+      expect(Task.updateOne).toHaveBeenCalledWith(
+        { _id: task._id, paymentId: payment.payhereOrderId, advancePaymentStatus: { $in: ['paid', null] } },
+        { $set: { advancePaymentStatus: 'released', advancePaymentReleasedAt: now } }
+      );
+    });
+
+    test('Should release the whole advance to the tasker without a refund', async () => {
+      const create = jest.spyOn(Refund, 'create');
+
+      const result = await resolveDispute(dispute._id, admin, {
+        outcome: 'release_to_tasker',
+        summary: 'Work matches the photos'
+      }, { now });
+
+      expect(result.refund).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+      expect(payment.escrowReleasedAt).toEqual(now);
+      expect(LedgerTransaction.create.mock.calls[0][0][0]).toMatchObject({ type: 'escrow_release' });
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('Should put the dispute back under review when the gateway refund fails', async () => {
+      setRefundAdapter(createStubRefundAdapter({ fail: true }));
+      jest.spyOn(Refund, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Refund, 'create').mockImplementation(async (data) => Refund.hydrate({ _id: id(), ...data }));
+      jest.spyOn(Refund.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+
+      await expect(resolveDispute(dispute._id, admin, { outcome: 'refund_to_customer', summary: 'No show' }, { now }))
+        .rejects.toMatchObject({ statusCode: 502 });
+
+      expect(Dispute.updateOne).toHaveBeenCalledWith(
+        { _id: dispute._id, status: 'resolved' },
+        { $set: { status: 'under_review' }, $unset: { resolution: 1 } }
+      );
+      expect(payment.refundedAt).toBeUndefined();
+      expect(LedgerTransaction.create).not.toHaveBeenCalled();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    test('Should keep the dispute resolved once the gateway has refunded the customer', async () => {
+      jest.spyOn(Refund, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Refund, 'create').mockImplementation(async (data) => Refund.hydrate({ _id: id(), ...data }));
+      jest.spyOn(Refund.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+      LedgerTransaction.create.mockRejectedValue(new Error('ledger unavailable'));
+
+      const result = await resolveDispute(dispute._id, admin, { outcome: 'refund_to_customer', summary: 'No show' }, { now });
+
+      expect(result.dispute.status).toBe('resolved');
+      expect(result.refund.status).toBe('settlement_failed');
+      expect(Dispute.updateOne).toHaveBeenCalledTimes(1);
+      expect(Dispute.updateOne).toHaveBeenCalledWith(
+        { _id: dispute._id },
+        { $set: { 'resolution.refund': result.refund._id } }
+      );
+    });
+
+    test('Should refuse to settle a dispute that is already closed', async () => {
+      dispute.status = 'withdrawn';
+
+      await expect(resolveDispute(dispute._id, admin, { outcome: 'refund_to_customer' }, { now }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  test('Should keep cancellation refunds frozen while a dispute is open', async () => {
+    jest.spyOn(Refund, 'findById').mockResolvedValue({ _id: id(), task: task._id, status: 'pending_approval' });
+    Dispute.findOne.mockResolvedValueOnce({ _id: id(), status: 'open' });
+    const claim = jest.spyOn(Refund, 'findOneAndUpdate');
+
+    const error = await approveRefund(id(), { _id: id() }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(RefundError);
+    expect(error.statusCode).toBe(409);
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,223 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import Payment from '../models/Payment.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import TaskTransition from '../models/TaskTransition.js';
+import Notification from '../models/Notification.js';
+import Dispute from '../models/Dispute.js';
+import { id, hydrateTask, buildRes } from './helpers/factories.js';
+
+// PayHere credentials are read when the controller loads
+const previousCredentials = {
+  PAYHERE_MERCHANT_ID: process.env.PAYHERE_MERCHANT_ID,
+  PAYHERE_MERCHANT_SECRET: process.env.PAYHERE_MERCHANT_SECRET
+};
+process.env.PAYHERE_MERCHANT_ID = 'M-FINAL';
+process.env.PAYHERE_MERCHANT_SECRET = 'final-secret';
+const { initiateFinalPayment, handlePaymentNotification } = await import('../controllers/paymentController.js');
+const { autoCompleteTasks } = await import('../jobs/taskAutoCompleteJob.js');
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+
+// A signed PayHere notification for the given order
+const buildNotification = ({ orderId, amount, statusCode = '2', paymentId = 'P1' }) => {
+  const body = {
+    merchant_id: 'M-FINAL',
+    order_id: orderId,
+    payment_id: paymentId,
+    payhere_amount: amount.toFixed(2),
+    payhere_currency: 'LKR',
+    status_code: statusCode,
+    status_message: 'Successfully completed the payment.',
+    method: 'VISA'
+  };
+  body.md5sig = md5(`${body.merchant_id}${orderId}${body.payhere_amount}LKR${statusCode}${md5('final-secret')}`);
+  return body;
+};
+
+describe('Final payment', () => {
+  const customer = { _id: id(), role: 'customer', fullName: 'Nimal Perera', email: 'nimal@example.com' };
+  const taskerId = id();
+  let task;
+  let advance;
+  let users;
+
+  beforeEach(() => {
+    task = hydrateTask({
+      title: 'Paint living room',
+      status: 'completed',
+      customer: customer._id,
+      selectedTasker: taskerId,
+      agreedPayment: 10000,
+      customerCompletedAt: new Date('2025-03-02T10:00:00Z'),
+      taskerCompletedAt: new Date('2025-03-02T09:00:00Z'),
+      advancePayment: 2000,
+      advancePaymentStatus: 'released'
+    });
+    advance = Payment.hydrate({
+      _id: id(),
+      task: task._id,
+      customer: customer._id,
+      tasker: taskerId,
+      amount: 2000,
+      taskerEarnings: 1800,
+      paymentType: 'advance',
+      status: 'completed'
+    });
+
+    users = new Map([customer._id, taskerId].map((userId) => [String(userId), {
+      _id: userId,
+      updateFinancials: jest.fn().mockResolvedValue(undefined)
+    }]));
+
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Payment, 'find').mockResolvedValue([advance]);
+    jest.spyOn(User, 'findById').mockImplementation(async (userId) => users.get(String(userId)));
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerTransaction, 'create').mockResolvedValue([{}]);
+    jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    for (const [name, value] of Object.entries(previousCredentials)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe('initiateFinalPayment', () => {
+    test('Should charge the balance left after the advance on a completed task', async () => {
+      const res = buildRes();
+      await initiateFinalPayment({ body: { taskId: task._id }, user: customer }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.amount).toBe(8000);
+      expect(data.orderId).toMatch(new RegExp(`^TASK_${task._id}_FINAL_`));
+      expect(data.paymentData).toMatchObject({ merchant_id: 'M-FINAL', order_id: data.orderId, custom_3: 'final_payment' });
+      expect(task).toMatchObject({ finalPayment: 8000, finalPaymentStatus: 'pending', finalPaymentId: data.orderId });
+      expect(Payment.prototype.save.mock.contexts[0]).toMatchObject({
+        paymentType: 'final',
+        amount: 8000,
+        tasker: taskerId
+      });
+    });
+
+    test('Should charge the final payment on a task the job completed automatically', async () => {
+      task.status = 'in_progress';
+      task.customerCompletedAt = undefined;
+      for (const user of users.values()) {
+        Object.assign(user, { incrementTaskStat: jest.fn(), updateRating: jest.fn(), notificationPreferences: {} });
+      }
+      // Awaited directly for statistics, with select() by the notification service
+      User.findById.mockImplementation((userId) => {
+        const found = Promise.resolve(users.get(String(userId)));
+        found.select = () => found;
+        return found;
+      });
+      jest.spyOn(Task, 'find').mockReturnValue({ limit: () => Promise.resolve([task]) });
+      jest.spyOn(Dispute, 'findOne').mockResolvedValue(null);
+      jest.spyOn(TaskTransition, 'create').mockResolvedValue([{}]);
+      jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+      jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+
+      await autoCompleteTasks({ now: new Date('2025-03-10T10:00:00Z'), afterDays: 3 });
+      const res = buildRes();
+      await initiateFinalPayment({ body: { taskId: task._id }, user: customer }, res);
+
+      expect(task).toMatchObject({ status: 'completed', autoCompleted: true });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.amount).toBe(8000);
+    });
+
+    test('Should refuse a final payment before the task is complete', async () => {
+      task.status = 'in_progress';
+      task.customerCompletedAt = null;
+      const res = buildRes();
+
+      await initiateFinalPayment({ body: { taskId: task._id }, user: customer }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Final payment is only available after both parties have marked the task complete'
+      }));
+      expect(Payment.prototype.save).not.toHaveBeenCalled();
+      expect(task.finalPaymentStatus).toBeUndefined();
+    });
+  });
+
+  describe('handlePaymentNotification', () => {
+    let payment;
+
+    const deliver = (body) => {
+      const res = buildRes();
+      return handlePaymentNotification({ params: {}, body, app: { get: () => null } }, res).then(() => res);
+    };
+
+    beforeEach(() => {
+      task.finalPayment = 8000;
+      task.finalPaymentStatus = 'pending';
+      task.finalPaymentId = `TASK_${task._id}_FINAL_1`;
+      payment = Payment.hydrate({
+        _id: id(),
+        task: task._id,
+        customer: customer._id,
+        tasker: taskerId,
+        amount: 8000,
+        taskerEarnings: 8000,
+        paymentType: 'final',
+        status: 'pending',
+        payhereOrderId: task.finalPaymentId,
+        payhereAmount: 8000
+      });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    });
+
+    test('Should mark the task fully paid when the final payment succeeds', async () => {
+      jest.spyOn(PaymentEvent, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+
+      const res = await deliver(buildNotification({ orderId: payment.payhereOrderId, amount: 8000 }));
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(payment.status).toBe('completed');
+      expect(payment.escrowReleasedAt).toBeInstanceOf(Date);
+      expect(task.finalPaymentStatus).toBe('paid');
+      expect(task.fullyPaidAt).toEqual(task.finalPaymentDate);
+      expect(task.isFullyPaid).toBe(true);
+      expect(users.get(String(customer._id)).updateFinancials).toHaveBeenCalledWith(8000, false);
+      expect(users.get(String(taskerId)).updateFinancials).toHaveBeenCalledWith(9800, true);
+    });
+
+    test('Should ignore a repeated notification for the final payment', async () => {
+      const duplicateKeyError = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      jest.spyOn(PaymentEvent, 'create')
+        .mockImplementationOnce(async (data) => ({ _id: id(), ...data }))
+        .mockRejectedValue(duplicateKeyError);
+      jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+      const notification = buildNotification({ orderId: payment.payhereOrderId, amount: 8000 });
+
+      await deliver(notification);
+      const fullyPaidAt = task.fullyPaidAt;
+      const repeated = await deliver(notification);
+
+      expect(repeated.json).toHaveBeenCalledWith({ status: 'duplicate' });
+      expect(task.fullyPaidAt).toBe(fullyPaidAt);
+      expect(Task.prototype.save).toHaveBeenCalledTimes(1);
+      expect(users.get(String(customer._id)).updateFinancials).toHaveBeenCalledTimes(1);
+    });
+  });
+});
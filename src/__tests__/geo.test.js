@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import { getTask } from '../controllers/taskController.js';
+import {
+  GeoError,
+  toGeoPoint,
+  parseNearQuery,
+  distanceKm,
+  coarseDistanceKm,
+  coarsenPoint,
+  withCoarseTaskerLocations,
+  withinRadius,
+  EARTH_RADIUS_KM,
+  DEFAULT_SEARCH_RADIUS_KM
+} from '../utils/geo.js';
+import { id, hydrateTask, buildRes } from './helpers/factories.js';
+
+const dehiwala = { type: 'Point', coordinates: [79.8653, 6.8511] };
+const mountLavinia = { type: 'Point', coordinates: [79.8636, 6.8302] };
+const kandy = { type: 'Point', coordinates: [80.6337, 7.2906] };
+
+describe('Geo helpers', () => {
+  test('Should accept lat/lng objects, "lat,lng" strings and GeoJSON points', () => {
+    expect(toGeoPoint({ lat: 6.8511, lng: 79.8653 })).toEqual(dehiwala);
+    expect(toGeoPoint('6.8511, 79.8653')).toEqual(dehiwala);
+    expect(toGeoPoint(dehiwala)).toEqual(dehiwala);
+  });
+
+  test('Should reject coordinates out of range', () => {
+    expect(() => toGeoPoint({ lat: 95, lng: 79.8 })).toThrow(GeoError);
+    expect(() => toGeoPoint('not,a point')).toThrow('Location must be a valid latitude and longitude');
+    expect(() => toGeoPoint(null)).toThrow(GeoError);
+  });
+
+  test('Should parse near queries with a default and bounded radius', () => {
+    expect(parseNearQuery({})).toBeNull();
+    expect(parseNearQuery({ near: '6.8511,79.8653' })).toEqual({ point: dehiwala, radiusKm: DEFAULT_SEARCH_RADIUS_KM });
+    expect(parseNearQuery({ near: '6.8511,79.8653' }, { defaultRadiusKm: 25 }).radiusKm).toBe(25);
+    expect(parseNearQuery({ near: '6.8511,79.8653', radius: '5' }).radiusKm).toBe(5);
+    expect(() => parseNearQuery({ near: '6.8511,79.8653', radius: '500' })).toThrow(GeoError);
+    expect(() => parseNearQuery({ near: '6.8511,79.8653', radius: '-1' })).toThrow(GeoError);
+  });
+
+  test('Should measure great-circle distances', () => {
+    expect(distanceKm(dehiwala, mountLavinia)).toBeCloseTo(2.3, 1);
+    expect(distanceKm(dehiwala, kandy)).toBeGreaterThan(90);
+    expect(distanceKm(dehiwala, kandy)).toBeLessThan(100);
+  });
+
+  test('Should keep distances and points coarse', () => {
+    expect(coarseDistanceKm(0.2)).toBe(1);
+    expect(coarseDistanceKm(2.3)).toBe(2);
+    expect(coarseDistanceKm(2.6)).toBe(3);
+    expect(coarsenPoint(dehiwala)).toEqual({ type: 'Point', coordinates: [79.87, 6.85] });
+    expect(coarsenPoint(undefined)).toBeNull();
+  });
+
+  test('Should build a countable radius query', () => {
+    expect(withinRadius(dehiwala, 5)).toEqual({
+      $geoWithin: { $centerSphere: [[79.8653, 6.8511], 5 / EARTH_RADIUS_KM] }
+    });
+  });
+});
+
+describe('Tasker locations in task responses', () => {
+  const customer = { _id: id(), role: 'customer' };
+
+  // A task loaded by getTask, with its selected tasker populated
+  const taskWithTasker = (overrides = {}) => {
+    const tasker = User.hydrate({ _id: id(), role: 'tasker', fullName: 'Kamal Silva', taskerProfile: { location: dehiwala } });
+    const task = hydrateTask({ status: 'scheduled', customer: customer._id, selectedTasker: tasker._id, location: kandy, ...overrides });
+    task.populated('selectedTasker', tasker._id);
+    task.selectedTasker = tasker;
+    jest.spyOn(Task, 'findById').mockReturnValue({
+      populate: () => ({ populate: () => ({ populate: () => Promise.resolve(task) }) })
+    });
+    jest.spyOn(Application, 'countDocuments').mockResolvedValue(0);
+    return task;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should only show the customer where the tasker is to the nearest kilometre', async () => {
+    const task = taskWithTasker();
+    const res = buildRes();
+
+    await getTask({ params: { id: String(task._id) }, user: customer }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.selectedTasker.fullName).toBe('Kamal Silva');
+    expect(data.selectedTasker.taskerProfile.location).toEqual(coarsenPoint(dehiwala));
+  });
+
+  test('Should show admins the exact tasker location', async () => {
+    const task = taskWithTasker({ status: 'active' });
+    const res = buildRes();
+
+    await getTask({ params: { id: String(task._id) }, user: { _id: id(), role: 'admin' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.selectedTasker.taskerProfile.location).toEqual(dehiwala);
+  });
+
+  test('Should leave unpopulated taskers as they are', () => {
+    const targetedTasker = id();
+
+    expect(withCoarseTaskerLocations({ title: 'Fix the tap', selectedTasker: null, targetedTasker })).toEqual({
+      title: 'Fix the tap',
+      selectedTasker: null,
+      targetedTasker
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Task from '../../models/Task.js';
+
+// Builders shared by the unit suites. Suites layer their own defaults on top
+// through overrides rather than copying these.
+
+export const id = () => new mongoose.Types.ObjectId();
+
+// A plain task record, for code that only reads fields off the task
+export const buildTask = (overrides = {}) => ({
+  _id: id(),
+  title: 'Paint the fence',
+  status: 'active',
+  customer: id(),
+  ...overrides
+});
+
+// The same task as a document, as the services see it after loading it from the database
+export const hydrateTask = (overrides = {}) => Task.hydrate(buildTask(overrides));
+
+// An Express response whose status() and json() calls can be asserted on
+export const buildRes = () => {
+  const response = {};
+  response.status = jest.fn().mockReturnValue(response);
+  response.json = jest.fn().mockReturnValue(response);
+  return response;
+};
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import Payment from '../models/Payment.js';
+import { getExpectedMovements, reconcileLedger } from '../services/ledgerService.js';
+import { id } from './helpers/factories.js';
+
+const buildTransaction = (entries) => new LedgerTransaction({
+  reference: `test:${id()}`,
+  type: 'escrow_release',
+  task: id(),
+  entries
+});
+
+describe('Escrow ledger', () => {
+  describe('LedgerTransaction validation', () => {
+    test('Should accept a balanced journal', async () => {
+      const transaction = buildTransaction([
+        { account: 'escrow', debit: 1000 },
+        { account: 'platform_commission', credit: 100 },
+        { account: 'tasker_payable', credit: 900 }
+      ]);
+
+      await expect(transaction.validate()).resolves.toBeUndefined();
+    });
+
+    test('Should reject an unbalanced journal', async () => {
+      const transaction = buildTransaction([
+        { account: 'escrow', debit: 1000 },
+        { account: 'tasker_payable', credit: 900 }
+      ]);
+
+      await expect(transaction.validate()).rejects.toThrow(/not balanced/);
+    });
+
+    test('Should reject entries with both or neither side set', async () => {
+      const transaction = buildTransaction([
+        { account: 'escrow', debit: 500, credit: 500 },
+        { account: 'gateway_clearing' }
+      ]);
+
+      await expect(transaction.validate()).rejects.toThrow(/either a debit or a credit/);
+    });
+  });
+
+  describe('getExpectedMovements', () => {
+    test('Should expect nothing for payments that never completed', () => {
+      expect(getExpectedMovements({ status: 'pending', amount: 1000 }))
+        .toEqual({ charged: 0, released: 0, refunded: 0 });
+    });
+
+    test('Should expect a charge and release for a released payment', () => {
+      expect(getExpectedMovements({ status: 'completed', amount: 1000, escrowReleasedAt: new Date() }))
+        .toEqual({ charged: 1000, released: 1000, refunded: 0 });
+    });
+
+    test('Should only release what was not refunded', () => {
+      expect(getExpectedMovements({
+        status: 'refunded',
+        amount: 1000,
+        refundAmount: 600,
+        refundedAt: new Date(),
+        escrowReleasedAt: new Date()
+      })).toEqual({ charged: 1000, released: 400, refunded: 600 });
+    });
+  });
+
+  describe('reconcileLedger', () => {
+    const released = { _id: id(), task: id(), payhereOrderId: 'TASK_A_1', paymentType: 'advance', amount: 1000, status: 'completed', escrowReleasedAt: new Date() };
+    const held = { _id: id(), task: id(), payhereOrderId: 'TASK_B_1', paymentType: 'advance', amount: 2000, status: 'completed' };
+
+    // Escrow movements are grouped per payment and journal type; account balances per account
+    const mockLedger = ({ payments, movements, accounts }) => {
+      jest.spyOn(Payment, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(payments) }) });
+      jest.spyOn(LedgerTransaction, 'aggregate').mockImplementation(async (pipeline) => (
+        pipeline.some((stage) => stage.$match?.['entries.account'] === 'escrow') ? movements : accounts
+      ));
+    };
+
+    const movement = (payment, type, debits, credits) => ({ _id: { payment: payment._id, type }, debits, credits });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should report no mismatches when the ledger matches the payments', async () => {
+      mockLedger({
+        payments: [released, held],
+        movements: [
+          movement(released, 'customer_charge', 0, 1000),
+          movement(released, 'escrow_release', 1000, 0),
+          movement(held, 'customer_charge', 0, 2000)
+        ],
+        accounts: [
+          { _id: 'gateway_clearing', debits: 3000, credits: 0 },
+          { _id: 'escrow', debits: 1000, credits: 3000 },
+          { _id: 'platform_commission', debits: 0, credits: 100 },
+          { _id: 'tasker_payable', debits: 0, credits: 900 }
+        ]
+      });
+
+      const report = await reconcileLedger();
+
+      expect(report.mismatches).toEqual([]);
+      expect(report.summary).toEqual({
+        paymentsChecked: 2,
+        mismatchCount: 0,
+        ledgerBalanced: true,
+        heldInEscrow: 2000,
+        owedToTaskers: 900,
+        platformCommission: 100
+      });
+    });
+
+    test('Should flag wrong amounts, missing entries and entries without a payment', async () => {
+      const deleted = { _id: id() };
+      mockLedger({
+        payments: [released, held],
+        movements: [
+          movement(released, 'customer_charge', 0, 1000),
+          movement(released, 'escrow_release', 900, 0),
+          movement(deleted, 'customer_charge', 0, 500)
+        ],
+        accounts: [
+          { _id: 'gateway_clearing', debits: 1500, credits: 0 },
+          { _id: 'escrow', debits: 900, credits: 1500 },
+          { _id: 'tasker_payable', debits: 0, credits: 800 }
+        ]
+      });
+
+      const report = await reconcileLedger();
+
+      expect(report.mismatches).toEqual([
+        expect.objectContaining({ paymentId: released._id, orderId: 'TASK_A_1', issue: 'released_amount_mismatch', expected: 1000, actual: 900 }),
+        expect.objectContaining({ paymentId: held._id, orderId: 'TASK_B_1', issue: 'missing_charged', expected: 2000, actual: 0 }),
+        { paymentId: deleted._id.toString(), issue: 'orphaned_ledger_entries', expected: 0, actual: 500 }
+      ]);
+      expect(report.summary).toMatchObject({ mismatchCount: 3, ledgerBalanced: false });
+    });
+
+    test('Should only check the requested period and skip the orphan check', async () => {
+      mockLedger({ payments: [held], movements: [], accounts: [] });
+      const from = new Date('2025-01-01T00:00:00Z');
+
+      const report = await reconcileLedger({ from });
+
+      expect(Payment.find).toHaveBeenCalledWith({ createdAt: { $gte: from } });
+      expect(LedgerTransaction.aggregate.mock.calls[0][0][0]).toEqual({ $match: { payment: { $in: [held._id] } } });
+      expect(report.mismatches.map((mismatch) => mismatch.issue)).toEqual(['missing_charged']);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import {
+  NegotiationError,
+  makeOffer,
+  respondToOffer,
+  expirePendingOffers,
+  OFFER_EXPIRY_HOURS
+} from '../services/negotiationService.js';
+import { id, hydrateTask } from './helpers/factories.js';
+
+const now = new Date('2025-05-01T09:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+const customer = { _id: id(), role: 'customer' };
+const tasker = { _id: id(), role: 'tasker' };
+
+const openTask = (overrides = {}) => hydrateTask({
+  customer: customer._id,
+  minPayment: 1000,
+  maxPayment: 5000,
+  startDate: daysFromNow(1),
+  endDate: daysFromNow(10),
+  ...overrides
+});
+
+const buildApplication = (task, overrides = {}) => Application.hydrate({
+  _id: id(),
+  task: task._id,
+  tasker: tasker._id,
+  proposedPayment: 3000,
+  status: 'pending',
+  offers: [],
+  __v: 0,
+  ...overrides
+});
+
+describe('Offer negotiation', () => {
+  beforeEach(() => {
+    jest.spyOn(Application.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should counter the other party\'s pending offer', async () => {
+    const task = openTask();
+    const application = buildApplication(task);
+
+    const first = await makeOffer(task, application, tasker, { payment: 3500, time: daysFromNow(2) }, now);
+    expect(first.countered).toBeNull();
+    expect(first.offer).toMatchObject({ party: 'tasker', payment: 3500, status: 'pending' });
+    expect(first.offer.expiresAt).toEqual(new Date(now.getTime() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000));
+
+    const counter = await makeOffer(task, application, customer, { payment: 3000, time: daysFromNow(3) }, now);
+    expect(counter.countered._id).toEqual(first.offer._id);
+    expect(application.offers.map(offer => offer.status)).toEqual(['countered', 'pending']);
+    expect(application.offers[0].respondedBy).toEqual(customer._id);
+  });
+
+  test('Should not let a party offer again while their offer is pending', async () => {
+    const task = openTask();
+    const application = buildApplication(task);
+    await makeOffer(task, application, tasker, { payment: 3500, time: daysFromNow(2) }, now);
+
+    await expect(makeOffer(task, application, tasker, { payment: 3400, time: daysFromNow(2) }, now))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('Should reject terms outside the task range and outsiders', async () => {
+    const task = openTask();
+    const application = buildApplication(task);
+
+    await expect(makeOffer(task, application, tasker, { payment: 6000, time: daysFromNow(2) }, now))
+      .rejects.toThrow('Offer payment must be between $1000 and $5000');
+    await expect(makeOffer(task, application, tasker, { payment: 3000, time: daysFromNow(12) }, now))
+      .rejects.toThrow(NegotiationError);
+    await expect(makeOffer(task, application, { _id: id() }, { payment: 3000, time: daysFromNow(2) }, now))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('Should confirm the tasker\'s availability when an offer is accepted', async () => {
+    const task = openTask();
+    const application = buildApplication(task);
+    const { offer } = await makeOffer(task, application, customer, { payment: 2800, time: daysFromNow(4) }, now);
+
+    await expect(respondToOffer(task, application, offer._id, customer, 'accept', now))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const accepted = await respondToOffer(task, application, offer._id, tasker, 'accept', now);
+
+    expect(accepted.status).toBe('accepted');
+    expect(application.confirmedByTasker).toBe(true);
+    expect(application.confirmedTime).toEqual(daysFromNow(4));
+    expect(application.confirmedPayment).toBe(2800);
+    await expect(respondToOffer(task, application, offer._id, tasker, 'reject', now))
+      .rejects.toThrow('Offer has already been accepted');
+  });
+
+  test('Should not accept an expired offer', async () => {
+    const task = openTask();
+    const application = buildApplication(task);
+    const { offer } = await makeOffer(task, application, tasker, { payment: 3500, time: daysFromNow(5) }, now);
+    const later = new Date(offer.expiresAt.getTime() + 1000);
+
+    await expect(respondToOffer(task, application, offer._id, customer, 'accept', later))
+      .rejects.toThrow('Offer has expired');
+    expect(offer.status).toBe('expired');
+    expect(application.confirmedByTasker).toBeFalsy();
+  });
+
+  test('Should report a concurrent change as a conflict', async () => {
+    const task = openTask();
+    const application = buildApplication(task);
+    Application.prototype.save.mockRejectedValueOnce(new mongoose.Error.VersionError(application, 0, []));
+
+    await expect(makeOffer(task, application, tasker, { payment: 3500, time: daysFromNow(2) }, now))
+      .rejects.toMatchObject({ name: 'NegotiationError', statusCode: 409 });
+  });
+
+  test('Should expire pending offers past their expiry', async () => {
+    jest.spyOn(Application, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await expirePendingOffers({ now })).toEqual({ expired: 2 });
+
+    const [filter, update, options] = Application.updateMany.mock.calls[0];
+    expect(filter).toEqual({ offers: { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } } });
+    expect(update.$set).toEqual({ 'offers.$[offer].status': 'expired' });
+    expect(options.arrayFilters).toEqual([{ 'offer.status': 'pending', 'offer.expiresAt': { $lte: now } }]);
+  });
+});
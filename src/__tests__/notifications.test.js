@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { notify, getChannel, registerChannel, resetChannels, selectChannels } from '../services/notifications/index.js';
+import { renderNotification } from '../services/notifications/templates.js';
+import { createSmsChannel, normalisePhoneNumber } from '../services/notifications/channels.js';
+import { markNotificationsRead } from '../controllers/notificationController.js';
+import { id, buildRes } from './helpers/factories.js';
+
+describe('Notification templates', () => {
+  test('Should render in-app, email and SMS text', () => {
+    const rendered = renderNotification('payment_success', {
+      taskTitle: 'Garden cleanup',
+      amount: 1500,
+      paymentType: 'advance'
+    }, { fullName: 'Nimal <b>Perera</b>' });
+
+    expect(rendered.title).toBe('Payment successful');
+    expect(rendered.message).toBe('Your advance payment of LKR 1,500.00 for Garden cleanup was received.');
+    expect(rendered.email.html).toContain('Nimal &lt;b&gt;Perera&lt;/b&gt;');
+    expect(rendered.sms).toMatch(/^TaskGo: Your advance payment/);
+  });
+
+  test('Should reject unknown types', () => {
+    expect(() => renderNotification('unknown_event')).toThrow('Unknown notification type');
+  });
+
+  test('Should respect channel preferences and muted types', () => {
+    const channels = ['socket', 'email', 'sms'];
+    expect(selectChannels(channels, { email: true, sms: false, socket: true }, 'tasker_selected')).toEqual(['socket', 'email']);
+    expect(selectChannels(channels, { mutedTypes: ['tasker_selected'] }, 'tasker_selected')).toEqual([]);
+  });
+});
+
+describe('notify', () => {
+  let user, emit, io;
+
+  beforeEach(() => {
+    resetChannels();
+    user = {
+      _id: id(),
+      fullName: 'Kamal Silva',
+      email: 'kamal@example.com',
+      phone: '0771234567',
+      notificationPreferences: { email: true, sms: true, socket: true, mutedTypes: [] }
+    };
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), createdAt: new Date(), ...data }));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetChannels();
+  });
+
+  test('Should store the notification and send it on every enabled channel', async () => {
+    const notification = await notify(user._id, 'tasker_approved', {}, { io });
+
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: user._id,
+      type: 'tasker_approved',
+      title: 'Tasker account approved'
+    }));
+    expect(getChannel('email').sent).toHaveLength(1);
+    expect(getChannel('sms').sent).toHaveLength(1);
+    expect(io.to).toHaveBeenCalledWith(`user-${user._id}`);
+    expect(emit).toHaveBeenCalledWith('notification', expect.objectContaining({ type: 'tasker_approved' }));
+    expect(notification.deliveries.map((d) => d.status)).toEqual(['sent', 'sent', 'sent']);
+  });
+
+  test('Should record a failing channel without throwing', async () => {
+    registerChannel('email', {
+      name: 'email',
+      isConfigured: () => true,
+      send: async () => { throw new Error('SMTP connection refused'); }
+    });
+    user.notificationPreferences.sms = false;
+
+    const notification = await notify(user, 'application_received', { taskTitle: 'Fix the tap' });
+
+    expect(notification.deliveries).toEqual([
+      expect.objectContaining({ channel: 'socket', status: 'skipped' }),
+      expect.objectContaining({ channel: 'email', status: 'failed', error: 'SMTP connection refused' })
+    ]);
+    expect(Notification.updateOne).toHaveBeenCalled();
+  });
+
+  test('Should return null when the recipient does not exist', async () => {
+    User.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+
+    expect(await notify(id(), 'task_completed', {})).toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('SMS channel', () => {
+  test('Should normalise Sri Lankan phone numbers', () => {
+    expect(normalisePhoneNumber('077 123 4567')).toBe('94771234567');
+    expect(normalisePhoneNumber('+94771234567')).toBe('94771234567');
+    expect(normalisePhoneNumber('123')).toBeNull();
+  });
+
+  test('Should send through the gateway and surface rejections', async () => {
+    const httpClient = { post: jest.fn().mockResolvedValue({ data: { status: 'success', data: { id: 'sms-1' } } }) };
+    const channel = createSmsChannel({ userId: 'u1', apiKey: 'k1', senderId: 'TaskGo', httpClient });
+    const rendered = { sms: 'TaskGo: hello' };
+
+    expect(await channel.send({ user: { phone: '0771234567' }, rendered })).toEqual({ providerId: 'sms-1' });
+    expect(httpClient.post.mock.calls[0][2].params).toMatchObject({ to: '94771234567', message: 'TaskGo: hello' });
+
+    httpClient.post.mockResolvedValue({ data: { status: 'error', message: 'Insufficient credit' } });
+    await expect(channel.send({ user: { phone: '0771234567' }, rendered })).rejects.toThrow('Insufficient credit');
+  });
+});
+
+describe('markNotificationsRead', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should require ids or all', async () => {
+    const res = buildRes();
+    await markNotificationsRead({ user: { _id: id() }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('Should only mark the requesting user\'s notifications', async () => {
+    const userId = id();
+    const notificationId = id().toString();
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(4);
+    const res = buildRes();
+
+    await markNotificationsRead({ user: { _id: userId }, body: { ids: [notificationId] } }, res);
+
+    expect(Notification.updateMany).toHaveBeenCalledWith(
+      { recipient: userId, read: false, _id: { $in: [notificationId] } },
+      { $set: { read: true, readAt: expect.any(Date) } }
+    );
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: { updated: 1, unreadCount: 4 }
+    }));
+  });
+});
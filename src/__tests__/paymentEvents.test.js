@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import Payment from '../models/Payment.js';
+import Task from '../models/Task.js';
+import PaymentEvent, { MAX_RECORDED_DELIVERIES } from '../models/PaymentEvent.js';
+import { createFakeGateway } from '../services/gateways/fake.js';
+import { registerGateway, resetGateways } from '../services/gateways/index.js';
+import { buildEventKey } from '../services/paymentEventService.js';
+import { handlePaymentNotification } from '../controllers/paymentController.js';
+import { redact, REDACTED } from '../utils/redact.js';
+import { id } from './helpers/factories.js';
+
+describe('Payment event keys', () => {
+  test('Should key notifications by gateway, order, payment and status code', () => {
+    expect(buildEventKey('payhere', { orderId: 'TASK_1', gatewayPaymentId: '3200', statusCode: '2' }))
+      .toBe('payhere:TASK_1:3200:2');
+    expect(buildEventKey('payhere', { orderId: 'TASK_1', statusCode: '-1' }))
+      .toBe('payhere:TASK_1:-:-1');
+  });
+});
+
+describe('Log redaction', () => {
+  test('Should redact secrets and card data at any depth', () => {
+    const result = redact({
+      order_id: 'TASK_1',
+      md5sig: 'ABC',
+      debug: { merchantSecretHash: 'XYZ', signatureString: 'a=b' },
+      card: [{ card_no: '************1292' }],
+      headers: { Authorization: 'Bearer token' }
+    });
+
+    expect(result.order_id).toBe('TASK_1');
+    expect(result.md5sig).toBe(REDACTED);
+    expect(result.debug).toEqual({ merchantSecretHash: REDACTED, signatureString: REDACTED });
+    expect(result.card[0].card_no).toBe(REDACTED);
+    expect(result.headers.Authorization).toBe(REDACTED);
+  });
+
+  test('Should leave primitives and errors readable', () => {
+    expect(redact('127.0.0.1')).toBe('127.0.0.1');
+    expect(redact(new Error('boom'))).toEqual({ name: 'Error', message: 'boom' });
+  });
+});
+
+describe('Replay-safe notification processing', () => {
+  let gateway, payment, res;
+
+  const notify = (body) => handlePaymentNotification({
+    params: { gateway: 'fake' },
+    body,
+    ip: '127.0.0.1',
+    app: { get: () => null }
+  }, res);
+
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  beforeEach(() => {
+    gateway = createFakeGateway({ secret: 'replay-secret' });
+    registerGateway('fake', gateway);
+
+    payment = new Payment({
+      task: id(),
+      customer: id(),
+      tasker: id(),
+      amount: 1000,
+      paymentType: 'advance',
+      gateway: 'fake',
+      payhereOrderId: 'TASK_REPLAY_1',
+      payhereAmount: 1000
+    });
+
+    res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Task, 'findById').mockResolvedValue(null);
+    jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetGateways();
+  });
+
+  test('Should answer a repeated notification without side effects', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await notify(gateway.buildNotification({ orderId: 'TASK_REPLAY_1', amount: 1000, paymentId: 'P1' }));
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ status: 'duplicate' });
+    expect(Payment.findOne).not.toHaveBeenCalled();
+    expect(PaymentEvent.updateOne).toHaveBeenCalledWith(
+      { eventKey: 'fake:TASK_REPLAY_1:P1:success' },
+      expect.objectContaining({ $inc: { deliveryCount: 1 } })
+    );
+  });
+
+  test('Should keep the redacted payload of every repeated delivery', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    const notification = gateway.buildNotification({ orderId: 'TASK_REPLAY_1', amount: 1000, paymentId: 'P1' });
+
+    await notify(notification);
+
+    const [, update] = PaymentEvent.updateOne.mock.calls[0];
+    const { $each: [delivery], $slice } = update.$push.deliveries;
+    expect($slice).toBe(-MAX_RECORDED_DELIVERIES);
+    expect(delivery.receivedAt).toEqual(update.$set.lastDeliveredAt);
+    expect(delivery.ipAddress).toBe('127.0.0.1');
+    expect(delivery.rawPayload).toMatchObject({ order_id: 'TASK_REPLAY_1', payment_id: 'P1' });
+    expect(delivery.rawPayload.signature).toBe(REDACTED);
+  });
+
+  test('Should reprocess a notification whose earlier attempt failed', async () => {
+    const failedEvent = { _id: id(), eventKey: 'fake:TASK_REPLAY_1:P1:failure', processingStatus: 'processing' };
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(failedEvent);
+
+    await notify(gateway.buildNotification({ orderId: 'TASK_REPLAY_1', amount: 1000, paymentId: 'P1', outcome: 'failure' }));
+
+    expect(payment.status).toBe('failed');
+    expect(PaymentEvent.updateOne).toHaveBeenCalledWith(
+      { _id: failedEvent._id },
+      { $set: expect.objectContaining({ processingStatus: 'processed' }) }
+    );
+  });
+
+  test('Should not reopen a completed payment on a late failure', async () => {
+    payment.status = 'completed';
+    jest.spyOn(PaymentEvent, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+
+    await notify(gateway.buildNotification({ orderId: 'TASK_REPLAY_1', amount: 1000, outcome: 'failure' }));
+
+    expect(payment.status).toBe('completed');
+    expect(payment.save).not.toHaveBeenCalled();
+    expect(PaymentEvent.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: expect.objectContaining({ processingStatus: 'skipped' }) }
+    );
+  });
+
+  test('Should keep rejected notifications for audit with secrets redacted', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const forged = { ...gateway.buildNotification({ orderId: 'TASK_REPLAY_1', amount: 1000 }), signature: 'bad' };
+    await notify(forged);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(PaymentEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      processingStatus: 'rejected',
+      rawPayload: expect.objectContaining({ order_id: 'TASK_REPLAY_1', signature: REDACTED })
+    }));
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import Payment from '../models/Payment.js';
+import Task from '../models/Task.js';
+import { expireStalePayments } from '../jobs/paymentExpiryJob.js';
+import { resetPendingTaskPayment } from '../services/paymentService.js';
+import { id, buildTask } from './helpers/factories.js';
+
+const buildPayment = (overrides = {}) => new Payment({
+  task: id(),
+  customer: id(),
+  tasker: id(),
+  amount: 1000,
+  paymentType: 'advance',
+  payhereOrderId: `TASK_${id()}`,
+  payhereAmount: 1000,
+  ...overrides
+});
+
+const taskAwaiting = (payment, overrides = {}) => buildTask({
+  _id: payment.task,
+  advancePaymentStatus: 'pending',
+  advancePayment: payment.amount,
+  paymentId: payment.payhereOrderId,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('resetPendingTaskPayment', () => {
+  test('Should reset the checkout the task is waiting on', async () => {
+    const payment = buildPayment();
+    const task = taskAwaiting(payment);
+
+    expect(await resetPendingTaskPayment(task, payment)).toBe(true);
+    expect(task.advancePaymentStatus).toBeNull();
+    expect(task.paymentId).toBeNull();
+  });
+
+  test('Should leave a newer checkout alone', async () => {
+    const payment = buildPayment();
+    const task = taskAwaiting(payment, { paymentId: 'TASK_NEWER_CHECKOUT' });
+
+    expect(await resetPendingTaskPayment(task, payment)).toBe(false);
+    expect(task.advancePaymentStatus).toBe('pending');
+    expect(task.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('Payment expiry job', () => {
+  const now = new Date('2025-01-10T12:00:00Z');
+  let emit, io;
+
+  beforeEach(() => {
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockCandidates = (payments) => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      limit: () => query,
+      lean: () => Promise.resolve(payments.map(p => ({ _id: p._id })))
+    };
+    return jest.spyOn(Payment, 'find').mockReturnValue(query);
+  };
+
+  test('Should expire stale payments, reset their tasks and notify customers', async () => {
+    const stale = buildPayment();
+    const task = taskAwaiting(stale);
+    mockCandidates([stale]);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      Object.assign(stale, update.$set);
+      return stale;
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+
+    const result = await expireStalePayments({ io, now, expiryMinutes: 30 });
+
+    expect(result).toEqual({ checked: 1, expired: 1, tasksReset: 1 });
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: stale._id, createdAt: { $lt: new Date('2025-01-10T11:30:00Z') }, status: 'pending' },
+      { $set: expect.objectContaining({ status: 'cancelled', failureReason: 'Payment window expired' }) },
+      { new: true }
+    );
+    expect(stale.expiredAt).toBeInstanceOf(Date);
+    expect(task.advancePaymentStatus).toBeNull();
+    expect(io.to).toHaveBeenCalledWith(`user-${stale.customer}`);
+    expect(emit).toHaveBeenCalledWith('payment-expired', expect.objectContaining({
+      orderId: stale.payhereOrderId,
+      taskReset: true
+    }));
+  });
+
+  test('Should skip payments claimed by another instance', async () => {
+    const claimedElsewhere = buildPayment();
+    mockCandidates([claimedElsewhere]);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Task, 'findById');
+
+    const result = await expireStalePayments({ io, now });
+
+    expect(result).toEqual({ checked: 1, expired: 0, tasksReset: 0 });
+    expect(Task.findById).not.toHaveBeenCalled();
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
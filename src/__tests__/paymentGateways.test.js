@@ -0,0 +1,273 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import Stripe from 'stripe';
+import Payment from '../models/Payment.js';
+import Task from '../models/Task.js';
+import Application from '../models/Application.js';
+import TaskTransition from '../models/TaskTransition.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { createPayHereGateway } from '../services/gateways/payhere.js';
+import { createStripeGateway } from '../services/gateways/stripe.js';
+import { createFakeGateway } from '../services/gateways/fake.js';
+import { resolveGateway, getGateway, registerGateway, resetGateways } from '../services/gateways/index.js';
+import { handlePaymentNotification } from '../controllers/paymentController.js';
+import { getChannel, resetChannels } from '../services/notifications/index.js';
+import { id, buildTask, buildRes } from './helpers/factories.js';
+
+const md5Upper = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+describe('PayHere gateway', () => {
+  const gateway = createPayHereGateway({ merchantId: '1211149', merchantSecret: 'merchant-secret' });
+
+  const signedNotification = (overrides = {}) => {
+    const body = {
+      merchant_id: '1211149',
+      order_id: 'TASK_1_1700000000000_abc',
+      payment_id: '320025071278',
+      payhere_amount: '1000.00',
+      payhere_currency: 'LKR',
+      status_code: '2',
+      status_message: 'Successfully completed',
+      ...overrides
+    };
+    body.md5sig = md5Upper(
+      `${body.merchant_id}${body.order_id}${body.payhere_amount}${body.payhere_currency}${body.status_code}${md5Upper('merchant-secret')}`
+    );
+    return body;
+  };
+
+  test('Should accept a correctly signed notification', async () => {
+    const result = await gateway.verifyNotification({ body: signedNotification() });
+
+    expect(result.valid).toBe(true);
+    expect(result.status).toBe('completed');
+    expect(result.gatewayPaymentId).toBe('320025071278');
+    expect(result.paymentFields.payhereStatusCode).toBe('2');
+  });
+
+  test('Should reject tampered notifications and foreign merchants', async () => {
+    const tampered = { ...signedNotification(), payhere_amount: '1.00' };
+    expect((await gateway.verifyNotification({ body: tampered })).valid).toBe(false);
+    expect((await gateway.verifyNotification({ body: signedNotification({ merchant_id: '999' }) })).error).toBe('Invalid merchant ID');
+  });
+
+  test('Should map PayHere status codes', async () => {
+    expect((await gateway.verifyNotification({ body: signedNotification({ status_code: '0' }) })).status).toBe('pending');
+    expect((await gateway.verifyNotification({ body: signedNotification({ status_code: '-1' }) })).status).toBe('cancelled');
+    expect((await gateway.verifyNotification({ body: signedNotification({ status_code: '-2' }) })).status).toBe('failed');
+  });
+
+  test('Should sign the checkout for the JavaScript SDK', async () => {
+    const checkout = await gateway.initiate({
+      orderId: 'TASK_1',
+      amount: 500,
+      items: 'Advance Payment',
+      user: { fullName: 'Nimal Perera', email: 'nimal@example.com' },
+      task: { _id: id(), area: 'Colombo' },
+      paymentType: 'advance'
+    });
+
+    expect(checkout.hash).toBe(md5Upper(`1211149TASK_1500.00LKR${md5Upper('merchant-secret')}`));
+    expect(checkout.paymentData.md5sig).toHaveLength(32);
+    expect(checkout.paymentData.first_name).toBe('Nimal');
+  });
+});
+
+describe('Stripe gateway', () => {
+  const webhookSecret = 'whsec_test_secret';
+  const client = new Stripe('sk_test_dummy');
+  const gateway = createStripeGateway({ secretKey: 'sk_test_dummy', webhookSecret, client });
+
+  const signedEvent = (type, session) => {
+    const payload = JSON.stringify({ id: 'evt_1', type, data: { object: session } });
+    const header = client.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+    return { rawBody: Buffer.from(payload), headers: { 'stripe-signature': header } };
+  };
+
+  test('Should verify webhook signatures and map completed sessions', async () => {
+    const result = await gateway.verifyNotification(signedEvent('checkout.session.completed', {
+      client_reference_id: 'TASK_2',
+      payment_intent: 'pi_123',
+      payment_status: 'paid',
+      amount_total: 150000,
+      currency: 'lkr'
+    }));
+
+    expect(result.valid).toBe(true);
+    expect(result.status).toBe('completed');
+    expect(result.orderId).toBe('TASK_2');
+    expect(result.gatewayPaymentId).toBe('pi_123');
+    expect(result.amount).toBe(1500);
+  });
+
+  test('Should reject bad signatures and ignore unrelated events', async () => {
+    const request = signedEvent('checkout.session.completed', { client_reference_id: 'TASK_2' });
+    request.headers['stripe-signature'] = 't=1,v1=bad';
+
+    expect((await gateway.verifyNotification(request)).valid).toBe(false);
+    expect((await gateway.verifyNotification(signedEvent('customer.created', {}))).ignored).toBe(true);
+  });
+});
+
+describe('Gateway registry', () => {
+  afterEach(() => {
+    delete process.env.PAYMENT_GATEWAY_BY_CURRENCY;
+    delete process.env.PAYMENT_GATEWAY;
+    delete process.env.ENABLE_FAKE_GATEWAY;
+    delete process.env.FAKE_GATEWAY_SECRET;
+    resetGateways();
+  });
+
+  test('Should choose the gateway per deployment or per currency', () => {
+    expect(resolveGateway({ currency: 'LKR' }).name).toBe('payhere');
+
+    process.env.PAYMENT_GATEWAY_BY_CURRENCY = '{"USD":"stripe"}';
+    expect(resolveGateway({ currency: 'usd' }).name).toBe('stripe');
+
+    process.env.ENABLE_FAKE_GATEWAY = 'true';
+    process.env.FAKE_GATEWAY_SECRET = 'registry-secret';
+    resetGateways();
+    process.env.PAYMENT_GATEWAY = 'fake';
+    expect(resolveGateway({ currency: 'LKR' }).name).toBe('fake');
+  });
+
+  test('Should only register the fake gateway when it is enabled', () => {
+    process.env.FAKE_GATEWAY_SECRET = 'registry-secret';
+    resetGateways();
+
+    expect(getGateway('fake')).toBeNull();
+  });
+
+  test('Should refuse to start the fake gateway without a secret', () => {
+    process.env.ENABLE_FAKE_GATEWAY = 'true';
+
+    expect(() => resetGateways()).toThrow('The fake gateway requires FAKE_GATEWAY_SECRET');
+    expect(() => createFakeGateway()).toThrow('The fake gateway requires FAKE_GATEWAY_SECRET');
+  });
+});
+
+describe('Fake gateway', () => {
+  test('Should sign notifications and detect tampering', async () => {
+    const gateway = createFakeGateway({ secret: 'test-secret' });
+    const body = gateway.buildNotification({ orderId: 'TASK_3', amount: 200, outcome: 'failure' });
+
+    const result = await gateway.verifyNotification({ body });
+    expect(result.valid).toBe(true);
+    expect(result.status).toBe('failed');
+
+    expect((await gateway.verifyNotification({ body: { ...body, outcome: 'success' } })).valid).toBe(false);
+  });
+
+  test('Should deliver delayed callbacks', async () => {
+    const deliver = jest.fn().mockResolvedValue(undefined);
+    const gateway = createFakeGateway({ secret: 'test-secret', deliver });
+
+    const body = await gateway.simulateCallback({ orderId: 'TASK_4', amount: 300, delayMs: 20 });
+
+    expect(deliver).toHaveBeenCalledWith(body);
+    expect(body.outcome).toBe('success');
+    expect(gateway.callbacks).toHaveLength(1);
+  });
+});
+
+describe('handlePaymentNotification with the fake gateway', () => {
+  let gateway, payment, task, emit, res;
+
+  const notify = (body) => handlePaymentNotification({
+    params: { gateway: 'fake' },
+    body,
+    app: { get: () => ({ to: () => ({ emit }) }) }
+  }, res);
+
+  beforeEach(() => {
+    gateway = createFakeGateway({ secret: 'e2e-secret', deliver: notify });
+    registerGateway('fake', gateway);
+
+    const customer = id();
+    const tasker = id();
+    task = buildTask({
+      title: 'Garden cleanup',
+      customer,
+      selectedTasker: tasker,
+      agreedPayment: 5000,
+      agreedTime: new Date('2025-02-01T09:00:00Z'),
+      advancePaymentStatus: 'pending',
+      save: jest.fn().mockResolvedValue(undefined)
+    });
+    payment = new Payment({
+      task: task._id,
+      customer,
+      tasker,
+      amount: 1000,
+      paymentType: 'advance',
+      gateway: 'fake',
+      payhereOrderId: 'TASK_E2E_1',
+      payhereAmount: 1000
+    });
+    payment.calculatePlatformCommission();
+
+    emit = jest.fn();
+    res = buildRes();
+
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    jest.spyOn(TaskTransition, 'create').mockResolvedValue([{}]);
+    jest.spyOn(Application, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Application, 'updateMany').mockResolvedValue({});
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerTransaction, 'create').mockResolvedValue([{}]);
+    jest.spyOn(PaymentEvent, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+    jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ _id: customer, fullName: 'Nimal Perera', email: 'nimal@example.com', notificationPreferences: {} })
+    });
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetGateways();
+    resetChannels();
+  });
+
+  test('Should schedule the task after a successful callback', async () => {
+    await gateway.simulateCallback({ orderId: 'TASK_E2E_1', amount: 1000, outcome: 'success' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(payment.status).toBe('completed');
+    expect(payment.gatewayPaymentId).toMatch(/^FAKE_/);
+    expect(task.status).toBe('scheduled');
+    expect(task.advancePaymentStatus).toBe('paid');
+    expect(emit).toHaveBeenCalledWith('payment-success', expect.objectContaining({ orderId: 'TASK_E2E_1' }));
+    expect(LedgerTransaction.create).toHaveBeenCalled();
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'payment_success' }));
+    expect(getChannel('email').sent).toHaveLength(1);
+  });
+
+  test('Should reset the task after a failed callback', async () => {
+    await gateway.simulateCallback({ orderId: 'TASK_E2E_1', amount: 1000, outcome: 'failure', delayMs: 10 });
+
+    expect(payment.status).toBe('failed');
+    expect(task.status).toBe('active');
+    expect(task.advancePaymentStatus).toBeNull();
+    expect(LedgerTransaction.create).not.toHaveBeenCalled();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  test('Should reject forged callbacks', async () => {
+    const forged = createFakeGateway({ secret: 'wrong-secret' })
+      .buildNotification({ orderId: 'TASK_E2E_1', amount: 1000 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await notify(forged);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(payment.status).toBe('pending');
+    expect(getGateway('fake')).toBe(gateway);
+  });
+});
@@ -0,0 +1,265 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import PayoutRequest from '../models/PayoutRequest.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import Session from '../models/Session.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import {
+  createPayoutRequest,
+  getReleasedEarnings,
+  summarizeTaskerBalance,
+  buildBatchCsv,
+  maskAccountNumber
+} from '../services/payoutService.js';
+import { escapeCsvValue } from '../utils/csv.js';
+import { completePayoutBatch } from '../controllers/payoutController.js';
+import paymentRoutes from '../routes/paymentRoutes.js';
+import { id } from './helpers/factories.js';
+
+describe('Tasker payout balance', () => {
+  const released = new Date('2025-01-10T08:00:00Z');
+
+  test('Should count only payments released from escrow', () => {
+    expect(getReleasedEarnings({ amount: 1000, platformCommissionAmount: 100, taskerEarnings: 900 })).toBe(0);
+    expect(getReleasedEarnings({
+      amount: 1000,
+      platformCommissionAmount: 100,
+      taskerEarnings: 900,
+      escrowReleasedAt: released
+    })).toBe(900);
+  });
+
+  test('Should exclude the refunded part of a partially refunded advance', () => {
+    expect(getReleasedEarnings({
+      amount: 1000,
+      platformCommissionAmount: 100,
+      escrowReleasedAt: released,
+      refundedAt: released,
+      refundAmount: 500
+    })).toBe(450);
+  });
+
+  test('Should pay final payments in full', () => {
+    expect(getReleasedEarnings({ amount: 4000, platformCommissionAmount: 0, escrowReleasedAt: released })).toBe(4000);
+  });
+
+  test('Should subtract open and paid payouts from the released earnings', () => {
+    const payments = [
+      { amount: 1000, platformCommissionAmount: 100, escrowReleasedAt: released },
+      { amount: 4000, platformCommissionAmount: 0, escrowReleasedAt: released },
+      { amount: 2000, platformCommissionAmount: 200 }
+    ];
+    const payouts = [
+      { amount: 1000, status: 'paid' },
+      { amount: 1500, status: 'approved' },
+      { amount: 500, status: 'rejected' },
+      { amount: 700, status: 'failed' }
+    ];
+
+    const balance = summarizeTaskerBalance(payments, payouts);
+
+    expect(balance.releasedEarnings).toBe(4900);
+    expect(balance.pendingPayouts).toBe(1500);
+    expect(balance.paidOut).toBe(1000);
+    expect(balance.availableBalance).toBe(2400);
+  });
+});
+
+describe('Requesting a payout', () => {
+  const taskerId = id();
+  const released = new Date('2025-01-10T08:00:00Z');
+  let session;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ taskerProfile: { bankAccount: { accountHolderName: 'Kamal Silva', accountNumber: '1234567890' } } })
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async () => {
+      calls.push('reserve');
+      return {};
+    });
+    jest.spyOn(Payment, 'getPaymentsByTasker').mockReturnValue({
+      session: (value) => {
+        calls.push(value === session ? 'balance' : 'balance without session');
+        return Promise.resolve([{ amount: 5000, platformCommissionAmount: 500, escrowReleasedAt: released }]);
+      }
+    });
+    jest.spyOn(PayoutRequest, 'find').mockReturnValue({
+      select: () => ({ session: () => ({ lean: () => Promise.resolve([{ amount: 1500, status: 'requested' }]) }) })
+    });
+    jest.spyOn(PayoutRequest, 'create').mockImplementation(async ([data]) => {
+      calls.push('create');
+      return [data];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should check the balance and create the request in one transaction', async () => {
+    const request = await createPayoutRequest(taskerId, { amount: 3000 });
+
+    expect(request).toMatchObject({ tasker: taskerId, amount: 3000 });
+    expect(calls).toEqual(['reserve', 'balance', 'create']);
+    expect(User.updateOne.mock.calls[0][2]).toEqual({ session });
+    expect(PayoutRequest.create.mock.calls[0][1]).toEqual({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('Should not create a request the balance does not cover', async () => {
+    await expect(createPayoutRequest(taskerId, { amount: 3500 })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(PayoutRequest.create).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  test('Should turn a concurrent request for the same tasker into a retryable conflict', async () => {
+    const writeConflict = Object.assign(new Error('WriteConflict'), {
+      hasErrorLabel: (label) => label === 'TransientTransactionError'
+    });
+    User.updateOne.mockRejectedValue(writeConflict);
+
+    await expect(createPayoutRequest(taskerId, { amount: 3000 })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Your available balance changed, please try again'
+    });
+    expect(PayoutRequest.create).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+  });
+});
+
+describe('Payout batch export', () => {
+  test('Should build a bank-upload CSV row per request', () => {
+    const batch = { reference: 'PB-20250110-ABC123' };
+    const requests = [{
+      _id: { toString: () => '64b000000000000000abcdef' },
+      amount: 2500,
+      currency: 'LKR',
+      tasker: { email: 'tasker@example.com' },
+      bankAccount: {
+        accountHolderName: 'Perera, A.',
+        bankName: 'Commercial Bank',
+        bankCode: '7056',
+        branchCode: '001',
+        accountNumber: '1234567890'
+      }
+    }];
+
+    const [header, row] = buildBatchCsv(batch, requests).trim().split('\r\n');
+
+    expect(header).toBe('Reference,Beneficiary Name,Bank Name,Bank Code,Branch Code,Account Number,Amount,Currency,Narration,Beneficiary Email');
+    expect(row).toBe('PB-20250110-ABC123-ABCDEF,"Perera, A.",Commercial Bank,7056,001,1234567890,2500.00,LKR,TaskGo payout PB-20250110-ABC123,tasker@example.com');
+  });
+
+  test('Should neutralise spreadsheet formulas', () => {
+    expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsvValue(null)).toBe('');
+  });
+
+  test('Should mask all but the last four account digits', () => {
+    expect(maskAccountNumber('1234567890')).toBe('******7890');
+  });
+});
+
+describe('Payout batch completion', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should log failed payouts separately from paid ones', async () => {
+    const batch = PayoutBatch.hydrate({ _id: id(), reference: 'PO-20250110-001', status: 'completed' });
+    const paid = PayoutRequest.hydrate({ _id: id(), tasker: id(), amount: 5000, status: 'batched' });
+    const bounced = PayoutRequest.hydrate({ _id: id(), tasker: id(), amount: 3000, status: 'batched' });
+    jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockResolvedValue(batch);
+    jest.spyOn(PayoutBatch.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(PayoutRequest, 'find').mockResolvedValue([paid, bounced]);
+    jest.spyOn(PayoutRequest.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerTransaction, 'create').mockImplementation(async ([data]) => [data]);
+    const log = jest.spyOn(AdminActionLog, 'create').mockResolvedValue({});
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await completePayoutBatch({
+      params: { batchId: String(batch._id) },
+      body: { bankReference: 'BANK-1', failed: [{ requestId: String(bounced._id), reason: 'Account closed' }] },
+      user: { _id: id(), role: 'admin' },
+      app: { get: () => null },
+      get: () => 'jest'
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(log.mock.calls.map(([data]) => [data.targetId, data.actionType])).toEqual([
+      [paid.tasker, 'PAYMENT_APPROVED'],
+      [bounced.tasker, 'PAYOUT_FAILED']
+    ]);
+    expect(new AdminActionLog(log.mock.calls[1][0]).validateSync()).toBeUndefined();
+  });
+});
+
+describe('Releasing an advance', () => {
+  const { route } = paymentRoutes.stack.find((layer) => layer.route?.path === '/release-advance');
+
+  // Run the route's handlers the way Express would, after `protect` has set the user
+  const post = async (user) => {
+    const req = { user, sessionId: id(), body: { taskId: id() }, originalUrl: '/api/payments/release-advance' };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const handlers = route.stack.map((layer) => layer.handle);
+    const next = async () => {
+      const handler = handlers.shift();
+      if (handler) await handler(req, res, next);
+    };
+    await next();
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Task, 'findById').mockResolvedValue(null);
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: id() });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should not let customers or taskers move escrow into payable funds', async () => {
+    for (const role of ['customer', 'tasker']) {
+      const res = await post({ _id: id(), role });
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+    expect(Task.findById).not.toHaveBeenCalled();
+  });
+
+  test('Should require the payments.refund permission', async () => {
+    const admin = { _id: id(), role: 'admin', twoFactor: { enabled: true }, permissions: ['payments.read'] };
+
+    const denied = await post(admin);
+    expect(denied.json).toHaveBeenCalledWith(expect.objectContaining({ missingPermissions: ['payments.refund'] }));
+    expect(Task.findById).not.toHaveBeenCalled();
+
+    admin.permissions.push('payments.refund');
+    const allowed = await post(admin);
+    expect(allowed.status).toHaveBeenCalledWith(404);
+    expect(Task.findById).toHaveBeenCalledTimes(1);
+  });
+});
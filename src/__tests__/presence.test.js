@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import ChatMessage from '../models/ChatMessage.js';
+import Presence from '../models/Presence.js';
+import {
+  toPresenceStatus,
+  heartbeat,
+  pruneStaleConnections,
+  getPresenceForUsers
+} from '../services/presenceService.js';
+import {
+  recordTaskerResponse,
+  recordChatReply,
+  recordTargetedTaskResponse,
+  getAverageResponseTime
+} from '../services/responseTimeService.js';
+import { id } from './helpers/factories.js';
+
+const now = new Date('2025-04-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+describe('Presence', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should be online only while a connection is fresh', () => {
+    const lastSeenAt = minutesAgo(10);
+
+    expect(toPresenceStatus(null, now)).toEqual({ isOnline: false, lastSeenAt: null });
+    expect(toPresenceStatus({ connections: [{ seenAt: minutesAgo(0.5) }], lastSeenAt }, now))
+      .toEqual({ isOnline: true, lastSeenAt: now });
+    // Connection left behind by an instance that stopped heartbeating
+    expect(toPresenceStatus({ connections: [{ seenAt: lastSeenAt }], lastSeenAt }, now))
+      .toEqual({ isOnline: false, lastSeenAt });
+  });
+
+  test('Should refresh only this instance\'s connections', async () => {
+    jest.spyOn(Presence, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await heartbeat('api-1', now)).toBe(2);
+    expect(Presence.updateMany).toHaveBeenCalledWith(
+      { 'connections.instanceId': 'api-1' },
+      { $set: { 'connections.$[connection].seenAt': now, lastSeenAt: now } },
+      { arrayFilters: [{ 'connection.instanceId': 'api-1' }] }
+    );
+  });
+
+  test('Should prune stale connections', async () => {
+    jest.spyOn(Presence, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await pruneStaleConnections({ now })).toEqual({ pruned: 1 });
+    expect(Presence.updateMany.mock.calls[0][1]).toEqual({
+      $pull: { connections: { seenAt: { $lt: minutesAgo(1.5) } } }
+    });
+  });
+
+  test('Should look up several users at once', async () => {
+    const online = id();
+    const neverSeen = id();
+    jest.spyOn(Presence, 'find').mockReturnValue({
+      lean: () => Promise.resolve([{ user: online, connections: [{ seenAt: now }], lastSeenAt: now }])
+    });
+
+    const presence = await getPresenceForUsers([online, neverSeen], now);
+
+    expect(presence.get(online.toString()).isOnline).toBe(true);
+    expect(presence.get(neverSeen.toString())).toEqual({ isOnline: false, lastSeenAt: null });
+  });
+});
+
+describe('Response time', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockFindOne = (results) => {
+    const queue = [...results];
+    return jest.spyOn(ChatMessage, 'findOne').mockImplementation(() => {
+      const result = queue.shift() || null;
+      const query = {
+        sort: () => query,
+        select: () => Promise.resolve(result)
+      };
+      return query;
+    });
+  };
+
+  test('Should add a response to the running average atomically', async () => {
+    const taskerId = id();
+
+    expect(await recordTaskerResponse(taskerId, minutesAgo(90), now)).toBe(1.5);
+
+    const [filter, pipeline] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: taskerId });
+    expect(Array.isArray(pipeline)).toBe(true);
+    expect(pipeline[0].$set['statistics.responseTimeSamples']).toEqual({
+      $add: [{ $ifNull: ['$statistics.responseTimeSamples', 0] }, 1]
+    });
+  });
+
+  test('Should ignore responses that precede the request', async () => {
+    expect(await recordTaskerResponse(id(), now, minutesAgo(5))).toBeNull();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('Should time a tasker reply from the oldest unanswered customer message', async () => {
+    const task = { _id: id(), customer: id() };
+    const taskerId = id();
+    const reply = { _id: id(), senderId: taskerId, receiverId: task.customer, createdAt: now };
+    mockFindOne([{ createdAt: minutesAgo(120) }, { createdAt: minutesAgo(30) }]);
+
+    expect(await recordChatReply(reply, task)).toBe(0.5);
+
+    const unansweredFilter = ChatMessage.findOne.mock.calls[1][0];
+    expect(unansweredFilter).toMatchObject({ senderId: task.customer, receiverId: taskerId });
+    expect(unansweredFilter.createdAt).toEqual({ $lt: now, $gt: minutesAgo(120) });
+  });
+
+  test('Should not count customer messages or replies with nothing to answer', async () => {
+    const task = { _id: id(), customer: id() };
+    const taskerId = id();
+    mockFindOne([null, null]);
+
+    expect(await recordChatReply({ _id: id(), senderId: task.customer, receiverId: taskerId, createdAt: now }, task)).toBeNull();
+    expect(await recordChatReply({ _id: id(), senderId: taskerId, receiverId: task.customer, createdAt: now }, task)).toBeNull();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('Should time an application to a targeted task from its creation', async () => {
+    const taskerId = id();
+    const task = { isTargeted: true, targetedTasker: taskerId, createdAt: minutesAgo(240) };
+
+    expect(await recordTargetedTaskResponse(task, { tasker: taskerId, createdAt: now })).toBe(4);
+    expect(await recordTargetedTaskResponse({ ...task, isTargeted: false }, { tasker: taskerId, createdAt: now })).toBeNull();
+  });
+
+  test('Should only report an average once there are samples', () => {
+    expect(getAverageResponseTime({ statistics: { responseTime: 0, responseTimeSamples: 0 } })).toBeNull();
+    expect(getAverageResponseTime({ statistics: { responseTime: 2.345, responseTimeSamples: 3 } })).toBe(2.3);
+  });
+});
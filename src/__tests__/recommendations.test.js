@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import Application from '../models/Application.js';
+import {
+  resolveWeights,
+  scoreSkills,
+  scoreLocation,
+  scorePayment,
+  scoreHistory,
+  scoreFreshness,
+  scoreTask,
+  getRecommendedTasks,
+  DEFAULT_RECOMMENDATION_WEIGHTS
+} from '../services/recommendationService.js';
+import { id, buildTask } from './helpers/factories.js';
+
+const now = new Date('2025-06-01T08:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+const tasker = {
+  _id: id(),
+  role: 'tasker',
+  taskerProfile: {
+    skills: ['Plumbing', 'tiling'],
+    province: 'Western',
+    district: 'Colombo',
+    hourlyRate: 1500
+  }
+};
+
+const plumbingTask = (overrides = {}) => buildTask({
+  title: 'Fix the kitchen sink',
+  category: 'Plumbing',
+  tags: [],
+  area: 'Colombo',
+  minPayment: 2000,
+  maxPayment: 4000,
+  createdAt: hoursAgo(2),
+  ...overrides
+});
+
+describe('Task recommendations', () => {
+  const originalWeights = process.env.RECOMMENDATION_WEIGHTS;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalWeights === undefined) delete process.env.RECOMMENDATION_WEIGHTS;
+    else process.env.RECOMMENDATION_WEIGHTS = originalWeights;
+  });
+
+  test('Should normalise weights and apply configured overrides', () => {
+    const defaults = resolveWeights();
+    expect(Object.values(defaults).reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(1);
+    expect(defaults).toEqual(DEFAULT_RECOMMENDATION_WEIGHTS);
+
+    process.env.RECOMMENDATION_WEIGHTS = JSON.stringify({ skills: 1, location: 0, payment: 0, history: 0, freshness: 0, bogus: 5 });
+    expect(resolveWeights()).toEqual({ skills: 1, location: 0, payment: 0, history: 0, freshness: 0 });
+    expect(resolveWeights({ freshness: 1 })).toMatchObject({ skills: 0.5, freshness: 0.5 });
+
+    process.env.RECOMMENDATION_WEIGHTS = 'not json';
+    expect(resolveWeights()).toEqual(DEFAULT_RECOMMENDATION_WEIGHTS);
+  });
+
+  test('Should score skills on category and tags', () => {
+    expect(scoreSkills(plumbingTask(), tasker.taskerProfile.skills)).toEqual({ score: 1, reason: 'Matches your Plumbing skill' });
+    expect(scoreSkills(plumbingTask({ category: 'Home Maintenance', tags: ['tiling', 'grout'] }), tasker.taskerProfile.skills))
+      .toEqual({ score: 0.2, reason: 'Tagged with your skills: tiling' });
+    expect(scoreSkills(plumbingTask({ category: 'Pet Care' }), tasker.taskerProfile.skills).score).toBe(0);
+  });
+
+  test('Should score location by distance, then district and province', () => {
+    expect(scoreLocation(plumbingTask(), tasker.taskerProfile).score).toBe(1);
+    expect(scoreLocation(plumbingTask({ area: 'Gampaha' }), tasker.taskerProfile))
+      .toEqual({ score: 0.5, reason: 'In your province (Western)' });
+    expect(scoreLocation(plumbingTask({ area: 'Jaffna' }), tasker.taskerProfile).score).toBe(0);
+
+    const profile = { ...tasker.taskerProfile, serviceRadiusKm: 5, location: { type: 'Point', coordinates: [79.8653, 6.8511] } };
+    const near = plumbingTask({ location: { type: 'Point', coordinates: [79.8636, 6.8302] } });
+    const far = plumbingTask({ location: { type: 'Point', coordinates: [79.9585, 7.0840] } });
+    expect(scoreLocation(near, profile)).toEqual({ score: 1, reason: 'About 2 km from you' });
+    expect(scoreLocation(far, profile).score).toBe(0);
+  });
+
+  test('Should compare the budget with the hourly rate', () => {
+    expect(scorePayment(plumbingTask(), 1500).score).toBe(1);
+    expect(scorePayment(plumbingTask({ maxPayment: 1500 }), 1500)).toEqual({ score: 0.5, reason: null });
+    expect(scorePayment(plumbingTask(), undefined).score).toBe(0.5);
+  });
+
+  test('Should favour categories completed before and well rated', () => {
+    const history = new Map([
+      ['Plumbing', { count: 4, averageRating: 5 }],
+      ['Cleaning', { count: 2, averageRating: null }]
+    ]);
+    expect(scoreHistory(plumbingTask(), history)).toEqual({ score: 1, reason: 'You have completed 4 Plumbing tasks (rated 5.0)' });
+    expect(scoreHistory(plumbingTask({ category: 'Cleaning' }), history).score).toBeCloseTo(0.3);
+    expect(scoreHistory(plumbingTask({ category: 'Moving' }), history).score).toBe(0);
+  });
+
+  test('Should halve freshness every half-life', () => {
+    expect(scoreFreshness(plumbingTask({ createdAt: now }), now).score).toBe(1);
+    expect(scoreFreshness(plumbingTask({ createdAt: hoursAgo(72) }), now)).toEqual({ score: 0.5, reason: null });
+  });
+
+  test('Should explain a recommendation with its strongest signals', () => {
+    const result = scoreTask(plumbingTask(), { tasker, now });
+
+    expect(result.signals).toMatchObject({ skills: 1, location: 1, payment: 1, history: 0 });
+    expect(result.reasons).toEqual([
+      'Matches your Plumbing skill',
+      'In your district (Colombo)',
+      'Pays up to LKR 4,000, in line with your rate',
+      'Posted in the last day'
+    ]);
+    expect(result.score).toBeGreaterThan(0.8);
+  });
+
+  test('Should rank open tasks the tasker has not applied to', async () => {
+    const applied = id();
+    jest.spyOn(Application, 'find').mockReturnValue({ distinct: () => Promise.resolve([applied]) });
+    jest.spyOn(Task, 'aggregate').mockResolvedValue([{ _id: 'Cleaning', count: 3, averageRating: 4.5 }]);
+    const find = jest.spyOn(Task, 'find').mockReturnValue({
+      populate() { return this; },
+      sort() { return this; },
+      limit: () => Promise.resolve([
+        Task.hydrate(plumbingTask({ title: 'Walk the dog', category: 'Pet Care', area: 'Jaffna' })),
+        Task.hydrate(plumbingTask({ title: 'Unblock drain' })),
+        Task.hydrate(plumbingTask({ title: 'Deep clean', category: 'Cleaning' }))
+      ])
+    });
+
+    const { recommendations, weights } = await getRecommendedTasks(tasker, { limit: 2, now });
+
+    expect(find.mock.calls[0][0]).toMatchObject({ status: 'active', _id: { $nin: [applied] } });
+    expect(recommendations.map(({ task }) => task.title)).toEqual(['Unblock drain', 'Deep clean']);
+    expect(weights).toEqual(DEFAULT_RECOMMENDATION_WEIGHTS);
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import Notification from '../models/Notification.js';
+import TaskTransition from '../models/TaskTransition.js';
+import RecurringTask from '../models/RecurringTask.js';
+import {
+  RecurringTaskError,
+  listOccurrences,
+  generateOccurrences,
+  skipOccurrence
+} from '../services/recurringTaskService.js';
+import { id, hydrateTask } from './helpers/factories.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mondays at 09:00 in Sri Lanka
+const buildSeries = (overrides = {}) => RecurringTask.hydrate({
+  _id: id(),
+  customer: id(),
+  template: {
+    title: 'Weekly house cleaning',
+    description: 'Clean the living room and kitchen',
+    category: 'Cleaning',
+    tags: [],
+    area: 'Colombo',
+    minPayment: 3000,
+    maxPayment: 4000
+  },
+  recurrence: { frequency: 'weekly', weekdays: [] },
+  startsOn: new Date('2025-07-07T03:30:00Z'),
+  windowDays: 1,
+  status: 'active',
+  skippedOccurrences: [],
+  ...overrides
+});
+
+const isoList = (dates) => dates.map((date) => date.toISOString());
+
+describe('Recurring tasks', () => {
+  describe('listOccurrences', () => {
+    test('Should repeat weekly on the chosen weekdays at the time of the first occurrence', () => {
+      const series = buildSeries({ recurrence: { frequency: 'weekly', weekdays: [1, 4] } });
+
+      expect(isoList(listOccurrences(series, { from: '2025-07-01T00:00:00Z', to: '2025-07-18T00:00:00Z' }))).toEqual([
+        '2025-07-07T03:30:00.000Z',
+        '2025-07-10T03:30:00.000Z',
+        '2025-07-14T03:30:00.000Z',
+        '2025-07-17T03:30:00.000Z'
+      ]);
+    });
+
+    test('Should repeat every other week from the first occurrence', () => {
+      const series = buildSeries({ recurrence: { frequency: 'biweekly', weekdays: [] } });
+
+      expect(isoList(listOccurrences(series, { from: '2025-07-07T03:30:00Z', to: '2025-08-05T00:00:00Z' }))).toEqual([
+        '2025-07-21T03:30:00.000Z',
+        '2025-08-04T03:30:00.000Z'
+      ]);
+    });
+
+    test('Should use the last day of shorter months and leave out skipped occurrences', () => {
+      const series = buildSeries({
+        recurrence: { frequency: 'monthly', dayOfMonth: 31 },
+        startsOn: new Date('2025-01-31T03:30:00Z'),
+        endsOn: new Date('2025-05-01T00:00:00Z'),
+        skippedOccurrences: [new Date('2025-03-31T03:30:00Z')]
+      });
+
+      expect(isoList(listOccurrences(series, { from: '2025-01-01T00:00:00Z', to: '2025-12-31T00:00:00Z' }))).toEqual([
+        '2025-01-31T03:30:00.000Z',
+        '2025-02-28T03:30:00.000Z',
+        '2025-04-30T03:30:00.000Z'
+      ]);
+    });
+
+    test('Should take the weekday in Sri Lanka time', () => {
+      // Monday 01:30 in Colombo is still Sunday in UTC
+      const series = buildSeries({ startsOn: new Date('2025-07-06T20:00:00Z') });
+
+      expect(isoList(listOccurrences(series, { from: '2025-07-07T00:00:00Z', to: '2025-07-15T00:00:00Z' }))).toEqual([
+        '2025-07-13T20:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('occurrences', () => {
+    const now = new Date('2025-07-05T00:00:00Z');
+    let tasker;
+    let io;
+
+    beforeEach(() => {
+      tasker = id();
+      io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+      jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+        select: () => Promise.resolve({ _id: userId, role: 'tasker', fullName: 'Nimal Perera', notificationPreferences: {} })
+      }));
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      jest.spyOn(RecurringTask, 'updateOne').mockResolvedValue({});
+      jest.spyOn(TaskTransition, 'create').mockResolvedValue([{}]);
+      jest.spyOn(Application, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+      jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should create occurrences within the lead time for the preferred tasker once', async () => {
+      const series = buildSeries({ preferredTasker: tasker, recurrence: { frequency: 'weekly', weekdays: [1, 4] } });
+      const create = jest.spyOn(Task, 'create')
+        .mockImplementationOnce(async (data) => ({ _id: id(), status: 'active', ...data }))
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const result = await generateOccurrences(series, { now, io });
+
+      expect(result.created).toBe(1);
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create.mock.calls[0][0]).toMatchObject({
+        title: 'Weekly house cleaning',
+        startDate: new Date('2025-07-07T03:30:00Z'),
+        endDate: new Date('2025-07-08T03:30:00Z'),
+        isTargeted: true,
+        targetedTasker: tasker,
+        recurringTask: series._id,
+        occurrenceDate: new Date('2025-07-07T03:30:00Z')
+      });
+      expect(create.mock.calls[1][0].occurrenceDate).toEqual(new Date('2025-07-10T03:30:00Z'));
+      expect(RecurringTask.updateOne).toHaveBeenCalledWith(
+        { _id: series._id },
+        { $set: { generatedUntil: new Date(now.getTime() + 7 * DAY_MS), lastGeneratedAt: now } }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: series.customer }, { $inc: { 'statistics.tasksPosted': 1 } });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: tasker,
+        type: 'recurring_task_occurrence'
+      }));
+    });
+
+    test('Should not create occurrences for paused series', async () => {
+      const create = jest.spyOn(Task, 'create');
+
+      expect(await generateOccurrences(buildSeries({ status: 'paused' }), { now, io })).toEqual({ created: 0, tasks: [] });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('Should remember skipped occurrences that were not created yet', async () => {
+      const series = buildSeries();
+      jest.spyOn(Task, 'findOne').mockResolvedValue(null);
+
+      const result = await skipOccurrence(series, '2025-07-14T03:30:00Z', { now });
+
+      expect(result).toEqual({ occurrenceDate: new Date('2025-07-14T03:30:00Z'), task: null });
+      expect(RecurringTask.updateOne).toHaveBeenCalledWith(
+        { _id: series._id },
+        { $addToSet: { skippedOccurrences: new Date('2025-07-14T03:30:00Z') } }
+      );
+      await expect(skipOccurrence(series, '2025-07-15T03:30:00Z', { now })).rejects.toThrow('The series has no occurrence at this date and time');
+    });
+
+    test('Should cancel a created occurrence but not one scheduled with a tasker', async () => {
+      const series = buildSeries();
+      const customer = { _id: series.customer, role: 'customer' };
+      const task = hydrateTask({
+        customer: series.customer,
+        recurringTask: series._id,
+        occurrenceDate: new Date('2025-07-07T03:30:00Z')
+      });
+      jest.spyOn(task, 'save').mockResolvedValue(task);
+      jest.spyOn(Task, 'findOne').mockResolvedValueOnce(task);
+
+      const result = await skipOccurrence(series, '2025-07-07T03:30:00Z', { actor: customer, now });
+
+      expect(result.task.status).toBe('cancelled');
+      expect(task.cancellationReason).toBe('Occurrence skipped');
+      expect(Application.updateMany).toHaveBeenCalledWith(
+        { task: task._id, status: 'pending' },
+        { $set: { status: 'rejected' } }
+      );
+
+      jest.spyOn(Task, 'findOne').mockResolvedValueOnce({ status: 'scheduled' });
+      await expect(skipOccurrence(series, '2025-07-14T03:30:00Z', { actor: customer, now }))
+        .rejects.toBeInstanceOf(RecurringTaskError);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Refund from '../models/Refund.js';
+import Task from '../models/Task.js';
+import TaskTransition from '../models/TaskTransition.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import Dispute from '../models/Dispute.js';
+import { evaluateCancellationPolicy, executeRefund, findRefundablePayments } from '../services/refundService.js';
+import { createStubRefundAdapter, setRefundAdapter } from '../services/refundAdapter.js';
+import { cancelScheduledTask } from '../controllers/taskController.js';
+import { approveRefund } from '../controllers/refundController.js';
+import { DEFAULT_CANCELLATION_POLICY } from '../config/cancellationPolicy.js';
+import { id, hydrateTask } from './helpers/factories.js';
+
+const HOUR = 60 * 60 * 1000;
+describe('Cancellation refund policy', () => {
+  const cancelledAt = new Date('2025-01-10T08:00:00Z');
+  const hoursAhead = (hours) => new Date(cancelledAt.getTime() + hours * HOUR);
+
+  const evaluate = (cancelledByRole, hoursBefore, amount = 1000) => evaluateCancellationPolicy({
+    cancelledByRole,
+    agreedTime: hoursAhead(hoursBefore),
+    cancelledAt,
+    amount,
+    policy: DEFAULT_CANCELLATION_POLICY
+  });
+
+  test('Should refund customers in full when cancelling well ahead', () => {
+    const result = evaluate('customer', 72);
+
+    expect(result.outcome).toBe('full');
+    expect(result.refundAmount).toBe(1000);
+    expect(result.retainedAmount).toBe(0);
+    expect(result.hoursBeforeAgreedTime).toBe(72);
+  });
+
+  test('Should refund customers partially inside the 48 hour window', () => {
+    const result = evaluate('customer', 30);
+
+    expect(result.outcome).toBe('partial');
+    expect(result.refundAmount).toBe(500);
+    expect(result.retainedAmount).toBe(500);
+  });
+
+  test('Should not refund customers cancelling at the last minute or afterwards', () => {
+    expect(evaluate('customer', 2).outcome).toBe('none');
+    expect(evaluate('customer', -5).refundAmount).toBe(0);
+  });
+
+  test('Should always refund in full when the tasker cancels', () => {
+    expect(evaluate('tasker', 1).refundAmount).toBe(1000);
+  });
+
+  test('Should apply a custom policy', () => {
+    const result = evaluateCancellationPolicy({
+      cancelledByRole: 'customer',
+      agreedTime: hoursAhead(10),
+      cancelledAt,
+      amount: 999,
+      policy: { customer: [{ minHoursBefore: 6, refundPercent: 25 }, { refundPercent: 0 }] }
+    });
+
+    expect(result.refundPercent).toBe(25);
+    expect(result.refundAmount).toBe(249.75);
+    expect(result.retainedAmount).toBe(749.25);
+  });
+
+  test('Should refund in full for roles without rules', () => {
+    expect(evaluate('system', 1).outcome).toBe('full');
+  });
+});
+
+describe('Stub refund adapter', () => {
+  test('Should record calls and succeed', async () => {
+    const adapter = createStubRefundAdapter();
+    const result = await adapter.refund({ payment: { _id: 'p1' }, amount: 200, reason: 'test' });
+
+    expect(result.success).toBe(true);
+    expect(result.refundId).toBe('STUB_REFUND_1');
+    expect(adapter.calls).toEqual([{ paymentId: 'p1', amount: 200, reason: 'test' }]);
+  });
+
+  test('Should simulate failures', async () => {
+    const adapter = createStubRefundAdapter({ fail: true });
+    const result = await adapter.refund({ payment: { _id: 'p1' }, amount: 200 });
+
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('Cancellation refunds', () => {
+  const customer = { _id: id(), role: 'customer' };
+  let task;
+  let payment;
+
+  beforeEach(() => {
+    task = hydrateTask({
+      title: 'Fix roof',
+      status: 'scheduled',
+      customer: customer._id,
+      selectedTasker: id(),
+      agreedPayment: 10000,
+      agreedTime: new Date(Date.now() + 72 * HOUR),
+      advancePayment: 2000,
+      advancePaymentStatus: 'paid',
+      paymentId: 'TASK_ROOF_1'
+    });
+    payment = Payment.hydrate({
+      _id: id(),
+      task: task._id,
+      customer: customer._id,
+      tasker: task.selectedTasker,
+      amount: 2000,
+      payhereOrderId: 'TASK_ROOF_1',
+      paymentType: 'advance',
+      status: 'completed'
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setRefundAdapter(null);
+  });
+
+  test('Should only offer advances that can still be refunded', async () => {
+    const refunded = Payment.hydrate({ ...payment.toObject(), _id: id(), refundedAt: new Date() });
+    jest.spyOn(Payment, 'find').mockReturnValue({ sort: () => Promise.resolve([payment, refunded]) });
+
+    expect(await findRefundablePayments(task._id)).toEqual([payment]);
+  });
+
+  test('Should mark the advance refunded on the task when the refund executes', async () => {
+    setRefundAdapter(createStubRefundAdapter());
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerTransaction, 'create').mockImplementation(async ([data]) => [data]);
+    jest.spyOn(Task, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const refund = Refund.hydrate({ _id: id(), payment: payment._id, task: task._id, amount: 2000, retainedAmount: 0, status: 'processing' });
+
+    await executeRefund(refund);
+
+    expect(refund.status).toBe('completed');
+    expect(payment.status).toBe('refunded');
+    expect(Task.updateOne).toHaveBeenCalledTimes(1);
+    expect(Task.updateOne).toHaveBeenCalledWith(
+      { _id: task._id, paymentId: 'TASK_ROOF_1', advancePaymentStatus: { $in: ['paid', null] } },
+      { $set: { advancePaymentStatus: 'refunded' } }
+    );
+  });
+
+  test('Should keep a refund the gateway accepted retryable when settling it fails', async () => {
+    const adapter = createStubRefundAdapter();
+    setRefundAdapter(adapter);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerTransaction, 'create')
+      .mockRejectedValueOnce(new Error('ledger unavailable'))
+      .mockImplementation(async ([data]) => [data]);
+    jest.spyOn(Task, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const refund = Refund.hydrate({ _id: id(), payment: payment._id, task: task._id, amount: 2000, retainedAmount: 0, status: 'processing' });
+    const saved = [];
+    Refund.prototype.save.mockImplementation(function save() {
+      saved.push({ status: this.status, gatewayRefundId: this.gatewayRefundId });
+      return Promise.resolve(this);
+    });
+
+    await executeRefund(refund);
+
+    expect(refund).toMatchObject({
+      status: 'settlement_failed',
+      gatewayRefundId: 'STUB_REFUND_1',
+      failureReason: 'Settlement failed: ledger unavailable'
+    });
+    // The gateway refund id is stored before the settlement is attempted
+    expect(saved[0]).toEqual({ status: 'processing', gatewayRefundId: 'STUB_REFUND_1' });
+    expect(Task.updateOne).not.toHaveBeenCalled();
+
+    await executeRefund(refund);
+
+    expect(adapter.calls).toHaveLength(1);
+    expect(refund.status).toBe('completed');
+    expect(refund.failureReason).toBeUndefined();
+    expect(LedgerTransaction.create.mock.calls[1][0][0]).toMatchObject({ reference: `refund:${refund._id}` });
+    expect(Task.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('Should log a failed gateway refund apart from completed refunds', async () => {
+    setRefundAdapter(createStubRefundAdapter({ fail: true }));
+    const refund = Refund.hydrate({ _id: id(), payment: payment._id, task: task._id, amount: 2000, retainedAmount: 0, status: 'pending_approval' });
+    jest.spyOn(Refund, 'findById').mockResolvedValue(refund);
+    jest.spyOn(Refund, 'findOneAndUpdate').mockImplementation(async (filter, update) => Object.assign(refund, update.$set));
+    jest.spyOn(Dispute, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    const log = jest.spyOn(AdminActionLog, 'create').mockResolvedValue({});
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await approveRefund({
+      params: { refundId: String(refund._id) },
+      body: {},
+      user: { _id: id(), role: 'admin' },
+      get: () => 'jest'
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(refund.status).toBe('failed');
+    expect(log).toHaveBeenCalledWith(expect.objectContaining({ actionType: 'REFUND_FAILED', targetId: payment._id }));
+    expect(new AdminActionLog(log.mock.calls[0][0]).actionCategory).toBe('payment_management');
+  });
+
+  test('Should keep the schedule when the refund cannot be created', async () => {
+    const session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    jest.spyOn(Task.prototype, 'save');
+    jest.spyOn(TaskTransition, 'create');
+    jest.spyOn(Payment, 'find').mockReturnValue({ sort: () => Promise.resolve([payment]) });
+    jest.spyOn(Refund, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(Refund, 'create').mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await cancelScheduledTask({ params: { id: String(task._id) }, body: {}, user: customer }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(Task.prototype.save).not.toHaveBeenCalled();
+    expect(TaskTransition.create).not.toHaveBeenCalled();
+  });
+
+  test('Should create the refund in the same transaction as the cancellation', async () => {
+    const session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Task.prototype, 'populate').mockImplementation(function populate() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(TaskTransition, 'create').mockResolvedValue([{}]);
+    jest.spyOn(Payment, 'find').mockReturnValue({ sort: () => Promise.resolve([payment]) });
+    jest.spyOn(Refund, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(Refund, 'create').mockImplementation(async ([data]) => [Refund.hydrate({ _id: id(), status: 'pending_approval', ...data })]);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await cancelScheduledTask({ params: { id: String(task._id) }, body: {}, user: customer }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Refund.create).toHaveBeenCalledWith([expect.objectContaining({ payment: payment._id, amount: 2000 })], { session });
+    expect(Task.prototype.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(task).toMatchObject({ status: 'active', advancePaymentStatus: null, paymentId: 'TASK_ROOF_1' });
+    expect(res.json.mock.calls[0][0].refund).toMatchObject({ status: 'pending_approval', amount: 2000 });
+  });
+});
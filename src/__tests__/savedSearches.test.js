@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import SavedSearch from '../models/SavedSearch.js';
+import {
+  SavedSearchError,
+  normaliseFilters,
+  matchesFilters,
+  publishTaskToSavedSearches,
+  sendSavedSearchDigests
+} from '../services/savedSearchService.js';
+import { id, buildTask } from './helpers/factories.js';
+
+const now = new Date('2025-07-01T10:00:00Z');
+
+const plumbingTask = (overrides = {}) => buildTask({
+  title: 'Fix leaking bathroom tap',
+  description: 'Tap drips all night',
+  tags: ['bathroom'],
+  category: 'Plumbing',
+  area: 'Colombo',
+  maxPayment: 4000,
+  isTargeted: false,
+  ...overrides
+});
+
+const buildSearch = (overrides = {}) => SavedSearch.hydrate({
+  _id: id(),
+  tasker: id(),
+  name: 'Plumbing in Colombo',
+  filters: { category: 'Plumbing', area: 'Colombo' },
+  frequency: 'instant',
+  isPaused: false,
+  pendingMatches: [],
+  ...overrides
+});
+
+describe('Saved searches', () => {
+  let io;
+
+  beforeEach(() => {
+    io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: () => Promise.resolve({ _id: userId, role: 'tasker', notificationPreferences: {} })
+    }));
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(SavedSearch, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should clean and validate filters', () => {
+    expect(normaliseFilters({ category: 'Plumbing', minPayment: '1000', keywords: 'Tap, leak ,tap' }))
+      .toEqual({ category: 'Plumbing', minPayment: 1000, keywords: ['tap', 'leak'] });
+
+    expect(() => normaliseFilters({})).toThrow('A saved search needs at least one filter');
+    expect(() => normaliseFilters({ category: 'Juggling' })).toThrow(SavedSearchError);
+    expect(() => normaliseFilters({ minPayment: 5000, maxPayment: 1000 })).toThrow(SavedSearchError);
+  });
+
+  test('Should match tasks on category, area, payment and keywords', () => {
+    const task = plumbingTask();
+
+    expect(matchesFilters({ category: 'Plumbing', area: 'Colombo' }, task)).toBe(true);
+    expect(matchesFilters({ area: 'Kandy' }, task)).toBe(false);
+    expect(matchesFilters({ minPayment: 5000 }, task)).toBe(false);
+    expect(matchesFilters({ minPayment: 1000, maxPayment: 4000 }, task)).toBe(true);
+    expect(matchesFilters({ keywords: ['bathroom'] }, task)).toBe(true);
+    expect(matchesFilters({ keywords: ['garden', 'fence'] }, task)).toBe(false);
+  });
+
+  test('Should alert instant searches once per tasker and queue daily ones', async () => {
+    const task = plumbingTask();
+    const tasker = id();
+    const instant = buildSearch({ tasker });
+    const alsoInstant = buildSearch({ tasker, name: 'Taps', filters: { keywords: ['tap'] } });
+    const daily = buildSearch({ frequency: 'daily' });
+    const noMatch = buildSearch({ filters: { minPayment: 10000 } });
+    const find = jest.spyOn(SavedSearch, 'find').mockResolvedValue([instant, alsoInstant, daily, noMatch]);
+
+    const result = await publishTaskToSavedSearches(task, { io, now });
+
+    expect(result).toEqual({ alerted: 1, queued: 1 });
+    expect(find.mock.calls[0][0]).toMatchObject({
+      isPaused: false,
+      'filters.category': { $in: [null, 'Plumbing'] },
+      'filters.area': { $in: [null, 'Colombo'] }
+    });
+    expect(Notification.create).toHaveBeenCalledTimes(1);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: tasker,
+      type: 'saved_search_match',
+      title: 'New task for "Plumbing in Colombo, Taps"'
+    }));
+    expect(io.to).toHaveBeenCalledWith(`user-${tasker}`);
+    expect(SavedSearch.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [daily._id] } },
+      { $push: { pendingMatches: { $each: [{ task: task._id, matchedAt: now }], $slice: -50 } } }
+    );
+  });
+
+  test('Should skip targeted tasks', async () => {
+    const find = jest.spyOn(SavedSearch, 'find');
+
+    expect(await publishTaskToSavedSearches(plumbingTask({ isTargeted: true }), { io, now })).toEqual({ alerted: 0, queued: 0 });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('Should send a digest of the queued tasks that are still open', async () => {
+    const openTask = plumbingTask({ title: 'Replace shower head' });
+    const search = buildSearch({
+      frequency: 'daily',
+      pendingMatches: [{ task: openTask._id, matchedAt: now }, { task: id(), matchedAt: now }]
+    });
+    jest.spyOn(SavedSearch, 'find').mockReturnValue({
+      select: () => ({ limit: () => Promise.resolve([{ _id: search._id }]) })
+    });
+    const claim = jest.spyOn(SavedSearch, 'findOneAndUpdate').mockResolvedValue(search);
+    jest.spyOn(Task, 'find').mockReturnValue({
+      select: () => ({ sort: () => Promise.resolve([openTask]) })
+    });
+
+    expect(await sendSavedSearchDigests({ io, now })).toEqual({ sent: 1 });
+    expect(claim.mock.calls[0][1]).toEqual({ $set: { pendingMatches: [], lastDigestAt: now } });
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'saved_search_digest',
+      title: '1 new task for "Plumbing in Colombo"',
+      message: 'New tasks matching your saved search: Replace shower head.'
+    }));
+  });
+});
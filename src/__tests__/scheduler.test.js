@@ -0,0 +1,237 @@
+import { jest } from '@jest/globals';
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import TaskTransition from '../models/TaskTransition.js';
+import Notification from '../models/Notification.js';
+import Dispute from '../models/Dispute.js';
+import { createScheduler, computeBackoffMs, planNextRun } from '../services/scheduler.js';
+import { expireOverdueTasks } from '../jobs/taskExpiryJob.js';
+import { autoCompleteTasks } from '../jobs/taskAutoCompleteJob.js';
+import { id, hydrateTask } from './helpers/factories.js';
+
+const now = new Date('2025-03-01T10:00:00Z');
+
+describe('Scheduler retry planning', () => {
+  test('Should back off exponentially and cap the delay', () => {
+    expect(computeBackoffMs(1000, 1)).toBe(1000);
+    expect(computeBackoffMs(1000, 3)).toBe(4000);
+    expect(computeBackoffMs(30 * 60 * 1000, 5)).toBe(60 * 60 * 1000);
+  });
+
+  test('Should retry a failed attempt, then give up until the next interval', () => {
+    const job = { intervalMs: 60000, attempts: 0, maxAttempts: 2, backoffMs: 5000 };
+
+    const retry = planNextRun(job, { succeeded: false, now, error: 'boom' });
+    expect(retry).toMatchObject({ status: 'scheduled', attempts: 1, lastStatus: 'failed', lastError: 'boom' });
+    expect(retry.nextRunAt).toEqual(new Date(now.getTime() + 5000));
+
+    const givenUp = planNextRun({ ...job, attempts: 1 }, { succeeded: false, now, error: 'boom' });
+    expect(givenUp).toMatchObject({ status: 'scheduled', attempts: 0 });
+    expect(givenUp.nextRunAt).toEqual(new Date(now.getTime() + 60000));
+  });
+
+  test('Should complete or fail one-off jobs', () => {
+    const job = { intervalMs: null, attempts: 2, maxAttempts: 3, backoffMs: 5000 };
+
+    expect(planNextRun(job, { succeeded: true, now })).toMatchObject({ status: 'completed', lockedBy: null });
+    expect(planNextRun(job, { succeeded: false, now, error: 'boom' })).toMatchObject({ status: 'failed', attempts: 3 });
+  });
+});
+
+describe('Scheduler runs', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = createScheduler({ instanceId: 'test-instance', context: { io: null } });
+    jest.spyOn(JobRun, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+    jest.spyOn(JobRun, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should claim only due jobs it can run, with a lease', async () => {
+    scheduler.define('tasks.expire', async () => ({}), { intervalMs: 60000 });
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await scheduler.claimNextJob(now);
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter.name).toEqual({ $in: ['tasks.expire'] });
+    expect(filter.nextRunAt).toEqual({ $lte: now });
+    expect(filter.$or).toContainEqual({ status: 'running', lockedUntil: { $lt: now } });
+    expect(update.$set).toMatchObject({ status: 'running', lockedBy: 'test-instance' });
+    expect(options.sort).toEqual({ nextRunAt: 1 });
+  });
+
+  test('Should record the run and reschedule only while holding the lock', async () => {
+    const handler = jest.fn().mockResolvedValue({ expired: 2 });
+    scheduler.define('tasks.expire', handler, { intervalMs: 60000 });
+    const job = { _id: id(), name: 'tasks.expire', data: {}, intervalMs: 60000, attempts: 0, maxAttempts: 3, backoffMs: 1000 };
+
+    const outcome = await scheduler.runJob(job, now);
+
+    expect(outcome.succeeded).toBe(true);
+    expect(handler).toHaveBeenCalledWith({}, expect.objectContaining({ io: null, job, now }));
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: 'test-instance' },
+      { $set: expect.objectContaining({ status: 'scheduled', lastStatus: 'succeeded', lockedBy: null }) }
+    );
+    expect(JobRun.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: expect.objectContaining({ status: 'succeeded', result: { expired: 2 } }) }
+    );
+  });
+
+  test('Should keep a failing handler from crashing the scheduler', async () => {
+    scheduler.define('tasks.remind', async () => { throw new Error('mail server down'); }, { intervalMs: 60000 });
+    const job = { _id: id(), name: 'tasks.remind', data: {}, intervalMs: 60000, attempts: 0, maxAttempts: 3, backoffMs: 1000 };
+
+    const outcome = await scheduler.runJob(job, now);
+
+    expect(outcome.succeeded).toBe(false);
+    expect(outcome.next).toMatchObject({ status: 'scheduled', attempts: 1, lastError: 'mail server down' });
+    expect(JobRun.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: expect.objectContaining({ status: 'failed', error: 'mail server down' }) }
+    );
+  });
+});
+
+describe('Task jobs', () => {
+  let emit, io;
+
+  const loadedTask = (overrides = {}) => {
+    // Loaded from the database, as the jobs see it
+    const task = hydrateTask({
+      category: 'Painting',
+      description: 'Two coats',
+      area: 'Colombo',
+      minPayment: 1000,
+      maxPayment: 5000,
+      startDate: new Date('2025-02-01T00:00:00Z'),
+      endDate: new Date('2025-02-10T00:00:00Z'),
+      ...overrides
+    });
+    jest.spyOn(task, 'save').mockResolvedValue(task);
+    return task;
+  };
+
+  beforeEach(() => {
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    jest.spyOn(TaskTransition, 'create').mockResolvedValue([{}]);
+    jest.spyOn(Dispute, 'findOne').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockTaskQuery = (tasks) => {
+    const query = {
+      sort: () => query,
+      limit: () => Promise.resolve(tasks)
+    };
+    return jest.spyOn(Task, 'find').mockReturnValue(query);
+  };
+
+  test('Should expire active tasks past their end date', async () => {
+    const task = loadedTask({ advancePaymentStatus: null });
+    mockTaskQuery([task]);
+    jest.spyOn(Application, 'updateMany').mockResolvedValue({});
+
+    const result = await expireOverdueTasks({ io, now });
+
+    expect(result).toEqual({ checked: 1, expired: 1 });
+    expect(task.status).toBe('cancelled');
+    expect(task.cancelledAt).toEqual(now);
+    expect(Application.updateMany).toHaveBeenCalledWith(
+      { task: task._id, status: 'pending' },
+      { $set: { status: 'rejected' } }
+    );
+    expect(TaskTransition.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ from: 'active', to: 'cancelled', actorRole: 'system' })],
+      undefined
+    );
+    expect(emit).toHaveBeenCalledWith('task-update', expect.objectContaining({ type: 'task-expired' }));
+  });
+
+  test('Should allow saving a task whose start date has passed', async () => {
+    const task = loadedTask();
+    task.status = 'cancelled';
+
+    await expect(task.validate()).resolves.toBeUndefined();
+  });
+
+  test('Should auto-complete a task only the tasker marked complete', async () => {
+    const tasker = { incrementTaskStat: jest.fn(), updateRating: jest.fn() };
+    const customer = { incrementTaskStat: jest.fn(), updateRating: jest.fn() };
+    const task = loadedTask({
+      status: 'in_progress',
+      selectedTasker: id(),
+      agreedPayment: 3000,
+      agreedTime: new Date('2025-02-05T09:00:00Z'),
+      taskerCompletedAt: new Date('2025-02-20T09:00:00Z')
+    });
+    jest.spyOn(Task, 'find').mockReturnValue({ limit: () => Promise.resolve([task]) });
+    // Awaited directly for statistics, with select() by the notification service
+    jest.spyOn(User, 'findById').mockImplementation((userId) => {
+      const user = userId.equals(task.selectedTasker) ? tasker : customer;
+      const found = Promise.resolve(user);
+      found.select = () => Promise.resolve({ _id: userId, notificationPreferences: {} });
+      return found;
+    });
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+
+    const result = await autoCompleteTasks({ io, now, afterDays: 3 });
+
+    expect(result).toEqual({ checked: 1, completed: 1 });
+    expect(task.status).toBe('completed');
+    expect(task.customerCompletedAt).toEqual(now);
+    expect(task.taskerCompletedAt).toEqual(new Date('2025-02-20T09:00:00Z'));
+    expect(task.autoCompleted).toBe(true);
+    expect(tasker.incrementTaskStat).toHaveBeenCalledWith('tasksCompleted');
+    expect(customer.incrementTaskStat).toHaveBeenCalledWith('tasksCompleted');
+    expect(TaskTransition.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ to: 'completed', metadata: expect.objectContaining({ completedBy: 'tasker' }) })],
+      undefined
+    );
+    expect(io.to).toHaveBeenCalledWith(`user-${task.customer}`);
+    expect(Notification.create).toHaveBeenCalledTimes(2);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'task_completed',
+      message: 'Paint the fence was completed automatically.'
+    }));
+  });
+
+  test('Should leave a disputed task for the dispute to settle', async () => {
+    const task = loadedTask({
+      status: 'in_progress',
+      selectedTasker: id(),
+      agreedPayment: 3000,
+      agreedTime: new Date('2025-02-05T09:00:00Z'),
+      customerCompletedAt: new Date('2025-02-20T09:00:00Z')
+    });
+    jest.spyOn(Task, 'find').mockReturnValue({ limit: () => Promise.resolve([task]) });
+    Dispute.findOne.mockResolvedValue({ _id: id(), task: task._id, status: 'open' });
+
+    const result = await autoCompleteTasks({ io, now, afterDays: 3 });
+
+    expect(result).toEqual({ checked: 1, completed: 0 });
+    expect(Dispute.findOne).toHaveBeenCalledWith(expect.objectContaining({ task: task._id }));
+    expect(task.status).toBe('in_progress');
+    expect(task.taskerCompletedAt).toBeUndefined();
+    expect(task.save).not.toHaveBeenCalled();
+    expect(TaskTransition.create).not.toHaveBeenCalled();
+  });
+});
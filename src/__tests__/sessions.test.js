@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AccountToken from '../models/AccountToken.js';
+import {
+  SessionError,
+  createSession,
+  rotateSession,
+  endSessionForToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} from '../services/sessionService.js';
+import { protect } from '../middleware/auth.js';
+import authRoutes from '../routes/auth.js';
+import { registerChannel, resetChannels } from '../services/notifications/index.js';
+import { createMemoryChannel } from '../services/notifications/channels.js';
+import { id } from './helpers/factories.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Just enough of the query operators the session service uses
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc[key];
+  if (condition && typeof condition === 'object' && '$ne' in condition) return String(value) !== String(condition.$ne);
+  if (condition && typeof condition === 'object' && '$gt' in condition) return value > condition.$gt;
+  if (condition === null) return value === null;
+  return String(value) === String(condition);
+});
+
+describe('Refresh token sessions', () => {
+  const now = new Date('2025-09-01T08:00:00Z');
+  const user = { _id: id(), role: 'customer' };
+  let sessions;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  });
+
+  beforeEach(() => {
+    sessions = [];
+    jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+      const session = { _id: id(), revokedAt: null, rotationCount: 0, createdAt: now, ...data };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const session = sessions.find((s) => matches(s, filter));
+      if (!session) return null;
+      Object.assign(session, update.$set);
+      if (update.$inc) session.rotationCount += update.$inc.rotationCount;
+      return session;
+    });
+    jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+      const found = sessions.filter((s) => matches(s, filter));
+      found.forEach((s) => Object.assign(s, update.$set));
+      return { modifiedCount: found.length };
+    });
+    jest.spyOn(Session, 'exists').mockImplementation(async (filter) => (
+      sessions.some((s) => matches(s, filter)) ? { _id: filter._id } : null
+    ));
+    jest.spyOn(Session, 'find').mockImplementation((filter) => ({
+      sort: () => Promise.resolve(sessions.filter((s) => matches(s, filter)))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetChannels();
+  });
+
+  test('Should rotate the refresh token and extend the session', async () => {
+    const { session, refreshToken } = await createSession(user, { deviceName: 'Pixel 8', ipAddress: '10.0.0.1' }, { now });
+    expect(session).toMatchObject({ deviceName: 'Pixel 8', expiresAt: new Date(now.getTime() + 7 * DAY_MS) });
+
+    const later = new Date(now.getTime() + DAY_MS);
+    const rotated = await rotateSession(refreshToken, { ipAddress: '10.0.0.2' }, { now: later });
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(session).toMatchObject({
+      rotationCount: 1,
+      lastUsedAt: later,
+      ipAddress: '10.0.0.2',
+      expiresAt: new Date(later.getTime() + 7 * DAY_MS)
+    });
+
+    await expect(rotateSession(rotated.refreshToken, {}, { now: later })).resolves.toMatchObject({ session });
+  });
+
+  test('Should revoke the whole session when a rotated token is replayed', async () => {
+    const { refreshToken: stolen } = await createSession(user, {}, { now });
+    const { refreshToken: current } = await rotateSession(stolen, {}, { now });
+
+    await expect(rotateSession(stolen, {}, { now })).rejects.toThrow('This refresh token was already used');
+    expect(sessions[0]).toMatchObject({ revokedAt: now, revokedReason: 'token_reuse' });
+
+    // The legitimate holder is signed out too and has to log in again
+    await expect(rotateSession(current, {}, { now })).rejects.toThrow('Your session has ended');
+  });
+
+  test('Should refuse expired, foreign and pre-session refresh tokens', async () => {
+    const { refreshToken } = await createSession(user, {}, { now });
+
+    await expect(rotateSession(refreshToken, {}, { now: new Date(now.getTime() + 8 * DAY_MS) }))
+      .rejects.toBeInstanceOf(SessionError);
+    await expect(rotateSession(`${refreshToken.slice(0, -2)}xx`, {}, { now })).rejects.toThrow('Invalid refresh token');
+
+    const legacy = jwt.sign({ userId: user._id, tokenType: 'refresh' }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    await expect(rotateSession(legacy)).rejects.toThrow('Invalid refresh token');
+    expect(sessions[0].revokedAt).toBeNull();
+  });
+
+  test('Should end the session on logout and when revoked from another device', async () => {
+    const phone = await createSession(user, {}, { now });
+    const laptop = await createSession(user, {}, { now });
+    const tablet = await createSession(user, {}, { now });
+
+    await endSessionForToken(phone.refreshToken, { now });
+    expect(phone.session.revokedReason).toBe('logout');
+
+    expect(await revokeSession(id(), laptop.session._id)).toBeNull();
+    expect(await revokeAllSessions(user._id, 'user_revoked', { exceptSessionId: laptop.session._id, now })).toBe(1);
+    expect(tablet.session.revokedReason).toBe('user_revoked');
+
+    expect(await listActiveSessions(user._id, { now })).toEqual([laptop.session]);
+  });
+
+  test('Should reject access tokens once their session is revoked', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    const { session } = await createSession(user, {}, { now: new Date() });
+    const token = jwt.sign({ userId: user._id, role: user.role, sid: session._id }, process.env.JWT_SECRET);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    await protect(req, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.sessionId).toBe(String(session._id));
+
+    await revokeAllSessions(user._id, 'suspended');
+    await protect({ headers: { authorization: `Bearer ${token}` } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('Should tie the token of a newly registered tasker to a revocable session', async () => {
+    const tasker = id();
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+      this._id = tasker;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ _id: tasker, role: 'tasker' }) });
+    jest.spyOn(AccountToken, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+    jest.spyOn(AccountToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(AccountToken, 'create').mockResolvedValue({});
+    registerChannel('email', createMemoryChannel('email'));
+
+    const registerTasker = authRoutes.stack
+      .find((layer) => layer.route?.path === '/register-tasker' && layer.route.methods.post)
+      .route.stack[0].handle;
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn(), cookie: jest.fn() };
+    await registerTasker({
+      body: {
+        email: 'kamal@example.com',
+        password: 'Secret123!',
+        fullName: 'Kamal Silva',
+        phone: '0771234567',
+        skills: 'Plumbing',
+        province: 'Western',
+        district: 'Colombo'
+      },
+      files: { idDocument: { name: 'id.pdf', mv: jest.fn().mockResolvedValue() } },
+      get: () => 'jest',
+      ip: '10.0.0.1'
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.cookie).toHaveBeenCalledWith('refreshToken', expect.any(String), expect.objectContaining({ httpOnly: true }));
+    const { token } = res.json.mock.calls[0][0];
+    expect(jwt.decode(token).sid).toBe(String(sessions[0]._id));
+
+    const next = jest.fn();
+    await revokeAllSessions(tasker, 'suspended');
+    await protect({ headers: { authorization: `Bearer ${token}` } }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenLastCalledWith(401);
+  });
+});
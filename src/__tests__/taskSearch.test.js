@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import {
+  tokenize,
+  stem,
+  editDistance,
+  correctTerms,
+  buildHighlights,
+  formatFacets,
+  searchTasks,
+  resetSearchVocabulary
+} from '../services/taskSearchService.js';
+
+const vocabulary = ['plumber', 'plumbing', 'cleaning', 'electrician', 'garden', 'tap', 'leak'];
+
+describe('Task search', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetSearchVocabulary();
+  });
+
+  test('Should tokenize without stop words', () => {
+    expect(tokenize('Need a PLUMBER for the leaking tap!')).toEqual(['plumber', 'leaking', 'tap']);
+    expect(stem('leaking')).toBe('leak');
+    expect(stem('taps')).toBe('tap');
+    expect(stem('gas')).toBe('gas');
+  });
+
+  test('Should count edits including transpositions', () => {
+    expect(editDistance('plumbr', 'plumber')).toBe(1);
+    expect(editDistance('gardne', 'garden')).toBe(1);
+    expect(editDistance('clean', 'clean')).toBe(0);
+  });
+
+  test('Should correct common misspellings only', () => {
+    expect(correctTerms(['plumbr', 'cleening', 'electrican', 'leaking', 'tap', 'zzzzzz'], vocabulary)).toEqual({
+      terms: ['plumber', 'cleaning', 'electrician', 'leaking', 'tap', 'zzzzzz'],
+      corrections: { plumbr: 'plumber', cleening: 'cleaning', electrican: 'electrician' }
+    });
+  });
+
+  test('Should highlight matches and cut a snippet around the first one', () => {
+    const description = `${'Intro words here. '.repeat(10)}The kitchen tap is leaking badly <b>now</b> and needs a washer.`;
+    const highlights = buildHighlights({ title: 'Leaking tap', description }, ['leak', 'tap']);
+
+    expect(highlights.title).toBe('<mark>Leaking</mark> <mark>tap</mark>');
+    expect(highlights.description.startsWith('…')).toBe(true);
+    expect(highlights.description).toContain('kitchen <mark>tap</mark> is <mark>leaking</mark> badly &lt;b&gt;now&lt;/b&gt;');
+  });
+
+  test('Should label payment buckets', () => {
+    expect(formatFacets({
+      categories: [{ _id: 'Plumbing', count: 3 }],
+      payment: [{ _id: 2500, count: 2 }, { _id: 'other', count: 1 }]
+    })).toEqual({
+      categories: [{ value: 'Plumbing', count: 3 }],
+      areas: [],
+      paymentRanges: [{ min: 2500, max: 5000, count: 2 }, { min: 50000, max: null, count: 1 }]
+    });
+  });
+
+  test('Should search with corrected terms and return results, facets and total together', async () => {
+    const now = new Date('2025-08-01T00:00:00Z');
+    jest.spyOn(Task, 'distinct').mockResolvedValue(['bathroom']);
+    jest.spyOn(Task, 'populate').mockResolvedValue([]);
+    const aggregate = jest.spyOn(Task, 'aggregate').mockResolvedValue([{
+      results: [{ _id: new mongoose.Types.ObjectId(), title: 'Plumber for bathroom', description: 'Pipes', score: 7.456 }],
+      total: [{ count: 1 }],
+      categories: [{ _id: 'Plumbing', count: 1 }],
+      areas: [{ _id: 'Colombo', count: 1 }],
+      payment: [{ _id: 0, count: 1 }]
+    }]);
+
+    const result = await searchTasks({ q: 'plumbr bathrom', category: 'Plumbing', now });
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toMatchObject({
+      $text: { $search: 'plumbr bathrom plumber bathroom' },
+      status: 'active',
+      isTargeted: false,
+      category: 'Plumbing'
+    });
+    expect(Object.keys(pipeline[2].$facet)).toEqual(['results', 'total', 'categories', 'areas', 'payment']);
+    expect(result.didYouMean).toBe('plumber bathroom');
+    expect(result.total).toBe(1);
+    expect(result.results[0]).toMatchObject({
+      score: 7.46,
+      highlights: { title: '<mark>Plumber</mark> for <mark>bathroom</mark>' }
+    });
+    expect(result.facets.paymentRanges).toEqual([{ min: 0, max: 2500, count: 1 }]);
+  });
+});
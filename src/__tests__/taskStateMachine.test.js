@@ -0,0 +1,212 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskTransition from '../models/TaskTransition.js';
+import {
+  checkTransition,
+  getAvailableTransitions,
+  resolveActorRole,
+  transitionTask,
+  TaskTransitionError
+} from '../services/taskStateMachine.js';
+import { id, buildTask, hydrateTask } from './helpers/factories.js';
+
+const savableTask = (overrides = {}) => buildTask({
+  selectedTasker: null,
+  targetedTasker: null,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('Task state machine', () => {
+  let customer, tasker, admin, stranger;
+
+  beforeEach(() => {
+    customer = { _id: id(), role: 'customer' };
+    tasker = { _id: id(), role: 'tasker' };
+    admin = { _id: id(), role: 'admin' };
+    stranger = { _id: id(), role: 'tasker' };
+    jest.spyOn(TaskTransition, 'create').mockResolvedValue([{}]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveActorRole', () => {
+    test('Should resolve participants, admins and the system', () => {
+      const task = savableTask({ customer: customer._id, selectedTasker: tasker._id });
+
+      expect(resolveActorRole(task, customer)).toBe('customer');
+      expect(resolveActorRole(task, tasker)).toBe('tasker');
+      expect(resolveActorRole(task, admin)).toBe('admin');
+      expect(resolveActorRole(task, null)).toBe('system');
+      expect(resolveActorRole(task, stranger)).toBeNull();
+    });
+  });
+
+  describe('checkTransition', () => {
+    test('Should only let the system or an admin schedule a task', () => {
+      const task = savableTask({
+        customer: customer._id,
+        selectedTasker: tasker._id,
+        agreedPayment: 5000,
+        agreedTime: new Date()
+      });
+
+      expect(checkTransition(task, 'scheduled', null)).toBeNull();
+      expect(checkTransition(task, 'scheduled', admin)).toBeNull();
+      expect(checkTransition(task, 'scheduled', customer)).toMatch(/not allowed/);
+    });
+
+    test('Should require scheduling details before scheduling', () => {
+      const task = savableTask({ customer: customer._id });
+
+      expect(checkTransition(task, 'scheduled', null)).toMatch(/tasker must be selected/);
+    });
+
+    test('Should reject transitions that are not defined', () => {
+      const task = savableTask({ status: 'completed', customer: customer._id });
+
+      expect(checkTransition(task, 'active', admin)).toMatch(/Cannot move task from completed to active/);
+      expect(checkTransition(task, 'archived', admin)).toMatch(/Invalid status/);
+    });
+
+    test('Should require both completion timestamps unless an admin overrides', () => {
+      const task = savableTask({
+        status: 'in_progress',
+        customer: customer._id,
+        selectedTasker: tasker._id,
+        taskerCompletedAt: new Date()
+      });
+
+      expect(checkTransition(task, 'completed', customer)).toMatch(/Both the customer and the tasker/);
+      expect(checkTransition(task, 'completed', admin)).toBeNull();
+
+      task.customerCompletedAt = new Date();
+      expect(checkTransition(task, 'completed', customer)).toBeNull();
+    });
+
+    test('Should reject non-participants', () => {
+      const task = savableTask({ status: 'scheduled', customer: customer._id, selectedTasker: tasker._id });
+
+      expect(checkTransition(task, 'in_progress', stranger)).toMatch(/not allowed/);
+      expect(checkTransition(task, 'in_progress', tasker)).toBeNull();
+    });
+  });
+
+  describe('getAvailableTransitions', () => {
+    test('Should list what the actor can do next', () => {
+      const task = savableTask({ status: 'scheduled', customer: customer._id, selectedTasker: tasker._id });
+
+      expect(getAvailableTransitions(task, tasker)).toEqual(['in_progress', 'active']);
+      expect(getAvailableTransitions(task, customer)).toEqual(['active']);
+    });
+  });
+
+  describe('transitionTask', () => {
+    test('Should save the task and record the transition', async () => {
+      const task = savableTask({ status: 'scheduled', customer: customer._id, selectedTasker: tasker._id });
+
+      await transitionTask(task, 'in_progress', { actor: tasker, reason: 'Started' });
+
+      expect(task.status).toBe('in_progress');
+      expect(task.save).toHaveBeenCalled();
+      expect(TaskTransition.create).toHaveBeenCalledWith([
+        expect.objectContaining({
+          task: task._id,
+          from: 'scheduled',
+          to: 'in_progress',
+          actor: tasker._id,
+          actorRole: 'tasker',
+          reason: 'Started'
+        })
+      ], undefined);
+    });
+
+    test('Should resolve the actor before applying updates', async () => {
+      const task = savableTask({ status: 'scheduled', customer: customer._id, selectedTasker: tasker._id });
+
+      await transitionTask(task, 'active', {
+        actor: tasker,
+        update: (t) => { t.selectedTasker = null; }
+      });
+
+      expect(task.selectedTasker).toBeNull();
+      expect(TaskTransition.create.mock.calls[0][0][0].actorRole).toBe('tasker');
+    });
+
+    test('Should let only one of two racing callers apply the same transition', async () => {
+      const stored = { _id: id(), status: 'in_progress', customer: customer._id, selectedTasker: tasker._id };
+      // Each caller loaded the task before either saved; the store only matches the expected status
+      const save = jest.fn(async function save() {
+        if (stored.status !== this.$where.status) {
+          throw new mongoose.Error.DocumentNotFoundError(this.$where, 'Task', 0, {});
+        }
+        stored.status = this.status;
+      });
+      const customerCopy = savableTask({ ...stored, save });
+      const jobCopy = savableTask({ ...stored, save });
+
+      const results = await Promise.allSettled([
+        transitionTask(customerCopy, 'completed', { actor: admin, reason: 'Completed by admin' }),
+        transitionTask(jobCopy, 'completed', { reason: 'Auto-completed' })
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toBeInstanceOf(TaskTransitionError);
+      expect(results[1].reason.message).toMatch(/no longer in_progress/);
+      expect(jobCopy.status).toBe('in_progress');
+      expect(TaskTransition.create).toHaveBeenCalledTimes(1);
+      expect(save.mock.contexts[0].$where).toBeUndefined();
+    });
+
+    test('Should undo the changes made by update when the race is lost', async () => {
+      const task = hydrateTask({
+        status: 'scheduled',
+        customer: customer._id,
+        selectedTasker: tasker._id,
+        agreedPayment: 5000
+      });
+      task.title = 'Paint the fence twice';
+      jest.spyOn(task, 'save').mockImplementation(async function save() {
+        throw new mongoose.Error.DocumentNotFoundError(this.$where, 'Task', 0, {});
+      });
+
+      await expect(transitionTask(task, 'active', {
+        actor: tasker,
+        update: (t) => {
+          t.selectedTasker = null;
+          t.agreedPayment = null;
+        }
+      })).rejects.toBeInstanceOf(TaskTransitionError);
+
+      expect(task).toMatchObject({ status: 'scheduled', agreedPayment: 5000, title: 'Paint the fence twice' });
+      expect(task.selectedTasker).toEqual(tasker._id);
+      expect(task.modifiedPaths()).toEqual(['title']);
+      expect(task.$where).toBeUndefined();
+      expect(TaskTransition.create).not.toHaveBeenCalled();
+    });
+
+    test('Should condition the save on the status that was checked', async () => {
+      const task = hydrateTask({ status: 'scheduled', customer: customer._id, selectedTasker: tasker._id });
+      const save = jest.spyOn(task, 'save').mockImplementation(async function save() {
+        expect(this.$where).toEqual({ status: 'scheduled' });
+        return this;
+      });
+
+      await transitionTask(task, 'in_progress', { actor: tasker });
+      expect(save).toHaveBeenCalled();
+    });
+
+    test('Should throw without touching the task when not allowed', async () => {
+      const task = savableTask({ status: 'active', customer: customer._id });
+
+      await expect(transitionTask(task, 'completed', { actor: customer }))
+        .rejects.toBeInstanceOf(TaskTransitionError);
+      expect(task.status).toBe('active');
+      expect(task.save).not.toHaveBeenCalled();
+      expect(TaskTransition.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { base32Encode, generateTotpCode, getTotpStep, verifyTotpCode } from '../utils/totp.js';
+import {
+  TwoFactorError,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  issueLoginChallenge,
+  completeLoginChallenge
+} from '../services/twoFactorService.js';
+import { authorize, protect } from '../middleware/auth.js';
+import { id } from './helpers/factories.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Two-factor authentication', () => {
+  const now = new Date('2025-09-01T08:00:00Z');
+  let user;
+
+  const codeAt = (secret, date) => generateTotpCode(secret, getTotpStep(date));
+
+  // Enroll the user and return the TOTP secret and recovery codes
+  const enroll = async () => {
+    const { secret } = await beginEnrollment(user._id);
+    const { recoveryCodes } = await confirmEnrollment(user._id, codeAt(secret, now), { now });
+    return { secret, recoveryCodes };
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    // Challenge tokens are then signed with the access token secret
+    delete process.env.ACCOUNT_TOKEN_SECRET;
+  });
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: id(),
+      email: 'admin@example.com',
+      fullName: 'Site Admin',
+      role: 'customer',
+      twoFactor: { enabled: false, failedAttempts: 0 }
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async () => ({ _id: user._id }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Should generate the RFC 6238 reference codes', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(codeAt(secret, new Date(59 * 1000))).toBe('287082');
+    expect(codeAt(secret, new Date(1111111109 * 1000))).toBe('081804');
+
+    // One step of clock drift either way is tolerated
+    const at = new Date(1111111109 * 1000);
+    expect(verifyTotpCode(secret, '081804', { now: new Date(at.getTime() + 30 * 1000) })).toBe(getTotpStep(at));
+    expect(verifyTotpCode(secret, '081804', { now: new Date(at.getTime() + 90 * 1000) })).toBeNull();
+  });
+
+  test('Should enable 2FA only after a code confirms the new secret', async () => {
+    const { secret, otpauthUrl } = await beginEnrollment(user._id);
+    expect(otpauthUrl).toBe(
+      `otpauth://totp/TaskGo%3Aadmin%40example.com?secret=${secret}&issuer=TaskGo&algorithm=SHA1&digits=6&period=30`
+    );
+    expect(user.twoFactor.pendingSecret).not.toContain(secret);
+
+    await expect(confirmEnrollment(user._id, '000000', { now })).rejects.toThrow('The code is incorrect');
+    expect(user.twoFactor.enabled).toBe(false);
+
+    const { recoveryCodes } = await confirmEnrollment(user._id, codeAt(secret, now), { now });
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.twoFactor).toMatchObject({ enabled: true, enabledAt: now, pendingSecret: undefined });
+    expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+
+    await expect(beginEnrollment(user._id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('Should accept each code and recovery code only once', async () => {
+    const { secret, recoveryCodes } = await enroll();
+
+    // The enrollment code was already used
+    await expect(verifySecondFactor(user._id, codeAt(secret, now), { now })).rejects.toBeInstanceOf(TwoFactorError);
+
+    const later = new Date(now.getTime() + MINUTE_MS);
+    await expect(verifySecondFactor(user._id, codeAt(secret, later), { now: later }))
+      .resolves.toMatchObject({ method: 'totp' });
+
+    const recovery = recoveryCodes[3].toLowerCase();
+    await expect(verifySecondFactor(user._id, recovery, { now: later }))
+      .resolves.toMatchObject({ method: 'recovery_code', remainingRecoveryCodes: 9 });
+    await expect(verifySecondFactor(user._id, recovery, { now: later })).rejects.toThrow('The code is incorrect');
+  });
+
+  test('Should let only one of two simultaneous requests use a code', async () => {
+    const { secret } = await enroll();
+    const later = new Date(now.getTime() + MINUTE_MS);
+    // Each request loads its own copy of the user, as separate requests would
+    const copies = [User.hydrate(user.toObject()), User.hydrate(user.toObject())];
+    User.findById
+      .mockReturnValueOnce({ select: () => Promise.resolve(copies[0]) })
+      .mockReturnValueOnce({ select: () => Promise.resolve(copies[1]) });
+    // The database keeps the step the first request claimed
+    User.findOneAndUpdate
+      .mockImplementationOnce(async () => ({ _id: user._id }))
+      .mockResolvedValueOnce(null);
+
+    const results = await Promise.allSettled([
+      verifySecondFactor(user._id, codeAt(secret, later), { now: later }),
+      verifySecondFactor(user._id, codeAt(secret, later), { now: later })
+    ]);
+
+    expect(results.map(({ status }) => status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.message).toBe('The code is incorrect');
+    const [filter, update] = User.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: getTotpStep(later) } } });
+    expect(update).toEqual({ $set: { 'twoFactor.lastUsedStep': getTotpStep(later) } });
+  });
+
+  test('Should lock code checks after repeated wrong codes', async () => {
+    const { secret } = await enroll();
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await expect(verifySecondFactor(user._id, 'WRONG-CODE', { now })).rejects.toThrow('The code is incorrect');
+    }
+    expect(user.twoFactor.lockedUntil).toEqual(new Date(now.getTime() + 15 * MINUTE_MS));
+
+    const later = new Date(now.getTime() + MINUTE_MS);
+    await expect(verifySecondFactor(user._id, codeAt(secret, later), { now: later }))
+      .rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  test('Should finish a login from the challenge token, which never works as an access token', async () => {
+    const { secret } = await enroll();
+    const challengeToken = issueLoginChallenge(user, { now });
+
+    const later = new Date(now.getTime() + MINUTE_MS);
+    await expect(completeLoginChallenge(challengeToken, codeAt(secret, later), { now: later })).resolves.toBe(user);
+    await expect(completeLoginChallenge(challengeToken, '123456', { now: new Date(now.getTime() + 10 * MINUTE_MS) }))
+      .rejects.toThrow('Your login has expired');
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await protect({ headers: { authorization: `Bearer ${issueLoginChallenge(user)}` } }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('Should require admins to set up and recently confirm 2FA', async () => {
+    user.role = 'admin';
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    const adminOnly = authorize(['admin']);
+
+    await adminOnly({ user, sessionId: id() }, res, next);
+    expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ errorType: 'two_factor_setup_required' }));
+
+    const { secret } = await enroll();
+    const exists = jest.spyOn(Session, 'exists').mockResolvedValueOnce(null);
+    await adminOnly({ user, sessionId: id() }, res, next);
+    expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ errorType: 'two_factor_required' }));
+    expect(exists.mock.calls[0][0].twoFactorVerifiedAt.$gt.getTime()).toBeGreaterThan(Date.now() - 61 * MINUTE_MS);
+
+    exists.mockResolvedValueOnce({ _id: id() });
+    await adminOnly({ user, sessionId: id() }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const later = new Date(now.getTime() + MINUTE_MS);
+    await expect(disableTwoFactor(user._id, codeAt(secret, later), { now: later })).rejects.toMatchObject({ statusCode: 403 });
+    expect(user.twoFactor.enabled).toBe(true);
+  });
+});
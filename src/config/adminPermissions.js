@@ -0,0 +1,23 @@
+/**
+ * Admin permission catalogue.
+ *
+ * Each admin route requires one of these (see requirePermission in
+ * middleware/permissionCheck.js). Admins hold the permissions granted to them by a super
+ * admin; super admins hold all of them and are the only ones who can grant or revoke.
+ */
+export const ADMIN_PERMISSIONS = {
+  'users.read': 'View users and their details',
+  'users.suspend': 'Suspend and unsuspend user accounts',
+  'users.delete': 'Delete user accounts',
+  'taskers.approve': 'Review, approve and reject tasker applications',
+  'tasks.read': 'View tasks and their details',
+  'tasks.override': 'Override task status',
+  'payments.read': 'View ledger balances, refunds and payouts',
+  'payments.refund': 'Approve and reject refunds and release held advances',
+  'payouts.manage': 'Approve payout requests and manage payout batches',
+  'disputes.resolve': 'Assign, annotate and resolve disputes',
+  'jobs.manage': 'View, run and pause background jobs',
+  'audit.read': 'View admin activity and audit logs'
+};
+
+export const ADMIN_PERMISSION_KEYS = Object.keys(ADMIN_PERMISSIONS);
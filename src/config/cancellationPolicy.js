@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Cancellation refund policy for paid advances.
+ *
+ * Rules are listed per party that cancelled and checked in order; the first rule whose
+ * `minHoursBefore` is met (hours between cancellation and agreedTime) decides the
+ * percentage of the advance refunded to the customer. A rule without `minHoursBefore`
+ * matches any time. Whatever is not refunded is released to the tasker.
+ *
+ * Override the whole policy with CANCELLATION_POLICY (JSON with the same shape).
+ */
+const DEFAULT_CANCELLATION_POLICY = {
+  customer: [
+    { minHoursBefore: 48, refundPercent: 100 },
+    { minHoursBefore: 24, refundPercent: 50 },
+    { refundPercent: 0 }
+  ],
+  tasker: [
+    { refundPercent: 100 }
+  ],
+  admin: [
+    { refundPercent: 100 }
+  ]
+};
+
+const loadPolicy = () => {
+  if (!process.env.CANCELLATION_POLICY) return DEFAULT_CANCELLATION_POLICY;
+
+  try {
+    return { ...DEFAULT_CANCELLATION_POLICY, ...JSON.parse(process.env.CANCELLATION_POLICY) };
+  } catch (error) {
+    console.error('Invalid CANCELLATION_POLICY, using defaults:', error.message);
+    return DEFAULT_CANCELLATION_POLICY;
+  }
+};
+
+const cancellationPolicy = loadPolicy();
+
+export { DEFAULT_CANCELLATION_POLICY };
+export default cancellationPolicy;
@@ -4,6 +4,10 @@ import Task from "../models/Task.js";
 import Payment from "../models/Payment.js";
 import Application from "../models/Application.js";
 import logger from "../utils/logger.js";
+import { transitionTask, TaskTransitionError, TASK_STATUSES } from "../services/taskStateMachine.js";
+import { notify } from "../services/notifications/index.js";
+import { hasPermission } from "../services/adminPermissionService.js";
+import { getEntityAuditTrail } from "../services/auditLogService.js";
 
 
 /**
@@ -264,8 +268,8 @@ export const approveTasker = async (req, res) => {
             });
         }
 
-        // Send notification to tasker (placeholder for email/SMS service)
-        await sendTaskerApprovalNotification(tasker, 'approved', notes);
+        // Notify the tasker in-app and by email/SMS
+        await notify(tasker, 'tasker_approved', {}, { io: req.app.get('io') });
 
         logger.info('Tasker approved successfully', {
             adminId: req.user._id,
@@ -360,8 +364,8 @@ export const rejectTasker = async (req, res) => {
             });
         }
 
-        // Send notification to tasker (placeholder for email/SMS service)
-        await sendTaskerApprovalNotification(tasker, 'rejected', reason);
+        // Notify the tasker in-app and by email/SMS
+        await notify(tasker, 'tasker_rejected', { reason: (reason || '').trim() }, { io: req.app.get('io') });
 
         logger.info('Tasker rejected successfully', {
             adminId: req.user._id,
@@ -517,42 +521,6 @@ export const getApprovalStats = async (req, res) => {
     }
 };
 
-/**
- * Helper function to send tasker approval notifications
- * This is a placeholder for email/SMS notification service
- */
-const sendTaskerApprovalNotification = async (tasker, status, reason = null) => {
-    try {
-        // Placeholder for notification service integration
-        // In a real implementation, this would send email/SMS notifications
-        
-        const notificationData = {
-            taskerId: tasker._id,
-            taskerEmail: tasker.email,
-            taskerName: tasker.fullName,
-            status,
-            reason,
-            timestamp: new Date()
-        };
-
-        logger.info('Tasker approval notification sent', notificationData);
-
-        // Example email notification structure:
-        // await emailService.sendTaskerApprovalNotification(notificationData);
-        
-        // Example SMS notification structure:
-        // await smsService.sendTaskerApprovalNotification(notificationData);
-
-    } catch (error) {
-        logger.error('Failed to send tasker approval notification', {
-            error: error.message,
-            taskerId: tasker._id,
-            status
-        });
-        // Don't throw error to avoid breaking the main approval flow
-    }
-};
-
 /**
  * Get comprehensive dashboard statistics
  * @route GET /api/admin/dashboard/stats
@@ -1342,6 +1310,11 @@ export const getTaskDetails = async (req, res) => {
             paymentInfo: null
         };
 
+        // Admin actions taken on this task, for admins who can read the audit trail
+        if (hasPermission(req.user, 'audit.read')) {
+            relatedData.auditTrail = await getEntityAuditTrail('Task', task._id);
+        }
+
         // Get payment information if task is completed
         if (task.status === 'completed') {
             const payment = await Payment.findOne({ task: taskId });
@@ -1404,11 +1377,10 @@ export const updateTaskStatus = async (req, res) => {
         }
 
         // Validate status
-        const validStatuses = ['active', 'scheduled', 'in_progress', 'completed', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!TASK_STATUSES.includes(status)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+                message: 'Invalid status. Must be one of: ' + TASK_STATUSES.join(', ')
             });
         }
 
@@ -1423,13 +1395,12 @@ export const updateTaskStatus = async (req, res) => {
 
         const previousStatus = task.status;
 
-        // Update task status
-        task.status = status;
-        if (reason) {
-            task.adminNotes = reason;
-        }
-
-        await task.save();
+        // Admin overrides still go through the state machine so illegal jumps are rejected
+        await transitionTask(task, status, {
+            actor: req.user,
+            reason: reason || 'Status updated by admin',
+            metadata: { adminOverride: true }
+        });
 
         // Create audit log
         await AdminActionLog.create({
@@ -1459,6 +1430,13 @@ export const updateTaskStatus = async (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof TaskTransitionError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         logger.error('Error in updateTaskStatus', {
             error: error.message,
             adminId: req.user?._id,
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import { ADMIN_PERMISSIONS } from "../config/adminPermissions.js";
+import {
+    PermissionError,
+    isSuperAdmin,
+    getEffectivePermissions,
+    grantPermissions as grantAdminPermissions,
+    revokePermissions as revokeAdminPermissions,
+    listAdminPermissions
+} from "../services/adminPermissionService.js";
+import logger from "../utils/logger.js";
+
+const handlePermissionError = (res, error, message) => {
+    if (error instanceof PermissionError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    logger.error(message, { error: error.message });
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+/**
+ * Get the permission catalogue and the permissions of the current admin
+ * @route GET /api/admin/permissions
+ * @access Admin only
+ */
+export const getPermissionCatalogue = async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            permissions: Object.entries(ADMIN_PERMISSIONS).map(([key, description]) => ({ key, description })),
+            mine: getEffectivePermissions(req.user),
+            isSuperAdmin: isSuperAdmin(req.user)
+        }
+    });
+};
+
+/**
+ * Get all admins with their permissions
+ * @route GET /api/admin/admins
+ * @access Super admin only
+ */
+export const getAdmins = async (req, res) => {
+    try {
+        const admins = await listAdminPermissions();
+        res.json({
+            success: true,
+            data: admins
+        });
+    } catch (error) {
+        handlePermissionError(res, error, 'Failed to fetch admins');
+    }
+};
+
+const changePermissions = (action) => async (req, res) => {
+    try {
+        const { adminId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid admin ID'
+            });
+        }
+
+        const change = action === 'grant' ? grantAdminPermissions : revokeAdminPermissions;
+        const { admin, changed } = await change(req.user, adminId, req.body.permissions, {
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            success: true,
+            message: changed.length > 0
+                ? `Permissions ${action === 'grant' ? 'granted' : 'revoked'}`
+                : (action === 'grant' ? 'The admin already has these permissions' : 'The admin does not have these permissions'),
+            data: {
+                adminId: admin._id,
+                changed,
+                permissions: getEffectivePermissions(admin)
+            }
+        });
+    } catch (error) {
+        handlePermissionError(res, error, `Failed to ${action} permissions`);
+    }
+};
+
+/**
+ * Grant permissions to an admin
+ * @route POST /api/admin/admins/:adminId/permissions/grant
+ * @access Super admin only
+ * @body {string[]} permissions - Permission keys from the catalogue
+ */
+export const grantPermissions = changePermissions('grant');
+
+/**
+ * Revoke permissions from an admin
+ * @route POST /api/admin/admins/:adminId/permissions/revoke
+ * @access Super admin only
+ * @body {string[]} permissions - Permission keys from the catalogue
+ */
+export const revokePermissions = changePermissions('revoke');
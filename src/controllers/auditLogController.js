@@ -0,0 +1,122 @@
+import AdminActionLog from "../models/AdminActionLog.js";
+import {
+    AuditLogError,
+    AUDIT_EXPORT_FORMATS,
+    buildAuditLogQuery,
+    listAuditLogs,
+    streamAuditLogs
+} from "../services/auditLogService.js";
+import logger from "../utils/logger.js";
+
+const pickFilters = (query) => {
+    const { adminId, actionType, targetModel, targetId, from, to, q } = query;
+    return { adminId, actionType, targetModel, targetId, from, to, q };
+};
+
+const handleAuditLogError = (req, res, error, message) => {
+    if (error instanceof AuditLogError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    logger.error(message, {
+        error: error.message,
+        adminId: req.user?._id,
+        query: req.query
+    });
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+/**
+ * Search the admin audit trail, newest first
+ * @route GET /api/admin/audit-logs
+ * @access Admin only (audit.read)
+ * @query {string} adminId - Admin who acted
+ * @query {string} actionType - Action type, or several separated by commas
+ * @query {string} targetModel - Target model, e.g. User, Task
+ * @query {string} targetId - Target record
+ * @query {string} from - Earliest date (inclusive)
+ * @query {string} to - Latest date (inclusive)
+ * @query {string} q - Text searched in the details and IP address
+ * @query {string} cursor - nextCursor from the previous page
+ * @query {number} limit - Items per page (default: 50, max: 200)
+ */
+export const getAuditLogs = async (req, res) => {
+    try {
+        const { logs, nextCursor } = await listAuditLogs(pickFilters(req.query), {
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: logs,
+            pagination: {
+                nextCursor,
+                hasMore: Boolean(nextCursor)
+            }
+        });
+    } catch (error) {
+        handleAuditLogError(req, res, error, 'Failed to retrieve audit logs');
+    }
+};
+
+/**
+ * Download every matching audit log entry as CSV or NDJSON (streamed)
+ * @route GET /api/admin/audit-logs/export
+ * @access Admin only (audit.read)
+ * @query {string} format - csv (default) or ndjson
+ * @query Same filters as GET /api/admin/audit-logs
+ */
+export const exportAuditLogs = async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const filters = pickFilters(req.query);
+
+    try {
+        if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+            throw new AuditLogError(`Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`);
+        }
+        buildAuditLogQuery(filters);
+
+        // The export itself is part of the audit trail
+        await AdminActionLog.create({
+            adminId: req.user._id,
+            actionType: 'DATA_EXPORTED',
+            targetId: req.user._id,
+            targetModel: 'User',
+            details: `Exported audit logs as ${format.toUpperCase()}`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            metadata: {
+                export: 'audit_logs',
+                format,
+                filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+            }
+        });
+    } catch (error) {
+        return handleAuditLogError(req, res, error, 'Failed to export audit logs');
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${timestamp}.${format}"`);
+    res.status(200);
+
+    try {
+        await streamAuditLogs(filters, format, res);
+        res.end();
+    } catch (error) {
+        // Headers are already sent, so the download is cut short
+        logger.error('Audit log export failed while streaming', {
+            error: error.message,
+            adminId: req.user._id
+        });
+        res.destroy(error);
+    }
+};
@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 import ChatMessage from '../models/ChatMessage.js';
 import Task from '../models/Task.js';
 import Application from '../models/Application.js';
+import { recordChatReply } from '../services/responseTimeService.js';
+import { isWorkingTasker } from '../services/crewService.js';
 
 // @desc    Send a new chat message
 // @route   POST /api/chat
@@ -47,11 +49,11 @@ export const sendMessage = async (req, res) => {
 
     // Check if the user has permission to chat about this task
     const isCustomer = task.customer.toString() === req.user._id.toString();
-    const isSelectedTasker = task.selectedTasker && task.selectedTasker.toString() === req.user._id.toString();
+    const isSelectedTasker = isWorkingTasker(task, req.user._id);
     const isTargetedTasker = task.isTargeted && task.targetedTasker && task.targetedTasker.toString() === req.user._id.toString();
     
     // Updated access control based on task status
-    if (task.status === 'scheduled') {
+    if (['scheduled', 'in_progress'].includes(task.status)) {
       // For scheduled tasks, only customer, selectedTasker, and targetedTasker can chat
       if (!isCustomer && !isSelectedTasker && !isTargetedTasker) {
         return res.status(403).json({
@@ -97,11 +99,11 @@ export const sendMessage = async (req, res) => {
 
     // Verify the receiver is involved in this task
     const receiverIsCustomer = task.customer.toString() === receiverId;
-    const receiverIsSelectedTasker = task.selectedTasker && task.selectedTasker.toString() === receiverId;
+    const receiverIsSelectedTasker = isWorkingTasker(task, receiverId);
     const receiverIsTargetedTasker = task.isTargeted && task.targetedTasker && task.targetedTasker.toString() === receiverId;
     
     // Updated receiver validation based on task status
-    if (task.status === 'scheduled') {
+    if (['scheduled', 'in_progress'].includes(task.status)) {
       // For scheduled tasks, only customer, selectedTasker, and targetedTasker can receive messages
       if (!receiverIsCustomer && !receiverIsSelectedTasker && !receiverIsTargetedTasker) {
         return res.status(400).json({
@@ -138,6 +140,13 @@ export const sendMessage = async (req, res) => {
 
     await chatMessage.save();
 
+    // A tasker's reply to the customer counts towards their response time
+    try {
+      await recordChatReply(chatMessage, task);
+    } catch (statsError) {
+      console.error('Response time update error:', statsError);
+    }
+
     // Populate sender and receiver information
     await chatMessage.populate('senderId', 'fullName email');
     await chatMessage.populate('receiverId', 'fullName email');
@@ -218,11 +227,11 @@ export const getConversation = async (req, res) => {
 
     // Check if the authenticated user has permission to view this conversation
     const isCustomer = task.customer.toString() === req.user._id.toString();
-    const isSelectedTasker = task.selectedTasker && task.selectedTasker.toString() === req.user._id.toString();
+    const isSelectedTasker = isWorkingTasker(task, req.user._id);
     const isTargetedTasker = task.isTargeted && task.targetedTasker && task.targetedTasker.toString() === req.user._id.toString();
     
     // Updated access control based on task status
-    if (task.status === 'scheduled') {
+    if (['scheduled', 'in_progress'].includes(task.status)) {
       // For scheduled tasks, only customer, selectedTasker, and targetedTasker can access conversations
       if (!isCustomer && !isSelectedTasker && !isTargetedTasker) {
         return res.status(403).json({
@@ -268,11 +277,11 @@ export const getConversation = async (req, res) => {
 
     // Verify the other user is involved in this task
     const otherUserIsCustomer = task.customer.toString() === userId;
-    const otherUserIsSelectedTasker = task.selectedTasker && task.selectedTasker.toString() === userId;
+    const otherUserIsSelectedTasker = isWorkingTasker(task, userId);
     const otherUserIsTargetedTasker = task.isTargeted && task.targetedTasker && task.targetedTasker.toString() === userId;
     
     // Updated other user validation based on task status
-    if (task.status === 'scheduled') {
+    if (['scheduled', 'in_progress'].includes(task.status)) {
       // For scheduled tasks, only customer, selectedTasker, and targetedTasker can be conversation participants
       if (!otherUserIsCustomer && !otherUserIsSelectedTasker && !otherUserIsTargetedTasker) {
         return res.status(400).json({
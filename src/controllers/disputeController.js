@@ -0,0 +1,477 @@
+import mongoose from 'mongoose';
+import fs from 'fs';
+import path from 'path';
+import Dispute, { ACTIVE_DISPUTE_STATUSES, DISPUTE_STATUSES } from '../models/Dispute.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import {
+  DisputeError,
+  MAX_EVIDENCE_PHOTOS,
+  getDisputeRole,
+  openDispute as openDisputeRecord,
+  addEvidence,
+  withdrawDispute as withdrawDisputeRecord,
+  assignDispute as assignDisputeRecord,
+  addInternalNote,
+  resolveDispute as resolveDisputeRecord
+} from '../services/disputeService.js';
+
+const ALLOWED_PHOTO_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+const handleDisputeError = (res, error, message) => {
+  if (error instanceof DisputeError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${message.toLowerCase()}`
+  });
+};
+
+const validateObjectId = (res, id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${label} ID`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Multipart forms send lists as JSON or comma separated strings
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+  return [value];
+};
+
+// Save uploaded evidence photos to uploads/disputes/<taskId> and return their URLs
+const saveEvidencePhotos = async (req, taskId) => {
+  if (!req.files || !req.files.photos) return [];
+
+  const photos = Array.isArray(req.files.photos) ? req.files.photos : [req.files.photos];
+  if (photos.length > MAX_EVIDENCE_PHOTOS) {
+    throw new DisputeError(`Maximum ${MAX_EVIDENCE_PHOTOS} photos allowed`);
+  }
+
+  for (const photo of photos) {
+    if (!ALLOWED_PHOTO_TYPES.includes(photo.mimetype)) {
+      throw new DisputeError(`Invalid file type for ${photo.name}. Only JPEG, PNG, GIF, and WebP are allowed.`);
+    }
+    if (photo.size > 5 * 1024 * 1024) {
+      throw new DisputeError(`File ${photo.name} is too large. Maximum size is 5MB per photo.`);
+    }
+  }
+
+  const baseUploadsDir = path.join(process.cwd(), 'uploads', 'disputes', String(taskId));
+  fs.mkdirSync(baseUploadsDir, { recursive: true });
+
+  const urls = [];
+  for (const photo of photos) {
+    const originalExt = path.extname(photo.name) || '.jpg';
+    const safeExt = ['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(originalExt.toLowerCase())
+      ? originalExt
+      : '.jpg';
+
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}${safeExt}`;
+    await photo.mv(path.join(baseUploadsDir, filename));
+    urls.push(`/uploads/disputes/${taskId}/${filename}`);
+  }
+  return urls;
+};
+
+const logDisputeAction = async (req, dispute, actionType, details, metadata = {}) => {
+  try {
+    await AdminActionLog.create({
+      adminId: req.user._id,
+      actionType,
+      targetId: dispute._id,
+      targetModel: 'Dispute',
+      details,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        taskId: dispute.task,
+        paymentId: dispute.payment,
+        ...metadata
+      }
+    });
+  } catch (logError) {
+    console.error('AdminActionLog failed for dispute action:', logError.message);
+  }
+};
+
+const populateDispute = (query) => query
+  .populate('task', 'title status agreedTime agreedPayment')
+  .populate('customer', 'fullName email phone')
+  .populate('tasker', 'fullName email phone')
+  .populate('assignedTo', 'fullName email');
+
+const paginate = (page, limit) => {
+  const numericPage = Math.max(parseInt(page) || 1, 1);
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  return { numericPage, numericLimit };
+};
+
+// Load a dispute the current user is a party to
+const findPartyDispute = async (req, res) => {
+  const { disputeId } = req.params;
+  if (!validateObjectId(res, disputeId, 'dispute')) return null;
+
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute || !getDisputeRole(dispute, req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+    return null;
+  }
+  return dispute;
+};
+
+// @desc    Open a dispute on a task
+// @route   POST /api/disputes
+// @access  Private (Customer or tasker of the task)
+export const openDispute = async (req, res) => {
+  try {
+    const { taskId, category, reason, taskerId } = req.body;
+    if (!validateObjectId(res, taskId, 'task')) return;
+    if (taskerId && !validateObjectId(res, taskerId, 'tasker')) return;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe the reason for the dispute'
+      });
+    }
+
+    const uploaded = await saveEvidencePhotos(req, taskId);
+    const dispute = await openDisputeRecord({
+      taskId,
+      user: req.user,
+      category,
+      reason,
+      evidencePhotos: [...parseList(req.body.evidencePhotos), ...uploaded],
+      chatMessageIds: parseList(req.body.chatMessageIds),
+      taskerId
+    }, { io: req.app.get('io') });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened. The advance payment is on hold until it is resolved.',
+      data: dispute
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Opening dispute');
+  }
+};
+
+// @desc    List the current user's disputes
+// @route   GET /api/disputes
+// @access  Private (Customers and taskers)
+export const getMyDisputes = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const { numericPage, numericLimit } = paginate(page, limit);
+
+    const query = { $or: [{ customer: req.user._id }, { tasker: req.user._id }] };
+    if (status) query.status = status;
+
+    const [disputes, total] = await Promise.all([
+      populateDispute(Dispute.find(query))
+        .sort({ createdAt: -1 })
+        .skip((numericPage - 1) * numericLimit)
+        .limit(numericLimit),
+      Dispute.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        disputes,
+        pagination: {
+          currentPage: numericPage,
+          totalPages: Math.ceil(total / numericLimit),
+          totalDisputes: total,
+          hasNextPage: numericPage * numericLimit < total,
+          hasPrevPage: numericPage > 1
+        }
+      }
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Fetching disputes');
+  }
+};
+
+// @desc    Get a dispute
+// @route   GET /api/disputes/:disputeId
+// @access  Private (Parties to the dispute)
+export const getDispute = async (req, res) => {
+  try {
+    const dispute = await findPartyDispute(req, res);
+    if (!dispute) return;
+
+    await dispute.populate([
+      { path: 'task', select: 'title status agreedTime agreedPayment' },
+      { path: 'customer', select: 'fullName' },
+      { path: 'tasker', select: 'fullName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Fetching dispute');
+  }
+};
+
+// @desc    Add evidence photos or chat excerpts to a dispute
+// @route   POST /api/disputes/:disputeId/evidence
+// @access  Private (Parties to the dispute)
+export const addDisputeEvidence = async (req, res) => {
+  try {
+    const dispute = await findPartyDispute(req, res);
+    if (!dispute) return;
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Evidence cannot be added to a ${dispute.status} dispute`
+      });
+    }
+
+    const uploaded = await saveEvidencePhotos(req, dispute.task);
+    const updated = await addEvidence(dispute, req.user, {
+      evidencePhotos: [...parseList(req.body.evidencePhotos), ...uploaded],
+      chatMessageIds: parseList(req.body.chatMessageIds)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Evidence added',
+      data: updated
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Adding dispute evidence');
+  }
+};
+
+// @desc    Withdraw a dispute
+// @route   POST /api/disputes/:disputeId/withdraw
+// @access  Private (Party who opened the dispute)
+export const withdrawDispute = async (req, res) => {
+  try {
+    const dispute = await findPartyDispute(req, res);
+    if (!dispute) return;
+
+    const withdrawn = await withdrawDisputeRecord(dispute, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute withdrawn',
+      data: withdrawn
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Withdrawing dispute');
+  }
+};
+
+// @desc    Dispute queue, oldest first
+// @route   GET /api/admin/disputes
+// @access  Private (Admin only)
+export const getDisputeQueue = async (req, res) => {
+  try {
+    const { status, assignedTo, page, limit } = req.query;
+    const { numericPage, numericLimit } = paginate(page, limit);
+
+    const query = {};
+    if (status && status !== 'all') {
+      if (!DISPUTE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${DISPUTE_STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    } else if (!status) {
+      query.status = { $in: ACTIVE_DISPUTE_STATUSES };
+    }
+
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      if (!validateObjectId(res, assignedTo, 'admin')) return;
+      query.assignedTo = assignedTo;
+    }
+
+    const [disputes, total] = await Promise.all([
+      populateDispute(Dispute.find(query))
+        .sort({ createdAt: 1 })
+        .skip((numericPage - 1) * numericLimit)
+        .limit(numericLimit),
+      Dispute.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        disputes,
+        pagination: {
+          currentPage: numericPage,
+          totalPages: Math.ceil(total / numericLimit),
+          totalDisputes: total,
+          hasNextPage: numericPage * numericLimit < total,
+          hasPrevPage: numericPage > 1
+        }
+      }
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Fetching dispute queue');
+  }
+};
+
+// @desc    Get a dispute with its internal notes
+// @route   GET /api/admin/disputes/:disputeId
+// @access  Private (Admin only)
+export const getDisputeDetails = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    if (!validateObjectId(res, disputeId, 'dispute')) return;
+
+    const dispute = await populateDispute(Dispute.findById(disputeId).select('+notes'))
+      .populate('payment', 'payhereOrderId amount status escrowReleasedAt refundedAt')
+      .populate('notes.author', 'fullName')
+      .populate('resolution.refund', 'status amount retainedAmount failureReason');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Fetching dispute details');
+  }
+};
+
+// @desc    Assign a dispute to an admin (defaults to the current admin)
+// @route   POST /api/admin/disputes/:disputeId/assign
+// @access  Private (Admin only)
+export const assignDispute = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const adminId = req.body.adminId || req.user._id;
+    if (!validateObjectId(res, disputeId, 'dispute')) return;
+    if (!validateObjectId(res, adminId, 'admin')) return;
+
+    const dispute = await assignDisputeRecord(disputeId, adminId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute assigned',
+      data: dispute
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Assigning dispute');
+  }
+};
+
+// @desc    Add a note to the internal thread
+// @route   POST /api/admin/disputes/:disputeId/notes
+// @access  Private (Admin only)
+export const addDisputeNote = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    if (!validateObjectId(res, disputeId, 'dispute')) return;
+
+    const note = await addInternalNote(disputeId, req.user, req.body.text);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: note
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Adding dispute note');
+  }
+};
+
+// @desc    Resolve a dispute: release to tasker, refund to customer or split
+// @route   POST /api/admin/disputes/:disputeId/resolve
+// @access  Private (Admin only)
+export const resolveDispute = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const { outcome, refundAmount, summary } = req.body;
+    if (!validateObjectId(res, disputeId, 'dispute')) return;
+
+    if (!summary || !String(summary).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A resolution summary is required'
+      });
+    }
+
+    const { dispute, refund } = await resolveDisputeRecord(
+      disputeId,
+      req.user,
+      { outcome, refundAmount, summary },
+      { io: req.app.get('io') }
+    );
+    const { resolution } = dispute;
+
+    await logDisputeAction(
+      req,
+      dispute,
+      'PAYMENT_DISPUTE_RESOLVED',
+      `Resolved dispute (${outcome}): LKR ${resolution.refundAmount} refunded, LKR ${resolution.releasedAmount} released. ${summary}`,
+      {
+        outcome,
+        refundAmount: resolution.refundAmount,
+        releasedAmount: resolution.releasedAmount,
+        refundId: refund?._id,
+        refundStatus: refund?.status
+      }
+    );
+
+    const settlementFailed = refund && refund.status === 'settlement_failed';
+    res.status(200).json({
+      success: true,
+      message: settlementFailed
+        ? 'Dispute resolved and the customer refunded, but the refund could not be settled. Approve it again from the refunds queue.'
+        : 'Dispute resolved',
+      data: dispute,
+      refund
+    });
+  } catch (error) {
+    handleDisputeError(res, error, 'Resolving dispute');
+  }
+};
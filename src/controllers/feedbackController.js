@@ -2,6 +2,7 @@ import Feedback from '../models/Feedback.js';
 import Task from '../models/Task.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
+import { isCrewTask, isWorkingTasker } from '../services/crewService.js';
 
 // @desc    Create feedback
 // @route   POST /api/feedback
@@ -53,7 +54,7 @@ export const createFeedback = async (req, res) => {
 
     // Verify user is part of this task
     const isCustomer = task.customer._id.toString() === req.user._id.toString();
-    const isTasker = task.selectedTasker && task.selectedTasker._id.toString() === req.user._id.toString();
+    const isTasker = isWorkingTasker(task, req.user._id);
 
     if (!isCustomer && !isTasker) {
       return res.status(403).json({
@@ -62,6 +63,14 @@ export const createFeedback = async (req, res) => {
       });
     }
 
+    // On crew tasks the customer rates each crew member separately
+    if (isCustomer && isCrewTask(task) && !isWorkingTasker(task, toUserId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Feedback must be given to a tasker in the crew'
+      });
+    }
+
     // Create feedback data
     const feedbackData = {
       task: taskId,
@@ -227,7 +236,7 @@ export const getTaskFeedback = async (req, res) => {
     }
 
     const isCustomer = task.customer.toString() === req.user._id.toString();
-    const isTasker = task.selectedTasker && task.selectedTasker.toString() === req.user._id.toString();
+    const isTasker = isWorkingTasker(task, req.user._id);
     const isAdmin = req.user.role === 'admin';
 
     if (!isCustomer && !isTasker && !isAdmin) {
@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import JobRun from "../models/JobRun.js";
+import { triggerJob, setJobEnabled, SchedulerError } from "../services/scheduler.js";
+import logger from "../utils/logger.js";
+
+const handleJobError = (res, error, fallbackMessage, context) => {
+    if (error instanceof SchedulerError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    logger.error(fallbackMessage, { error: error.message, ...context });
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+const invalidJobId = (res) => res.status(400).json({
+    success: false,
+    message: 'Invalid job ID'
+});
+
+/**
+ * Get scheduled jobs with their state
+ * @route GET /api/admin/jobs
+ * @access Admin only
+ */
+export const getJobs = async (req, res) => {
+    try {
+        const { status, name } = req.query;
+
+        const query = {};
+        if (status) query.status = String(status);
+        if (name) query.name = String(name);
+
+        const jobs = await Job.find(query)
+            .sort({ intervalMs: -1, nextRunAt: 1 })
+            .limit(200);
+
+        res.json({
+            success: true,
+            data: jobs
+        });
+    } catch (error) {
+        handleJobError(res, error, 'Failed to fetch jobs', { adminId: req.user?._id });
+    }
+};
+
+/**
+ * Get the run history of a job
+ * @route GET /api/admin/jobs/:jobId/runs
+ * @access Admin only
+ */
+export const getJobRuns = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(jobId)) return invalidJobId(res);
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const job = await Job.findById(jobId);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const runs = await JobRun.getRunsForJob(job._id, limit);
+
+        res.json({
+            success: true,
+            data: {
+                job,
+                runs
+            }
+        });
+    } catch (error) {
+        handleJobError(res, error, 'Failed to fetch job runs', { adminId: req.user?._id, jobId: req.params.jobId });
+    }
+};
+
+/**
+ * Make a job due now; the next scheduler poll runs it
+ * @route POST /api/admin/jobs/:jobId/run
+ * @access Admin only
+ */
+export const runJobNow = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(jobId)) return invalidJobId(res);
+
+        const job = await triggerJob(jobId);
+
+        logger.info('Job triggered by admin', { jobId, name: job.name, adminId: req.user?._id });
+
+        res.json({
+            success: true,
+            message: 'Job will run on the next scheduler poll',
+            data: job
+        });
+    } catch (error) {
+        handleJobError(res, error, 'Failed to trigger job', { adminId: req.user?._id, jobId: req.params.jobId });
+    }
+};
+
+/**
+ * Pause or resume a job
+ * @route PUT /api/admin/jobs/:jobId/enabled
+ * @access Admin only
+ */
+export const updateJobEnabled = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(jobId)) return invalidJobId(res);
+
+        const { enabled } = req.body;
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled must be true or false'
+            });
+        }
+
+        const job = await setJobEnabled(jobId, enabled);
+
+        logger.info(`Job ${enabled ? 'resumed' : 'paused'} by admin`, { jobId, name: job.name, adminId: req.user?._id });
+
+        res.json({
+            success: true,
+            message: enabled ? 'Job resumed' : 'Job paused',
+            data: job
+        });
+    } catch (error) {
+        handleJobError(res, error, 'Failed to update job', { adminId: req.user?._id, jobId: req.params.jobId });
+    }
+};
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import { getLedgerBalances, getTaskLedger, reconcileLedger } from "../services/ledgerService.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Get current ledger account balances
+ * @route GET /api/admin/ledger/balances
+ * @access Admin only
+ */
+export const getBalances = async (req, res) => {
+    try {
+        const balances = await getLedgerBalances();
+
+        res.json({
+            success: true,
+            data: {
+                heldInEscrow: balances.escrow.balance,
+                owedToTaskers: balances.tasker_payable.balance,
+                platformCommission: balances.platform_commission.balance,
+                accounts: balances
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getBalances', {
+            error: error.message,
+            adminId: req.user?._id
+        });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ledger balances',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get the ledger journal and balances for a single task
+ * @route GET /api/admin/ledger/tasks/:taskId
+ * @access Admin only
+ */
+export const getTaskLedgerEntries = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid task ID'
+            });
+        }
+
+        const task = await Task.findById(taskId).select('title status advancePaymentStatus');
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        const ledger = await getTaskLedger(taskId);
+
+        res.json({
+            success: true,
+            data: {
+                task,
+                ...ledger
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getTaskLedgerEntries', {
+            error: error.message,
+            adminId: req.user?._id,
+            taskId: req.params.taskId
+        });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task ledger',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Reconcile ledger balances against Payment records
+ * @route GET /api/admin/ledger/reconciliation
+ * @access Admin only
+ * @query {string} dateFrom - Only check payments created on/after this date (ISO format)
+ * @query {string} dateTo - Only check payments created on/before this date (ISO format)
+ */
+export const getReconciliation = async (req, res) => {
+    try {
+        const { dateFrom, dateTo } = req.query;
+        const from = dateFrom ? new Date(dateFrom) : undefined;
+        const to = dateTo ? new Date(dateTo) : undefined;
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
+
+        const report = await reconcileLedger({ from, to });
+
+        if (report.mismatches.length > 0) {
+            logger.warn('Ledger reconciliation found mismatches', {
+                adminId: req.user?._id,
+                mismatchCount: report.mismatches.length
+            });
+        }
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Error in getReconciliation', {
+            error: error.message,
+            adminId: req.user?._id
+        });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reconcile ledger',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import User from '../models/User.js';
+
+// @desc    Get the user's notifications
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const numericPage = Math.max(parseInt(page) || 1, 1);
+    const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') query.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-deliveries')
+        .sort({ createdAt: -1 })
+        .skip((numericPage - 1) * numericLimit)
+        .limit(numericLimit),
+      Notification.countDocuments(query),
+      Notification.getUnreadCount(req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page: numericPage,
+        limit: numericLimit,
+        total,
+        pages: Math.ceil(total / numericLimit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+};
+
+// @desc    Mark notifications read
+// @route   PUT /api/notifications
+// @access  Private
+// @body    { ids: [notificationId] } or { all: true }
+export const markNotificationsRead = async (req, res) => {
+  try {
+    const { ids, all } = req.body;
+
+    if (all !== true && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide notification ids or all: true'
+      });
+    }
+
+    if (all !== true && !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    // Scoped to the recipient, so other users' ids are ignored
+    const result = await Notification.markRead(req.user._id, all === true ? null : ids);
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: {
+        updated: result.modifiedCount,
+        unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        preferences: user?.notificationPreferences,
+        channels: NOTIFICATION_CHANNELS,
+        types: NOTIFICATION_TYPES
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+};
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+// @body    { email?, sms?, socket?: boolean, mutedTypes?: [type] }
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const channel of NOTIFICATION_CHANNELS) {
+      if (req.body[channel] === undefined) continue;
+      if (typeof req.body[channel] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${channel} must be true or false`
+        });
+      }
+      updates[`notificationPreferences.${channel}`] = req.body[channel];
+    }
+
+    if (req.body.mutedTypes !== undefined) {
+      const { mutedTypes } = req.body;
+      if (!Array.isArray(mutedTypes) || !mutedTypes.every((type) => NOTIFICATION_TYPES.includes(type))) {
+        return res.status(400).json({
+          success: false,
+          message: `mutedTypes must be a list of: ${NOTIFICATION_TYPES.join(', ')}`
+        });
+      }
+      updates['notificationPreferences.mutedTypes'] = [...new Set(mutedTypes)];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No preferences to update'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true }
+    ).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+};
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Application from '../models/Application.js';
+import {
+  NegotiationError,
+  getOfferParty,
+  getOpenOffer,
+  expireOffers,
+  makeOffer,
+  respondToOffer as respondToOfferRecord
+} from '../services/negotiationService.js';
+import { selectApplicationForTask, announceTaskerSelected } from '../services/taskSelectionService.js';
+import { notify } from '../services/notifications/index.js';
+import { AvailabilityError, assertTaskerCanBook, getBookingHours } from '../services/availabilityService.js';
+import { CrewError, isCrewTask, assertCanJoinCrew } from '../services/crewService.js';
+import { withCoarseTaskerLocations } from '../utils/geo.js';
+
+const handleOfferError = (res, error, message) => {
+  if (error instanceof NegotiationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error instanceof AvailabilityError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      conflict: error.conflict
+    });
+  }
+
+  if (error instanceof CrewError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${message.toLowerCase()}`
+  });
+};
+
+// Load the task and application named in the route, both must exist and belong together
+const loadNegotiation = async (req) => {
+  const { id, applicationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(applicationId)) {
+    throw new NegotiationError('Invalid task or application ID');
+  }
+
+  const [task, application] = await Promise.all([
+    Task.findById(id),
+    Application.findOne({ _id: applicationId, task: id })
+  ]);
+  if (!task || !application) {
+    throw new NegotiationError('Application not found', 404);
+  }
+  return { task, application };
+};
+
+const formatNegotiation = (application, now = new Date()) => ({
+  applicationId: application._id,
+  status: application.status,
+  proposedPayment: application.proposedPayment,
+  confirmedByTasker: application.confirmedByTasker,
+  confirmedTime: application.confirmedTime,
+  confirmedPayment: application.confirmedPayment,
+  openOffer: getOpenOffer(application, now),
+  offers: application.offers
+});
+
+// Tell the other party about a new offer or a response to theirs
+const notifyOtherParty = async (req, task, application, actorParty, type, data) => {
+  const recipient = actorParty === 'customer' ? application.tasker : task.customer;
+  await notify(recipient, type, {
+    taskId: task._id,
+    taskTitle: task.title,
+    applicationId: application._id,
+    fromName: req.user.fullName,
+    ...data
+  }, { io: req.app.get('io') });
+};
+
+// @desc    Get the offer history of an application
+// @route   GET /api/tasks/:id/applications/:applicationId/offers
+// @access  Private (Task owner, applicant and admins)
+export const getApplicationOffers = async (req, res) => {
+  try {
+    const { task, application } = await loadNegotiation(req);
+
+    if (req.user.role !== 'admin' && !getOfferParty(task, application, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await application.populate('offers.proposedBy', 'fullName role');
+    await application.populate('offers.respondedBy', 'fullName role');
+
+    // Show offers the expiry job has not reached yet as expired
+    const now = new Date();
+    expireOffers(application, now);
+
+    res.status(200).json({
+      success: true,
+      data: formatNegotiation(application, now)
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Fetching offers');
+  }
+};
+
+// @desc    Make an offer, countering the other party's pending offer
+// @route   POST /api/tasks/:id/applications/:applicationId/offers
+// @access  Private (Task owner and applicant)
+export const createOffer = async (req, res) => {
+  try {
+    const { task, application } = await loadNegotiation(req);
+    const { payment, time, note } = req.body;
+
+    const { offer, countered } = await makeOffer(task, application, req.user, { payment, time, note });
+
+    await notifyOtherParty(req, task, application, offer.party, 'offer_received', {
+      offerId: offer._id,
+      payment: offer.payment,
+      time: offer.time,
+      counter: Boolean(countered)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: countered ? 'Counter-offer sent successfully' : 'Offer sent successfully',
+      data: formatNegotiation(application)
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Making offer');
+  }
+};
+
+// @desc    Accept or reject an offer; accepting selects the tasker at the offered terms
+// @route   POST /api/tasks/:id/applications/:applicationId/offers/:offerId/respond
+// @access  Private (Task owner and applicant)
+export const respondToOffer = async (req, res) => {
+  try {
+    const { task, application } = await loadNegotiation(req);
+    const { action } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.offerId)) {
+      throw new NegotiationError('Invalid offer ID');
+    }
+
+    // Check the booking before the offer is marked accepted
+    const pendingOffer = application.offers.id(req.params.offerId);
+    if (action === 'accept' && pendingOffer?.status === 'pending') {
+      if (isCrewTask(task)) {
+        assertCanJoinCrew(task, application.tasker, pendingOffer.time);
+      }
+      await assertTaskerCanBook(application.tasker, {
+        start: pendingOffer.time,
+        hours: getBookingHours(application),
+        excludeTaskId: task._id
+      });
+    }
+
+    const offer = await respondToOfferRecord(task, application, req.params.offerId, req.user, action);
+
+    await notifyOtherParty(req, task, application, offer.party === 'customer' ? 'tasker' : 'customer', 'offer_responded', {
+      offerId: offer._id,
+      payment: offer.payment,
+      time: offer.time,
+      status: offer.status
+    });
+
+    if (offer.status !== 'accepted') {
+      return res.status(200).json({
+        success: true,
+        message: 'Offer rejected',
+        data: formatNegotiation(application)
+      });
+    }
+
+    await selectApplicationForTask(task, application, {
+      agreedTime: offer.time,
+      agreedPayment: offer.payment
+    });
+    await announceTaskerSelected(task, req.app.get('io'), application.tasker);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer accepted and tasker selected. The customer needs to complete the advance payment to schedule the task.',
+      data: {
+        ...formatNegotiation(application),
+        task: withCoarseTaskerLocations(task)
+      },
+      requiresPayment: true,
+      advanceAmount: Math.round(offer.payment * 0.2)
+    });
+  } catch (error) {
+    handleOfferError(res, error, 'Responding to offer');
+  }
+};
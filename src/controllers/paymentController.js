@@ -1,46 +1,77 @@
 import Payment from '../models/Payment.js';
 import Task from '../models/Task.js';
 import Application from '../models/Application.js';
-import crypto from 'crypto';
-import dotenv from "dotenv";
-
-dotenv.config();
-
-// PayHere Configuration
-const PAYHERE_CONFIG = {
-  MERCHANT_ID: process.env.PAYHERE_MERCHANT_ID,
-  MERCHANT_SECRET: process.env.PAYHERE_MERCHANT_SECRET,
-  SANDBOX_URL: 'https://sandbox.payhere.lk/pay/checkout',
-  LIVE_URL: 'https://www.payhere.lk/pay/checkout',
-  NOTIFY_URL: process.env.PAYHERE_NOTIFY_URL ,
-  RETURN_URL: process.env.PAYHERE_RETURN_URL ,
-  CANCEL_URL: process.env.PAYHERE_CANCEL_URL 
+import User from '../models/User.js';
+import { transitionTask, TaskTransitionError } from '../services/taskStateMachine.js';
+import { recordCustomerCharge, recordEscrowRelease } from '../services/ledgerService.js';
+import { resetPendingTaskPayment, closePendingPayment } from '../services/paymentService.js';
+import { resolveGateway, getGateway, getGatewayForPayment, DEFAULT_CURRENCY } from '../services/gateways/index.js';
+import {
+  recordUnprocessedNotification,
+  claimPaymentEvent,
+  finishPaymentEvent
+} from '../services/paymentEventService.js';
+import { notify } from '../services/notifications/index.js';
+import { findActiveDispute } from '../services/disputeService.js';
+import { isCrewTask, getAssignment, getWorkingTaskerIds, markCrewPaymentPaid } from '../services/crewService.js';
+import logger from '../utils/logger.js';
+
+const generateOrderId = (taskId, paymentType) => {
+  const prefix = paymentType === 'final' ? `TASK_${taskId}_FINAL` : `TASK_${taskId}`;
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+// Gateway for new checkouts, or null if it is missing credentials
+const getCheckoutGateway = () => {
+  const gateway = resolveGateway({ currency: DEFAULT_CURRENCY });
+  if (!gateway || !gateway.isConfigured()) {
+    logger.error('Payment gateway not configured', {
+      gateway: gateway ? gateway.name : process.env.PAYMENT_GATEWAY,
+      currency: DEFAULT_CURRENCY
+    });
+    return null;
+  }
+  return gateway;
+};
 
+// Open the gateway checkout for a saved payment. If the gateway cannot be reached the
+// payment is marked failed and null is returned.
+const startCheckout = async (gateway, payment, params) => {
+  try {
+    const checkout = await gateway.initiate({
+      orderId: payment.payhereOrderId,
+      amount: payment.amount,
+      currency: payment.payhereCurrency,
+      ...params
+    });
+    if (checkout.reference) {
+      payment.gatewayReference = checkout.reference;
+      await payment.save();
+    }
+    return checkout;
+  } catch (error) {
+    logger.error('Checkout initiation error', { gateway: gateway.name, orderId: payment.payhereOrderId, error: error.message });
+    payment.status = 'failed';
+    payment.failureReason = 'Checkout could not be started';
+    await payment.save();
+    return null;
+  }
+};
 
 // @desc    Initialize advance payment
 // @route   POST /api/payments/initiate-advance
 // @access  Private (Customer only)
 export const initiateAdvancePayment = async (req, res) => {
   try {
-
-
-    // Check if PayHere credentials are configured
-    if (!PAYHERE_CONFIG.MERCHANT_ID || !PAYHERE_CONFIG.MERCHANT_SECRET) {
-      console.error('PayHere credentials not configured:', {
-        MERCHANT_ID: !!PAYHERE_CONFIG.MERCHANT_ID,
-        MERCHANT_SECRET: !!PAYHERE_CONFIG.MERCHANT_SECRET,
-        MERCHANT_ID_VALUE: PAYHERE_CONFIG.MERCHANT_ID,
-        MERCHANT_SECRET_VALUE: PAYHERE_CONFIG.MERCHANT_SECRET ? 'HIDDEN' : 'NOT SET'
-      });
+    const gateway = getCheckoutGateway();
+    if (!gateway) {
       return res.status(500).json({
         success: false,
         message: 'Payment gateway not configured. Please contact support.'
       });
     }
 
-    const { taskId, applicationId } = req.body;
+    const { taskId, applicationId, taskerId } = req.body;
 
     // Verify user is customer
     if (req.user.role !== 'customer') {
@@ -91,23 +122,40 @@ export const initiateAdvancePayment = async (req, res) => {
       });
     }
 
+    // Crew tasks take a separate advance for each crew member
+    const assignment = isCrewTask(task) ? getAssignment(task, taskerId) : null;
+    if (isCrewTask(task) && !assignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose which crew member the advance payment is for'
+      });
+    }
+
+    if (assignment && assignment.advancePaymentStatus === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Advance payment has already been completed for this crew member'
+      });
+    }
+
     // Calculate advance payment (20% of agreed payment)
-    const advanceAmount = Math.round(task.agreedPayment * 0.2);
+    const advanceAmount = Math.round((assignment ? assignment.agreedPayment : task.agreedPayment) * 0.2);
     
     // Generate unique order ID
-    const orderId = `TASK_${taskId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const orderId = generateOrderId(taskId, 'advance');
 
     // Create payment record
     const payment = new Payment({
       task: taskId,
       customer: req.user._id,
-      tasker: task.selectedTasker._id,
+      tasker: assignment ? assignment.tasker : task.selectedTasker._id,
       amount: advanceAmount,
       paymentType: 'advance',
       status: 'pending',
+      gateway: gateway.name,
       payhereOrderId: orderId,
       payhereAmount: advanceAmount,
-      payhereCurrency: 'LKR',
+      payhereCurrency: DEFAULT_CURRENCY,
       description: `Advance payment for task: ${task.title}`
     });
 
@@ -116,178 +164,423 @@ export const initiateAdvancePayment = async (req, res) => {
 
     await payment.save();
 
-    // Prepare PayHere payment data
-    const paymentData = {
-      merchant_id: PAYHERE_CONFIG.MERCHANT_ID,
-      return_url: PAYHERE_CONFIG.RETURN_URL,
-      cancel_url: PAYHERE_CONFIG.CANCEL_URL,
-      notify_url: PAYHERE_CONFIG.NOTIFY_URL,
-      order_id: orderId,
+    const checkout = await startCheckout(gateway, payment, {
       items: `Advance Payment - ${task.title}`,
-      currency: 'LKR',
-      amount: advanceAmount,
-      first_name: req.user.fullName?.split(' ')[0] || req.user.name?.split(' ')[0] || 'Customer',
-      last_name: req.user.fullName?.split(' ').slice(1).join(' ') || req.user.name?.split(' ').slice(1).join(' ') || '',
-      email: req.user.email,
-      phone: req.user.phone || '',
-      address: task.area,
-      city: task.area,
-      country: 'Sri Lanka',
-      custom_1: taskId,
-      custom_2: applicationId || '',
-      custom_3: 'advance_payment'
-    };
+      user: req.user,
+      task,
+      applicationId,
+      paymentType: 'advance'
+    });
+    if (!checkout) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not reach the payment gateway. Please try again.'
+      });
+    }
 
-    // Generate MD5 signature
-    const signatureString = Object.keys(paymentData)
-      .sort()
-      .map(key => `${key}=${paymentData[key]}`)
-      .join('&') + PAYHERE_CONFIG.MERCHANT_SECRET;
+    // Update task with advance payment info
+    const advanceTarget = assignment || task;
+    advanceTarget.advancePayment = advanceAmount;
+    advanceTarget.advancePaymentStatus = 'pending';
+    advanceTarget.paymentId = orderId;
+    await task.save();
 
-    const md5sig = crypto.createHash('md5').update(signatureString).digest('hex').toUpperCase();
+    res.status(200).json({
+      success: true,
+      message: 'Payment initiated successfully',
+      data: {
+        gateway: gateway.name,
+        paymentUrl: checkout.paymentUrl,
+        paymentData: checkout.paymentData,
+        orderId,
+        amount: advanceAmount,
+        hash: checkout.hash // Required by the PayHere JavaScript SDK
+      }
+    });
 
-    // Generate PayHere hash value as required by JavaScript SDK
-    // hash = to_upper_case(md5(merchant_id + order_id + amount + currency + to_upper_case(md5(merchant_secret))))
-    const merchantSecretHash = crypto.createHash('md5').update(PAYHERE_CONFIG.MERCHANT_SECRET).digest('hex').toUpperCase();
-    const hashString = PAYHERE_CONFIG.MERCHANT_ID + orderId + advanceAmount.toFixed(2) + 'LKR' + merchantSecretHash;
-    const hash = crypto.createHash('md5').update(hashString).digest('hex').toUpperCase();
+  } catch (error) {
+    logger.error('Initiate advance payment error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while initiating payment'
+    });
+  }
+};
 
+// @desc    Initialize final payment (remaining balance after the advance)
+// @route   POST /api/payments/initiate-final
+// @access  Private (Customer only)
+export const initiateFinalPayment = async (req, res) => {
+  try {
+    const gateway = getCheckoutGateway();
+    if (!gateway) {
+      return res.status(500).json({
+        success: false,
+        message: 'Payment gateway not configured. Please contact support.'
+      });
+    }
 
+    const { taskId, taskerId } = req.body;
 
-    // Add signature to payment data
-    paymentData.md5sig = md5sig;
+    // Verify user is customer
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customers can initiate payments'
+      });
+    }
 
-    // Update task with advance payment info
-    task.advancePayment = advanceAmount;
-    task.advancePaymentStatus = 'pending';
-    task.paymentId = orderId;
-    await task.save();
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Verify the customer owns the task
+    if (task.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only pay for your own tasks'
+      });
+    }
+
+    // Both parties must have marked the task complete
+    if (task.status !== 'completed' || !task.customerCompletedAt || !task.taskerCompletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Final payment is only available after both parties have marked the task complete'
+      });
+    }
+
+    if (!['paid', 'released'].includes(task.advancePaymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Advance payment has not been completed for this task'
+      });
+    }
+
+    if (task.finalPaymentStatus === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Final payment has already been completed for this task'
+      });
+    }
+
+    // Crew tasks pay each crew member's balance separately
+    const assignment = isCrewTask(task) ? getAssignment(task, taskerId) : null;
+    if (isCrewTask(task) && !assignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose which crew member the final payment is for'
+      });
+    }
+
+    if (assignment && assignment.finalPaymentStatus === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Final payment has already been completed for this crew member'
+      });
+    }
+
+    // Remaining balance is the agreed payment less everything already paid in advance
+    const advancePayments = await Payment.find({
+      task: task._id,
+      paymentType: 'advance',
+      status: 'completed',
+      ...(assignment && { tasker: assignment.tasker })
+    });
+    const advancePaid = advancePayments.reduce((sum, p) => sum + p.amount, 0);
+    const finalAmount = (assignment ? assignment.agreedPayment : task.agreedPayment) - advancePaid;
+
+    if (!(finalAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No remaining balance to pay for this task'
+      });
+    }
+
+    const workingTaskerId = assignment ? assignment.tasker : task.selectedTasker || task.targetedTasker;
+    const orderId = generateOrderId(task._id, 'final');
+
+    const payment = new Payment({
+      task: task._id,
+      customer: req.user._id,
+      tasker: workingTaskerId,
+      amount: finalAmount,
+      paymentType: 'final',
+      status: 'pending',
+      gateway: gateway.name,
+      payhereOrderId: orderId,
+      payhereAmount: finalAmount,
+      payhereCurrency: DEFAULT_CURRENCY,
+      description: `Final payment for task: ${task.title}`
+    });
 
-    // Determine which PayHere URL to use based on environment
-    const paymentUrl = process.env.NODE_ENV === 'production' ? PAYHERE_CONFIG.LIVE_URL : PAYHERE_CONFIG.SANDBOX_URL;
+    payment.calculatePlatformCommission();
+    await payment.save();
 
+    const checkout = await startCheckout(gateway, payment, {
+      items: `Final Payment - ${task.title}`,
+      user: req.user,
+      task,
+      paymentType: 'final'
+    });
+    if (!checkout) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not reach the payment gateway. Please try again.'
+      });
+    }
 
+    const finalTarget = assignment || task;
+    finalTarget.finalPayment = finalAmount;
+    finalTarget.finalPaymentStatus = 'pending';
+    finalTarget.finalPaymentId = orderId;
+    await task.save();
 
     res.status(200).json({
       success: true,
-      message: 'Payment initiated successfully',
+      message: 'Final payment initiated successfully',
       data: {
-        paymentUrl,
-        paymentData,
+        gateway: gateway.name,
+        paymentUrl: checkout.paymentUrl,
+        paymentData: checkout.paymentData,
         orderId,
-        amount: advanceAmount,
-        hash // Return the hash for frontend PayHere SDK
+        amount: finalAmount,
+        hash: checkout.hash
       }
     });
 
   } catch (error) {
-    console.error('Initiate advance payment error:', error);
+    logger.error('Initiate final payment error', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
-      message: 'Server error while initiating payment'
+      message: 'Server error while initiating final payment'
     });
   }
 };
 
-// @desc    Handle PayHere payment notification
-// @route   POST /api/payments/notify
+// Mark the task fully paid, add the final payment to the customer's spend and the
+// task's earnings to the taskers' statistics
+const applyFinalPaymentSuccess = async (task, payment) => {
+  // Repeated notifications must not count the task twice
+  if (task.finalPaymentStatus === 'paid') return;
+
+  task.finalPaymentStatus = 'paid';
+  task.finalPaymentDate = new Date();
+  task.fullyPaidAt = task.finalPaymentDate;
+  await task.save();
+
+  const earlierPayments = await Payment.find({
+    task: task._id,
+    status: 'completed',
+    _id: { $ne: payment._id }
+  });
+  const taskPayments = [...earlierPayments, payment];
+
+  // Crew members each earn from their own payments
+  const earningsByTasker = new Map();
+  for (const p of taskPayments) {
+    const taskerId = String(p.tasker);
+    earningsByTasker.set(taskerId, (earningsByTasker.get(taskerId) || 0) + (p.taskerEarnings || 0));
+  }
+
+  const [customer, ...taskers] = await Promise.all([
+    User.findById(payment.customer),
+    ...[...earningsByTasker.keys()].map((taskerId) => User.findById(taskerId))
+  ]);
+  if (customer) await customer.updateFinancials(payment.amount, false);
+  for (const tasker of taskers) {
+    if (tasker) await tasker.updateFinancials(earningsByTasker.get(String(tasker._id)), true);
+  }
+};
+
+// A settled payment keeps its state: repeats of a success, and failures arriving after
+// the payment has already been closed, only get recorded
+const isSettledFor = (payment, notification) => {
+  if (['completed', 'refunded'].includes(payment.status)) return true;
+  return notification.status !== 'completed' && !['pending', 'processing'].includes(payment.status);
+};
+
+// @desc    Handle payment gateway notification
+// @route   POST /api/payments/notify (PayHere)
+// @route   POST /api/payments/notify/:gateway
 // @access  Public
 export const handlePaymentNotification = async (req, res) => {
+  let event = null;
+
   try {
-    const {
-      merchant_id,
-      order_id,
-      payment_id,
-      payhere_amount,
-      payhere_currency,
-      status_code,
-      md5sig,
-      method,
-      status_message,
-      card_holder_name,
-      card_no,
-      card_expiry
-    } = req.body;
+    const gateway = getGateway(req.params.gateway || 'payhere');
+    if (!gateway) {
+      return res.status(404).json({ error: 'Unknown payment gateway' });
+    }
 
+    const notification = await gateway.verifyNotification(req);
+    if (!notification.valid) {
+      await recordUnprocessedNotification(gateway.name, req, notification, 'rejected');
+      logger.error('Payment notification verification failed', {
+        gateway: gateway.name,
+        orderId: notification.orderId,
+        error: notification.error
+      });
+      return res.status(400).json({ error: notification.error });
+    }
 
+    // Gateway events that do not settle a payment
+    if (notification.ignored) {
+      await recordUnprocessedNotification(gateway.name, req, notification, 'ignored');
+      return res.status(200).json({ status: 'ignored' });
+    }
 
-    // Verify merchant ID
-    if (merchant_id !== PAYHERE_CONFIG.MERCHANT_ID) {
-      return res.status(400).json({ error: 'Invalid merchant ID' });
+    // Retried notifications are acknowledged without repeating any side effects
+    event = await claimPaymentEvent(gateway.name, req, notification);
+    if (!event) {
+      return res.status(200).json({ status: 'duplicate' });
     }
 
+    const { orderId: order_id, gatewayPaymentId: payment_id, statusMessage: status_message } = notification;
+
     // Find payment by order ID
     const payment = await Payment.findOne({ payhereOrderId: order_id });
     if (!payment) {
+      await finishPaymentEvent(event, { processingStatus: 'failed', error: 'Payment not found' });
       return res.status(404).json({ error: 'Payment not found' });
     }
 
-    // Verify MD5 signature using PayHere formula:
-    // md5sig = toUpperCase(md5(merchant_id + order_id + payhere_amount + payhere_currency + status_code + toUpperCase(md5(merchant_secret))))
-    const receivedMd5sig = (md5sig || '').toUpperCase();
-    const merchantSecretHash = crypto.createHash('md5').update(PAYHERE_CONFIG.MERCHANT_SECRET || '').digest('hex').toUpperCase();
-    const signatureString = `${merchant_id}${order_id}${payhere_amount}${payhere_currency}${status_code}${merchantSecretHash}`;
-    const calculatedMd5sig = crypto.createHash('md5').update(signatureString).digest('hex').toUpperCase();
-
-    if (receivedMd5sig !== calculatedMd5sig) {
-      console.error('MD5 signature verification failed', {
-        receivedMd5sig,
-        calculatedMd5sig,
-        debug: {
-          merchant_id,
-          order_id,
-          payhere_amount,
-          payhere_currency,
-          status_code,
-          merchantSecretHash,
-          signatureString
-        }
+    if (payment.gateway !== gateway.name) {
+      await finishPaymentEvent(event, {
+        processingStatus: 'skipped',
+        payment: payment._id,
+        error: 'Payment was not made through this gateway'
       });
-      return res.status(400).json({ error: 'Invalid signature' });
+      return res.status(400).json({ error: 'Payment was not made through this gateway' });
+    }
+
+    if (isSettledFor(payment, notification)) {
+      await finishPaymentEvent(event, {
+        processingStatus: 'skipped',
+        payment: payment._id,
+        error: `Payment already ${payment.status}`
+      });
+      return res.status(200).json({ status: 'success' });
     }
 
     // Update payment record
-    payment.payherePaymentId = payment_id;
-    payment.payhereStatus = status_message;
-    payment.payhereStatusCode = status_code;
-    payment.payhereMethod = method;
-    payment.payhereAmount = payhere_amount;
-    payment.payhereCurrency = payhere_currency;
+    Object.assign(payment, notification.paymentFields);
+    if (payment_id) {
+      payment.gatewayPaymentId = payment_id;
+    }
 
-    if (status_code === '2') {
+    let paidTask = null;
+    if (notification.status === 'completed') {
       // Payment successful
       payment.status = 'completed';
       payment.processedAt = new Date();
 
       // Update task
       const task = await Task.findById(payment.task);
-      if (task) {
+      paidTask = task;
+      // Crew payments are recorded per crew member; the task moves on once the whole crew is paid
+      const crewPaid = task && isCrewTask(task) ? markCrewPaymentPaid(task, payment) : true;
+      if (task && payment.isFinalPayment()) {
+        // The work is already done, so the final payment goes straight to the tasker
+        payment.escrowReleasedAt = new Date();
+        if (crewPaid) {
+          await applyFinalPaymentSuccess(task, payment);
+        } else {
+          await task.save();
+        }
+
+        logger.info('Task fully paid after final payment', {
+          taskId: task._id,
+          orderId: order_id,
+          paymentId: payment_id
+        });
+
+        try {
+          const io = req.app.get('io');
+          if (io) {
+            io.to(`user-${task.customer}`).emit('payment-success', {
+              taskId: task._id,
+              orderId: order_id,
+              paymentId: payment_id,
+              paymentType: 'final',
+              message: crewPaid
+                ? 'Final payment successful! Task is fully paid.'
+                : 'Final payment successful. Other crew members still need to be paid.'
+            });
+            io.to(`user-${payment.tasker}`).emit('task-update', {
+              type: 'task-fully-paid',
+              taskId: task._id,
+              taskTitle: task.title,
+              message: `Final payment received for ${task.title}.`,
+              timestamp: new Date().toISOString()
+            });
+          }
+        } catch (wsError) {
+          logger.error('WebSocket notification error', { error: wsError.message, stack: wsError.stack });
+        }
+      } else if (task && !crewPaid) {
+        await task.save();
+
+        try {
+          const io = req.app.get('io');
+          if (io) {
+            io.to(`user-${task.customer}`).emit('payment-success', {
+              taskId: task._id,
+              orderId: order_id,
+              paymentId: payment_id,
+              message: 'Payment successful! The task will be scheduled once every crew member\'s advance is paid.'
+            });
+          }
+        } catch (wsError) {
+          logger.error('WebSocket notification error', { error: wsError.message, stack: wsError.stack });
+        }
+      } else if (task) {
         task.advancePaymentStatus = 'paid';
         task.advancePaymentDate = new Date();
-        task.status = 'scheduled';
-        await task.save();
+        if (isCrewTask(task)) {
+          task.advancePayment = task.assignments.reduce((sum, a) => sum + (a.advancePayment || 0), 0);
+        }
+        try {
+          await transitionTask(task, 'scheduled', {
+            reason: 'Advance payment received',
+            metadata: { orderId: order_id, paymentId: payment_id }
+          });
+        } catch (transitionError) {
+          if (!(transitionError instanceof TaskTransitionError)) throw transitionError;
+          // Keep the payment details even if the task can no longer be scheduled
+          logger.error('Task could not be scheduled after payment', {
+            taskId: task._id,
+            orderId: order_id,
+            reason: transitionError.message
+          });
+          await task.save();
+        }
 
-        // Update applications: confirm selected tasker, reject all others
+        // Update applications: confirm selected tasker(s), reject all others
         try {
-          const workingTaskerId = task.selectedTasker || task.targetedTasker;
-          if (workingTaskerId) {
-            // Confirm the selected/working tasker's application
-            await Application.updateOne(
-              { task: task._id, tasker: workingTaskerId },
+          const workingTaskerIds = getWorkingTaskerIds(task);
+          if (workingTaskerIds.length > 0) {
+            // Confirm the selected/working taskers' applications
+            await Application.updateMany(
+              { task: task._id, tasker: { $in: workingTaskerIds } },
               { $set: { status: 'confirmed' } }
             );
 
             // Reject all other applications still pending or confirmed incorrectly
             await Application.updateMany(
-              { task: task._id, tasker: { $ne: workingTaskerId }, status: { $ne: 'rejected' } },
+              { task: task._id, tasker: { $nin: workingTaskerIds }, status: { $ne: 'rejected' } },
               { $set: { status: 'rejected' } }
             );
           }
         } catch (appErr) {
-          console.error('Error updating applications after scheduling:', appErr);
+          logger.error('Error updating applications after scheduling', { error: appErr.message, stack: appErr.stack });
         }
         
-        console.log('Task scheduled after successful payment:', {
+        logger.info('Task scheduled after successful payment', {
           taskId: task._id,
           orderId: order_id,
           paymentId: payment_id
@@ -305,28 +598,21 @@ export const handlePaymentNotification = async (req, res) => {
               paymentId: payment_id,
               message: 'Payment successful! Task has been scheduled.'
             });
-            console.log(`WebSocket notification sent to user ${task.customer._id}`);
+            logger.info('WebSocket notification sent', { userId: task.customer._id });
           }
         } catch (wsError) {
-          console.error('WebSocket notification error:', wsError);
+          logger.error('WebSocket notification error', { error: wsError.message, stack: wsError.stack });
         }
       }
-    } else {
-      // Payment failed
-      payment.status = 'failed';
+    } else if (notification.status !== 'pending') {
+      // Payment failed or was cancelled at the gateway
+      payment.status = notification.status === 'cancelled' ? 'cancelled' : 'failed';
       payment.failureReason = status_message;
       
-      // Reset task status if payment failed
+      // Reset task payment fields if payment failed
       const task = await Task.findById(payment.task);
-      if (task && task.status === 'active' && task.advancePaymentStatus === 'pending') {
-        // Keep task as active, but clear payment-related fields
-        task.advancePaymentStatus = null;
-        task.advancePayment = null;
-        task.paymentId = null;
-        // Note: We keep selectedTasker and agreedPayment so customer can retry payment
-        await task.save();
-        
-        console.log('Task reset to active after payment failure:', {
+      if (task && await resetPendingTaskPayment(task, payment)) {
+        logger.info('Task payment reset after payment failure', {
           taskId: task._id,
           orderId: order_id,
           failureReason: status_message
@@ -336,11 +622,41 @@ export const handlePaymentNotification = async (req, res) => {
 
     await payment.save();
 
-    // Return success to PayHere
+    if (payment.status === 'completed') {
+      try {
+        await recordCustomerCharge(payment);
+        if (payment.escrowReleasedAt) {
+          await recordEscrowRelease(payment);
+        }
+      } catch (ledgerError) {
+        // Reconciliation will flag the missing charge; don't make the gateway retry the callback
+        logger.error('Ledger charge posting error', {
+          orderId: order_id,
+          error: ledgerError.message
+        });
+      }
+    }
+
+    await finishPaymentEvent(event, { processingStatus: 'processed', payment: payment._id });
+
+    if (payment.status === 'completed') {
+      await notify(payment.customer, 'payment_success', {
+        taskId: payment.task,
+        taskTitle: paidTask?.title,
+        orderId: order_id,
+        paymentType: payment.paymentType,
+        amount: payment.amount,
+        currency: payment.payhereCurrency
+      }, { io: req.app.get('io') });
+    }
+
+    // Acknowledge the notification
     res.status(200).json({ status: 'success' });
 
   } catch (error) {
-    console.error('Payment notification error:', error);
+    // Leave the event failed so the gateway's retry processes it again
+    await finishPaymentEvent(event, { processingStatus: 'failed', error: error.message });
+    logger.error('Payment notification error', { orderId: event?.orderId, error: error.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -361,7 +677,7 @@ export const handlePaymentReturn = async (req, res) => {
     }
 
   } catch (error) {
-    console.error('Payment return error:', error);
+    logger.error('Payment return error', { error: error.message, stack: error.stack });
     res.redirect(`${process.env.FRONTEND_URL}/payment/failed?reason=server_error`);
   }
 };
@@ -373,40 +689,26 @@ export const handlePaymentCancel = async (req, res) => {
   try {
     const { order_id } = req.query;
     
-    // Find the payment and update its status
-    const payment = await Payment.findOne({ payhereOrderId: order_id });
-    if (payment) {
-      payment.status = 'cancelled';
-      await payment.save();
-
-      // Reset task status back to active if payment was cancelled
-      const task = await Task.findById(payment.task);
-      if (task && task.status === 'active' && task.advancePaymentStatus === 'pending') {
-        // Keep task as active, but clear payment-related fields
-        task.advancePaymentStatus = null;
-        task.advancePayment = null;
-        task.paymentId = null;
-        // Note: We keep selectedTasker and agreedPayment so customer can retry payment
-        await task.save();
-        
-        console.log('Task reset to active after payment cancellation:', {
-          taskId: task._id,
-          orderId: order_id
-        });
-      }
+    // Cancel the payment if it is still pending and reset the task's payment fields
+    const { task, taskReset } = await closePendingPayment({ payhereOrderId: String(order_id) });
+    if (taskReset) {
+      logger.info('Task payment reset after payment cancellation', {
+        taskId: task._id,
+        orderId: order_id
+      });
     }
 
     res.redirect(`${process.env.FRONTEND_URL}/payment/cancelled?order_id=${order_id}`);
 
   } catch (error) {
-    console.error('Payment cancel error:', error);
+    logger.error('Payment cancel error', { error: error.message, stack: error.stack });
     res.redirect(`${process.env.FRONTEND_URL}/payment/cancelled?reason=server_error`);
   }
 };
 
 // @desc    Release advance payment to tasker
 // @route   POST /api/payments/release-advance
-// @access  Private (System/Admin only)
+// @access  Private (Admin with payments.refund)
 export const releaseAdvancePayment = async (req, res) => {
   try {
     const { taskId } = req.body;
@@ -433,19 +735,43 @@ export const releaseAdvancePayment = async (req, res) => {
       });
     }
 
+    // The advance stays in escrow until an open dispute is resolved
+    if (await findActiveDispute(task._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The advance payment is frozen while a dispute on this task is open'
+      });
+    }
+
+    // Crew tasks hold one advance per crew member
+    const payments = await Payment.find({
+      task: taskId,
+      paymentType: 'advance',
+      status: 'completed',
+      escrowReleasedAt: null
+    }).sort({ processedAt: -1 });
+
+    if (payments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No completed advance payment found to release'
+      });
+    }
+
     // Update task advance payment status
     task.advancePaymentStatus = 'released';
     task.advancePaymentReleasedAt = new Date();
+    for (const assignment of task.assignments || []) {
+      if (assignment.advancePaymentStatus === 'paid') assignment.advancePaymentStatus = 'released';
+    }
     await task.save();
 
-    // Update payment record
-    await Payment.findOneAndUpdate(
-      { task: taskId, paymentType: 'advance' },
-      { 
-        status: 'completed',
-        processedAt: new Date()
-      }
-    );
+    // Update payment records and move the money out of escrow
+    for (const payment of payments) {
+      payment.escrowReleasedAt = task.advancePaymentReleasedAt;
+      await payment.save();
+      await recordEscrowRelease(payment, { createdBy: req.user._id });
+    }
 
     res.status(200).json({
       success: true,
@@ -453,7 +779,7 @@ export const releaseAdvancePayment = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Release advance payment error:', error);
+    logger.error('Release advance payment error', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error while releasing payment'
@@ -476,7 +802,7 @@ export const getTaskPayments = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get task payments error:', error);
+    logger.error('Get task payments error', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error while fetching payments'
@@ -508,7 +834,7 @@ export const getMyPayments = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get my payments error:', error);
+    logger.error('Get my payments error', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error while fetching payments'
@@ -532,12 +858,24 @@ export const checkPaymentStatus = async (req, res) => {
       });
     }
 
+    // Ask the gateway while we are still waiting for its notification
+    let gatewayStatus;
+    if (req.query.refresh === 'true' && payment.status === 'pending') {
+      const gateway = getGatewayForPayment(payment);
+      if (gateway) {
+        const result = await gateway.queryStatus(payment);
+        gatewayStatus = result.success ? result.status : undefined;
+      }
+    }
+
     // Return payment status
     res.status(200).json({
       success: true,
       data: {
         orderId: payment.payhereOrderId,
+        gateway: payment.gateway,
         paymentStatus: payment.status,
+        gatewayStatus,
         amount: payment.amount,
         taskId: payment.task,
         processedAt: payment.processedAt
@@ -545,7 +883,7 @@ export const checkPaymentStatus = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Check payment status error:', error);
+    logger.error('Check payment status error', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error while checking payment status'
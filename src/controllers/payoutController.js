@@ -0,0 +1,469 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import PayoutRequest from '../models/PayoutRequest.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import {
+  PayoutError,
+  getTaskerBalance,
+  maskAccountNumber,
+  createPayoutRequest as createPayoutRequestRecord,
+  cancelPayoutRequest as cancelPayoutRequestRecord,
+  approvePayoutRequest as approvePayoutRequestRecord,
+  rejectPayoutRequest as rejectPayoutRequestRecord,
+  createPayoutBatch as createPayoutBatchRecord,
+  exportPayoutBatch as exportPayoutBatchRecord,
+  completePayoutBatch as completePayoutBatchRecord
+} from '../services/payoutService.js';
+
+const BANK_ACCOUNT_FIELDS = ['accountHolderName', 'bankName', 'bankCode', 'branchName', 'branchCode', 'accountNumber'];
+
+const maskBankAccount = (bankAccount) => {
+  if (!bankAccount || !bankAccount.accountNumber) return null;
+  const account = bankAccount.toObject ? bankAccount.toObject() : { ...bankAccount };
+  return { ...account, accountNumber: maskAccountNumber(account.accountNumber) };
+};
+
+const handlePayoutError = (res, error, message) => {
+  if (error instanceof PayoutError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${message.toLowerCase()}`
+  });
+};
+
+// Tell the tasker their payout request changed
+const emitPayoutUpdate = (req, request) => {
+  try {
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user-${request.tasker}`).emit('payout-update', {
+        payoutRequestId: request._id,
+        status: request.status,
+        amount: request.amount,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (wsError) {
+    console.error('WebSocket payout update failed:', wsError);
+  }
+};
+
+const logPayoutAction = async (req, actionType, targetId, details, metadata = {}) => {
+  try {
+    await AdminActionLog.create({
+      adminId: req.user._id,
+      actionType,
+      targetId,
+      targetModel: 'User',
+      details,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata
+    });
+  } catch (logError) {
+    console.error('AdminActionLog failed for payout action:', logError.message);
+  }
+};
+
+const validateObjectId = (res, id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${label} ID`
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Get the tasker's payout bank account (account number masked)
+// @route   GET /api/payouts/bank-account
+// @access  Private (Tasker only)
+export const getBankAccount = async (req, res) => {
+  try {
+    const tasker = await User.findById(req.user._id).select('+taskerProfile.bankAccount');
+
+    res.status(200).json({
+      success: true,
+      data: maskBankAccount(tasker?.taskerProfile?.bankAccount)
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Fetching bank account');
+  }
+};
+
+// @desc    Add or replace the tasker's payout bank account
+// @route   PUT /api/payouts/bank-account
+// @access  Private (Tasker only)
+export const updateBankAccount = async (req, res) => {
+  try {
+    const bankAccount = { updatedAt: new Date() };
+    for (const field of BANK_ACCOUNT_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== '') {
+        bankAccount[field] = String(req.body[field]).trim();
+      }
+    }
+    if (bankAccount.accountNumber) {
+      bankAccount.accountNumber = bankAccount.accountNumber.replace(/[\s-]/g, '');
+    }
+
+    const tasker = await User.findById(req.user._id).select('+taskerProfile.bankAccount');
+    tasker.taskerProfile.bankAccount = bankAccount;
+    await tasker.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bank account updated successfully',
+      data: maskBankAccount(tasker.taskerProfile.bankAccount)
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Updating bank account');
+  }
+};
+
+// @desc    Get the tasker's released earnings and withdrawable balance
+// @route   GET /api/payouts/balance
+// @access  Private (Tasker only)
+export const getPayoutBalance = async (req, res) => {
+  try {
+    const balance = await getTaskerBalance(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: balance
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Fetching payout balance');
+  }
+};
+
+// @desc    Request a withdrawal against the released balance
+// @route   POST /api/payouts/requests
+// @access  Private (Tasker only)
+export const requestPayout = async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    const request = await createPayoutRequestRecord(req.user._id, { amount, note });
+    const balance = await getTaskerBalance(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested successfully',
+      data: {
+        payoutRequest: {
+          ...request.toObject(),
+          bankAccount: maskBankAccount(request.bankAccount)
+        },
+        balance
+      }
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Requesting payout');
+  }
+};
+
+// @desc    Get the tasker's payout requests
+// @route   GET /api/payouts/requests
+// @access  Private (Tasker only)
+export const getMyPayoutRequests = async (req, res) => {
+  try {
+    const payoutRequests = await PayoutRequest.getPayoutsByTasker(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: payoutRequests
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Fetching payout requests');
+  }
+};
+
+// @desc    Cancel a payout request that has not been reviewed yet
+// @route   DELETE /api/payouts/requests/:requestId
+// @access  Private (Tasker only)
+export const cancelPayoutRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (!validateObjectId(res, requestId, 'payout request')) return;
+
+    const request = await cancelPayoutRequestRecord(requestId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout request cancelled',
+      data: { _id: request._id, status: request.status, amount: request.amount }
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Cancelling payout request');
+  }
+};
+
+// @desc    List payout requests for review
+// @route   GET /api/admin/payouts/requests
+// @access  Private (Admin only)
+export const getPayoutRequests = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const numericPage = Math.max(parseInt(page) || 1, 1);
+    const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = {};
+    if (status) query.status = status;
+
+    const [payoutRequests, total] = await Promise.all([
+      PayoutRequest.find(query)
+        .populate('tasker', 'fullName email phone')
+        .populate('batch', 'reference status')
+        .sort({ createdAt: 1 })
+        .skip((numericPage - 1) * numericLimit)
+        .limit(numericLimit),
+      PayoutRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payoutRequests: payoutRequests.map(r => ({
+          ...r.toObject(),
+          bankAccount: maskBankAccount(r.bankAccount)
+        })),
+        pagination: {
+          currentPage: numericPage,
+          totalPages: Math.ceil(total / numericLimit),
+          totalRequests: total,
+          hasNextPage: numericPage * numericLimit < total,
+          hasPrevPage: numericPage > 1
+        }
+      }
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Fetching payout requests');
+  }
+};
+
+// @desc    Approve a payout request
+// @route   POST /api/admin/payouts/requests/:requestId/approve
+// @access  Private (Admin only)
+export const approvePayoutRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (!validateObjectId(res, requestId, 'payout request')) return;
+
+    const request = await approvePayoutRequestRecord(requestId, req.user);
+
+    await logPayoutAction(req, 'PAYMENT_APPROVED', request.tasker, `Approved payout of LKR ${request.amount}`, {
+      payoutRequestId: request._id,
+      amount: request.amount
+    });
+    emitPayoutUpdate(req, request);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout request approved',
+      data: request
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Approving payout request');
+  }
+};
+
+// @desc    Reject a payout request
+// @route   POST /api/admin/payouts/requests/:requestId/reject
+// @access  Private (Admin only)
+export const rejectPayoutRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { reason } = req.body;
+    if (!validateObjectId(res, requestId, 'payout request')) return;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const request = await rejectPayoutRequestRecord(requestId, req.user, { reason: reason.trim() });
+
+    await logPayoutAction(req, 'PAYMENT_REJECTED', request.tasker, `Rejected payout: ${reason.trim()}`, {
+      payoutRequestId: request._id,
+      amount: request.amount
+    });
+    emitPayoutUpdate(req, request);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout request rejected',
+      data: request
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Rejecting payout request');
+  }
+};
+
+// @desc    Batch approved payout requests
+// @route   POST /api/admin/payouts/batches
+// @access  Private (Admin only)
+export const createPayoutBatch = async (req, res) => {
+  try {
+    const { requestIds } = req.body;
+
+    if (requestIds !== undefined && (!Array.isArray(requestIds) || !requestIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'requestIds must be an array of payout request IDs'
+      });
+    }
+
+    const batch = await createPayoutBatchRecord(req.user, { requestIds });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${batch.reference} created with ${batch.requestCount} request(s)`,
+      data: batch
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Creating payout batch');
+  }
+};
+
+// @desc    List payout batches
+// @route   GET /api/admin/payouts/batches
+// @access  Private (Admin only)
+export const getPayoutBatches = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const batches = await PayoutBatch.find(query)
+      .populate('createdBy', 'fullName email')
+      .populate('completedBy', 'fullName email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Fetching payout batches');
+  }
+};
+
+// @desc    Get a payout batch with its requests
+// @route   GET /api/admin/payouts/batches/:batchId
+// @access  Private (Admin only)
+export const getPayoutBatchDetails = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    if (!validateObjectId(res, batchId, 'payout batch')) return;
+
+    const batch = await PayoutBatch.findById(batchId)
+      .populate('createdBy', 'fullName email')
+      .populate('completedBy', 'fullName email');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    const requests = await PayoutRequest.find({ batch: batch._id })
+      .populate('tasker', 'fullName email')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batch,
+        requests: requests.map(r => ({ ...r.toObject(), bankAccount: maskBankAccount(r.bankAccount) }))
+      }
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Fetching payout batch');
+  }
+};
+
+// @desc    Download a payout batch as a bank-upload CSV file
+// @route   GET /api/admin/payouts/batches/:batchId/export
+// @access  Private (Admin only)
+export const exportPayoutBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    if (!validateObjectId(res, batchId, 'payout batch')) return;
+
+    const { batch, csv, filename } = await exportPayoutBatchRecord(batchId);
+
+    await logPayoutAction(req, 'DATA_EXPORTED', req.user._id, `Exported payout batch ${batch.reference}`, {
+      batchId: batch._id,
+      totalAmount: batch.totalAmount,
+      requestCount: batch.requestCount,
+      exportCount: batch.exportCount
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    handlePayoutError(res, error, 'Exporting payout batch');
+  }
+};
+
+// @desc    Record the bank result for an exported batch
+// @route   POST /api/admin/payouts/batches/:batchId/complete
+// @access  Private (Admin only)
+export const completePayoutBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { bankReference, failed = [] } = req.body;
+    if (!validateObjectId(res, batchId, 'payout batch')) return;
+
+    if (!Array.isArray(failed) || !failed.every(f => f && mongoose.Types.ObjectId.isValid(f.requestId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'failed must be an array of { requestId, reason }'
+      });
+    }
+
+    const { batch, requests } = await completePayoutBatchRecord(batchId, req.user, { bankReference, failed });
+
+    for (const request of requests) {
+      await logPayoutAction(
+        req,
+        request.status === 'paid' ? 'PAYMENT_APPROVED' : 'PAYOUT_FAILED',
+        request.tasker,
+        request.status === 'paid'
+          ? `Payout of LKR ${request.amount} paid in batch ${batch.reference}`
+          : `Payout of LKR ${request.amount} failed in batch ${batch.reference}: ${request.failureReason}`,
+        { payoutRequestId: request._id, batchId: batch._id, status: request.status, bankReference }
+      );
+      emitPayoutUpdate(req, request);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Batch ${batch.reference} completed: ${batch.paidCount} paid, ${batch.failedCount} failed`,
+      data: batch
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Completing payout batch');
+  }
+};
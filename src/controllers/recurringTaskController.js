@@ -0,0 +1,257 @@
+import mongoose from 'mongoose';
+import RecurringTask from '../models/RecurringTask.js';
+import Task from '../models/Task.js';
+import {
+  RecurringTaskError,
+  applySeriesChanges,
+  generateOccurrences,
+  getUpcomingOccurrences,
+  skipOccurrence,
+  updateSeries,
+  setSeriesPaused,
+  endSeries
+} from '../services/recurringTaskService.js';
+
+const handleRecurringTaskError = (res, error, message) => {
+  if (error instanceof RecurringTaskError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${message.toLowerCase()}`
+  });
+};
+
+const assertCustomer = (user) => {
+  if (user.role !== 'customer') {
+    throw new RecurringTaskError('Only customers can manage recurring tasks', 403);
+  }
+};
+
+// Find one of the customer's own recurring tasks
+const findOwnSeries = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new RecurringTaskError('Invalid recurring task ID');
+  }
+
+  const series = await RecurringTask.findOne({ _id: req.params.id, customer: req.user._id });
+  if (!series) {
+    throw new RecurringTaskError('Recurring task not found', 404);
+  }
+  return series;
+};
+
+// @desc    Create a recurring task and its first occurrences
+// @route   POST /api/recurring-tasks
+// @access  Private (Customer only)
+// @body    { title, description, category, tags, area, location, minPayment, maxPayment,
+//            recurrence: { frequency: 'weekly' | 'biweekly' | 'monthly', weekdays, dayOfMonth },
+//            startsOn, endsOn, windowDays, preferredTasker }
+export const createRecurringTask = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = new RecurringTask({ customer: req.user._id });
+    await applySeriesChanges(series, req.body);
+    await series.save();
+
+    const { tasks } = await generateOccurrences(series, { io: req.app.get('io') });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring task created successfully',
+      data: {
+        recurringTask: series,
+        occurrences: tasks,
+        upcoming: getUpcomingOccurrences(series)
+      }
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Creating recurring task');
+  }
+};
+
+// @desc    List the customer's recurring tasks
+// @route   GET /api/recurring-tasks
+// @access  Private (Customer only)
+export const getRecurringTasks = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const query = { customer: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const recurringTasks = await RecurringTask.find(query)
+      .populate('preferredTasker', 'fullName rating')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: recurringTasks.map((series) => ({
+        ...series.toObject(),
+        nextOccurrence: series.status === 'active' ? getUpcomingOccurrences(series, { count: 1 })[0] || null : null
+      }))
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Fetching recurring tasks');
+  }
+};
+
+// @desc    Get a recurring task with its created and upcoming occurrences
+// @route   GET /api/recurring-tasks/:id
+// @access  Private (Customer only)
+export const getRecurringTask = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = await findOwnSeries(req);
+    await series.populate('preferredTasker', 'fullName rating');
+
+    const occurrences = await Task.find({ recurringTask: series._id, startDate: { $gte: new Date() } })
+      .select('title status startDate endDate occurrenceDate isTargeted targetedTasker selectedTasker agreedPayment')
+      .populate('selectedTasker', 'fullName')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recurringTask: series,
+        occurrences,
+        upcoming: series.status === 'active' ? getUpcomingOccurrences(series) : []
+      }
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Fetching recurring task');
+  }
+};
+
+// @desc    Edit the whole series (content, schedule or preferred tasker)
+// @route   PATCH /api/recurring-tasks/:id
+// @access  Private (Customer only)
+// @body    any of the fields accepted on create
+export const updateRecurringTask = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = await findOwnSeries(req);
+    const { updated, cancelled, created } = await updateSeries(series, req.body, {
+      actor: req.user,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring task updated successfully',
+      data: {
+        recurringTask: series,
+        updatedOccurrences: updated,
+        cancelledOccurrences: cancelled,
+        createdOccurrences: created
+      }
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Updating recurring task');
+  }
+};
+
+// @desc    Pause a recurring task (no new occurrences are created)
+// @route   POST /api/recurring-tasks/:id/pause
+// @access  Private (Customer only)
+export const pauseRecurringTask = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = await findOwnSeries(req);
+    await setSeriesPaused(series, true);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring task paused',
+      data: series
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Pausing recurring task');
+  }
+};
+
+// @desc    Resume a paused recurring task
+// @route   POST /api/recurring-tasks/:id/resume
+// @access  Private (Customer only)
+export const resumeRecurringTask = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = await findOwnSeries(req);
+    const { created } = await setSeriesPaused(series, false, { io: req.app.get('io') });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring task resumed',
+      data: {
+        recurringTask: series,
+        createdOccurrences: created
+      }
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Resuming recurring task');
+  }
+};
+
+// @desc    Skip one occurrence of a recurring task
+// @route   POST /api/recurring-tasks/:id/skip
+// @access  Private (Customer only)
+// @body    { date } - the occurrence's start time
+export const skipRecurringOccurrence = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = await findOwnSeries(req);
+    const { occurrenceDate, task } = await skipOccurrence(series, req.body.date, { actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: task ? 'Occurrence skipped and its task cancelled' : 'Occurrence skipped',
+      data: {
+        occurrenceDate,
+        taskId: task ? task._id : null
+      }
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Skipping occurrence');
+  }
+};
+
+// @desc    End a recurring task and cancel its open future occurrences
+// @route   DELETE /api/recurring-tasks/:id
+// @access  Private (Customer only)
+export const endRecurringTask = async (req, res) => {
+  try {
+    assertCustomer(req.user);
+
+    const series = await findOwnSeries(req);
+    const { cancelled } = await endSeries(series, { actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring task ended',
+      data: {
+        recurringTask: series,
+        cancelledOccurrences: cancelled
+      }
+    });
+  } catch (error) {
+    handleRecurringTaskError(res, error, 'Ending recurring task');
+  }
+};
@@ -0,0 +1,284 @@
+import mongoose from "mongoose";
+import Refund from "../models/Refund.js";
+import AdminActionLog from "../models/AdminActionLog.js";
+import { approveRefund as approveRefundRecord, rejectRefund as rejectRefundRecord, RefundError } from "../services/refundService.js";
+import logger from "../utils/logger.js";
+
+// Notify the customer that their refund has been settled
+const emitRefundUpdate = (req, refund) => {
+    try {
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user-${refund.customer}`).emit('refund-update', {
+                refundId: refund._id,
+                taskId: refund.task,
+                status: refund.status,
+                amount: refund.amount,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (wsError) {
+        logger.warn('WebSocket refund update failed', { error: wsError.message, refundId: refund._id });
+    }
+};
+
+const logRefundAction = async (req, refund, actionType, details) => {
+    try {
+        await AdminActionLog.create({
+            adminId: req.user._id,
+            actionType,
+            targetId: refund.payment,
+            targetModel: 'Payment',
+            details,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            metadata: {
+                refundId: refund._id,
+                taskId: refund.task,
+                amount: refund.amount,
+                retainedAmount: refund.retainedAmount,
+                status: refund.status,
+                gatewayRefundId: refund.gatewayRefundId
+            }
+        });
+    } catch (logError) {
+        logger.warn('AdminActionLog failed for refund action', {
+            error: logError.message,
+            refundId: refund._id
+        });
+    }
+};
+
+/**
+ * Get refunds with filtering and pagination
+ * @route GET /api/admin/refunds
+ * @access Admin only
+ * @query {string} status - Filter by refund status
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ */
+export const getRefunds = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const numericPage = Math.max(parseInt(page) || 1, 1);
+        const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const query = {};
+        if (status) query.status = status;
+
+        const [refunds, total] = await Promise.all([
+            Refund.find(query)
+                .populate('task', 'title status')
+                .populate('customer', 'fullName email')
+                .populate('tasker', 'fullName email')
+                .populate('payment', 'payhereOrderId amount status')
+                .sort({ createdAt: -1 })
+                .skip((numericPage - 1) * numericLimit)
+                .limit(numericLimit),
+            Refund.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                refunds,
+                pagination: {
+                    currentPage: numericPage,
+                    totalPages: Math.ceil(total / numericLimit),
+                    totalRefunds: total,
+                    hasNextPage: numericPage * numericLimit < total,
+                    hasPrevPage: numericPage > 1
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Error in getRefunds', { error: error.message, adminId: req.user?._id });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Get a single refund
+ * @route GET /api/admin/refunds/:refundId
+ * @access Admin only
+ */
+export const getRefundDetails = async (req, res) => {
+    try {
+        const { refundId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(refundId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid refund ID'
+            });
+        }
+
+        const refund = await Refund.findById(refundId)
+            .populate('task', 'title status agreedTime cancellationReason cancelledAt')
+            .populate('customer', 'fullName email phone')
+            .populate('tasker', 'fullName email phone')
+            .populate('payment')
+            .populate('requestedBy', 'fullName email role')
+            .populate('reviewedBy', 'fullName email');
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                message: 'Refund not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: refund
+        });
+    } catch (error) {
+        logger.error('Error in getRefundDetails', {
+            error: error.message,
+            adminId: req.user?._id,
+            refundId: req.params.refundId
+        });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Approve a refund and execute it through the payment gateway
+ * @route POST /api/admin/refunds/:refundId/approve
+ * @access Admin only
+ * @body {number} amount - Optional refund amount overriding the policy amount
+ * @body {string} notes - Optional review notes
+ */
+export const approveRefund = async (req, res) => {
+    try {
+        const { refundId } = req.params;
+        const { amount, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(refundId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid refund ID'
+            });
+        }
+
+        const refund = await approveRefundRecord(refundId, req.user, { amount, notes });
+
+        if (refund.status === 'failed') {
+            await logRefundAction(req, refund, 'REFUND_FAILED', `Refund attempt failed: ${refund.failureReason}`);
+            return res.status(502).json({
+                success: false,
+                message: 'Payment gateway rejected the refund',
+                data: refund
+            });
+        }
+
+        if (refund.status === 'settlement_failed') {
+            await logRefundAction(req, refund, 'REFUND_FAILED', `Refund sent but not settled: ${refund.failureReason}`);
+            return res.status(500).json({
+                success: false,
+                message: 'The customer was refunded but the refund could not be settled. Approve it again to retry the settlement.',
+                data: refund
+            });
+        }
+
+        await logRefundAction(
+            req,
+            refund,
+            'PAYMENT_REFUNDED',
+            notes || `Refunded LKR ${refund.amount} and released LKR ${refund.retainedAmount} to the tasker`
+        );
+        emitRefundUpdate(req, refund);
+
+        res.json({
+            success: true,
+            message: 'Refund processed successfully',
+            data: refund
+        });
+    } catch (error) {
+        if (error instanceof RefundError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Error in approveRefund', {
+            error: error.message,
+            adminId: req.user?._id,
+            refundId: req.params.refundId
+        });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
+
+/**
+ * Reject a refund; the advance is released to the tasker instead
+ * @route POST /api/admin/refunds/:refundId/reject
+ * @access Admin only
+ * @body {string} reason - Rejection reason (required)
+ */
+export const rejectRefund = async (req, res) => {
+    try {
+        const { refundId } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(refundId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid refund ID'
+            });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason is required'
+            });
+        }
+
+        const refund = await rejectRefundRecord(refundId, req.user, { reason });
+
+        await logRefundAction(req, refund, 'PAYMENT_REJECTED', `Refund rejected: ${reason}`);
+        emitRefundUpdate(req, refund);
+
+        res.json({
+            success: true,
+            message: 'Refund rejected',
+            data: refund
+        });
+    } catch (error) {
+        if (error instanceof RefundError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Error in rejectRefund', {
+            error: error.message,
+            adminId: req.user?._id,
+            refundId: req.params.refundId
+        });
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import SavedSearch, { SAVED_SEARCH_FREQUENCIES, MAX_SAVED_SEARCHES } from '../models/SavedSearch.js';
+import { SavedSearchError, normaliseFilters } from '../services/savedSearchService.js';
+
+const handleSavedSearchError = (res, error, message) => {
+  if (error instanceof SavedSearchError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${message.toLowerCase()}`
+  });
+};
+
+const assertTasker = (user) => {
+  if (user.role !== 'tasker') {
+    throw new SavedSearchError('Only taskers can save searches', 403);
+  }
+};
+
+const assertFrequency = (frequency) => {
+  if (frequency !== undefined && !SAVED_SEARCH_FREQUENCIES.includes(frequency)) {
+    throw new SavedSearchError('Frequency must be instant or daily');
+  }
+};
+
+// Find one of the tasker's own saved searches
+const findOwnSavedSearch = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new SavedSearchError('Invalid saved search ID');
+  }
+
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, tasker: req.user._id })
+    .select('-pendingMatches');
+  if (!savedSearch) {
+    throw new SavedSearchError('Saved search not found', 404);
+  }
+  return savedSearch;
+};
+
+// @desc    List the tasker's saved searches
+// @route   GET /api/saved-searches
+// @access  Private (Tasker only)
+export const getSavedSearches = async (req, res) => {
+  try {
+    assertTasker(req.user);
+
+    const savedSearches = await SavedSearch.find({ tasker: req.user._id })
+      .select('-pendingMatches')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: savedSearches
+    });
+  } catch (error) {
+    handleSavedSearchError(res, error, 'Fetching saved searches');
+  }
+};
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private (Tasker only)
+// @body    { name, filters: { category, area, minPayment, maxPayment, keywords }, frequency: 'instant' | 'daily' }
+export const createSavedSearch = async (req, res) => {
+  try {
+    assertTasker(req.user);
+
+    const { name, filters, frequency } = req.body;
+    assertFrequency(frequency);
+
+    const count = await SavedSearch.countDocuments({ tasker: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      throw new SavedSearchError(`You can save at most ${MAX_SAVED_SEARCHES} searches`);
+    }
+
+    const savedSearch = await SavedSearch.create({
+      tasker: req.user._id,
+      name,
+      filters: normaliseFilters(filters),
+      frequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: savedSearch
+    });
+  } catch (error) {
+    handleSavedSearchError(res, error, 'Saving search');
+  }
+};
+
+// @desc    Rename, change, pause or resume a saved search
+// @route   PATCH /api/saved-searches/:id
+// @access  Private (Tasker only)
+// @body    any of { name, filters, frequency, isPaused }
+export const updateSavedSearch = async (req, res) => {
+  try {
+    assertTasker(req.user);
+
+    const savedSearch = await findOwnSavedSearch(req);
+    const { name, filters, frequency, isPaused } = req.body;
+    assertFrequency(frequency);
+
+    if (isPaused !== undefined && typeof isPaused !== 'boolean') {
+      throw new SavedSearchError('isPaused must be true or false');
+    }
+
+    if (name !== undefined) savedSearch.name = name;
+    if (filters !== undefined) savedSearch.filters = normaliseFilters(filters);
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    if (isPaused !== undefined) savedSearch.isPaused = isPaused;
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      message: isPaused === true ? 'Saved search paused' : 'Saved search updated successfully',
+      data: savedSearch
+    });
+  } catch (error) {
+    handleSavedSearchError(res, error, 'Updating saved search');
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Tasker only)
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    assertTasker(req.user);
+
+    const savedSearch = await findOwnSavedSearch(req);
+    await savedSearch.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    handleSavedSearchError(res, error, 'Deleting saved search');
+  }
+};
@@ -4,6 +4,65 @@ import User from '../models/User.js';
 import mongoose from 'mongoose';
 import fs from 'fs';
 import path from 'path';
+import {
+  transitionTask,
+  recordTransition,
+  getTaskHistory as getTransitionHistory,
+  getAvailableTransitions,
+  resolveActorRole,
+  TaskTransitionError
+} from '../services/taskStateMachine.js';
+import {
+  evaluateCancellationPolicy,
+  findRefundablePayments,
+  createCancellationRefund
+} from '../services/refundService.js';
+import { applyCompletionEffects } from '../services/taskCompletionService.js';
+import { notify, notifyMany } from '../services/notifications/index.js';
+import { recordTargetedTaskResponse } from '../services/responseTimeService.js';
+import { selectApplicationForTask, announceTaskerSelected } from '../services/taskSelectionService.js';
+import { publishTaskToSavedSearches } from '../services/savedSearchService.js';
+import {
+  searchTasks as searchTaskIndex,
+  findSimilarTasks,
+  SEARCH_MAX_LIMIT
+} from '../services/taskSearchService.js';
+import { getRecommendedTasks as getRecommendedTaskFeed } from '../services/recommendationService.js';
+import { AvailabilityError, assertTaskerCanBook, getBookingHours } from '../services/availabilityService.js';
+import {
+  CrewError,
+  isCrewTask,
+  isWorkingTasker,
+  getAssignment,
+  getWorkingTaskerIds,
+  confirmCrewAssignment,
+  completeCrewAssignment,
+  rateCrew
+} from '../services/crewService.js';
+import {
+  GeoError,
+  toGeoPoint,
+  parseNearQuery,
+  distanceKm,
+  coarseDistanceKm,
+  coarsenPoint,
+  withCoarseTaskerLocations,
+  withinRadius
+} from '../utils/geo.js';
+
+// The exact task location is only shared with the customer and the selected tasker or crew
+const canSeeExactLocation = (task, user) => {
+  if (!user) return false;
+  const userId = user._id.toString();
+  const customerId = (task.customer?._id || task.customer).toString();
+  return userId === customerId || isWorkingTasker(task, user._id);
+};
+
+// Crew changes come back as 4xx responses
+const sendCrewError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message
+});
 
 // @desc    Create new task
 // @route   POST /api/tasks
@@ -22,6 +81,19 @@ export const createTask = async (req, res) => {
       ...req.body,
       customer: req.user._id
     };
+    // Crew members are only added by selecting applicants
+    delete taskData.assignments;
+
+    if (req.body.location) {
+      try {
+        taskData.location = toGeoPoint(req.body.location);
+      } catch (geoError) {
+        return res.status(400).json({
+          success: false,
+          message: geoError.message
+        });
+      }
+    }
 
     // Handle targeted tasks
     if (req.body.targetedTasker) {
@@ -44,6 +116,7 @@ export const createTask = async (req, res) => {
     }
 
     const task = await Task.create(taskData);
+    await recordTransition(task, null, task.status, { actor: req.user, reason: 'Task created' });
     
     // Increment customer's tasks posted count
     await req.user.incrementTaskStat('tasksPosted');
@@ -51,6 +124,10 @@ export const createTask = async (req, res) => {
     // Populate customer details
     await task.populate('customer', 'fullName email');
 
+    // Alert taskers with matching saved searches without holding up the response
+    publishTaskToSavedSearches(task, { io: req.app.get('io') })
+      .catch((alertError) => console.error('Saved search alert error:', alertError));
+
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
@@ -91,6 +168,11 @@ export const getTasks = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
+    // Taskers search within their own service radius unless they ask for another one
+    const nearby = parseNearQuery(req.query, {
+      defaultRadiusKm: req.user?.role === 'tasker' ? req.user.taskerProfile?.serviceRadiusKm : undefined
+    });
+
     // Build query - only show active tasks to public
     // Scheduled tasks are hidden from all users except customer and selectedTasker
     // Targeted tasks are only visible to the targeted tasker
@@ -120,10 +202,21 @@ export const getTasks = async (req, res) => {
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
+    // Near searches come back sorted by distance; $nearSphere cannot be counted, so the
+    // count uses the equivalent $geoWithin
+    const countQuery = { ...query };
+    if (nearby) {
+      query.location = {
+        $nearSphere: { $geometry: nearby.point, $maxDistance: nearby.radiusKm * 1000 }
+      };
+      countQuery.location = withinRadius(nearby.point, nearby.radiusKm);
+    }
+
     // Execute query
-    const tasks = await Task.find(query)
-      .populate('customer', 'fullName email rating statistics')
-      .sort(sort)
+    let tasksQuery = Task.find(query)
+      .populate('customer', 'fullName email rating statistics');
+    if (!nearby) tasksQuery = tasksQuery.sort(sort);
+    const tasks = await tasksQuery
       .skip(skip)
       .limit(Number(limit));
 
@@ -138,13 +231,17 @@ export const getTasks = async (req, res) => {
         }
         return {
           ...task.toObject(),
+          location: coarsenPoint(task.location),
+          ...(nearby && task.location && {
+            distanceKm: coarseDistanceKm(distanceKm(nearby.point, task.location))
+          }),
           applicationCount,
           hasApplied
         };
       })
     );
 
-    const total = await Task.countDocuments(query);
+    const total = await Task.countDocuments(countQuery);
 
     res.status(200).json({
       success: true,
@@ -157,6 +254,13 @@ export const getTasks = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof GeoError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get tasks error:', error);
     res.status(500).json({
       success: false,
@@ -165,6 +269,96 @@ export const getTasks = async (req, res) => {
   }
 };
 
+// @desc    Search open tasks by keywords with relevance ranking and facets
+// @route   GET /api/tasks/search
+// @access  Public
+export const searchTasks = async (req, res) => {
+  try {
+    const { q, category, area, minPayment, maxPayment, page = 1, limit = 10 } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) must be at least 2 characters'
+      });
+    }
+
+    const { results, total, facets, corrections, didYouMean } = await searchTaskIndex({
+      q: q.slice(0, 200),
+      category,
+      area,
+      minPayment,
+      maxPayment,
+      page,
+      limit
+    });
+
+    const pageSize = Math.min(Math.max(Number(limit) || 10, 1), SEARCH_MAX_LIMIT);
+    res.status(200).json({
+      success: true,
+      data: results.map((task) => ({ ...task, location: coarsenPoint(task.location) })),
+      facets,
+      corrections,
+      didYouMean,
+      pagination: {
+        page: Math.max(Number(page) || 1, 1),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Search tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching tasks'
+    });
+  }
+};
+
+// @desc    Open tasks similar to a task being drafted
+// @route   GET /api/tasks/similar?title=&description=&tags=&category=&excludeId=
+// @access  Public
+export const getSimilarTasks = async (req, res) => {
+  try {
+    const { title, description, tags, category, excludeId, limit } = req.query;
+
+    if (!title && !description && !tags) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a title, description or tags to compare with'
+      });
+    }
+
+    if (excludeId && !mongoose.Types.ObjectId.isValid(excludeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID'
+      });
+    }
+
+    const similarTasks = await findSimilarTasks({
+      title: String(title || '').slice(0, 200),
+      description: String(description || '').slice(0, 1000),
+      tags,
+      category,
+      excludeId: excludeId ? new mongoose.Types.ObjectId(excludeId) : undefined,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: similarTasks
+    });
+  } catch (error) {
+    console.error('Get similar tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching similar tasks'
+    });
+  }
+};
+
 // @desc    Get single task
 // @route   GET /api/tasks/:id
 // @access  Public (for active tasks), Private (for scheduled/other statuses)
@@ -223,8 +417,7 @@ export const getTask = async (req, res) => {
       }
 
       const isCustomer = req.user._id.toString() === task.customer._id.toString();
-      const isSelectedTasker = task.selectedTasker && 
-                               req.user._id.toString() === task.selectedTasker._id.toString();
+      const isSelectedTasker = isWorkingTasker(task, req.user._id);
       const isTargetedTasker = task.targetedTasker && 
                                req.user._id.toString() === task.targetedTasker._id.toString();
 
@@ -244,8 +437,7 @@ export const getTask = async (req, res) => {
       }
 
       const isCustomer = req.user._id.toString() === task.customer._id.toString();
-      const isSelectedTasker = task.selectedTasker && 
-                               req.user._id.toString() === task.selectedTasker._id.toString();
+      const isSelectedTasker = isWorkingTasker(task, req.user._id);
       const isTargetedTasker = task.targetedTasker && 
                                req.user._id.toString() === task.targetedTasker._id.toString();
 
@@ -264,8 +456,10 @@ export const getTask = async (req, res) => {
       const application = await Application.findOne({ task: task._id, tasker: req.user._id });
       hasApplied = !!application;
     }
+    // Taskers' own locations are only shown exactly to admins
     const taskWithApplicationCount = {
-      ...task.toObject(),
+      ...(req.user?.role === 'admin' ? task.toObject() : withCoarseTaskerLocations(task)),
+      location: canSeeExactLocation(task, req.user) ? task.location : coarsenPoint(task.location),
       applicationCount,
       hasApplied
     };
@@ -363,6 +557,13 @@ export const applyForTask = async (req, res) => {
     
     // Increment tasker's applications count
     await req.user.incrementTaskStat('tasksAppliedTo');
+
+    // Applying to a task targeted at the tasker counts towards their response time
+    try {
+      await recordTargetedTaskResponse(task, application);
+    } catch (statsError) {
+      console.error('Response time update error:', statsError);
+    }
     
     // Populate application details
     await application.populate('tasker', 'fullName email phone skills rating');
@@ -386,6 +587,13 @@ export const applyForTask = async (req, res) => {
       console.error('WebSocket task update (application-submitted) error:', wsError);
     }
 
+    await notify(task.customer, 'application_received', {
+      taskId: task._id,
+      taskTitle: application.task?.title,
+      applicationId: application._id,
+      taskerName: application.tasker?.fullName
+    }, { io: req.app.get('io') });
+
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
@@ -434,11 +642,10 @@ export const getTaskApplications = async (req, res) => {
 
     // Enhanced access control for task applications
     const isCustomer = task.customer.toString() === req.user._id.toString();
-    const isSelectedTasker = task.selectedTasker && 
-                             task.selectedTasker.toString() === req.user._id.toString();
+    const isSelectedTasker = isWorkingTasker(task, req.user._id);
 
     // For scheduled, completed, and cancelled tasks, both customer and selectedTasker can view applications
-    if (task.status === 'scheduled' || task.status === 'completed' || task.status === 'cancelled') {
+    if (['scheduled', 'in_progress', 'completed', 'cancelled'].includes(task.status)) {
       if (!isCustomer && !isSelectedTasker) {
         return res.status(403).json({
           success: false,
@@ -585,97 +792,35 @@ export const selectTasker = async (req, res) => {
       });
     }
 
-    // Start transaction
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-      // Update task with selected tasker but keep status as 'active' until payment is made
-      task.selectedTasker = taskerId;
-      task.agreedPayment = agreedPayment;
-      task.agreedTime = agreedTimeDate;
-      // Don't change status to 'scheduled' yet - wait for advance payment
-      
-      console.log('Saving task with data:', {
-        taskId: task._id,
-        selectedTasker: task.selectedTasker,
-        agreedPayment: task.agreedPayment,
-        agreedTime: task.agreedTime
-      });
-      
-      await task.save({ session });
-      
-      console.log('Task saved successfully');
-
-      // Update application status
-      application.status = 'confirmed';
-      await application.save({ session });
-
-      // Reject all other applications (if any exist for this task)
-      await Application.updateMany(
-        { 
-          task: req.params.id, 
-          _id: { $ne: application._id },
-          status: 'pending'
-        },
-        { status: 'rejected' },
-        { session }
-      );
-
-      await session.commitTransaction();
-
-      // Populate and return updated task
-      await task.populate('selectedTasker', 'fullName email phone taskerProfile rating statistics');
-      await task.populate('targetedTasker', 'fullName email phone taskerProfile rating statistics');
-      await task.populate('customer', 'fullName email');
+    await selectApplicationForTask(task, application, {
+      agreedTime: agreedTimeDate,
+      agreedPayment
+    });
+    await announceTaskerSelected(task, req.app.get('io'), taskerId);
 
-      console.log('Returning task data:', {
-        taskId: task._id,
-        agreedPayment: task.agreedPayment,
-        agreedTime: task.agreedTime,
-        selectedTasker: task.selectedTasker
-      });
+    res.status(200).json({
+      success: true,
+      message: isCrewTask(task)
+        ? `Tasker added to the crew (${task.assignments.length} of ${task.crewSize}). Please complete their advance payment.`
+        : 'Tasker selected successfully. Please complete the advance payment to schedule the task.',
+      data: withCoarseTaskerLocations(task),
+      requiresPayment: true,
+      advanceAmount: Math.round(agreedPayment * 0.2)
+    });
+  } catch (error) {
+    console.error('Select tasker error:', error);
 
-      // Emit WebSocket event to selected tasker and customer
-      try {
-        const io = req.app.get('io');
-        if (io) {
-          // Notify selected tasker
-          io.to(`user-${task.selectedTasker._id || task.selectedTasker}`).emit('task-update', {
-            type: 'tasker-selected',
-            taskId: task._id,
-            taskTitle: task.title,
-            message: `You have been selected for task ${task.title}. Please proceed to confirm and complete payment process.`,
-            timestamp: new Date().toISOString()
-          });
-          // Notify customer (confirmation info)
-          io.to(`user-${task.customer._id || task.customer}`).emit('task-update', {
-            type: 'tasker-selected',
-            taskId: task._id,
-            taskTitle: task.title,
-            message: `You selected a tasker for task ${task.title}. Awaiting payment to schedule.`,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } catch (wsError) {
-        console.error('WebSocket task update (tasker-selected) error:', wsError);
-      }
+    if (error instanceof CrewError) {
+      return sendCrewError(res, error);
+    }
 
-      res.status(200).json({
-        success: true,
-        message: 'Tasker selected successfully. Please complete the advance payment to schedule the task.',
-        data: task,
-        requiresPayment: true,
-        advanceAmount: Math.round(agreedPayment * 0.2)
+    if (error instanceof AvailabilityError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflict: error.conflict
       });
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
     }
-  } catch (error) {
-    console.error('Select tasker error:', error);
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -827,6 +972,17 @@ export const confirmTime = async (req, res) => {
       }
     }
 
+    if (req.body.estimatedDuration !== undefined) {
+      application.estimatedDuration = req.body.estimatedDuration;
+    }
+
+    // The tasker cannot confirm a time they are already booked or off at
+    await assertTaskerCanBook(req.user, {
+      start: confirmedTimeDate,
+      hours: getBookingHours(application),
+      excludeTaskId: task._id
+    });
+
     // Update the application
     application.confirmedByTasker = true;
     application.confirmedTime = confirmedTimeDate;
@@ -862,6 +1018,14 @@ export const confirmTime = async (req, res) => {
 
   } catch (error) {
     console.error('Confirm time error:', error);
+
+    if (error instanceof AvailabilityError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflict: error.conflict
+      });
+    }
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -901,8 +1065,8 @@ export const confirmSchedule = async (req, res) => {
       });
     }
 
-    // Verify user is selected tasker
-    if (!task.selectedTasker || task.selectedTasker.toString() !== req.user._id.toString()) {
+    // Verify user is selected tasker or in the crew
+    if (!isWorkingTasker(task, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -916,7 +1080,11 @@ export const confirmSchedule = async (req, res) => {
       });
     }
 
-    task.taskerConfirmed = true;
+    if (isCrewTask(task)) {
+      confirmCrewAssignment(task, req.user._id);
+    } else {
+      task.taskerConfirmed = true;
+    }
     await task.save();
 
     await task.populate('customer', 'fullName email phone');
@@ -931,7 +1099,7 @@ export const confirmSchedule = async (req, res) => {
           type: 'schedule-confirmed',
           taskId: task._id,
           taskTitle: task.title,
-          message: `${task.selectedTasker?.fullName || 'Tasker'} confirmed the schedule for ${task.title}.`,
+          message: `${req.user.fullName || 'Tasker'} confirmed the schedule for ${task.title}.`,
           timestamp: new Date().toISOString()
         });
       }
@@ -992,11 +1160,19 @@ export const completeTask = async (req, res) => {
       });
     }
 
+    // Crew members are rated one by one
+    if (isCrewTask(task)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Crew tasks are completed through mark-complete'
+      });
+    }
+
     // Update task
-    task.status = 'completed';
     task.customerRating = rating;
     task.customerReview = review;
-    await task.save();
+    task.customerCompletedAt = new Date();
+    await transitionTask(task, 'completed', { actor: req.user, reason: 'Completed by customer' });
 
     // Update tasker's rating and statistics
     if (rating && task.selectedTasker) {
@@ -1030,6 +1206,11 @@ export const completeTask = async (req, res) => {
       console.error('WebSocket task update (task-completed-by-customer) error:', wsError);
     }
 
+    await notify(task.selectedTasker, 'task_completed', {
+      taskId: task._id,
+      taskTitle: task.title
+    }, { io: req.app.get('io') });
+
     res.status(200).json({
       success: true,
       message: 'Task completed successfully',
@@ -1037,6 +1218,14 @@ export const completeTask = async (req, res) => {
     });
   } catch (error) {
     console.error('Complete task error:', error);
+
+    if (error instanceof TaskTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while completing task'
@@ -1068,15 +1257,15 @@ export const taskerCompleteTask = async (req, res) => {
       });
     }
 
-    // Verify user is selected tasker
-    if (!task.selectedTasker || task.selectedTasker.toString() !== req.user._id.toString()) {
+    // Verify user is selected tasker or in the crew
+    if (!isWorkingTasker(task, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    if (task.status !== 'scheduled' || !task.taskerConfirmed) {
+    if (!['scheduled', 'in_progress'].includes(task.status) || !task.taskerConfirmed) {
       return res.status(400).json({
         success: false,
         message: 'Task is not ready for completion'
@@ -1084,8 +1273,13 @@ export const taskerCompleteTask = async (req, res) => {
     }
 
     // Update task with completion details
-    if (completionPhotos) task.completionPhotos = completionPhotos;
-    if (notes) task.completionNotes = notes;
+    if (isCrewTask(task)) {
+      completeCrewAssignment(task, req.user._id, { completionPhotos, completionNotes: notes });
+    } else {
+      if (completionPhotos) task.completionPhotos = completionPhotos;
+      if (notes) task.completionNotes = notes;
+      task.taskerCompletedAt = new Date();
+    }
     
     await task.save();
 
@@ -1101,7 +1295,7 @@ export const taskerCompleteTask = async (req, res) => {
           type: 'task-completed-by-tasker',
           taskId: task._id,
           taskTitle: task.title,
-          message: `${(task.selectedTasker && task.selectedTasker.fullName) || 'Tasker'} marked ${task.title} as complete. Please review and confirm.`,
+          message: `${req.user.fullName || 'Tasker'} marked ${task.title} as complete. Please review and confirm.`,
           timestamp: new Date().toISOString()
         });
       }
@@ -1183,6 +1377,47 @@ export const getMyApplications = async (req, res) => {
   }
 };
 
+// @desc    Get recommended tasks for the tasker, best match first
+// @route   GET /api/tasks/recommended
+// @access  Private (Tasker only)
+export const getRecommendedTasks = async (req, res) => {
+  try {
+    if (req.user.role !== 'tasker') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only taskers can get task recommendations'
+      });
+    }
+
+    // Weights can be tried out per request, e.g. ?weights[skills]=0.5
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+    const { recommendations, weights } = await getRecommendedTaskFeed(req.user, {
+      limit,
+      weights: typeof req.query.weights === 'object' ? req.query.weights : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: recommendations.map(({ task, score, signals, reasons }) => ({
+        ...task.toObject(),
+        location: coarsenPoint(task.location),
+        recommendation: {
+          score,
+          signals,
+          reasons
+        }
+      })),
+      weights
+    });
+  } catch (error) {
+    console.error('Get recommended tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recommended tasks'
+    });
+  }
+};
+
 // @desc    Get tasks by customer ID
 // @route   GET /api/tasks/customer/:customerId
 // @access  Public
@@ -1269,7 +1504,7 @@ export const markTaskComplete = async (req, res) => {
       });
     }
 
-    const { rating, review, completionPhotos, completionNotes, taskerFeedback, taskerRatingForCustomer } = req.body;
+    const { rating, review, ratings, completionPhotos, completionNotes, taskerFeedback, taskerRatingForCustomer } = req.body;
 
     const task = await Task.findById(req.params.id);
     
@@ -1282,7 +1517,7 @@ export const markTaskComplete = async (req, res) => {
 
     // Verify user is customer or selected tasker or targeted tasker
     const isCustomer = task.customer.toString() === req.user._id.toString();
-    const isSelectedTasker = task.selectedTasker && task.selectedTasker.toString() === req.user._id.toString();
+    const isSelectedTasker = isWorkingTasker(task, req.user._id);
     const isTargetedTasker = task.targetedTasker && task.targetedTasker.toString() === req.user._id.toString();
     
     if (!isCustomer && !isSelectedTasker && !isTargetedTasker) {
@@ -1292,23 +1527,34 @@ export const markTaskComplete = async (req, res) => {
       });
     }
 
-    // Verify task is scheduled
-    if (task.status !== 'scheduled') {
+    // Verify task is scheduled or in progress
+    if (!['scheduled', 'in_progress'].includes(task.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Only scheduled tasks can be marked as complete'
+        message: 'Only scheduled or in-progress tasks can be marked as complete'
       });
     }
 
     // Handle customer completion
     if (isCustomer) {
-      if (rating) task.customerRating = rating;
-      if (review) task.customerReview = review;
+      if (isCrewTask(task)) {
+        rateCrew(task, { ratings, rating, review });
+      } else {
+        if (rating) task.customerRating = rating;
+        if (review) task.customerReview = review;
+      }
       task.customerCompletedAt = new Date();
     }
     
     // Handle tasker completion
-    if (isSelectedTasker || isTargetedTasker) {
+    if (isCrewTask(task) && isSelectedTasker) {
+      completeCrewAssignment(task, req.user._id, {
+        completionPhotos,
+        completionNotes,
+        taskerFeedback,
+        taskerRatingForCustomer
+      });
+    } else if (isSelectedTasker || isTargetedTasker) {
       if (completionPhotos && completionPhotos.length > 0) {
         task.completionPhotos = completionPhotos;
       }
@@ -1322,84 +1568,20 @@ export const markTaskComplete = async (req, res) => {
     const bothCompleted = task.taskerCompletedAt && task.customerCompletedAt;
     
     if (bothCompleted) {
-      task.status = 'completed';
-      
-      // Update statistics for both users
-      const workingTaskerId = task.selectedTasker || task.targetedTasker;
-      if (workingTaskerId) {
-        const tasker = await User.findById(workingTaskerId);
-        if (tasker) {
-          await tasker.incrementTaskStat('tasksCompleted');
-          
-          // Update tasker's rating if customer provided one
-          if (task.customerRating) {
-            await tasker.updateRating(task.customerRating);
-          }
-        }
-      }
-
-      // Update customer's completed tasks statistics and rating
-      const customer = await User.findById(task.customer);
-      if (customer) {
-        await customer.incrementTaskStat('tasksCompleted');
-        
-        // Update customer's rating if tasker provided one
-        if (task.taskerRatingForCustomer) {
-          await customer.updateRating(task.taskerRatingForCustomer);
-        }
-      }
-
-      // Auto-create feedback records when both parties have completed
-      const Feedback = (await import('../models/Feedback.js')).default;
-      
-      // Create customer-to-tasker feedback if rating/review exists
-      if (task.customerRating || task.customerReview) {
-        try {
-          await Feedback.create({
-            task: task._id,
-            fromUser: task.customer,
-            toUser: workingTaskerId,
-            rating: task.customerRating || 3,
-            review: task.customerReview || 'No review provided',
-            feedbackType: 'customer-to-tasker',
-            taskerFeedbackCategories: {
-              quality: task.customerRating || 3,
-              punctuality: task.customerRating || 3,
-              communication: task.customerRating || 3,
-              professionalism: task.customerRating || 3
-            }
-          });
-        } catch (feedbackError) {
-          console.error('Error creating customer feedback:', feedbackError);
-          // Don't fail the task completion if feedback creation fails
-        }
-      }
+      await transitionTask(task, 'completed', { actor: req.user, reason: 'Both parties marked the task complete' });
 
-      // Create tasker-to-customer feedback if rating/review exists
-      if (task.taskerRatingForCustomer || task.taskerFeedback) {
-        try {
-          await Feedback.create({
-            task: task._id,
-            fromUser: workingTaskerId,
-            toUser: task.customer,
-            rating: task.taskerRatingForCustomer || 3,
-            review: task.taskerFeedback || 'No review provided',
-            feedbackType: 'tasker-to-customer',
-            customerFeedbackCategories: {
-              clarity: task.taskerRatingForCustomer || 3,
-              responsiveness: task.taskerRatingForCustomer || 3,
-              cooperation: task.taskerRatingForCustomer || 3,
-              fairness: task.taskerRatingForCustomer || 3
-            }
-          });
-        } catch (feedbackError) {
-          console.error('Error creating tasker feedback:', feedbackError);
-          // Don't fail the task completion if feedback creation fails
-        }
-      }
+      // Statistics, ratings and feedback records for both users
+      await applyCompletionEffects(task);
+    } else {
+      await task.save();
     }
 
-    await task.save();
+    if (bothCompleted) {
+      await notifyMany([task.customer, ...getWorkingTaskerIds(task)], 'task_completed', {
+        taskId: task._id,
+        taskTitle: task.title
+      }, { io: req.app.get('io') });
+    }
 
     // Populate for response
     await task.populate('customer', 'fullName email phone');
@@ -1410,7 +1592,9 @@ export const markTaskComplete = async (req, res) => {
       ? 'Task completed successfully by both parties!' 
       : isCustomer 
         ? 'Task marked as complete by customer. Waiting for tasker confirmation.'
-        : 'Task marked as complete by tasker. Waiting for customer confirmation.';
+        : isCrewTask(task) && !task.taskerCompletedAt
+          ? 'Your part of the task is marked as complete. Waiting for the rest of the crew.'
+          : 'Task marked as complete by tasker. Waiting for customer confirmation.';
 
     res.status(200).json({
       success: true,
@@ -1420,6 +1604,18 @@ export const markTaskComplete = async (req, res) => {
     });
   } catch (error) {
     console.error('Mark task complete error:', error);
+
+    if (error instanceof CrewError) {
+      return sendCrewError(res, error);
+    }
+
+    if (error instanceof TaskTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while marking task as complete'
@@ -1453,7 +1649,7 @@ export const cancelScheduledTask = async (req, res) => {
 
     // Verify user is customer or selected tasker or targeted tasker
     const isCustomer = task.customer.toString() === req.user._id.toString();
-    const isSelectedTasker = task.selectedTasker && task.selectedTasker.toString() === req.user._id.toString();
+    const isSelectedTasker = isWorkingTasker(task, req.user._id);
     const isTargetedTasker = task.targetedTasker && task.targetedTasker.toString() === req.user._id.toString();
     
     if (!isCustomer && !isSelectedTasker && !isTargetedTasker) {
@@ -1471,19 +1667,80 @@ export const cancelScheduledTask = async (req, res) => {
       });
     }
 
-    // Update task status back to active and clear scheduling details
-    task.status = 'active';
-    task.selectedTasker = null;
-    task.agreedTime = null;
-    task.agreedPayment = null;
-    task.taskerConfirmed = false;
-    
-    // Add cancellation details
-    task.cancellationReason = reason;
-    task.cancelledBy = req.user._id;
-    task.cancelledAt = new Date();
+    // Work out how each paid advance (one per crew member) is settled before the schedule is cleared
+    const cancelledAt = new Date();
+    const paidAdvances = task.advancePaymentStatus === 'paid' ? await findRefundablePayments(task._id) : [];
+    const settlements = paidAdvances.map((payment) => evaluateCancellationPolicy({
+      cancelledByRole: resolveActorRole(task, req.user),
+      agreedTime: task.agreedTime,
+      cancelledAt,
+      amount: payment.amount
+    }));
 
-    await task.save();
+    // The refund records and the reopened task are written together, so a paid advance is
+    // never left without a refund when the schedule is cleared
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    const refunds = [];
+    try {
+      for (const [index, payment] of paidAdvances.entries()) {
+        refunds.push(await createCancellationRefund({
+          task,
+          payment,
+          settlement: settlements[index],
+          requestedBy: req.user,
+          reason: reason || 'Schedule cancelled',
+          session
+        }));
+      }
+
+      // Reopen the task, clearing scheduling details and recording the cancellation
+      await transitionTask(task, 'active', {
+        actor: req.user,
+        reason: reason || 'Schedule cancelled',
+        metadata: {
+          scheduleCancelled: true,
+          previousTasker: task.selectedTasker,
+          previousCrew: isCrewTask(task) ? getWorkingTaskerIds(task) : undefined,
+          settlement: settlements[0] || null
+        },
+        session,
+        update: (t) => {
+          t.selectedTasker = null;
+          t.assignments = [];
+          t.agreedTime = null;
+          t.agreedPayment = null;
+          t.taskerConfirmed = false;
+          // The next schedule gets its own reminders
+          t.reminders = { upcomingSentAt: null, overdueNudgedAt: null, overdueNudgeCount: 0 };
+          t.cancellationReason = reason;
+          t.cancelledBy = req.user._id;
+          t.cancelledAt = cancelledAt;
+          if (paidAdvances.length > 0) {
+            // A new tasker needs a new advance. paymentId keeps pointing at the refunded
+            // payment until then, so executing the refund can mark it refunded.
+            t.advancePaymentStatus = null;
+            t.advancePayment = null;
+          }
+        }
+      });
+
+      await session.commitTransaction();
+    } catch (transactionError) {
+      await session.abortTransaction();
+      throw transactionError;
+    } finally {
+      session.endSession();
+    }
+
+    const summarizeRefund = (refund) => ({
+      id: refund._id,
+      status: refund.status,
+      amount: refund.amount,
+      retainedAmount: refund.retainedAmount,
+      policy: refund.policy
+    });
 
     // Populate for response
     await task.populate('customer', 'fullName email phone');
@@ -1491,13 +1748,145 @@ export const cancelScheduledTask = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Schedule cancelled successfully. Task is now active again.',
-      data: task
+      data: task,
+      refund: refunds.length > 0 ? summarizeRefund(refunds[0]) : null,
+      refunds: refunds.map(summarizeRefund)
     });
   } catch (error) {
     console.error('Cancel scheduled task error:', error);
+
+    if (error instanceof TaskTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling schedule. The schedule was not cancelled.'
+    });
+  }
+};
+
+// @desc    Start work on a scheduled task
+// @route   POST /api/tasks/:id/start
+// @access  Private (Selected tasker only)
+export const startTask = async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Verify user is selected tasker or in the crew
+    if (!isWorkingTasker(task, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the selected tasker can start this task.'
+      });
+    }
+
+    await transitionTask(task, 'in_progress', { actor: req.user, reason: 'Work started by tasker' });
+
+    await task.populate('customer', 'fullName email phone');
+    await task.populate('selectedTasker', 'fullName email phone');
+
+    // Notify customer that work has started
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`user-${task.customer._id || task.customer}`).emit('task-update', {
+          type: 'task-started',
+          taskId: task._id,
+          taskTitle: task.title,
+          message: `${req.user.fullName || 'Tasker'} started working on ${task.title}.`,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (wsError) {
+      console.error('WebSocket task update (task-started) error:', wsError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Task is now in progress',
+      data: task
+    });
+  } catch (error) {
+    console.error('Start task error:', error);
+
+    if (error instanceof TaskTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting task'
+    });
+  }
+};
+
+// @desc    Get task status history
+// @route   GET /api/tasks/:id/history
+// @access  Private (Task participants and admins)
+export const getTaskHistory = async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!resolveActorRole(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only task participants can view the task history.'
+      });
+    }
+
+    const history = await getTransitionHistory(task._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        taskId: task._id,
+        status: task.status,
+        availableTransitions: getAvailableTransitions(task, req.user),
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while cancelling schedule'
+      message: 'Server error while fetching task history'
     });
   }
 };
@@ -2,6 +2,56 @@ import User from "../models/User.js";
 import Task from "../models/Task.js";
 import Application from "../models/Application.js";
 import mongoose from 'mongoose';
+import { getPresence, getPresenceForUsers } from "../services/presenceService.js";
+import { getAverageResponseTime } from "../services/responseTimeService.js";
+import { GeoError, parseNearQuery, coarseDistanceKm, withCoarseTaskerLocation } from "../utils/geo.js";
+import {
+    AvailabilityError,
+    normaliseAvailability,
+    parseCalendarRange,
+    getTaskerCalendar,
+    buildScheduleIcs
+} from "../services/availabilityService.js";
+import { DAY_MS } from "../utils/localTime.js";
+
+/**
+ * Taskers within `radiusKm` of a point whose own service radius also reaches it, nearest first
+ * @returns {Promise<{taskers: Array, total: number, distances: Map}>} distances in km by tasker id
+ */
+const findTaskersNear = async (query, { point, radiusKm }, { skip, limit }) => {
+    const [result] = await User.aggregate([
+        {
+            $geoNear: {
+                near: point,
+                key: 'taskerProfile.location',
+                distanceField: 'distance',
+                maxDistance: radiusKm * 1000,
+                query,
+                spherical: true
+            }
+        },
+        {
+            $match: {
+                $expr: {
+                    $lte: ['$distance', { $multiply: [{ $ifNull: ['$taskerProfile.serviceRadiusKm', 10] }, 1000] }]
+                }
+            }
+        },
+        { $project: { password: 0 } },
+        {
+            $facet: {
+                taskers: [{ $skip: skip }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        taskers: result.taskers.map((tasker) => User.hydrate(tasker)),
+        total: result.total[0]?.count || 0,
+        distances: new Map(result.taskers.map((tasker) => [tasker._id.toString(), tasker.distance / 1000]))
+    };
+};
 
 // Helper function to calculate response rate based on actual data
 const calculateResponseRate = async (taskerId) => {
@@ -138,15 +188,30 @@ export const getAllTaskers = async (req, res) => {
         const sort = {};
         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-        // Get taskers with pagination
-        const taskers = await User.find(query)
-            .select("-password")
-            .sort(sort)
-            .skip(skip)
-            .limit(Number(limit));
+        let taskers;
+        let total;
+        let distances = null;
+
+        const nearby = parseNearQuery(req.query);
+        if (nearby) {
+            // Near searches are sorted by distance
+            ({ taskers, total, distances } = await findTaskersNear(query, nearby, {
+                skip: Number(skip),
+                limit: Number(limit)
+            }));
+        } else {
+            // Get taskers with pagination
+            taskers = await User.find(query)
+                .select("-password")
+                .sort(sort)
+                .skip(skip)
+                .limit(Number(limit));
+
+            // Get total count for pagination
+            total = await User.countDocuments(query);
+        }
 
-        // Get total count for pagination
-        const total = await User.countDocuments(query);
+        const presence = await getPresenceForUsers(taskers.map((tasker) => tasker._id));
 
         // Enhance taskers with additional statistics
         const enhancedTaskers = await Promise.all(
@@ -157,8 +222,8 @@ export const getAllTaskers = async (req, res) => {
                     status: 'completed'
                 });
 
-                // Get average response time (in hours) - mock for now
-                const avgResponseTime = Math.floor(Math.random() * 4) + 1; // 1-4 hours
+                // Average response time in hours (null until the tasker has responded to someone)
+                const avgResponseTime = getAverageResponseTime(tasker);
 
                 // Calculate hourly rate based on completed tasks (mock calculation)
                 const baseRate = 15 + (tasker.rating?.average || 0) * 5;
@@ -169,11 +234,14 @@ export const getAllTaskers = async (req, res) => {
                 const responseRate = await calculateResponseRate(tasker._id);
 
                 return {
-                    ...tasker.toObject(),
+                    ...withCoarseTaskerLocation(tasker.toObject()),
+                    ...(distances && {
+                        distanceKm: coarseDistanceKm(distances.get(tasker._id.toString()))
+                    }),
                     completedTasks,
                     avgResponseTime,
                     hourlyRate,
-                    isOnline: Math.random() > 0.3, // Mock online status
+                    ...presence.get(tasker._id.toString()),
                     responseRate
                 };
             })
@@ -190,6 +258,13 @@ export const getAllTaskers = async (req, res) => {
             }
         });
     } catch (error) {
+        if (error instanceof GeoError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Get all taskers error:', error);
         res.status(500).json({ 
             success: false,
@@ -214,6 +289,8 @@ export const getTopRatedTaskers = async (req, res) => {
             .sort({ 'rating.average': -1, 'rating.count': -1 })
             .limit(Number(limit));
 
+        const presence = await getPresenceForUsers(topTaskers.map((tasker) => tasker._id));
+
         // Enhance with additional data
         const enhancedTaskers = await Promise.all(
             topTaskers.map(async (tasker) => {
@@ -222,7 +299,7 @@ export const getTopRatedTaskers = async (req, res) => {
                     status: 'completed'
                 });
 
-                const avgResponseTime = Math.floor(Math.random() * 4) + 1;
+                const avgResponseTime = getAverageResponseTime(tasker);
                 const baseRate = 15 + (tasker.rating?.average || 0) * 5;
                 const experienceBonus = Math.min(completedTasks * 0.5, 15);
                 const hourlyRate = Math.round(baseRate + experienceBonus);
@@ -231,11 +308,11 @@ export const getTopRatedTaskers = async (req, res) => {
                 const responseRate = await calculateResponseRate(tasker._id);
 
                 return {
-                    ...tasker.toObject(),
+                    ...withCoarseTaskerLocation(tasker.toObject()),
                     completedTasks,
                     avgResponseTime,
                     hourlyRate,
-                    isOnline: Math.random() > 0.3,
+                    ...presence.get(tasker._id.toString()),
                     responseRate
                 };
             })
@@ -286,7 +363,7 @@ export const getTaskerById = async (req, res) => {
 
         const activeTasks = await Task.countDocuments({
             selectedTasker: tasker._id,
-            status: { $in: ['scheduled', 'active'] }
+            status: { $in: ['scheduled', 'in_progress', 'active'] }
         });
 
         const totalApplications = await Application.countDocuments({
@@ -294,22 +371,24 @@ export const getTaskerById = async (req, res) => {
         });
 
         // Calculate additional metrics
-        const avgResponseTime = Math.floor(Math.random() * 4) + 1;
+        const avgResponseTime = getAverageResponseTime(tasker);
         const baseRate = 15 + (tasker.rating?.average || 0) * 5;
         const experienceBonus = Math.min(completedTasks * 0.5, 15);
         const hourlyRate = Math.round(baseRate + experienceBonus);
 
         // Calculate real response rate
         const responseRate = await calculateResponseRate(tasker._id);
+        const { isOnline, lastSeenAt } = await getPresence(tasker._id);
 
         const enhancedTasker = {
-            ...tasker.toObject(),
+            ...withCoarseTaskerLocation(tasker.toObject()),
             completedTasks,
             activeTasks,
             totalApplications,
             avgResponseTime,
             hourlyRate,
-            isOnline: Math.random() > 0.3,
+            isOnline,
+            lastSeenAt,
             responseRate
         };
 
@@ -326,21 +405,35 @@ export const getTaskerById = async (req, res) => {
     }
 };
 
+// @desc    Update the tasker's availability switch and calendar
+// @route   PUT /api/taskers/availability
+// @access  Private (Tasker only)
+// @body    any of { isAvailable, weeklyHours: [{ day, start, end }], blockedPeriods: [{ start, end, reason }],
+//          holidays: [{ date: 'YYYY-MM-DD', name }] } - lists replace the stored ones
 export const updateTaskerAvailability = async (req, res) => {
-    const { isAvailable, availableHours } = req.body;
+    const { isAvailable } = req.body;
     try {
-        const updateData = {
-            'taskerProfile.isAvailable': isAvailable
-        };
-        
-        if (availableHours) {
-            updateData['taskerProfile.availableHours'] = availableHours;
+        if (isAvailable !== undefined && typeof isAvailable !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isAvailable must be true or false'
+            });
         }
-        
+
+        const updateData = {};
+        if (isAvailable !== undefined) {
+            updateData['taskerProfile.isAvailable'] = isAvailable;
+        }
+
+        const availability = normaliseAvailability(req.body);
+        for (const [field, value] of Object.entries(availability)) {
+            updateData[`taskerProfile.availability.${field}`] = value;
+        }
+
         const tasker = await User.findByIdAndUpdate(
             req.user._id, 
             updateData, 
-            { new: true }
+            { new: true, runValidators: true }
         ).select("-password");
         
         if (!tasker) {
@@ -355,6 +448,13 @@ export const updateTaskerAvailability = async (req, res) => {
             data: tasker
         });
     } catch (error) {
+        if (error instanceof AvailabilityError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Update tasker availability error:', error);
         res.status(500).json({ 
             success: false,
@@ -363,6 +463,108 @@ export const updateTaskerAvailability = async (req, res) => {
     }
 };
 
+// @desc    Get the tasker's own calendar with booking details
+// @route   GET /api/taskers/availability
+// @access  Private (Tasker only)
+// @query   from, to - ISO dates, 14 days from now by default (62 at most)
+export const getMyAvailability = async (req, res) => {
+    try {
+        const range = parseCalendarRange(req.query);
+        const tasker = await User.findById(req.user._id).select('fullName taskerProfile');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...range,
+                ...(await getTaskerCalendar(tasker, { ...range, includeDetails: true }))
+            }
+        });
+    } catch (error) {
+        if (error instanceof AvailabilityError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get own availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Server error while fetching availability"
+        });
+    }
+};
+
+// @desc    Get a tasker's working hours, days off and busy times
+// @route   GET /api/taskers/:id/availability
+// @access  Public
+// @query   from, to - ISO dates, 14 days from now by default (62 at most)
+export const getTaskerAvailability = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid tasker ID'
+            });
+        }
+
+        const range = parseCalendarRange(req.query);
+        const tasker = await User.findOne({ _id: req.params.id, role: 'tasker' }).select('taskerProfile');
+        if (!tasker) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tasker not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...range,
+                ...(await getTaskerCalendar(tasker, range))
+            }
+        });
+    } catch (error) {
+        if (error instanceof AvailabilityError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get tasker availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Server error while fetching availability"
+        });
+    }
+};
+
+// @desc    Download the tasker's schedule as an iCalendar (.ics) file
+// @route   GET /api/taskers/schedule.ics
+// @access  Private (Tasker only)
+export const exportTaskerSchedule = async (req, res) => {
+    try {
+        const now = new Date();
+        const tasker = await User.findById(req.user._id).select('fullName taskerProfile');
+        const ics = await buildScheduleIcs(tasker, {
+            from: new Date(now.getTime() - 30 * DAY_MS),
+            to: new Date(now.getTime() + 180 * DAY_MS),
+            now
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="taskgo-schedule.ics"');
+        res.status(200).send(ics);
+    } catch (error) {
+        console.error('Export tasker schedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Server error while exporting schedule"
+        });
+    }
+};
+
 // @desc    Get tasker profile with detailed information
 // @route   GET /api/taskers/:id/profile
 // @access  Public
@@ -395,7 +597,7 @@ export const getTaskerProfile = async (req, res) => {
 
         const activeTasks = await Task.countDocuments({
             selectedTasker: tasker._id,
-            status: { $in: ['scheduled', 'in-progress'] }
+            status: { $in: ['scheduled', 'in_progress'] }
         });
 
         const totalApplications = await Application.countDocuments({
@@ -413,16 +615,17 @@ export const getTaskerProfile = async (req, res) => {
         .limit(5);
 
         // Calculate additional metrics
-        const avgResponseTime = Math.floor(Math.random() * 4) + 1;
+        const avgResponseTime = getAverageResponseTime(tasker);
         const baseRate = 15 + (tasker.rating?.average || 0) * 5;
         const experienceBonus = Math.min(completedTasks * 0.5, 15);
         const hourlyRate = Math.round(baseRate + experienceBonus);
 
         // Calculate real response rate
         const responseRate = await calculateResponseRate(tasker._id);
+        const { isOnline, lastSeenAt } = await getPresence(tasker._id);
 
         const profileData = {
-            ...tasker.toObject(),
+            ...withCoarseTaskerLocation(tasker.toObject()),
             statistics: {
                 completedTasks,
                 activeTasks,
@@ -431,7 +634,8 @@ export const getTaskerProfile = async (req, res) => {
                 responseRate
             },
             hourlyRate,
-            isOnline: Math.random() > 0.3,
+            isOnline,
+            lastSeenAt,
             recentTasks,
             // Extract tasker profile data
             skills: tasker.taskerProfile?.skills || [],
@@ -4,6 +4,10 @@ import Application from "../models/Application.js";
 import Feedback from "../models/Feedback.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import { toGeoPoint } from "../utils/geo.js";
+import { revokeAllSessions } from "../services/sessionService.js";
+import { hasPermission } from "../services/adminPermissionService.js";
+import { getEntityAuditTrail } from "../services/auditLogService.js";
 
 export const registerUser = async (req, res) => {
     const { name, email, password, role } = req.body;
@@ -235,6 +239,8 @@ export const updateProfile = async (req, res) => {
         
         if (fullName) updateData.fullName = fullName;
         if (phone) updateData.phone = phone;
+        // A new number has to be verified again
+        if (phone && phone !== user.phone) updateData.phoneVerifiedAt = null;
 
         // Handle tasker profile updates
         if (user.role === 'tasker' && taskerProfile) {
@@ -265,6 +271,22 @@ export const updateProfile = async (req, res) => {
                 }
             }
             
+            // Validate location and service radius if provided
+            let location;
+            if (taskerProfile.location) {
+                try {
+                    location = toGeoPoint(taskerProfile.location);
+                } catch (geoError) {
+                    return res.status(400).json({ message: geoError.message });
+                }
+            }
+            if (taskerProfile.serviceRadiusKm !== undefined) {
+                const serviceRadius = Number(taskerProfile.serviceRadiusKm);
+                if (isNaN(serviceRadius) || serviceRadius < 1 || serviceRadius > 100) {
+                    return res.status(400).json({ message: "Service radius must be between 1 and 100 km" });
+                }
+            }
+            
             updateData.taskerProfile = {
                 ...currentTaskerProfile,
                 ...(taskerProfile.skills && { skills: taskerProfile.skills }),
@@ -274,7 +296,9 @@ export const updateProfile = async (req, res) => {
                 ...(taskerProfile.district && { district: taskerProfile.district }),
                 ...(taskerProfile.hourlyRate !== undefined && { hourlyRate: Number(taskerProfile.hourlyRate) }),
                 ...(taskerProfile.advancePaymentAmount !== undefined && { advancePaymentAmount: Number(taskerProfile.advancePaymentAmount) }),
-                ...(typeof taskerProfile.isAvailable === 'boolean' && { isAvailable: taskerProfile.isAvailable })
+                ...(typeof taskerProfile.isAvailable === 'boolean' && { isAvailable: taskerProfile.isAvailable }),
+                ...(location && { location }),
+                ...(taskerProfile.serviceRadiusKm !== undefined && { serviceRadiusKm: Number(taskerProfile.serviceRadiusKm) })
             };
 
             // Validate skills if provided
@@ -389,10 +413,12 @@ export const changePassword = async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const hashedNewPassword = await bcrypt.hash(newPassword, salt);
 
-        // Update password
-        await User.findByIdAndUpdate(userId, { password: hashedNewPassword });
+        // Update password and sign out every session, including this one
+        await User.findByIdAndUpdate(userId, { password: hashedNewPassword, passwordChangedAt: new Date() });
+        const revokedSessions = await revokeAllSessions(userId, 'password_changed');
+        res.clearCookie('refreshToken', { path: '/api/auth', httpOnly: true, secure: true, sameSite: 'none' });
 
-        res.json({ message: 'Password changed successfully' });
+        res.json({ message: 'Password changed successfully. Please log in again.', revokedSessions });
 
     } catch (error) {
         console.error('Change password error:', error);
@@ -738,6 +764,11 @@ export const getUserDetails = async (req, res) => {
         const accountAge = Math.floor((Date.now() - new Date(userData.createdAt)) / (1000 * 60 * 60 * 24));
         userData.accountAge = accountAge;
 
+        // Admin actions taken on this account, for admins who can read the audit trail
+        if (hasPermission(req.user, 'audit.read')) {
+            relatedData.auditTrail = await getEntityAuditTrail('User', user._id);
+        }
+
         res.json({
             success: true,
             message: 'User details retrieved successfully',
@@ -829,12 +860,15 @@ export const suspendUser = async (req, res) => {
             { new: true, runValidators: true }
         ).select('-password');
 
+        // A suspended user is signed out everywhere
+        const revokedSessions = action === 'suspend' ? await revokeAllSessions(userId, 'suspended') : 0;
+
         // Log admin action
         try {
             const AdminActionLog = (await import('../models/AdminActionLog.js')).default;
             await AdminActionLog.create({
                 adminId: req.user._id,
-                actionType: action === 'suspend' ? 'USER_SUSPENDED' : 'USER_UNSUSPENDED',
+                actionType: action === 'suspend' ? 'USER_SUSPENDED' : 'USER_REACTIVATED',
                 targetId: userId,
                 targetModel: 'User',
                 details: `${action === 'suspend' ? 'Suspended' : 'Unsuspended'} user account`,
@@ -842,7 +876,8 @@ export const suspendUser = async (req, res) => {
                 userAgent: req.get('User-Agent'),
                 metadata: {
                     reason: action === 'suspend' ? reason : null,
-                    previousStatus: isCurrentlySuspended ? 'suspended' : 'active'
+                    previousStatus: isCurrentlySuspended ? 'suspended' : 'active',
+                    revokedSessions
                 }
             });
         } catch (logError) {
@@ -857,7 +892,8 @@ export const suspendUser = async (req, res) => {
                 action,
                 reason: action === 'suspend' ? reason : null,
                 suspendedAt: updatedUser.suspendedAt,
-                suspendedBy: updatedUser.suspendedBy
+                suspendedBy: updatedUser.suspendedBy,
+                revokedSessions
             }
         });
 
@@ -0,0 +1,48 @@
+import { createScheduler } from '../services/scheduler.js';
+import { expireStalePayments, PAYMENT_EXPIRY_INTERVAL_MS } from './paymentExpiryJob.js';
+import { expireOverdueTasks, TASK_EXPIRY_INTERVAL_MS } from './taskExpiryJob.js';
+import { sendTaskReminders, TASK_REMINDER_INTERVAL_MS } from './taskReminderJob.js';
+import { autoCompleteTasks, TASK_AUTO_COMPLETE_INTERVAL_MS } from './taskAutoCompleteJob.js';
+import { expirePendingOffers, OFFER_EXPIRY_INTERVAL_MS } from '../services/negotiationService.js';
+import { sendSavedSearchDigests, SAVED_SEARCH_DIGEST_INTERVAL_MS } from '../services/savedSearchService.js';
+import { generateDueOccurrences, RECURRING_TASK_INTERVAL_MS } from '../services/recurringTaskService.js';
+import { pruneStaleConnections, PRESENCE_PRUNE_INTERVAL_MS } from '../services/presenceService.js';
+
+/**
+ * Recurring background jobs, keyed by the name stored on their Job document
+ */
+export const registerJobs = (scheduler) => scheduler
+  .define('payments.expire', (data, { io, now }) => expireStalePayments({ io, now }), {
+    intervalMs: PAYMENT_EXPIRY_INTERVAL_MS
+  })
+  .define('tasks.expire', (data, { io, now }) => expireOverdueTasks({ io, now }), {
+    intervalMs: TASK_EXPIRY_INTERVAL_MS
+  })
+  .define('tasks.remind', (data, { io, now }) => sendTaskReminders({ io, now }), {
+    intervalMs: TASK_REMINDER_INTERVAL_MS
+  })
+  .define('tasks.autoComplete', (data, { io, now }) => autoCompleteTasks({ io, now }), {
+    intervalMs: TASK_AUTO_COMPLETE_INTERVAL_MS
+  })
+  .define('applications.expireOffers', (data, { now }) => expirePendingOffers({ now }), {
+    intervalMs: OFFER_EXPIRY_INTERVAL_MS
+  })
+  .define('savedSearches.digest', (data, { io, now }) => sendSavedSearchDigests({ io, now }), {
+    intervalMs: SAVED_SEARCH_DIGEST_INTERVAL_MS
+  })
+  .define('recurringTasks.generate', (data, { io, now }) => generateDueOccurrences({ io, now }), {
+    intervalMs: RECURRING_TASK_INTERVAL_MS
+  })
+  .define('presence.prune', (data, { now }) => pruneStaleConnections({ now }), {
+    intervalMs: PRESENCE_PRUNE_INTERVAL_MS
+  });
+
+/**
+ * Create the scheduler with all jobs registered and start it
+ * @returns {Promise<Object>} the running scheduler
+ */
+export const startJobScheduler = async ({ io = null } = {}) => {
+  const scheduler = registerJobs(createScheduler({ context: { io } }));
+  await scheduler.start();
+  return scheduler;
+};
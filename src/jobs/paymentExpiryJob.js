@@ -0,0 +1,77 @@
+import Payment from '../models/Payment.js';
+import { closePendingPayment } from '../services/paymentService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Expire stale pending payments
+ * A checkout the customer abandoned without reaching /api/payments/cancel leaves the payment
+ * pending and the task waiting on it. Payments pending longer than PAYMENT_EXPIRY_MINUTES are
+ * cancelled and their task's payment fields reset, exactly like a cancelled checkout.
+ * Each payment is claimed atomically, so several instances can run the job at once.
+ */
+
+export const PAYMENT_EXPIRY_MINUTES = Number(process.env.PAYMENT_EXPIRY_MINUTES) || 30;
+export const PAYMENT_EXPIRY_INTERVAL_MS = Number(process.env.PAYMENT_EXPIRY_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 100;
+
+const notifyCustomer = (io, payment, taskReset) => {
+  if (!io) return;
+  try {
+    io.to(`user-${payment.customer}`).emit('payment-expired', {
+      taskId: payment.task,
+      orderId: payment.payhereOrderId,
+      paymentType: payment.paymentType,
+      amount: payment.amount,
+      taskReset,
+      message: 'Your payment session expired. You can start the payment again.',
+      timestamp: new Date().toISOString()
+    });
+  } catch (wsError) {
+    logger.warn('WebSocket payment expiry notification failed', {
+      error: wsError.message,
+      paymentId: payment._id
+    });
+  }
+};
+
+/**
+ * Expire payments that have been pending for longer than `expiryMinutes`
+ * @returns {Promise<{checked: number, expired: number, tasksReset: number}>}
+ */
+export const expireStalePayments = async ({
+  io = null,
+  now = new Date(),
+  expiryMinutes = PAYMENT_EXPIRY_MINUTES,
+  limit = BATCH_SIZE
+} = {}) => {
+  const cutoff = new Date(now.getTime() - expiryMinutes * 60 * 1000);
+  const candidates = await Payment.find({ status: 'pending', createdAt: { $lt: cutoff } })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const result = { checked: candidates.length, expired: 0, tasksReset: 0 };
+
+  for (const candidate of candidates) {
+    try {
+      // Another instance (or a late notification) may have settled it since the query
+      const { payment, taskReset } = await closePendingPayment(
+        { _id: candidate._id, createdAt: { $lt: cutoff } },
+        { reason: 'Payment window expired', expired: true }
+      );
+      if (!payment) continue;
+
+      result.expired += 1;
+      if (taskReset) result.tasksReset += 1;
+      notifyCustomer(io, payment, taskReset);
+    } catch (error) {
+      logger.error('Failed to expire pending payment', { paymentId: candidate._id, error: error.message });
+    }
+  }
+
+  if (result.expired > 0) {
+    logger.info('Expired stale pending payments', result);
+  }
+  return result;
+};
@@ -0,0 +1,98 @@
+import Task from '../models/Task.js';
+import { transitionTask, TaskTransitionError } from '../services/taskStateMachine.js';
+import { applyCompletionEffects } from '../services/taskCompletionService.js';
+import { notifyMany } from '../services/notifications/index.js';
+import { getWorkingTaskerIds } from '../services/crewService.js';
+import { findActiveDispute } from '../services/disputeService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Auto-complete tasks
+ * A task is completed once both parties call markTaskComplete. When only one of them has
+ * done so and TASK_AUTO_COMPLETE_DAYS have passed, the system completes the task on behalf
+ * of the other, with the same statistics and feedback side effects. The other party's
+ * completion time is filled in so the task looks as if both had marked it (the final payment
+ * requires both), and `autoCompleted` records that it was not them.
+ * Tasks with an open dispute are left alone until the dispute is resolved.
+ */
+
+export const TASK_AUTO_COMPLETE_DAYS = Number(process.env.TASK_AUTO_COMPLETE_DAYS) || 3;
+export const TASK_AUTO_COMPLETE_INTERVAL_MS = Number(process.env.TASK_AUTO_COMPLETE_INTERVAL_MS) || 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+const notifyParticipants = (io, task, completedBy) => {
+  if (!io) return;
+  const waitingOn = completedBy === 'customer' ? 'the tasker' : 'the customer';
+  for (const userId of [task.customer, ...getWorkingTaskerIds(task)]) {
+    try {
+      io.to(`user-${userId}`).emit('task-update', {
+        type: 'task-auto-completed',
+        taskId: task._id,
+        taskTitle: task.title,
+        message: `${task.title} was completed automatically after waiting on ${waitingOn} for ${TASK_AUTO_COMPLETE_DAYS} days.`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (wsError) {
+      logger.warn('WebSocket auto-complete notification failed', { error: wsError.message, taskId: task._id });
+    }
+  }
+};
+
+/**
+ * Complete tasks that only one party marked complete at least `afterDays` before `now`
+ * @returns {Promise<{checked: number, completed: number}>}
+ */
+export const autoCompleteTasks = async ({
+  io = null,
+  now = new Date(),
+  afterDays = TASK_AUTO_COMPLETE_DAYS,
+  limit = BATCH_SIZE
+} = {}) => {
+  const cutoff = new Date(now.getTime() - afterDays * 24 * 60 * 60 * 1000);
+  const tasks = await Task.find({
+    status: { $in: ['scheduled', 'in_progress'] },
+    $or: [
+      { taskerCompletedAt: { $lt: cutoff }, customerCompletedAt: null },
+      { customerCompletedAt: { $lt: cutoff }, taskerCompletedAt: null }
+    ]
+  }).limit(limit);
+
+  const result = { checked: tasks.length, completed: 0 };
+
+  for (const task of tasks) {
+    const completedBy = task.customerCompletedAt ? 'customer' : 'tasker';
+    try {
+      if (await findActiveDispute(task._id)) continue;
+
+      await transitionTask(task, 'completed', {
+        reason: `Auto-completed ${afterDays} days after the ${completedBy} marked the task complete`,
+        metadata: { job: 'tasks.autoComplete', autoCompleted: true, completedBy },
+        update: (current) => {
+          if (completedBy === 'customer') {
+            current.taskerCompletedAt = now;
+          } else {
+            current.customerCompletedAt = now;
+          }
+          current.autoCompleted = true;
+        }
+      });
+      await applyCompletionEffects(task);
+
+      result.completed += 1;
+      notifyParticipants(io, task, completedBy);
+      await notifyMany([task.customer, ...getWorkingTaskerIds(task)], 'task_completed', {
+        taskId: task._id,
+        taskTitle: task.title,
+        autoCompleted: true
+      }, { io });
+    } catch (error) {
+      if (error instanceof TaskTransitionError) continue;
+      logger.error('Failed to auto-complete task', { taskId: task._id, error: error.message });
+    }
+  }
+
+  if (result.completed > 0) {
+    logger.info('Auto-completed tasks', result);
+  }
+  return result;
+};
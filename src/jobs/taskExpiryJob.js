@@ -0,0 +1,77 @@
+import Task from '../models/Task.js';
+import Application from '../models/Application.js';
+import { transitionTask, TaskTransitionError } from '../services/taskStateMachine.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Expire open tasks
+ * An active task whose end date has passed can no longer be done in its time window.
+ * It is cancelled by the system and its pending applications are rejected.
+ * Tasks with an advance checkout in progress are left to the payment expiry job first.
+ */
+
+export const TASK_EXPIRY_INTERVAL_MS = Number(process.env.TASK_EXPIRY_INTERVAL_MS) || 15 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const notifyCustomer = (io, task) => {
+  if (!io) return;
+  try {
+    io.to(`user-${task.customer}`).emit('task-update', {
+      type: 'task-expired',
+      taskId: task._id,
+      taskTitle: task.title,
+      message: `${task.title} expired because its end date passed without a tasker being scheduled.`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (wsError) {
+    logger.warn('WebSocket task expiry notification failed', { error: wsError.message, taskId: task._id });
+  }
+};
+
+/**
+ * Cancel active tasks whose end date is before `now`
+ * @returns {Promise<{checked: number, expired: number}>}
+ */
+export const expireOverdueTasks = async ({ io = null, now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const tasks = await Task.find({
+    status: 'active',
+    endDate: { $lt: now },
+    $or: [
+      { paymentId: null },
+      { advancePaymentStatus: { $ne: 'pending' } }
+    ]
+  })
+    .sort({ endDate: 1 })
+    .limit(limit);
+
+  const result = { checked: tasks.length, expired: 0 };
+
+  for (const task of tasks) {
+    try {
+      await transitionTask(task, 'cancelled', {
+        reason: 'Task expired: end date passed',
+        metadata: { job: 'tasks.expire', endDate: task.endDate },
+        update: (doc) => {
+          doc.cancellationReason = 'Expired: the end date passed before the task was scheduled';
+          doc.cancelledAt = now;
+        }
+      });
+
+      await Application.updateMany(
+        { task: task._id, status: 'pending' },
+        { $set: { status: 'rejected' } }
+      );
+
+      result.expired += 1;
+      notifyCustomer(io, task);
+    } catch (error) {
+      if (error instanceof TaskTransitionError) continue;
+      logger.error('Failed to expire task', { taskId: task._id, error: error.message });
+    }
+  }
+
+  if (result.expired > 0) {
+    logger.info('Expired overdue tasks', result);
+  }
+  return result;
+};
@@ -0,0 +1,125 @@
+import Task from '../models/Task.js';
+import logger from '../utils/logger.js';
+import { getWorkingTaskerIds } from '../services/crewService.js';
+
+/**
+ * Task reminders
+ * - Upcoming: both parties are reminded once, TASK_REMINDER_LEAD_HOURS before the agreed time.
+ * - Overdue: a scheduled or in-progress task still open TASK_OVERDUE_GRACE_HOURS after its
+ *   agreed time is nudged every TASK_OVERDUE_NUDGE_HOURS, at most TASK_OVERDUE_MAX_NUDGES times,
+ *   asking the parties to mark it complete or cancel it.
+ * Each reminder is claimed with a conditional update, so it is sent once even if the job
+ * runs on several instances.
+ */
+
+export const TASK_REMINDER_INTERVAL_MS = Number(process.env.TASK_REMINDER_INTERVAL_MS) || 10 * 60 * 1000;
+export const TASK_REMINDER_LEAD_HOURS = Number(process.env.TASK_REMINDER_LEAD_HOURS) || 24;
+export const TASK_OVERDUE_GRACE_HOURS = Number(process.env.TASK_OVERDUE_GRACE_HOURS) || 24;
+export const TASK_OVERDUE_NUDGE_HOURS = Number(process.env.TASK_OVERDUE_NUDGE_HOURS) || 72;
+export const TASK_OVERDUE_MAX_NUDGES = Number(process.env.TASK_OVERDUE_MAX_NUDGES) || 3;
+const BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+const participantsOf = (task) => [task.customer, ...getWorkingTaskerIds(task)].filter(Boolean);
+
+const notifyParticipants = (io, task, event, payload) => {
+  if (!io) return;
+  for (const userId of participantsOf(task)) {
+    try {
+      io.to(`user-${userId}`).emit(event, {
+        taskId: task._id,
+        taskTitle: task.title,
+        agreedTime: task.agreedTime,
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+    } catch (wsError) {
+      logger.warn('WebSocket task reminder failed', { error: wsError.message, taskId: task._id, event });
+    }
+  }
+};
+
+const sendUpcomingReminders = async ({ io, now, leadHours, limit }) => {
+  const tasks = await Task.find({
+    status: 'scheduled',
+    agreedTime: { $gt: now, $lte: new Date(now.getTime() + leadHours * HOUR_MS) },
+    'reminders.upcomingSentAt': null
+  })
+    .select('title customer selectedTasker assignments agreedTime')
+    .limit(limit)
+    .lean();
+
+  let sent = 0;
+  for (const task of tasks) {
+    const claim = await Task.updateOne(
+      { _id: task._id, 'reminders.upcomingSentAt': null },
+      { $set: { 'reminders.upcomingSentAt': now } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    notifyParticipants(io, task, 'task-reminder', {
+      type: 'task-upcoming',
+      message: `Reminder: ${task.title} is scheduled for ${new Date(task.agreedTime).toLocaleString()}.`
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+const sendOverdueNudges = async ({ io, now, graceHours, nudgeHours, maxNudges, limit }) => {
+  const lastNudgeBefore = new Date(now.getTime() - nudgeHours * HOUR_MS);
+  const dueFilter = {
+    status: { $in: ['scheduled', 'in_progress'] },
+    agreedTime: { $lt: new Date(now.getTime() - graceHours * HOUR_MS) },
+    'reminders.overdueNudgeCount': { $not: { $gte: maxNudges } },
+    $or: [
+      { 'reminders.overdueNudgedAt': null },
+      { 'reminders.overdueNudgedAt': { $lt: lastNudgeBefore } }
+    ]
+  };
+
+  const tasks = await Task.find(dueFilter)
+    .select('title customer selectedTasker assignments agreedTime reminders')
+    .limit(limit)
+    .lean();
+
+  let sent = 0;
+  for (const task of tasks) {
+    const claim = await Task.updateOne(
+      { _id: task._id, ...dueFilter },
+      { $set: { 'reminders.overdueNudgedAt': now }, $inc: { 'reminders.overdueNudgeCount': 1 } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    notifyParticipants(io, task, 'task-reminder', {
+      type: 'task-overdue',
+      message: `${task.title} was due on ${new Date(task.agreedTime).toLocaleString()}. Please mark it as complete or cancel it.`
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+/**
+ * Send upcoming reminders and overdue nudges that are due at `now`
+ * @returns {Promise<{upcoming: number, overdue: number}>}
+ */
+export const sendTaskReminders = async ({
+  io = null,
+  now = new Date(),
+  leadHours = TASK_REMINDER_LEAD_HOURS,
+  graceHours = TASK_OVERDUE_GRACE_HOURS,
+  nudgeHours = TASK_OVERDUE_NUDGE_HOURS,
+  maxNudges = TASK_OVERDUE_MAX_NUDGES,
+  limit = BATCH_SIZE
+} = {}) => {
+  const result = {
+    upcoming: await sendUpcomingReminders({ io, now, leadHours, limit }),
+    overdue: await sendOverdueNudges({ io, now, graceHours, nudgeHours, maxNudges, limit })
+  };
+
+  if (result.upcoming > 0 || result.overdue > 0) {
+    logger.info('Sent task reminders', result);
+  }
+  return result;
+};
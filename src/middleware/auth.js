@@ -1,7 +1,23 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
+import { isSessionActive } from "../services/sessionService.js";
+import { hasRecentTwoFactor } from "../services/twoFactorService.js";
 
+// Tokens issued before the user's last password reset are no longer accepted
+export const issuedBeforePasswordChange = (decoded, user) => Boolean(
+    user && user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+);
+
+// Access tokens name the session they were issued for and stop working once it is revoked.
+// Tokens issued before sessions existed carry no session id and run until they expire.
+// Refresh, login-challenge and emailed link tokens can share the signing secret but never
+// authenticate requests
+export const isAccessToken = (decoded) => !decoded.tokenType && !decoded.purpose;
+
+export const isTokenRevoked = async (decoded, user) => (
+    issuedBeforePasswordChange(decoded, user) || Boolean(decoded.sid && !(await isSessionActive(decoded.sid)))
+);
 
 export const protect = async (req, res, next) => {
     let token;
@@ -9,7 +25,13 @@ export const protect = async (req, res, next) => {
         try {
             token = req.headers.authorization.split(" ")[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (!isAccessToken(decoded)) throw new Error("Not an access token");
             req.user = await User.findById(decoded.userId).select("-password");
+            if (await isTokenRevoked(decoded, req.user)) {
+                logger.auth('Token for an ended session', req.ip);
+                return res.status(401).json({ message: "Not authorized, please log in again" });
+            }
+            req.sessionId = decoded.sid || null;
             next();
         } catch (error) {
             logger.auth('Invalid token attempt', req.ip);
@@ -28,7 +50,9 @@ export const optionalAuth = async (req, res, next) => {
         try {
             token = req.headers.authorization.split(" ")[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.userId).select("-password");
+            if (!isAccessToken(decoded)) throw new Error("Not an access token");
+            const user = await User.findById(decoded.userId).select("-password");
+            req.user = user && !(await isTokenRevoked(decoded, user)) ? user : null;
         } catch (error) {
             // Token is invalid, but we don't fail - just continue without user
             // Invalid token provided, continuing without authentication
@@ -64,6 +88,9 @@ export const verifyToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!isAccessToken(decoded)) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
 
     // Fetch the full user document to ensure role and _id are available
     const user = await User.findById(decoded.userId).select("-password");
@@ -72,7 +99,12 @@ export const verifyToken = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid token: user not found" });
     }
 
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({ message: "Session has ended. Please log in again." });
+    }
+
     req.user = user; // Ensures _id exists for downstream logic
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     // Use 401 to indicate authentication failure consistently
@@ -81,10 +113,31 @@ export const verifyToken = async (req, res, next) => {
 };
 
 export const authorize = (roles = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({ message: "Unauthorized access" });
     }
+
+    // Admin actions need two-factor authentication, confirmed recently in this session
+    if (req.user.role === "admin") {
+      if (!req.user.twoFactor?.enabled) {
+        return res.status(403).json({
+          message: "Set up two-factor authentication to use admin features",
+          errorType: "two_factor_setup_required"
+        });
+      }
+      try {
+        if (!(await hasRecentTwoFactor(req.sessionId))) {
+          return res.status(403).json({
+            message: "Please confirm your two-factor code to continue",
+            errorType: "two_factor_required"
+          });
+        }
+      } catch (error) {
+        logger.error('Two-factor check failed', { error: error.message });
+        return res.status(500).json({ message: "Unable to verify two-factor authentication" });
+      }
+    }
     next();
   };
 };
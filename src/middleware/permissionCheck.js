@@ -0,0 +1,46 @@
+import { ADMIN_PERMISSION_KEYS } from '../config/adminPermissions.js';
+import { hasPermission, isSuperAdmin } from '../services/adminPermissionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Middleware to require admin permissions (all of those listed) for a route
+ * This middleware should be used after authentication and authorize(['admin'])
+ */
+export const requirePermission = (...permissions) => {
+  const unknown = permissions.filter((permission) => !ADMIN_PERMISSION_KEYS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`requirePermission: unknown permission ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      logger.warn('Admin permission denied', {
+        userId: req.user?._id,
+        path: req.originalUrl,
+        missing
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        errorType: 'permission_denied',
+        missingPermissions: missing
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware to restrict a route to super admins
+ */
+export const requireSuperAdmin = (req, res, next) => {
+  if (!isSuperAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only super admins can manage admin permissions',
+      errorType: 'permission_denied'
+    });
+  }
+  next();
+};
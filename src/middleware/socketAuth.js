@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { isAccessToken, isTokenRevoked } from "./auth.js";
 
 /**
  * Socket.IO authentication middleware
@@ -13,11 +14,18 @@ export const socketAuth = async (socket, next) => {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!isAccessToken(decoded)) {
+      return next(new Error('Authentication error: Invalid token'));
+    }
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return next(new Error('Authentication error: Invalid user'));
     }
+
+    if (await isTokenRevoked(decoded, user)) {
+      return next(new Error('Authentication error: Session has ended'));
+    }
     
     socket.user = user;
     next();
@@ -0,0 +1,30 @@
+import { getMissingVerifications } from '../services/accountVerificationService.js';
+
+/**
+ * Middleware to stop unverified accounts from posting or applying for tasks
+ * This middleware should be used after authentication middleware
+ */
+export const requireVerifiedAccount = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.user.role === 'admin') {
+    return next();
+  }
+
+  const missing = getMissingVerifications(req.user);
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Please verify your ${missing.join(' and ')} before continuing`,
+      accountStatus: 'unverified',
+      missingVerifications: missing
+    });
+  }
+
+  next();
+};
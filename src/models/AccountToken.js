@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const ACCOUNT_TOKEN_PURPOSES = ['email_verification', 'password_reset', 'phone_verification'];
+
+/**
+ * AccountToken Schema
+ * One-time secrets sent to a user to prove they control their email address or phone, or
+ * to reset a forgotten password. Email links carry a signed JWT whose `jti` is stored here;
+ * phone codes are stored as a keyed hash. `usedAt` makes each token single-use, and
+ * `target` is the email or phone the token was sent to, so a token stops working if the
+ * user changes it. Expired tokens are removed by the TTL index.
+ */
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  purpose: {
+    type: String,
+    enum: ACCOUNT_TOKEN_PURPOSES,
+    required: [true, 'Token purpose is required']
+  },
+  // JWT id of an email link
+  jti: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Keyed hash of a phone code
+  codeHash: {
+    type: String,
+    select: false
+  },
+  target: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
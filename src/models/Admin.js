@@ -1,9 +1,23 @@
 import mongoose from "mongoose";
 import User from "./User.js";
+import { ADMIN_PERMISSION_KEYS } from "../config/adminPermissions.js";
 
 const adminSchema = new mongoose.Schema({
-    permissions: [{ type: String, required: true }] 
+    permissions: [{
+        type: String,
+        required: true,
+        enum: {
+            values: ADMIN_PERMISSION_KEYS,
+            message: 'Unknown admin permission: {VALUE}'
+        }
+    }],
+    // Super admins hold every permission and manage the other admins' permissions
+    isSuperAdmin: {
+        type: Boolean,
+        default: false
+    }
 });
 
-const Admin = User.discriminator("Admin", adminSchema);
+// Users with role "admin" are loaded as Admin documents
+const Admin = User.discriminator("Admin", adminSchema, "admin");
 export default Admin;
@@ -19,6 +19,10 @@ const adminActionLogSchema = new mongoose.Schema({
         'USER_REACTIVATED',
         'USER_DELETED',
         'USER_ROLE_CHANGED',
+
+        // Admin management actions
+        'ADMIN_PERMISSIONS_GRANTED',
+        'ADMIN_PERMISSIONS_REVOKED',
         
         // Task management actions
         'TASK_APPROVED',
@@ -26,12 +30,16 @@ const adminActionLogSchema = new mongoose.Schema({
         'TASK_SUSPENDED',
         'TASK_REACTIVATED',
         'TASK_DELETED',
+        'TASK_STATUS_UPDATED',
+        'TASKS_VIEWED',
         
         // Payment actions
         'PAYMENT_APPROVED',
         'PAYMENT_REJECTED',
         'PAYMENT_REFUNDED',
+        'REFUND_FAILED',
         'PAYMENT_DISPUTE_RESOLVED',
+        'PAYOUT_FAILED',
         
         // System actions
         'SYSTEM_CONFIG_CHANGED',
@@ -67,7 +75,7 @@ const adminActionLogSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Target model is required'],
     enum: {
-      values: ['User', 'Task', 'Payment', 'Application', 'Feedback', 'ChatMessage'],
+      values: ['User', 'Task', 'Payment', 'Application', 'Feedback', 'ChatMessage', 'Dispute'],
       message: 'Invalid target model'
     }
   },
@@ -124,17 +132,24 @@ adminActionLogSchema.virtual('actionCategory').get(function() {
     'USER_REACTIVATED': 'user_management',
     'USER_DELETED': 'user_management',
     'USER_ROLE_CHANGED': 'user_management',
+
+    'ADMIN_PERMISSIONS_GRANTED': 'admin_management',
+    'ADMIN_PERMISSIONS_REVOKED': 'admin_management',
     
     'TASK_APPROVED': 'task_management',
     'TASK_REJECTED': 'task_management',
     'TASK_SUSPENDED': 'task_management',
     'TASK_REACTIVATED': 'task_management',
     'TASK_DELETED': 'task_management',
+    'TASK_STATUS_UPDATED': 'task_management',
+    'TASKS_VIEWED': 'task_management',
     
     'PAYMENT_APPROVED': 'payment_management',
     'PAYMENT_REJECTED': 'payment_management',
     'PAYMENT_REFUNDED': 'payment_management',
+    'REFUND_FAILED': 'payment_management',
     'PAYMENT_DISPUTE_RESOLVED': 'payment_management',
+    'PAYOUT_FAILED': 'payment_management',
     
     'SYSTEM_CONFIG_CHANGED': 'system_management',
     'SYSTEM_MAINTENANCE': 'system_management',
@@ -1,5 +1,63 @@
 import mongoose from 'mongoose';
 
+export const OFFER_STATUSES = ['pending', 'accepted', 'rejected', 'countered', 'expired'];
+
+/**
+ * Offer Schema
+ * One step of the price/time negotiation on an application. Only the latest offer can be
+ * pending; the other party accepts, rejects or counters it before it expires.
+ */
+const offerSchema = new mongoose.Schema({
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Offer author is required']
+  },
+  party: {
+    type: String,
+    enum: {
+      values: ['customer', 'tasker'],
+      message: 'Invalid offer party'
+    },
+    required: true
+  },
+  payment: {
+    type: Number,
+    required: [true, 'Offer payment is required'],
+    min: [1, 'Offer payment must be at least $1']
+  },
+  time: {
+    type: Date,
+    required: [true, 'Offer time is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: OFFER_STATUSES,
+      message: 'Invalid offer status'
+    },
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
 const applicationSchema = new mongoose.Schema({
   task: {
     type: mongoose.Schema.Types.ObjectId,
@@ -49,7 +107,8 @@ const applicationSchema = new mongoose.Schema({
   confirmedPayment: {
     type: Number,
     min: [1, 'Confirmed payment must be at least $1']
-  }
+  },
+  offers: [offerSchema]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -63,6 +122,7 @@ applicationSchema.index({ task: 1, tasker: 1 }, { unique: true });
 applicationSchema.index({ task: 1, status: 1 });
 applicationSchema.index({ tasker: 1, status: 1 });
 applicationSchema.index({ createdAt: -1 });
+applicationSchema.index({ 'offers.status': 1, 'offers.expiresAt': 1 });
 
 // Validation to ensure tasker doesn't apply to their own task
 applicationSchema.pre('save', async function(next) {
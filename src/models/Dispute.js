@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+
+export const DISPUTE_STATUSES = ['open', 'under_review', 'resolved', 'withdrawn'];
+export const DISPUTE_OUTCOMES = ['release_to_tasker', 'refund_to_customer', 'split'];
+export const DISPUTE_CATEGORIES = ['work_not_completed', 'poor_quality', 'completion_not_confirmed', 'no_show', 'payment', 'other'];
+
+// Disputes in these statuses keep the task's advance frozen
+export const ACTIVE_DISPUTE_STATUSES = ['open', 'under_review'];
+
+const evidencePhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^(https?:\/\/|\/?uploads\/).+\.(jpg|jpeg|png|gif|webp)$/i, 'Invalid evidence photo URL']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Copied from the task chat so the evidence survives later edits or deletions
+const chatExcerptSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const noteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Dispute Schema
+ * A disagreement between the customer and tasker over a task's advance. While a dispute is
+ * open or under review the advance cannot be released or refunded; an admin settles it by
+ * releasing it to the tasker, refunding the customer or splitting it. `notes` is the
+ * internal admin thread and is never shown to the parties.
+ */
+const disputeSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task reference is required']
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment reference is required']
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer reference is required'],
+    index: true
+  },
+  tasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tasker reference is required'],
+    index: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: ['customer', 'tasker'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: {
+      values: DISPUTE_CATEGORIES,
+      message: 'Invalid dispute category'
+    },
+    required: [true, 'Dispute category is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Dispute reason is required'],
+    trim: true,
+    maxlength: [2000, 'Reason cannot exceed 2000 characters']
+  },
+  evidencePhotos: [evidencePhotoSchema],
+  chatExcerpts: [chatExcerptSchema],
+  // Task status when the dispute was opened
+  taskStatus: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  notes: {
+    type: [noteSchema],
+    select: false
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: DISPUTE_OUTCOMES
+    },
+    refundAmount: {
+      type: Number,
+      min: 0
+    },
+    releasedAmount: {
+      type: Number,
+      min: 0
+    },
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Resolution summary cannot exceed 1000 characters']
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: {
+      type: Date
+    }
+  },
+  withdrawnAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ task: 1, status: 1 });
+// Admin queue: oldest first, optionally by assignee
+disputeSchema.index({ status: 1, assignedTo: 1, createdAt: 1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
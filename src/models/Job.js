@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const JOB_STATUSES = ['scheduled', 'running', 'completed', 'failed'];
+
+/**
+ * Job Schema
+ * A unit of work for the background scheduler. Recurring jobs (with `intervalMs`) have one
+ * document each, keyed by their name, and are rescheduled after every run. One-off jobs run
+ * once at `nextRunAt`; give them a `key` to avoid scheduling the same work twice.
+ * An instance owns a job while `lockedUntil` is in the future; an expired lock means the
+ * instance died mid-run and any other instance may take the job over.
+ */
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  key: {
+    type: String,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  intervalMs: {
+    type: Number,
+    default: null,
+    min: [1000, 'Job interval must be at least one second']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: JOB_STATUSES,
+      message: 'Invalid job status'
+    },
+    default: 'scheduled'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: [true, 'Next run time is required']
+  },
+  // Failed attempts of the current run; reset once the job succeeds or gives up
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'A job needs at least one attempt']
+  },
+  backoffMs: {
+    type: Number,
+    default: 30 * 1000
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+jobSchema.index({ enabled: 1, status: 1, nextRunAt: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+
+export default mongoose.model('Job', jobSchema);
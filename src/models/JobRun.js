@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const JOB_RUN_RETENTION_DAYS = Number(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+/**
+ * JobRun Schema
+ * One attempt of a scheduled job, kept for JOB_RUN_RETENTION_DAYS as the run history.
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Job name is required']
+  },
+  instanceId: {
+    type: String,
+    required: [true, 'Instance ID is required']
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['running', 'succeeded', 'failed'],
+      message: 'Invalid job run status'
+    },
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Whatever the handler returned, e.g. { checked: 12, expired: 3 }
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  nextRunAt: Date
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static methods
+jobRunSchema.statics.getRunsForJob = function(jobId, limit = 50) {
+  return this.find({ job: jobId }).sort({ startedAt: -1 }).limit(limit);
+};
+
+export default mongoose.model('JobRun', jobRunSchema);
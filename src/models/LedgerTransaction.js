@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+
+/**
+ * Ledger accounts
+ * - gateway_clearing:    money held at / moved through the payment gateway (asset)
+ * - escrow:              customer money the platform holds until work is done (liability)
+ * - platform_commission: the platform's share of released payments (revenue)
+ * - tasker_payable:      money owed to taskers that has not been paid out yet (liability)
+ */
+export const LEDGER_ACCOUNTS = ['gateway_clearing', 'escrow', 'platform_commission', 'tasker_payable'];
+
+export const LEDGER_TRANSACTION_TYPES = ['customer_charge', 'escrow_release', 'refund', 'payout'];
+
+const toCents = (value) => Math.round((value || 0) * 100);
+
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: {
+      values: LEDGER_ACCOUNTS,
+      message: 'Invalid ledger account'
+    },
+    required: [true, 'Ledger account is required']
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  },
+  memo: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+/**
+ * LedgerTransaction Schema
+ * A balanced double-entry journal: the debits of its entries must equal the credits.
+ * `reference` makes posting idempotent (e.g. one charge per payment).
+ */
+const ledgerTransactionSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: [true, 'Ledger reference is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: LEDGER_TRANSACTION_TYPES,
+      message: 'Invalid ledger transaction type'
+    },
+    required: [true, 'Ledger transaction type is required']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    // Payouts settle a tasker's balance across many tasks
+    required: [function() { return this.type !== 'payout'; }, 'Task reference is required']
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+  entries: {
+    type: [ledgerEntrySchema],
+    validate: {
+      validator: function(entries) {
+        return Array.isArray(entries) && entries.length >= 2;
+      },
+      message: 'A ledger transaction needs at least two entries'
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerTransactionSchema.index({ task: 1, createdAt: 1 });
+ledgerTransactionSchema.index({ payment: 1, type: 1 });
+ledgerTransactionSchema.index({ 'entries.account': 1 });
+
+// Reject unbalanced journals before they reach the database
+ledgerTransactionSchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const entry of this.entries || []) {
+    const debit = toCents(entry.debit);
+    const credit = toCents(entry.credit);
+    if ((debit > 0) === (credit > 0)) {
+      return next(new Error(`Ledger entry for ${entry.account} must have either a debit or a credit`));
+    }
+    debits += debit;
+    credits += credit;
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Ledger transaction is not balanced (debits ${debits / 100}, credits ${credits / 100})`));
+  }
+
+  next();
+});
+
+// Static methods
+
+/**
+ * Debit/credit totals per account for transactions matching `match`.
+ * `balance` follows the account's normal side (credit-normal for liabilities and revenue).
+ */
+ledgerTransactionSchema.statics.getAccountBalances = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    { $unwind: '$entries' },
+    {
+      $group: {
+        _id: '$entries.account',
+        debits: { $sum: '$entries.debit' },
+        credits: { $sum: '$entries.credit' }
+      }
+    }
+  ]);
+
+  const balances = {};
+  for (const account of LEDGER_ACCOUNTS) {
+    const row = rows.find(r => r._id === account) || { debits: 0, credits: 0 };
+    const debitNormal = account === 'gateway_clearing';
+    const balance = debitNormal ? row.debits - row.credits : row.credits - row.debits;
+    balances[account] = {
+      debits: toCents(row.debits) / 100,
+      credits: toCents(row.credits) / 100,
+      balance: toCents(balance) / 100
+    };
+  }
+  return balances;
+};
+
+ledgerTransactionSchema.statics.getTaskLedger = function(taskId) {
+  return this.find({ task: taskId })
+    .populate('payment', 'payhereOrderId paymentType amount status')
+    .sort({ createdAt: 1 });
+};
+
+export default mongoose.model('LedgerTransaction', ledgerTransactionSchema);
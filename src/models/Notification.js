@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'application_received',
+  'tasker_selected',
+  'offer_received',
+  'offer_responded',
+  'saved_search_match',
+  'saved_search_digest',
+  'recurring_task_occurrence',
+  'payment_success',
+  'task_completed',
+  'dispute_opened',
+  'dispute_resolved',
+  'tasker_approved',
+  'tasker_rejected'
+];
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms', 'socket'];
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  providerId: String,
+  error: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Notification Schema
+ * In-app notification shown in the user's notification list. `deliveries` records what
+ * happened on each channel (email, SMS, socket) the notification was sent to.
+ */
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Invalid notification type'
+    },
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Ids the client needs to link the notification (taskId, paymentId...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Static methods
+notificationSchema.statics.getUnreadCount = function(recipientId) {
+  return this.countDocuments({ recipient: recipientId, read: false });
+};
+
+/**
+ * Mark the recipient's notifications read; all of them when `ids` is null
+ */
+notificationSchema.statics.markRead = function(recipientId, ids = null) {
+  const filter = { recipient: recipientId, read: false };
+  if (ids) filter._id = { $in: ids };
+  return this.updateMany(filter, { $set: { read: true, readAt: new Date() } });
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -37,7 +37,27 @@ const paymentSchema = new mongoose.Schema({
     },
     default: 'pending'
   },
-  // PayHere specific fields
+  // Gateway that processed the payment (see src/services/gateways)
+  gateway: {
+    type: String,
+    enum: {
+      values: ['payhere', 'stripe', 'fake'],
+      message: 'Invalid payment gateway'
+    },
+    default: 'payhere'
+  },
+  // Gateway's own payment identifier (PayHere payment_id, Stripe payment intent)
+  gatewayPaymentId: {
+    type: String,
+    trim: true
+  },
+  // Gateway checkout reference, e.g. the Stripe Checkout Session ID
+  gatewayReference: {
+    type: String,
+    trim: true
+  },
+  // PayHere specific fields. The order ID, amount and currency columns predate
+  // gateway support and are used by every gateway.
   payherePaymentId: {
     type: String,
     trim: true
@@ -45,7 +65,8 @@ const paymentSchema = new mongoose.Schema({
   payhereOrderId: {
     type: String,
     trim: true,
-    required: [true, 'PayHere order ID is required']
+    alias: 'orderId',
+    required: [true, 'Order ID is required']
   },
   payhereMerchantId: {
     type: String,
@@ -88,6 +109,14 @@ const paymentSchema = new mongoose.Schema({
   processedAt: {
     type: Date
   },
+  // Set when a checkout was abandoned and closed by the expiry job
+  expiredAt: {
+    type: Date
+  },
+  // Set when the escrowed amount is released to the tasker and commission
+  escrowReleasedAt: {
+    type: Date
+  },
   refundedAt: {
     type: Date
   },
@@ -124,7 +153,9 @@ paymentSchema.index({ customer: 1, status: 1 });
 paymentSchema.index({ tasker: 1, status: 1 });
 paymentSchema.index({ payhereOrderId: 1 }, { unique: true });
 paymentSchema.index({ payherePaymentId: 1 });
+paymentSchema.index({ gateway: 1, gatewayPaymentId: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: 1 });
 
 // Instance methods
 paymentSchema.methods.isAdvancePayment = function() {
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_EVENT_STATUSES = ['processing', 'processed', 'skipped', 'failed', 'rejected', 'ignored'];
+
+// Bounds the document for a gateway that keeps retrying; deliveryCount still counts every delivery
+export const MAX_RECORDED_DELIVERIES = 100;
+
+/**
+ * PaymentEvent Schema
+ * Every inbound gateway notification, kept for audit. Verified notifications carry an
+ * `eventKey` (gateway + order_id + payment_id + status_code); its unique index is what
+ * makes retried notifications safe to answer without repeating side effects.
+ * Notifications that fail verification are stored without a key.
+ * `rawPayload` is the first delivery; every later delivery of the same notification is
+ * appended to `deliveries`.
+ */
+const paymentEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: [true, 'Gateway is required']
+  },
+  eventKey: {
+    type: String
+  },
+  orderId: {
+    type: String,
+    trim: true
+  },
+  gatewayPaymentId: {
+    type: String,
+    trim: true
+  },
+  statusCode: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String // normalised gateway status: completed, pending, failed, cancelled
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  processingStatus: {
+    type: String,
+    enum: {
+      values: PAYMENT_EVENT_STATUSES,
+      message: 'Invalid payment event status'
+    },
+    default: 'processing'
+  },
+  // Redacted copy of the notification as received
+  rawPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Redelivered copies of the notification, oldest first (the latest MAX_RECORDED_DELIVERIES)
+  deliveries: [{
+    _id: false,
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    rawPayload: mongoose.Schema.Types.Mixed,
+    ipAddress: String
+  }],
+  error: {
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  deliveryCount: {
+    type: Number,
+    default: 1
+  },
+  lastDeliveredAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index(
+  { eventKey: 1 },
+  { unique: true, partialFilterExpression: { eventKey: { $type: 'string' } } }
+);
+paymentEventSchema.index({ orderId: 1, createdAt: 1 });
+paymentEventSchema.index({ processingStatus: 1, createdAt: -1 });
+
+// Static methods
+paymentEventSchema.statics.getEventsForOrder = function(orderId) {
+  return this.find({ orderId }).sort({ createdAt: 1 });
+};
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
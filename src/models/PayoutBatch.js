@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * PayoutBatch Schema
+ * A group of approved payout requests sent to the bank as one upload file.
+ * Lifecycle: created -> exported -> completed.
+ */
+const payoutBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: [true, 'Batch reference is required'],
+    unique: true
+  },
+  requests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutRequest'
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  requestCount: {
+    type: Number,
+    required: true,
+    min: [1, 'A batch needs at least one payout request']
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['created', 'exported', 'completed'],
+      message: 'Invalid batch status'
+    },
+    default: 'created'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exportedAt: Date,
+  exportCount: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const PAYOUT_REQUEST_STATUSES = ['requested', 'approved', 'rejected', 'batched', 'paid', 'failed', 'cancelled'];
+
+// Statuses that still hold money against the tasker's released balance
+export const OPEN_PAYOUT_STATUSES = ['requested', 'approved', 'batched'];
+
+/**
+ * PayoutRequest Schema
+ * A tasker's withdrawal against their released earnings. The bank account is
+ * copied at request time so later profile edits do not change where money goes.
+ * Lifecycle: requested -> approved -> batched -> paid | failed, or rejected / cancelled.
+ */
+const payoutRequestSchema = new mongoose.Schema({
+  tasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tasker reference is required'],
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payout amount is required'],
+    min: [0.01, 'Payout amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PAYOUT_REQUEST_STATUSES,
+      message: 'Invalid payout status'
+    },
+    default: 'requested'
+  },
+  bankAccount: {
+    accountHolderName: String,
+    bankName: String,
+    bankCode: String,
+    branchName: String,
+    branchCode: String,
+    accountNumber: String
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  bankReference: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+payoutRequestSchema.index({ status: 1, createdAt: 1 });
+payoutRequestSchema.index({ tasker: 1, status: 1 });
+
+// Instance methods
+payoutRequestSchema.methods.isOpen = function() {
+  return OPEN_PAYOUT_STATUSES.includes(this.status);
+};
+
+// Static methods
+payoutRequestSchema.statics.getPayoutsByTasker = function(taskerId) {
+  return this.find({ tasker: taskerId })
+    .select('-bankAccount.accountNumber')
+    .populate('batch', 'reference status exportedAt completedAt')
+    .sort({ createdAt: -1 });
+};
+
+export default mongoose.model('PayoutRequest', payoutRequestSchema);
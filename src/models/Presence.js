@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const connectionSchema = new mongoose.Schema({
+  socketId: {
+    type: String,
+    required: true
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refreshed by the owning instance's heartbeat
+  seenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Presence Schema
+ * Open Socket.IO connections of a user across all server instances. A user is online
+ * while at least one connection has been seen recently; connections of an instance that
+ * stopped without disconnecting its sockets go stale and are pruned.
+ */
+const presenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  connections: [connectionSchema],
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+presenceSchema.index({ 'connections.instanceId': 1 });
+presenceSchema.index({ 'connections.seenAt': 1 });
+
+export default mongoose.model('Presence', presenceSchema);
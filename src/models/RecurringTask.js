@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+export const RECURRING_TASK_STATUSES = ['active', 'paused', 'ended'];
+
+/**
+ * Recurring Task Schema
+ * A customer's repeating job. The `recurringTasks.generate` job turns each occurrence
+ * into a normal Task ahead of time (targeted at the preferred tasker when one is set);
+ * `generatedUntil` marks how far occurrences have been created.
+ */
+const recurringTaskSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  // Copied to every occurrence
+  template: {
+    title: {
+      type: String,
+      required: [true, 'Task title is required'],
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    category: {
+      type: String,
+      required: [true, 'Category is required']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    area: {
+      type: String,
+      required: [true, 'Area is required']
+    },
+    location: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    minPayment: {
+      type: Number,
+      required: [true, 'Minimum payment is required'],
+      min: [1, 'Minimum payment must be at least LKR1']
+    },
+    maxPayment: {
+      type: Number,
+      required: [true, 'Maximum payment is required'],
+      min: [1, 'Maximum payment must be at least LKR1']
+    }
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: {
+        values: RECURRENCE_FREQUENCIES,
+        message: 'Frequency must be weekly, biweekly or monthly'
+      },
+      required: [true, 'Recurrence frequency is required']
+    },
+    // 0 (Sunday) to 6 (Saturday), for weekly and biweekly series
+    weekdays: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // For monthly series; clamped to the last day of shorter months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  // First occurrence; its time of day is used for every occurrence
+  startsOn: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsOn: {
+    type: Date
+  },
+  // How long each occurrence stays open for the tasker (its endDate)
+  windowDays: {
+    type: Number,
+    min: [1, 'Each occurrence must be open for at least 1 day'],
+    max: [30, 'Each occurrence can be open for at most 30 days'],
+    default: 1
+  },
+  preferredTasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: RECURRING_TASK_STATUSES,
+    default: 'active'
+  },
+  // Occurrence start times the customer skipped before they were created
+  skippedOccurrences: [{
+    type: Date
+  }],
+  generatedUntil: {
+    type: Date
+  },
+  lastGeneratedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+recurringTaskSchema.index({ customer: 1, createdAt: -1 });
+recurringTaskSchema.index({ status: 1, generatedUntil: 1 });
+
+export default mongoose.model('RecurringTask', recurringTaskSchema);
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refund Schema
+ * Settlement of a paid advance after a cancellation: `amount` goes back to the customer,
+ * `retainedAmount` is released to the tasker. Created pending approval and executed by an admin.
+ * `settlement_failed` means the gateway refunded the customer but the payment, ledger or
+ * task could not be updated; approving it again only retries those steps.
+ */
+const refundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment reference is required'],
+    index: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task reference is required'],
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer reference is required']
+  },
+  tasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  originalAmount: {
+    type: Number,
+    required: [true, 'Original payment amount is required'],
+    min: [0, 'Original amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0, 'Refund amount cannot be negative']
+  },
+  retainedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Retained amount cannot be negative']
+  },
+  // Policy decision at the time of cancellation
+  policy: {
+    outcome: {
+      type: String,
+      enum: ['full', 'partial', 'none']
+    },
+    refundPercent: Number,
+    cancelledByRole: {
+      type: String,
+      enum: ['customer', 'tasker', 'admin', 'system']
+    },
+    hoursBeforeAgreedTime: Number
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending_approval', 'processing', 'completed', 'failed', 'settlement_failed', 'rejected'],
+      message: 'Invalid refund status'
+    },
+    default: 'pending_approval',
+    index: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+  gatewayRefundId: {
+    type: String,
+    trim: true
+  },
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+
+// Instance methods
+refundSchema.methods.isOpen = function() {
+  return ['pending_approval', 'processing', 'settlement_failed'].includes(this.status);
+};
+
+// Static methods
+refundSchema.statics.getRefundsForTask = function(taskId) {
+  return this.find({ task: taskId })
+    .populate('payment', 'payhereOrderId amount status')
+    .sort({ createdAt: -1 });
+};
+
+export default mongoose.model('Refund', refundSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+export const SAVED_SEARCH_FREQUENCIES = ['instant', 'daily'];
+export const MAX_SAVED_SEARCHES = 10;
+// Tasks kept for the next daily digest
+export const MAX_PENDING_MATCHES = 50;
+
+/**
+ * Saved Search Schema
+ * A tasker's task filters. Newly published tasks that match are sent to the tasker right
+ * away (`instant`) or collected in `pendingMatches` for the next `daily` digest.
+ */
+const savedSearchSchema = new mongoose.Schema({
+  tasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tasker is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  filters: {
+    category: {
+      type: String,
+      trim: true
+    },
+    area: {
+      type: String,
+      trim: true
+    },
+    minPayment: {
+      type: Number,
+      min: [0, 'Minimum payment cannot be negative']
+    },
+    maxPayment: {
+      type: Number,
+      min: [0, 'Maximum payment cannot be negative']
+    },
+    // Matched against the task title, description and tags, any keyword matches
+    keywords: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: SAVED_SEARCH_FREQUENCIES,
+      message: 'Frequency must be instant or daily'
+    },
+    default: 'instant'
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  pendingMatches: [{
+    _id: false,
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    },
+    matchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastAlertAt: {
+    type: Date
+  },
+  lastDigestAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ tasker: 1, createdAt: -1 });
+savedSearchSchema.index({ isPaused: 1, 'filters.category': 1, 'filters.area': 1 });
+savedSearchSchema.index({ frequency: 1, isPaused: 1, lastDigestAt: 1 });
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+export const SESSION_REVOKE_REASONS = [
+  'logout',
+  'user_revoked',
+  'token_reuse',
+  'password_changed',
+  'password_reset',
+  'suspended'
+];
+
+/**
+ * Session Schema
+ * One login on one device. The session's refresh tokens form a family: each refresh
+ * replaces `jti` with the id of the newly issued token, so only the latest token works.
+ * Presenting an older token from the family means it was copied, and the whole session
+ * is revoked. Access tokens carry the session id and stop working once it is revoked.
+ * Sessions are removed by the TTL index once their refresh token would have expired.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  // Id of the only refresh token of this session that is still accepted
+  jti: {
+    type: String,
+    required: true,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  // Last time a two-factor code was confirmed in this session
+  twoFactorVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,95 @@
 import mongoose from 'mongoose';
 
+// GeoJSON point, optional alongside the district-level `area`
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true,
+    validate: {
+      validator: (value) => value.length === 2 &&
+        value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+const PHOTO_URL_PATTERN = /^(https?:\/\/|blob:http|data:image|\/?uploads\/).+\.(jpg|jpeg|png|gif|webp)$/i;
+
+// One tasker's part of a crew task (see services/crewService.js)
+const assignmentSchema = new mongoose.Schema({
+  tasker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  agreedPayment: {
+    type: Number,
+    required: true,
+    min: [0, 'Agreed payment cannot be negative']
+  },
+  selectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  confirmedAt: Date,
+  advancePayment: Number,
+  advancePaymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'released', 'refunded']
+  },
+  advancePaymentDate: Date,
+  paymentId: String,
+  finalPayment: Number,
+  finalPaymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'refunded']
+  },
+  finalPaymentDate: Date,
+  finalPaymentId: String,
+  completedAt: Date,
+  completionPhotos: [{
+    type: String,
+    validate: {
+      validator: (value) => !value || PHOTO_URL_PATTERN.test(value),
+      message: 'Invalid completion photo URL format'
+    }
+  }],
+  completionNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Completion notes cannot exceed 500 characters']
+  },
+  taskerFeedback: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Tasker feedback cannot exceed 500 characters']
+  },
+  taskerRatingForCustomer: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  customerRating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  customerReview: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review cannot exceed 500 characters']
+  }
+});
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -88,12 +178,19 @@ const taskSchema = new mongoose.Schema({
       message: 'Invalid area selected'
     }
   },
+  // Exact location, only shown to the customer and the selected tasker
+  location: {
+    type: pointSchema,
+    default: undefined
+  },
   startDate: {
     type: Date,
     required: [true, 'Start date is required'],
     validate: {
       validator: function(value) {
         if (!value) return true; // Let required validation handle this
+        // Only checked when the date is set, so past tasks can still be updated
+        if (!this.isNew && !this.isModified('startDate')) return true;
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         return value >= today;
@@ -132,7 +229,7 @@ const taskSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['active', 'scheduled', 'completed', 'cancelled'],
+      values: ['active', 'scheduled', 'in_progress', 'completed', 'cancelled'],
       message: 'Invalid status'
     },
     default: 'active'
@@ -146,6 +243,14 @@ const taskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Number of taskers the task needs; above 1 the crew is tracked in `assignments`
+  crewSize: {
+    type: Number,
+    default: 1,
+    min: [1, 'Crew size must be at least 1'],
+    max: [10, 'Crew size cannot exceed 10']
+  },
+  assignments: [assignmentSchema],
   targetedTasker: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -155,13 +260,22 @@ const taskSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set on occurrences created from a RecurringTask series
+  recurringTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTask'
+  },
+  // Cleared when the series is rescheduled so the slot can be created again
+  occurrenceDate: {
+    type: Date
+  },
   completionPhotos: [{
     type: String,
     validate: {
       validator: function(value) {
         if (!value || value.trim() === '') return true; 
         
-        return /^(https?:\/\/|blob:http|data:image|\/?uploads\/).+\.(jpg|jpeg|png|gif|webp)$/i.test(value);
+        return PHOTO_URL_PATTERN.test(value);
       },
       message: 'Invalid completion photo URL format'
     }
@@ -191,6 +305,11 @@ const taskSchema = new mongoose.Schema({
   customerCompletedAt: {
     type: Date
   },
+  // Set when the auto-complete job marked the task complete for the party that did not
+  autoCompleted: {
+    type: Boolean,
+    default: false
+  },
   taskerFeedback: {
     type: String,
     trim: true,
@@ -239,6 +358,37 @@ const taskSchema = new mongoose.Schema({
   paymentReference: {
     type: String,
     trim: true
+  },
+  // Final payment (remaining balance after the advance), collected once both parties complete
+  finalPayment: {
+    type: Number,
+    min: [0, 'Final payment cannot be negative']
+  },
+  finalPaymentStatus: {
+    type: String,
+    enum: {
+      values: ['pending', 'paid', 'refunded'],
+      message: 'Invalid final payment status'
+    }
+  },
+  finalPaymentDate: {
+    type: Date
+  },
+  finalPaymentId: {
+    type: String,
+    trim: true
+  },
+  fullyPaidAt: {
+    type: Date
+  },
+  // Reminders sent by the scheduled task jobs
+  reminders: {
+    upcomingSentAt: Date,
+    overdueNudgedAt: Date,
+    overdueNudgeCount: {
+      type: Number,
+      default: 0
+    }
   }
 }, {
   timestamps: true,
@@ -251,9 +401,23 @@ taskSchema.index({ status: 1, area: 1 });
 taskSchema.index({ customer: 1, status: 1 });
 taskSchema.index({ selectedTasker: 1, status: 1 });
 taskSchema.index({ targetedTasker: 1, status: 1 });
+taskSchema.index({ 'assignments.tasker': 1, status: 1 });
 taskSchema.index({ category: 1, status: 1 });
 taskSchema.index({ isTargeted: 1, status: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ status: 1, endDate: 1 });
+taskSchema.index({ status: 1, agreedTime: 1 });
+taskSchema.index({ location: '2dsphere' });
+// One task per occurrence of a recurring series
+taskSchema.index(
+  { recurringTask: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { occurrenceDate: { $exists: true } } }
+);
+// Keyword search (GET /api/tasks/search); matches in the title count most
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 10, tags: 5, description: 1 } }
+);
 
 // Virtual for application count
 taskSchema.virtual('applicationCount', {
@@ -275,6 +439,11 @@ taskSchema.virtual('postedDate').get(function() {
   return this.createdAt;
 });
 
+// Virtual for whether both the advance and the final payment have been received
+taskSchema.virtual('isFullyPaid').get(function() {
+  return !!this.fullyPaidAt;
+});
+
 // Pre-save middleware
 taskSchema.pre('save', function(next) {
   // Validate payment range when both min and max payment are set
@@ -282,6 +451,10 @@ taskSchema.pre('save', function(next) {
     return next(new Error('Maximum payment must be greater than minimum payment'));
   }
   
+  if (this.crewSize > 1 && this.isTargeted) {
+    return next(new Error('Targeted tasks are for a single tasker'));
+  }
+
   if (this.isModified('status') && this.status === 'scheduled') {
     if (!this.selectedTasker) {
       return next(new Error('Selected tasker is required when status is scheduled'));
@@ -306,7 +479,7 @@ taskSchema.methods.canBeScheduled = function() {
 };
 
 taskSchema.methods.canBeCompleted = function() {
-  return this.status === 'scheduled' && this.taskerConfirmed;
+  return ['scheduled', 'in_progress'].includes(this.status) && this.taskerConfirmed;
 };
 
 // Static methods
@@ -335,10 +508,11 @@ taskSchema.statics.getTasksByCustomer = function(customerId, status = null) {
 };
 
 taskSchema.statics.getTasksByTasker = function(taskerId, status = null) {
-  // Include both tasks where tasker is selected AND tasks targeted to this tasker
+  // Include tasks where the tasker is selected or in the crew AND tasks targeted to this tasker
   const baseQuery = {
     $or: [
       { selectedTasker: taskerId },
+      { 'assignments.tasker': taskerId },
       { targetedTasker: taskerId, isTargeted: true }
     ]
   };
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * TaskTransition Schema
+ * One record per task status change, written by the task state machine.
+ * A null `actor` means the change was made by the system (payment callbacks, jobs).
+ */
+const taskTransitionSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task reference is required'],
+    index: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: [true, 'Target status is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: {
+      values: ['customer', 'tasker', 'admin', 'system'],
+      message: 'Invalid actor role'
+    },
+    required: [true, 'Actor role is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+taskTransitionSchema.index({ task: 1, createdAt: 1 });
+
+// Static methods
+taskTransitionSchema.statics.getHistoryForTask = function(taskId) {
+  return this.find({ task: taskId })
+    .populate('actor', 'fullName email role')
+    .sort({ createdAt: 1 });
+};
+
+export default mongoose.model('TaskTransition', taskTransitionSchema);
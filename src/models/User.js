@@ -1,5 +1,117 @@
 import mongoose from "mongoose";
 
+// GeoJSON point for where a tasker is based
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true,
+    validate: {
+      validator: (value) => value.length === 2 &&
+        value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+const bankAccountSchema = new mongoose.Schema({
+  accountHolderName: {
+    type: String,
+    required: [true, 'Account holder name is required'],
+    trim: true,
+    maxlength: [100, 'Account holder name cannot exceed 100 characters']
+  },
+  bankName: {
+    type: String,
+    required: [true, 'Bank name is required'],
+    trim: true
+  },
+  bankCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}$/, 'Bank code must be 4 digits']
+  },
+  branchName: {
+    type: String,
+    trim: true
+  },
+  branchCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{3}$/, 'Branch code must be 3 digits']
+  },
+  accountNumber: {
+    type: String,
+    required: [true, 'Account number is required'],
+    trim: true,
+    match: [/^\d{6,20}$/, 'Account number must be 6 to 20 digits']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// A tasker's weekly calendar, in Sri Lanka time
+const availabilitySchema = new mongoose.Schema({
+  // Working hours per weekday; with none set the tasker can be booked at any time
+  weeklyHours: [{
+    _id: false,
+    day: {
+      type: Number, // 0 (Sunday) to 6 (Saturday)
+      required: true,
+      min: 0,
+      max: 6
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_OF_DAY, 'Working hours must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_OF_DAY, 'Working hours must be in HH:mm format']
+    }
+  }],
+  blockedPeriods: [{
+    _id: false,
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
+  // Whole days off
+  holidays: [{
+    _id: false,
+    date: {
+      type: String, // YYYY-MM-DD
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday dates must be in YYYY-MM-DD format']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Holiday name cannot exceed 100 characters']
+    }
+  }]
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -37,6 +149,57 @@ const userSchema = new mongoose.Schema({
       message: 'Invalid phone number format'
     }
   },
+  // Set once the user proves they own the address; cleared when it changes
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication. Secrets are stored encrypted and recovery codes hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrollment, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
   // Account suspension fields
   isSuspended: {
     type: Boolean,
@@ -117,6 +280,10 @@ const userSchema = new mongoose.Schema({
       type: Number, // Average response time in hours
       default: 0
     },
+    responseTimeSamples: {
+      type: Number, // Responses included in the average
+      default: 0
+    },
     completionRate: {
       type: Number, // Percentage of completed tasks
       default: 0,
@@ -174,6 +341,21 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    availability: {
+      type: availabilitySchema,
+      default: undefined
+    },
+    // Where the tasker is based and how far they travel; never shown exactly to others
+    location: {
+      type: pointSchema,
+      default: undefined
+    },
+    serviceRadiusKm: {
+      type: Number,
+      min: [1, 'Service radius must be at least 1 km'],
+      max: [100, 'Service radius cannot exceed 100 km'],
+      default: 10
+    },
     advancePaymentAmount: {
       type: Number,
       min: [0, 'Advance payment amount cannot be negative'],
@@ -189,6 +371,15 @@ const userSchema = new mongoose.Schema({
       type: String // URL or path to the document
       // optional
     }],
+    // Payout destination; excluded from queries unless selected explicitly
+    bankAccount: {
+      type: bankAccountSchema,
+      select: false
+    },
+    // Written with every payout request so concurrent requests conflict (see createPayoutRequest)
+    lastPayoutRequestAt: {
+      type: Date
+    },
     // Approval fields for taskers
     isApproved: {
       type: Boolean,
@@ -248,6 +439,26 @@ const userSchema = new mongoose.Schema({
       trim: true,
       maxlength: [500, 'Bio cannot exceed 500 characters']
     }
+  },
+  // Channels the user wants notifications on; in-app notifications are always stored
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    socket: {
+      type: Boolean,
+      default: true
+    },
+    // Notification types that are stored but not sent on any channel
+    mutedTypes: [{
+      type: String,
+      trim: true
+    }]
   }
 }, {
   timestamps: true,
@@ -256,6 +467,7 @@ const userSchema = new mongoose.Schema({
 
 // Add index for tasker approval queries
 userSchema.index({ 'role': 1, 'taskerProfile.approvalStatus': 1 });
+userSchema.index({ 'taskerProfile.location': '2dsphere' });
 
 // Instance method to calculate and update average rating
 userSchema.methods.updateRating = function(newRating, categoryRatings = null) {
@@ -315,9 +527,10 @@ userSchema.methods.updateCompletionRate = function() {
 
 // Instance method to update response time
 userSchema.methods.updateResponseTime = function(responseTimeHours) {
-  const currentCount = this.rating.count;
-  const currentAvg = this.statistics.responseTime;
-  this.statistics.responseTime = (currentAvg * (currentCount - 1) + responseTimeHours) / currentCount;
+  const currentCount = this.statistics.responseTimeSamples || 0;
+  const currentAvg = this.statistics.responseTime || 0;
+  this.statistics.responseTime = (currentAvg * currentCount + responseTimeHours) / (currentCount + 1);
+  this.statistics.responseTimeSamples = currentCount + 1;
   return this.save();
 };
 
@@ -27,7 +27,59 @@ import {
     suspendUser 
 } from "../controllers/userController.js";
 
+import {
+    getBalances as getLedgerBalances,
+    getTaskLedgerEntries,
+    getReconciliation
+} from "../controllers/ledgerController.js";
+
+import {
+    getRefunds,
+    getRefundDetails,
+    approveRefund,
+    rejectRefund
+} from "../controllers/refundController.js";
+
+import {
+    getPayoutRequests,
+    approvePayoutRequest,
+    rejectPayoutRequest,
+    createPayoutBatch,
+    getPayoutBatches,
+    getPayoutBatchDetails,
+    exportPayoutBatch,
+    completePayoutBatch
+} from "../controllers/payoutController.js";
+
+import {
+    getDisputeQueue,
+    getDisputeDetails,
+    assignDispute,
+    addDisputeNote,
+    resolveDispute
+} from "../controllers/disputeController.js";
+
+import {
+    getJobs,
+    getJobRuns,
+    runJobNow,
+    updateJobEnabled
+} from "../controllers/jobController.js";
+
+import {
+    getPermissionCatalogue,
+    getAdmins,
+    grantPermissions,
+    revokePermissions
+} from "../controllers/adminPermissionController.js";
+
+import {
+    getAuditLogs,
+    exportAuditLogs
+} from "../controllers/auditLogController.js";
+
 import { verifyToken, authorize } from "../middleware/auth.js";
+import { requirePermission, requireSuperAdmin } from "../middleware/permissionCheck.js";
 
 const router = express.Router();
 
@@ -68,7 +120,7 @@ router.get("/dashboard/stats", getDashboardStats);
  * @desc Get recent admin activity and system events
  * @access Admin only
  */
-router.get("/dashboard/recent-activity", getRecentActivity);
+router.get("/dashboard/recent-activity", requirePermission("audit.read"), getRecentActivity);
 
 
 
@@ -105,7 +157,7 @@ router.get("/dashboard/payments/stats", getPaymentStats);
  * @query {number} limit - Items per page (default: 20)
  * @query {string} status - Filter by status: pending, rejected, all (default: pending)
  */
-router.get("/taskers/pending", getPendingTaskers);
+router.get("/taskers/pending", requirePermission("taskers.approve"), getPendingTaskers);
 
 /**
  * @route POST /api/admin/taskers/:taskerId/approve
@@ -113,7 +165,7 @@ router.get("/taskers/pending", getPendingTaskers);
  * @access Admin only
  * @body {string} notes - Optional approval notes
  */
-router.post("/taskers/:taskerId/approve", approveTasker);
+router.post("/taskers/:taskerId/approve", requirePermission("taskers.approve"), approveTasker);
 
 /**
  * @route POST /api/admin/taskers/:taskerId/reject
@@ -122,21 +174,21 @@ router.post("/taskers/:taskerId/approve", approveTasker);
  * @body {string} reason - Rejection reason (required)
  * @body {string} notes - Optional additional notes
  */
-router.post("/taskers/:taskerId/reject", rejectTasker);
+router.post("/taskers/:taskerId/reject", requirePermission("taskers.approve"), rejectTasker);
 
 /**
  * @route GET /api/admin/taskers/:taskerId/approval
  * @desc Get detailed approval information for a specific tasker
  * @access Admin only
  */
-router.get("/taskers/:taskerId/approval", getTaskerApprovalDetails);
+router.get("/taskers/:taskerId/approval", requirePermission("taskers.approve"), getTaskerApprovalDetails);
 
 /**
  * @route GET /api/admin/taskers/approval-stats
  * @desc Get approval statistics and metrics
  * @access Admin only
  */
-router.get("/taskers/approval-stats", getApprovalStats);
+router.get("/taskers/approval-stats", requirePermission("taskers.approve"), getApprovalStats);
 
 // ============================================================================
 // ENHANCED USER MANAGEMENT ROUTES
@@ -154,14 +206,14 @@ router.get("/taskers/approval-stats", getApprovalStats);
  * @query {string} sortBy - Sort field: createdAt, fullName, email, rating.average, statistics.tasksCompleted
  * @query {string} sortOrder - Sort order: asc, desc (default: desc)
  */
-router.get("/users", getAllUsers);
+router.get("/users", requirePermission("users.read"), getAllUsers);
 
 /**
  * @route GET /api/admin/users/:userId
  * @desc Get detailed user information with related data
  * @access Admin only
  */
-router.get("/users/:userId", getUserDetails);
+router.get("/users/:userId", requirePermission("users.read"), getUserDetails);
 
 /**
  * @route PUT /api/admin/users/:userId/suspend
@@ -170,14 +222,14 @@ router.get("/users/:userId", getUserDetails);
  * @body {string} action - Action to perform: suspend, unsuspend
  * @body {string} reason - Reason for suspension (required for suspend action)
  */
-router.put("/users/:userId/suspend", suspendUser);
+router.put("/users/:userId/suspend", requirePermission("users.suspend"), suspendUser);
 
 /**
  * @route DELETE /api/admin/users/:userId
  * @desc Delete a user account (permanent)
  * @access Admin only
  */
-router.delete("/users/:userId", deleteUser);
+router.delete("/users/:userId", requirePermission("users.delete"), deleteUser);
 
 // ============================================================================
 // TASK MANAGEMENT ROUTES
@@ -198,14 +250,14 @@ router.delete("/users/:userId", deleteUser);
  * @query {string} sortBy - Sort field: createdAt, startDate, maxPayment, status
  * @query {string} sortOrder - Sort order: asc, desc (default: desc)
  */
-router.get("/tasks", getAllTasks);
+router.get("/tasks", requirePermission("tasks.read"), getAllTasks);
 
 /**
  * @route GET /api/admin/tasks/:taskId
  * @desc Get detailed task information with related data
  * @access Admin only
  */
-router.get("/tasks/:taskId", getTaskDetails);
+router.get("/tasks/:taskId", requirePermission("tasks.read"), getTaskDetails);
 
 /**
  * @route PUT /api/admin/tasks/:taskId/status
@@ -214,7 +266,286 @@ router.get("/tasks/:taskId", getTaskDetails);
  * @body {string} status - New status: active, scheduled, in_progress, completed, cancelled
  * @body {string} reason - Optional reason for status change
  */
-router.put("/tasks/:taskId/status", updateTaskStatus);
+router.put("/tasks/:taskId/status", requirePermission("tasks.override"), updateTaskStatus);
+
+// ============================================================================
+// ESCROW LEDGER ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/ledger/balances
+ * @desc Get ledger account balances (held in escrow, owed to taskers, commission)
+ * @access Admin only
+ */
+router.get("/ledger/balances", requirePermission("payments.read"), getLedgerBalances);
+
+/**
+ * @route GET /api/admin/ledger/reconciliation
+ * @desc Check ledger movements against Payment records and flag mismatches
+ * @access Admin only
+ * @query {string} dateFrom - Only check payments created on/after this date (ISO format)
+ * @query {string} dateTo - Only check payments created on/before this date (ISO format)
+ */
+router.get("/ledger/reconciliation", requirePermission("payments.read"), getReconciliation);
+
+/**
+ * @route GET /api/admin/ledger/tasks/:taskId
+ * @desc Get the ledger journal and balances for a task
+ * @access Admin only
+ */
+router.get("/ledger/tasks/:taskId", requirePermission("payments.read"), getTaskLedgerEntries);
+
+// ============================================================================
+// REFUND ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/refunds
+ * @desc Get refunds created by schedule cancellations
+ * @access Admin only
+ * @query {string} status - Filter by status: pending_approval, processing, completed, failed, rejected
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ */
+router.get("/refunds", requirePermission("payments.read"), getRefunds);
+
+/**
+ * @route GET /api/admin/refunds/:refundId
+ * @desc Get refund details with payment and policy decision
+ * @access Admin only
+ */
+router.get("/refunds/:refundId", requirePermission("payments.read"), getRefundDetails);
+
+/**
+ * @route POST /api/admin/refunds/:refundId/approve
+ * @desc Approve a refund and execute it through the payment gateway
+ * @access Admin only
+ * @body {number} amount - Optional amount overriding the policy decision
+ * @body {string} notes - Optional review notes
+ */
+router.post("/refunds/:refundId/approve", requirePermission("payments.refund"), approveRefund);
+
+/**
+ * @route POST /api/admin/refunds/:refundId/reject
+ * @desc Reject a refund and release the advance to the tasker
+ * @access Admin only
+ * @body {string} reason - Rejection reason (required)
+ */
+router.post("/refunds/:refundId/reject", requirePermission("payments.refund"), rejectRefund);
+
+// ============================================================================
+// DISPUTE ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/disputes
+ * @desc Get the dispute queue, oldest first
+ * @access Admin only
+ * @query {string} status - open, under_review, resolved, withdrawn or all (default: open and under_review)
+ * @query {string} assignedTo - Admin ID, "me" or "unassigned"
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ */
+router.get("/disputes", requirePermission("disputes.resolve"), getDisputeQueue);
+
+/**
+ * @route GET /api/admin/disputes/:disputeId
+ * @desc Get dispute details with evidence, payment and the internal notes thread
+ * @access Admin only
+ */
+router.get("/disputes/:disputeId", requirePermission("disputes.resolve"), getDisputeDetails);
+
+/**
+ * @route POST /api/admin/disputes/:disputeId/assign
+ * @desc Assign a dispute for review
+ * @access Admin only
+ * @body {string} adminId - Admin to assign (default: the current admin)
+ */
+router.post("/disputes/:disputeId/assign", requirePermission("disputes.resolve"), assignDispute);
+
+/**
+ * @route POST /api/admin/disputes/:disputeId/notes
+ * @desc Add a note to the internal thread (never shown to the customer or tasker)
+ * @access Admin only
+ * @body {string} text - Note text (required)
+ */
+router.post("/disputes/:disputeId/notes", requirePermission("disputes.resolve"), addDisputeNote);
+
+/**
+ * @route POST /api/admin/disputes/:disputeId/resolve
+ * @desc Resolve a dispute and settle the frozen advance
+ * @access Admin only
+ * @body {string} outcome - release_to_tasker, refund_to_customer or split (required)
+ * @body {number} refundAmount - Amount refunded to the customer (required for split)
+ * @body {string} summary - Resolution summary (required)
+ */
+router.post("/disputes/:disputeId/resolve", requirePermission("disputes.resolve"), resolveDispute);
+
+// ============================================================================
+// PAYOUT ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/payouts/requests
+ * @desc Get tasker withdrawal requests
+ * @access Admin only
+ * @query {string} status - Filter by status: requested, approved, rejected, batched, paid, failed, cancelled
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ */
+router.get("/payouts/requests", requirePermission("payments.read"), getPayoutRequests);
+
+/**
+ * @route POST /api/admin/payouts/requests/:requestId/approve
+ * @desc Approve a payout request so it can be batched
+ * @access Admin only
+ */
+router.post("/payouts/requests/:requestId/approve", requirePermission("payouts.manage"), approvePayoutRequest);
+
+/**
+ * @route POST /api/admin/payouts/requests/:requestId/reject
+ * @desc Reject a payout request; the amount returns to the tasker's balance
+ * @access Admin only
+ * @body {string} reason - Rejection reason (required)
+ */
+router.post("/payouts/requests/:requestId/reject", requirePermission("payouts.manage"), rejectPayoutRequest);
+
+/**
+ * @route GET /api/admin/payouts/batches
+ * @desc Get payout batches
+ * @access Admin only
+ * @query {string} status - Filter by status: created, exported, completed
+ */
+router.get("/payouts/batches", requirePermission("payments.read"), getPayoutBatches);
+
+/**
+ * @route POST /api/admin/payouts/batches
+ * @desc Batch approved payout requests
+ * @access Admin only
+ * @body {string[]} requestIds - Optional subset of approved requests (default: all approved)
+ */
+router.post("/payouts/batches", requirePermission("payouts.manage"), createPayoutBatch);
+
+/**
+ * @route GET /api/admin/payouts/batches/:batchId
+ * @desc Get a payout batch with its requests
+ * @access Admin only
+ */
+router.get("/payouts/batches/:batchId", requirePermission("payments.read"), getPayoutBatchDetails);
+
+/**
+ * @route GET /api/admin/payouts/batches/:batchId/export
+ * @desc Download the batch as a bank-upload CSV file
+ * @access Admin only
+ */
+router.get("/payouts/batches/:batchId/export", requirePermission("payouts.manage"), exportPayoutBatch);
+
+/**
+ * @route POST /api/admin/payouts/batches/:batchId/complete
+ * @desc Mark an exported batch as paid, recording requests the bank rejected
+ * @access Admin only
+ * @body {string} bankReference - Bank transfer reference
+ * @body {Object[]} failed - Optional [{ requestId, reason }] rejected by the bank
+ */
+router.post("/payouts/batches/:batchId/complete", requirePermission("payouts.manage"), completePayoutBatch);
+
+// ============================================================================
+// BACKGROUND JOB ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc Get scheduled jobs with their next run, lock and last result
+ * @access Admin only
+ * @query {string} status - Filter by status: scheduled, running, completed, failed
+ * @query {string} name - Filter by job name (e.g. tasks.expire)
+ */
+router.get("/jobs", requirePermission("jobs.manage"), getJobs);
+
+/**
+ * @route GET /api/admin/jobs/:jobId/runs
+ * @desc Get the run history of a job
+ * @access Admin only
+ * @query {number} limit - Number of runs (default: 50, max: 200)
+ */
+router.get("/jobs/:jobId/runs", requirePermission("jobs.manage"), getJobRuns);
+
+/**
+ * @route POST /api/admin/jobs/:jobId/run
+ * @desc Run a job on the next scheduler poll
+ * @access Admin only
+ */
+router.post("/jobs/:jobId/run", requirePermission("jobs.manage"), runJobNow);
+
+/**
+ * @route PUT /api/admin/jobs/:jobId/enabled
+ * @desc Pause or resume a job
+ * @access Admin only
+ * @body {boolean} enabled - false to pause, true to resume
+ */
+router.put("/jobs/:jobId/enabled", requirePermission("jobs.manage"), updateJobEnabled);
+
+// ============================================================================
+// AUDIT LOG ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @desc Search the admin audit trail with cursor pagination
+ * @access Admin only
+ * @query {string} adminId - Admin who acted
+ * @query {string} actionType - Action type, or several separated by commas
+ * @query {string} targetModel - Target model (User, Task, Payment, ...)
+ * @query {string} targetId - Target record
+ * @query {string} from - Earliest date (inclusive)
+ * @query {string} to - Latest date (inclusive)
+ * @query {string} q - Free text searched in the details and IP address
+ * @query {string} cursor - nextCursor from the previous page
+ * @query {number} limit - Items per page (default: 50, max: 200)
+ */
+router.get("/audit-logs", requirePermission("audit.read"), getAuditLogs);
+
+/**
+ * @route GET /api/admin/audit-logs/export
+ * @desc Stream matching audit log entries as CSV or NDJSON (logged as DATA_EXPORTED)
+ * @access Admin only
+ * @query {string} format - csv (default) or ndjson
+ */
+router.get("/audit-logs/export", requirePermission("audit.read"), exportAuditLogs);
+
+// ============================================================================
+// ADMIN PERMISSION ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/admin/permissions
+ * @desc Get the permission catalogue and the current admin's permissions
+ * @access Admin only
+ */
+router.get("/permissions", getPermissionCatalogue);
+
+/**
+ * @route GET /api/admin/admins
+ * @desc Get all admins with their permissions
+ * @access Super admin only
+ */
+router.get("/admins", requireSuperAdmin, getAdmins);
+
+/**
+ * @route POST /api/admin/admins/:adminId/permissions/grant
+ * @desc Grant permissions to an admin (recorded in the admin action log)
+ * @access Super admin only
+ * @body {string[]} permissions - Permission keys, e.g. ["users.suspend", "payments.refund"]
+ */
+router.post("/admins/:adminId/permissions/grant", requireSuperAdmin, grantPermissions);
+
+/**
+ * @route POST /api/admin/admins/:adminId/permissions/revoke
+ * @desc Revoke permissions from an admin (recorded in the admin action log)
+ * @access Super admin only
+ * @body {string[]} permissions - Permission keys
+ */
+router.post("/admins/:adminId/permissions/revoke", requireSuperAdmin, revokePermissions);
 
 // ============================================================================
 // LEGACY ROUTES (for backward compatibility)
@@ -6,6 +6,40 @@ import User from "../models/User.js";
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { weeklyHoursFromDays } from '../services/availabilityService.js';
+import { protect } from "../middleware/auth.js";
+import {
+  VerificationError,
+  sendEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  sendPhoneVerification,
+  verifyPhone,
+  getMissingVerifications
+} from "../services/accountVerificationService.js";
+import {
+  SessionError,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateSession,
+  endSessionForToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  markSessionTwoFactorVerified
+} from "../services/sessionService.js";
+import {
+  TwoFactorError,
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueLoginChallenge,
+  completeLoginChallenge
+} from "../services/twoFactorService.js";
 
 const router = express.Router();
 // Cookie utilities (avoid extra deps)
@@ -18,35 +52,80 @@ const parseCookies = (cookieHeader = '') => {
   }, {});
 };
 
-const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
-
-const issueAccessToken = (user) => {
+const issueAccessToken = (user, session) => {
   return jwt.sign(
-    { userId: user._id, role: user.role },
+    { userId: user._id, role: user.role, sid: session._id },
     process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
 };
 
-const issueRefreshToken = (user) => {
-  return jwt.sign(
-    { userId: user._id, tokenType: 'refresh' },
-    getRefreshSecret(),
-    { expiresIn: '7d' }
-  );
-};
+const refreshCookieOptions = { httpOnly: true, secure: true, sameSite: 'none', path: '/api/auth' };
 
 const setRefreshCookie = (res, token) => {
   // Use Secure + SameSite=None for cross-site cookies; path limited to refresh/logout
   res.cookie('refreshToken', token, {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'none',
-    path: '/api/auth',
-    maxAge: 7 * 24 * 60 * 60 * 1000
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
   });
 };
 
+const clearRefreshCookie = (res) => res.clearCookie('refreshToken', refreshCookieOptions);
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Start a session for this device, set its refresh cookie and return an access token
+const startSession = async (req, res, user, { twoFactorVerified = false } = {}) => {
+  const { session, refreshToken } = await createSession(user, {
+    ...getClientInfo(req),
+    deviceName: req.body?.deviceName
+  }, { twoFactorVerified });
+  setRefreshCookie(res, refreshToken);
+  return issueAccessToken(user, session);
+};
+
+const buildLoginResponse = (user, token) => {
+  const userData = {
+    id: user._id,
+    username: user.username,
+    fullName: user.fullName,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    phoneVerified: Boolean(user.phoneVerifiedAt),
+    missingVerifications: getMissingVerifications(user),
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+  };
+
+  // Add approval status for taskers
+  if (user.role === 'tasker') {
+    userData.approvalStatus = user.taskerProfile?.approvalStatus || 'pending';
+    userData.isApproved = user.taskerProfile?.isApproved || false;
+  }
+
+  return {
+    token,
+    user: userData,
+    accountStatus: "active",
+    // Admins must enroll before they can use admin features
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor?.enabled
+  };
+};
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName || null,
+  userAgent: session.userAgent || null,
+  ipAddress: session.ipAddress || null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId)
+});
 
 // ESM-compatible __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -89,6 +168,25 @@ const validatePhone = (phone) => {
   return phoneRegex.test(phone);
 };
 
+// Registration succeeds even if the email cannot be sent; the user can request it again
+const trySendEmailVerification = async (user) => {
+  try {
+    await sendEmailVerification(user);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', { userId: user._id, error: error.message });
+    return false;
+  }
+};
+
+const handleVerificationError = (res, error, label) => {
+  if (error instanceof VerificationError || error instanceof TwoFactorError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message: `An error occurred during ${label.toLowerCase()}` });
+};
+
 
 
 router.post("/register", async (req, res) => {
@@ -260,22 +358,24 @@ router.post("/register", async (req, res) => {
     
     const user = new User(userData);
     await user.save();
+    const emailVerificationSent = await trySendEmailVerification(user);
 
     // Create token
-    const token = issueAccessToken(user);
-    const refreshToken = issueRefreshToken(user);
-    setRefreshCookie(res, refreshToken);
+    const token = await startSession(req, res, user);
     
     res.status(201).json({ 
-      message: "User registered successfully",
+      message: "User registered successfully. Please check your email to verify your account.",
       token,
+      emailVerificationSent,
       user: {
         id: user._id,
         username: user.username,
         fullName: user.fullName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        emailVerified: false,
+        phoneVerified: false
       }
     });
   } catch (error) {
@@ -373,9 +473,8 @@ router.post("/login", async (req, res) => {
     }
 
     // Check tasker approval status
-    let approvalStatus = null;
     if (user.role === 'tasker') {
-      approvalStatus = user.taskerProfile?.approvalStatus || 'pending';
+      const approvalStatus = user.taskerProfile?.approvalStatus || 'pending';
       
       // If tasker is not approved, provide specific message
       if (approvalStatus !== 'approved') {
@@ -390,31 +489,17 @@ router.post("/login", async (req, res) => {
       }
     }
     
-    const token = issueAccessToken(user);
-    const refreshToken = issueRefreshToken(user);
-    setRefreshCookie(res, refreshToken);
-    
-    // Prepare user response data
-    const userData = {
-      id: user._id,
-      username: user.username,
-      fullName: user.fullName,
-      email: user.email,
-      phone: user.phone,
-      role: user.role
-    };
-
-    // Add approval status for taskers
-    if (user.role === 'tasker') {
-      userData.approvalStatus = approvalStatus;
-      userData.isApproved = user.taskerProfile?.isApproved || false;
+    // Accounts with two-factor authentication finish logging in at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: "Enter the code from your authenticator app to finish logging in",
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user)
+      });
     }
-    
-    res.json({ 
-      token, 
-      user: userData,
-      accountStatus: "active"
-    });
+
+    const token = await startSession(req, res, user);
+    res.json(buildLoginResponse(user, token));
   } catch (error) {
     console.error('Login error:', error);
     
@@ -450,7 +535,8 @@ router.post("/register-tasker", async (req, res) => {
         phone,
         skills,
         province,
-        district
+        district,
+        availability
       } = req.body;
       
       // Validate required fields
@@ -458,6 +544,16 @@ router.post("/register-tasker", async (req, res) => {
         return res.status(400).json({ message: "All fields are required" });
       }
 
+      // Weekdays ticked on the form ({ monday: true, ... }), sent as JSON in multipart requests
+      let weeklyHours = [];
+      if (availability) {
+        try {
+          weeklyHours = weeklyHoursFromDays(typeof availability === 'string' ? JSON.parse(availability) : availability);
+        } catch (parseError) {
+          return res.status(400).json({ message: "Invalid availability format" });
+        }
+      }
+
       // Validate email format
       if (!validateEmail(email)) {
         return res.status(400).json({ message: "Invalid email format" });
@@ -528,30 +624,26 @@ router.post("/register-tasker", async (req, res) => {
           province,
           district,
           idDocument: idDocumentRelativePath,
-          qualificationDocuments: qualificationPaths
+          qualificationDocuments: qualificationPaths,
+          availability: { weeklyHours }
         }
       });
       await user.save();
-      // Create JWT with approval status for taskers
-      const tokenPayload = { userId: user._id, role: user.role };
-      if (user.role === 'tasker') {
-        tokenPayload.isApproved = false; // New taskers are not approved by default
-        tokenPayload.approvalStatus = 'pending';
-      }
-      
-      const token = jwt.sign(
-        tokenPayload,
-        process.env.JWT_SECRET,
-        { expiresIn: "24h" }
-      );
+      const emailVerificationSent = await trySendEmailVerification(user);
+      // Create token
+      const token = await startSession(req, res, user);
       res.status(201).json({ 
         token, 
+        emailVerificationSent,
         user: { 
           id: user._id, 
           email: user.email, 
           fullName: user.fullName,
           phone: user.phone,
-          role: user.role 
+          role: user.role,
+          // New taskers are not approved by default
+          approvalStatus: 'pending',
+          isApproved: false
         } 
       });
     } catch (error) {
@@ -561,9 +653,195 @@ router.post("/register-tasker", async (req, res) => {
   }
 );
 
-export default router;
- 
-// Refresh access token using httpOnly refresh cookie
+// Send (or resend) the email verification link
+router.post("/verify-email/request", protect, async (req, res) => {
+  try {
+    await sendEmailVerification(req.user);
+    res.json({ message: "Verification email sent. Please check your inbox." });
+  } catch (error) {
+    handleVerificationError(res, error, 'Email verification request');
+  }
+});
+
+// Verify an email address from the emailed link
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const user = await verifyEmail(token);
+    res.json({
+      message: "Email address verified successfully",
+      emailVerified: true,
+      missingVerifications: getMissingVerifications(user)
+    });
+  } catch (error) {
+    handleVerificationError(res, error, 'Email verification');
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the account exists.
+router.post("/forgot-password", async (req, res) => {
+  const { email } = req.body;
+  if (!email || !validateEmail(email)) {
+    return res.status(400).json({ message: "Please enter a valid email address" });
+  }
+
+  try {
+    await requestPasswordReset(email);
+  } catch (error) {
+    // Reported the same way as success so the response does not reveal the account
+    console.error('Password reset request error:', error.message);
+  }
+  res.json({ message: "If an account exists for this email, a password reset link has been sent." });
+});
+
+// Choose a new password from the emailed reset link
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: "Reset token and new password are required" });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        message: passwordError,
+        errorType: "weak_password",
+        field: "password"
+      });
+    }
+
+    await resetPassword(token, password);
+    clearRefreshCookie(res);
+    res.json({ message: "Password reset successfully. Please log in with your new password." });
+  } catch (error) {
+    handleVerificationError(res, error, 'Password reset');
+  }
+});
+
+// Text a verification code to the user's phone
+router.post("/verify-phone/request", protect, async (req, res) => {
+  try {
+    await sendPhoneVerification(req.user);
+    res.json({ message: "Verification code sent to your phone" });
+  } catch (error) {
+    handleVerificationError(res, error, 'Phone verification request');
+  }
+});
+
+// Verify the phone number with the texted code
+router.post("/verify-phone", protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || !/^\d{6}$/.test(String(code))) {
+      return res.status(400).json({ message: "Please enter the 6-digit code" });
+    }
+
+    const user = await verifyPhone(req.user, code);
+    res.json({
+      message: "Phone number verified successfully",
+      phoneVerified: true,
+      missingVerifications: getMissingVerifications(user)
+    });
+  } catch (error) {
+    handleVerificationError(res, error, 'Phone verification');
+  }
+});
+
+// Second step of a login for accounts with two-factor authentication
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: "Challenge token and code are required" });
+    }
+
+    const user = await completeLoginChallenge(challengeToken, code);
+    if (user.isSuspended) {
+      return res.status(403).json({
+        message: "Account is suspended. Please contact support for assistance.",
+        accountStatus: "suspended"
+      });
+    }
+
+    const token = await startSession(req, res, user, { twoFactorVerified: true });
+    res.json(buildLoginResponse(user, token));
+  } catch (error) {
+    handleVerificationError(res, error, 'Two-factor login');
+  }
+});
+
+// Start two-factor enrollment: returns the secret and an otpauth:// URI to show as a QR code
+router.post("/2fa/setup", protect, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await beginEnrollment(req.user._id);
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    handleVerificationError(res, error, 'Two-factor setup');
+  }
+});
+
+// Confirm enrollment with the first code; the recovery codes are only shown here
+router.post("/2fa/enable", protect, async (req, res) => {
+  try {
+    const { recoveryCodes } = await confirmEnrollment(req.user._id, req.body.code);
+    if (req.sessionId) {
+      await markSessionTwoFactorVerified(req.user._id, req.sessionId);
+    }
+    res.json({
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes
+    });
+  } catch (error) {
+    handleVerificationError(res, error, 'Two-factor enable');
+  }
+});
+
+// Confirm a code for this session, e.g. before admin actions
+router.post("/2fa/verify", protect, async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(401).json({ message: "Please log in again" });
+    }
+
+    const { method, remainingRecoveryCodes } = await verifySecondFactor(req.user._id, req.body.code);
+    await markSessionTwoFactorVerified(req.user._id, req.sessionId);
+    res.json({ message: "Two-factor code confirmed", method, remainingRecoveryCodes });
+  } catch (error) {
+    handleVerificationError(res, error, 'Two-factor verification');
+  }
+});
+
+// Replace the recovery codes
+router.post("/2fa/recovery-codes", protect, async (req, res) => {
+  try {
+    const { recoveryCodes } = await regenerateRecoveryCodes(req.user._id, req.body.code);
+    res.json({ message: "New recovery codes generated. The old ones no longer work.", recoveryCodes });
+  } catch (error) {
+    handleVerificationError(res, error, 'Recovery code generation');
+  }
+});
+
+// Turn two-factor authentication off (not available to admins)
+router.post("/2fa/disable", protect, async (req, res) => {
+  try {
+    await disableTwoFactor(req.user._id, req.body.code);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    handleVerificationError(res, error, 'Two-factor disable');
+  }
+});
+
+// Refresh access token using httpOnly refresh cookie. Each refresh token works once:
+// the response carries the next one, and replaying an old one ends the session.
 router.post('/refresh', async (req, res) => {
   try {
     const cookies = req.headers.cookie ? parseCookies(req.headers.cookie) : {};
@@ -571,26 +849,96 @@ router.post('/refresh', async (req, res) => {
     if (!token) {
       return res.status(401).json({ message: 'No refresh token' });
     }
-    const decoded = jwt.verify(token, getRefreshSecret());
-    if (!decoded || decoded.tokenType !== 'refresh' || !decoded.userId) {
-      return res.status(401).json({ message: 'Invalid refresh token' });
-    }
-    const user = await User.findById(decoded.userId);
+
+    const { session, refreshToken } = await rotateSession(token, getClientInfo(req));
+    const user = await User.findById(session.user);
     if (!user) {
+      await revokeSession(session.user, session._id, 'logout');
+      clearRefreshCookie(res);
       return res.status(401).json({ message: 'User not found' });
     }
-    const newAccess = issueAccessToken(user);
-    // Optionally rotate refresh
-    const newRefresh = issueRefreshToken(user);
-    setRefreshCookie(res, newRefresh);
-    return res.json({ token: newAccess });
+    if (user.isSuspended) {
+      await revokeAllSessions(user._id, 'suspended');
+      clearRefreshCookie(res);
+      return res.status(403).json({
+        message: 'Account is suspended. Please contact support for assistance.',
+        accountStatus: 'suspended'
+      });
+    }
+
+    setRefreshCookie(res, refreshToken);
+    return res.json({ token: issueAccessToken(user, session) });
   } catch (err) {
+    if (err instanceof SessionError) {
+      clearRefreshCookie(res);
+      return res.status(err.statusCode).json({ message: err.message, errorType: 'session_ended' });
+    }
+    console.error('Token refresh error:', err);
     return res.status(401).json({ message: 'Failed to refresh token' });
   }
 });
 
-// Logout clears refresh cookie
-router.post('/logout', (req, res) => {
-  res.clearCookie('refreshToken', { path: '/api/auth', httpOnly: true, secure: true, sameSite: 'none' });
+// Logout ends this device's session and clears the refresh cookie
+router.post('/logout', async (req, res) => {
+  try {
+    const cookies = req.headers.cookie ? parseCookies(req.headers.cookie) : {};
+    if (cookies.refreshToken) {
+      await endSessionForToken(cookies.refreshToken);
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+  clearRefreshCookie(res);
   return res.json({ message: 'Logged out' });
-});
\ No newline at end of file
+});
+
+// List the devices the user is signed in on
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json({
+      sessions: sessions.map((session) => formatSession(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'An error occurred while loading your sessions' });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, 'user_revoked', {
+      exceptSessionId: req.sessionId
+    });
+    res.json({ message: 'Signed out of all other sessions', revokedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'An error occurred while signing out your other sessions' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({ message: 'Invalid session id' });
+    }
+
+    const session = await revokeSession(req.user._id, req.params.sessionId, 'user_revoked');
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found or already ended' });
+    }
+
+    const current = String(session._id) === String(req.sessionId);
+    if (current) {
+      clearRefreshCookie(res);
+    }
+    res.json({ message: 'Session ended', current });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'An error occurred while ending the session' });
+  }
+});
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  openDispute,
+  getMyDisputes,
+  getDispute,
+  addDisputeEvidence,
+  withdrawDispute
+} from '../controllers/disputeController.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admins work disputes from /api/admin/disputes
+router.use(verifyToken, authorize(['customer', 'tasker']));
+
+router.get('/', getMyDisputes);
+router.post('/', openDispute);
+router.get('/:disputeId', getDispute);
+router.post('/:disputeId/evidence', addDisputeEvidence);
+router.post('/:disputeId/withdraw', withdrawDispute);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getNotifications,
+  markNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../controllers/notificationController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+router.get('/', getNotifications);
+router.put('/', markNotificationsRead);
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', updateNotificationPreferences);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   initiateAdvancePayment,
+  initiateFinalPayment,
   handlePaymentNotification,
   handlePaymentReturn,
   handlePaymentCancel,
@@ -9,12 +10,14 @@ import {
   getMyPayments,
   checkPaymentStatus
 } from '../controllers/paymentController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissionCheck.js';
 
 const router = express.Router();
 
-// Public routes (PayHere callbacks)
-router.post('/notify', handlePaymentNotification);
+// Public routes (gateway callbacks)
+router.post('/notify', handlePaymentNotification); // PayHere notify_url
+router.post('/notify/:gateway', handlePaymentNotification);
 router.get('/return', handlePaymentReturn);
 router.get('/cancel', handlePaymentCancel);
 router.get('/status/:orderId', checkPaymentStatus); // New endpoint for checking payment status
@@ -24,7 +27,9 @@ router.use(protect);
 
 // Payment management
 router.post('/initiate-advance', initiateAdvancePayment);
-router.post('/release-advance', releaseAdvancePayment);
+router.post('/initiate-final', initiateFinalPayment);
+// Moves escrow into the tasker's withdrawable balance
+router.post('/release-advance', authorize(['admin']), requirePermission('payments.refund'), releaseAdvancePayment);
 router.get('/task/:taskId', getTaskPayments);
 router.get('/my-payments', getMyPayments);
 
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getBankAccount,
+  updateBankAccount,
+  getPayoutBalance,
+  requestPayout,
+  getMyPayoutRequests,
+  cancelPayoutRequest
+} from '../controllers/payoutController.js';
+import { verifyToken, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All payout routes are for taskers only
+router.use(verifyToken, authorize(['tasker']));
+
+router.get('/bank-account', getBankAccount);
+router.put('/bank-account', updateBankAccount);
+router.get('/balance', getPayoutBalance);
+router.get('/requests', getMyPayoutRequests);
+router.post('/requests', requestPayout);
+router.delete('/requests/:requestId', cancelPayoutRequest);
+
+export default router;
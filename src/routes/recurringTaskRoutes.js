@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  createRecurringTask,
+  getRecurringTasks,
+  getRecurringTask,
+  updateRecurringTask,
+  pauseRecurringTask,
+  resumeRecurringTask,
+  skipRecurringOccurrence,
+  endRecurringTask
+} from '../controllers/recurringTaskController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireVerifiedAccount } from '../middleware/verificationCheck.js';
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+router.get('/', getRecurringTasks);
+router.post('/', requireVerifiedAccount, createRecurringTask);
+router.get('/:id', getRecurringTask);
+router.patch('/:id', updateRecurringTask);
+router.post('/:id/pause', pauseRecurringTask);
+router.post('/:id/resume', resumeRecurringTask);
+router.post('/:id/skip', skipRecurringOccurrence);
+router.delete('/:id', endRecurringTask);
+
+export default router;
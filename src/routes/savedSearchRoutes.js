@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} from '../controllers/savedSearchController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+router.get('/', getSavedSearches);
+router.post('/', createSavedSearch);
+router.patch('/:id', updateSavedSearch);
+router.delete('/:id', deleteSavedSearch);
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import {
   createTask,
   getTasks,
+  searchTasks,
+  getSimilarTasks,
   getTask,
   applyForTask,
   getTaskApplications,
@@ -12,25 +14,37 @@ import {
   taskerCompleteTask,
   markTaskComplete,
   cancelScheduledTask,
+  startTask,
+  getTaskHistory,
   uploadTaskPhotos,
   uploadCompletionPhoto,
   getMyTasks,
   getMyApplications,
+  getRecommendedTasks,
   getTasksByCustomerId,
   getCategoryStats
 } from '../controllers/taskController.js';
+import {
+  getApplicationOffers,
+  createOffer,
+  respondToOffer
+} from '../controllers/offerController.js';
 import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import { requireVerifiedAccount } from '../middleware/verificationCheck.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/', getTasks);
 router.get('/category-stats', getCategoryStats);
+router.get('/search', searchTasks);
+router.get('/similar', getSimilarTasks);
 router.get('/customer/:customerId', getTasksByCustomerId);
 
 // Protected routes - specific user routes first to avoid conflicts
 router.get('/my-tasks', verifyToken, getMyTasks);
 router.get('/my-applications', verifyToken, getMyApplications);
+router.get('/recommended', verifyToken, getRecommendedTasks);
 
 // Single task route - uses optional auth for both public active tasks and private scheduled tasks
 router.get('/:id', optionalAuth, getTask);
@@ -39,16 +53,23 @@ router.get('/:id', optionalAuth, getTask);
 router.use(verifyToken);
 
 // Task management
-router.post('/', createTask);
+router.post('/', requireVerifiedAccount, createTask);
 
 // Task applications
-router.post('/:id/apply', applyForTask);
+router.post('/:id/apply', requireVerifiedAccount, applyForTask);
 router.get('/:id/applications', getTaskApplications);
+router.get('/:id/history', getTaskHistory);
+
+// Offer negotiation on an application
+router.get('/:id/applications/:applicationId/offers', getApplicationOffers);
+router.post('/:id/applications/:applicationId/offers', createOffer);
+router.post('/:id/applications/:applicationId/offers/:offerId/respond', respondToOffer);
 
 // Task workflow
 router.post('/:id/select-tasker', selectTasker);
 router.post('/:id/confirm-time', confirmTime);
 router.post('/:id/confirm-schedule', confirmSchedule);
+router.post('/:id/start', startTask);
 router.post('/:id/complete', completeTask);
 router.post('/:id/tasker-complete', taskerCompleteTask);
 router.post('/:id/mark-complete', markTaskComplete);
@@ -4,6 +4,9 @@ import {
     getTopRatedTaskers, 
     getTaskerById, 
     updateTaskerAvailability,
+    getMyAvailability,
+    getTaskerAvailability,
+    exportTaskerSchedule,
     getTaskerProfile,
     getTaskerReviews,
     uploadQualificationDocuments,
@@ -13,12 +16,17 @@ import { verifyToken, authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Own calendar (before /:id so the paths are not taken for IDs)
+router.get("/availability", verifyToken, authorize(['tasker']), getMyAvailability);
+router.get("/schedule.ics", verifyToken, authorize(['tasker']), exportTaskerSchedule);
+
 // Public routes
 router.get("/", getAllTaskers);
 router.get("/top-rated", getTopRatedTaskers);
 router.get("/:id", getTaskerById);
 router.get("/:id/profile", getTaskerProfile);
 router.get("/:id/reviews", getTaskerReviews);
+router.get("/:id/availability", getTaskerAvailability);
 
 // Protected routes
 router.put("/availability", verifyToken, authorize(['tasker']), updateTaskerAvailability);
@@ -16,12 +16,21 @@ import taskerRoutes from './routes/taskerRoutes.js';
 import feedbackRoutes from './routes/feedbackRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
+import payoutRoutes from './routes/payoutRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import savedSearchRoutes from './routes/savedSearchRoutes.js';
+import recurringTaskRoutes from './routes/recurringTaskRoutes.js';
+import disputeRoutes from './routes/disputeRoutes.js';
 
 import { securityMiddleware, corsMiddleware } from "./middleware/security.js";
 import { fileUploadMiddleware } from "./middleware/fileUpload.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
 import { jobsRouteProtection } from "./middleware/routeProtection.js";
 import { socketAuth } from "./middleware/socketAuth.js";
+import { startJobScheduler } from "./jobs/index.js";
+import { markConnected, markDisconnected, startPresenceHeartbeat } from "./services/presenceService.js";
+import { backfillLegacyEmailVerification } from "./services/accountVerificationService.js";
+import { getInstanceId } from "./utils/instanceId.js";
 
 dotenv.config();
 
@@ -56,6 +65,16 @@ io.on('connection', (socket) => {
   const user = socket.user;
   console.log('🔌 Client connected:', socket.id, 'User:', user.fullName); 
   socket.join(`user-${user._id}`);
+
+  // Disconnect waits for the connect update so a quick reconnect cannot leave a ghost connection
+  const connected = markConnected(user._id, socket.id, getInstanceId())
+    .catch((error) => console.error('Presence update error:', error.message));
+  socket.on('disconnect', () => {
+    connected
+      .then(() => markDisconnected(user._id, socket.id))
+      .catch((error) => console.error('Presence update error:', error.message));
+  });
+
   socket.on('join-user', (userId) => {
     try {
       if (!userId || typeof userId !== 'string') {
@@ -102,7 +121,15 @@ app.use(fileUploadMiddleware);
 app.use('/uploads', express.static('uploads'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the raw payload for gateways that sign the exact bytes (Stripe webhooks)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/notify')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(cookieParser());
 
@@ -121,6 +148,11 @@ app.use('/api/taskers', taskerRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/recurring-tasks', recurringTaskRoutes);
+app.use('/api/disputes', disputeRoutes);
 
 // 404 handler
 app.use('*', notFoundHandler);
@@ -129,9 +161,21 @@ app.use('*', notFoundHandler);
 app.use(errorHandler);
 
 
-connectDB();
+const dbReady = connectDB();
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
+
+// Background jobs (need the database connection)
+if (process.env.NODE_ENV !== 'test') {
+    dbReady
+        .then(() => backfillLegacyEmailVerification())
+        .then((count) => count > 0 && console.log(`Marked ${count} existing accounts as email verified`))
+        .catch((error) => console.error('Failed to backfill email verification:', error));
+    dbReady
+        .then(() => startJobScheduler({ io }))
+        .catch((error) => console.error('Failed to start job scheduler:', error));
+    startPresenceHeartbeat({ instanceId: getInstanceId() });
+}
 export default app;
@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import AccountToken from '../models/AccountToken.js';
+import { sendAccountMessage } from './notifications/index.js';
+import { revokeAllSessions } from './sessionService.js';
+
+/**
+ * Email verification, password reset and phone verification.
+ * Email links carry a signed, expiring JWT; phone verification uses a short numeric code
+ * sent by SMS. Every token is single-use, a new request replaces the user's outstanding
+ * token for the same purpose, and requests within VERIFICATION_RESEND_SECONDS of the last
+ * one are refused. Messages go through the notification email/SMS channels, which tests
+ * can replace with in-memory channels.
+ */
+
+export class VerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+export const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+export const PHONE_OTP_TTL_MINUTES = parseInt(process.env.PHONE_OTP_TTL_MINUTES) || 10;
+export const PHONE_OTP_MAX_ATTEMPTS = parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5;
+export const VERIFICATION_RESEND_SECONDS = parseInt(process.env.VERIFICATION_RESEND_SECONDS) || 60;
+
+// Verifications an account needs before it can post tasks or apply for them
+export const REQUIRED_VERIFICATIONS = (process.env.REQUIRED_VERIFICATIONS ?? 'email')
+  .split(',')
+  .map((name) => name.trim())
+  .filter((name) => ['email', 'phone'].includes(name));
+
+const MINUTE_MS = 60 * 1000;
+
+const getTokenSecret = () => process.env.ACCOUNT_TOKEN_SECRET || process.env.JWT_SECRET;
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const hashCode = (userId, code) => crypto
+  .createHmac('sha256', getTokenSecret())
+  .update(`${userId}:${code}`)
+  .digest('hex');
+
+const codesMatch = (expectedHash, userId, code) => {
+  const actual = Buffer.from(hashCode(userId, String(code)), 'hex');
+  const expected = Buffer.from(expectedHash || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Verifications the user still needs before they can post or apply for tasks
+ */
+export const getMissingVerifications = (user) => REQUIRED_VERIFICATIONS.filter((name) => (
+  name === 'email' ? !user.emailVerifiedAt : !user.phoneVerifiedAt
+));
+
+/**
+ * Treat accounts created before email verification existed as verified, so existing users
+ * are not locked out of posting and applying when it ships. Those documents have no
+ * `emailVerifiedAt` field at all (accounts created since store null), so this only ever
+ * touches them and is safe to run on every start.
+ * @returns {Promise<number>} how many accounts were stamped
+ */
+export const backfillLegacyEmailVerification = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { emailVerifiedAt: { $exists: false } },
+    [{ $set: { emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }],
+    { timestamps: false }
+  );
+  return modifiedCount;
+};
+
+// Refuse repeated requests, then drop the user's outstanding token for this purpose
+const replaceOutstandingToken = async (user, purpose, now) => {
+  const latest = await AccountToken.findOne({ user: user._id, purpose }).sort({ createdAt: -1 });
+  if (latest && now.getTime() - latest.createdAt.getTime() < VERIFICATION_RESEND_SECONDS * 1000) {
+    throw new VerificationError(`Please wait ${VERIFICATION_RESEND_SECONDS} seconds before requesting another message`, 429);
+  }
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+};
+
+// Store a signed link token and return the JWT to put in the link
+const issueLinkToken = async (user, purpose, target, ttlMs, now) => {
+  await replaceOutstandingToken(user, purpose, now);
+
+  const jti = crypto.randomUUID();
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    jti,
+    target,
+    expiresAt: new Date(now.getTime() + ttlMs)
+  });
+
+  return jwt.sign(
+    { userId: user._id, purpose, jti, iat: Math.floor(now.getTime() / 1000) },
+    getTokenSecret(),
+    { expiresIn: Math.floor(ttlMs / 1000) }
+  );
+};
+
+// Check a link token's signature and expiry, and mark it used
+const consumeLinkToken = async (token, purpose, now) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), getTokenSecret(), { clockTimestamp: Math.floor(now.getTime() / 1000) });
+  } catch (error) {
+    throw new VerificationError(
+      error.name === 'TokenExpiredError' ? 'This link has expired. Please request a new one.' : 'This link is invalid'
+    );
+  }
+  if (payload.purpose !== purpose || !payload.jti) {
+    throw new VerificationError('This link is invalid');
+  }
+
+  const record = await AccountToken.findOneAndUpdate(
+    { jti: payload.jti, purpose, user: payload.userId, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  if (!record) {
+    throw new VerificationError('This link has already been used or replaced by a newer one');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user) {
+    throw new VerificationError('This link is invalid');
+  }
+  return { user, record };
+};
+
+/**
+ * Email the user a link to verify their address
+ */
+export const sendEmailVerification = async (user, { now = new Date() } = {}) => {
+  if (user.emailVerifiedAt) {
+    throw new VerificationError('Your email address is already verified', 409);
+  }
+
+  const token = await issueLinkToken(
+    user,
+    'email_verification',
+    user.email,
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * MINUTE_MS,
+    now
+  );
+  await sendAccountMessage(user, 'email_verification', {
+    link: `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  }, 'email');
+};
+
+/**
+ * Verify the email address a verification link was sent to
+ * @returns {Promise<Object>} the verified user
+ */
+export const verifyEmail = async (token, { now = new Date() } = {}) => {
+  const { user, record } = await consumeLinkToken(token, 'email_verification', now);
+  if (record.target !== user.email) {
+    throw new VerificationError('This link was sent to an email address that is no longer on your account');
+  }
+
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = now;
+    await user.save();
+  }
+  return user;
+};
+
+/**
+ * Email a password reset link. Unknown addresses are ignored so the response does not
+ * reveal whether an account exists.
+ */
+export const requestPasswordReset = async (email, { now = new Date() } = {}) => {
+  const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+  if (!user) return;
+
+  const token = await issueLinkToken(
+    user,
+    'password_reset',
+    user.email,
+    PASSWORD_RESET_TTL_MINUTES * MINUTE_MS,
+    now
+  );
+  await sendAccountMessage(user, 'password_reset', {
+    link: `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+  }, 'email');
+};
+
+/**
+ * Set a new password from a reset link. Every session is signed out and tokens issued
+ * before the reset stop working.
+ * The caller validates the password's strength.
+ */
+export const resetPassword = async (token, password, { now = new Date() } = {}) => {
+  const { user } = await consumeLinkToken(token, 'password_reset', now);
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+  user.passwordChangedAt = now;
+  // Opening the emailed link proves the user controls the address
+  if (!user.emailVerifiedAt) user.emailVerifiedAt = now;
+  await user.save();
+
+  await AccountToken.deleteMany({ user: user._id, purpose: 'password_reset', usedAt: null });
+  await revokeAllSessions(user._id, 'password_reset', { now });
+  return user;
+};
+
+/**
+ * Text the user a code to verify their phone number
+ */
+export const sendPhoneVerification = async (user, { now = new Date() } = {}) => {
+  if (user.phoneVerifiedAt) {
+    throw new VerificationError('Your phone number is already verified', 409);
+  }
+
+  await replaceOutstandingToken(user, 'phone_verification', now);
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await AccountToken.create({
+    user: user._id,
+    purpose: 'phone_verification',
+    codeHash: hashCode(user._id, code),
+    target: user.phone,
+    expiresAt: new Date(now.getTime() + PHONE_OTP_TTL_MINUTES * MINUTE_MS)
+  });
+
+  await sendAccountMessage(user, 'phone_verification', {
+    code,
+    expiresInMinutes: PHONE_OTP_TTL_MINUTES
+  }, 'sms');
+};
+
+/**
+ * Check a phone verification code. Each code allows PHONE_OTP_MAX_ATTEMPTS tries.
+ * @returns {Promise<Object>} the verified user
+ */
+export const verifyPhone = async (user, code, { now = new Date() } = {}) => {
+  const record = await AccountToken.findOne({
+    user: user._id,
+    purpose: 'phone_verification',
+    usedAt: null
+  }).select('+codeHash').sort({ createdAt: -1 });
+
+  if (!record || record.expiresAt <= now) {
+    throw new VerificationError('This code has expired. Please request a new one.');
+  }
+  if (record.attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+    throw new VerificationError('Too many incorrect attempts. Please request a new code.', 429);
+  }
+
+  if (!codesMatch(record.codeHash, user._id, code)) {
+    await AccountToken.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+    throw new VerificationError('The code is incorrect');
+  }
+
+  const claimed = await AccountToken.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new VerificationError('This code has already been used');
+  }
+  if (claimed.target !== user.phone) {
+    throw new VerificationError('This code was sent to a phone number that is no longer on your account');
+  }
+
+  user.phoneVerifiedAt = now;
+  await user.save();
+  return user;
+};
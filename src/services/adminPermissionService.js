@@ -0,0 +1,129 @@
+import Admin from '../models/Admin.js';
+import AdminActionLog from '../models/AdminActionLog.js';
+import { ADMIN_PERMISSION_KEYS } from '../config/adminPermissions.js';
+
+/**
+ * Admin permissions.
+ * Admins hold the permissions listed on their Admin document. Super admins (flagged on the
+ * document, or listed in SUPER_ADMIN_EMAILS so the first one can be bootstrapped) hold every
+ * permission and are the only admins who can grant or revoke them. Every grant and
+ * revocation is recorded in AdminActionLog.
+ */
+
+export class PermissionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PermissionError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const SUPER_ADMIN_EMAILS = (process.env.SUPER_ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+export const isSuperAdmin = (user) => Boolean(
+  user && user.role === 'admin' && (user.isSuperAdmin || SUPER_ADMIN_EMAILS.includes(user.email))
+);
+
+/**
+ * Permissions the admin currently holds
+ */
+export const getEffectivePermissions = (user) => {
+  if (!user || user.role !== 'admin') return [];
+  if (isSuperAdmin(user)) return [...ADMIN_PERMISSION_KEYS];
+  return ADMIN_PERMISSION_KEYS.filter((permission) => (user.permissions || []).includes(permission));
+};
+
+export const hasPermission = (user, permission) => getEffectivePermissions(user).includes(permission);
+
+const validatePermissions = (permissions) => {
+  const list = [...new Set(Array.isArray(permissions) ? permissions : [permissions])].filter(Boolean);
+  if (list.length === 0) {
+    throw new PermissionError('At least one permission is required');
+  }
+  const unknown = list.filter((permission) => !ADMIN_PERMISSION_KEYS.includes(permission));
+  if (unknown.length > 0) {
+    throw new PermissionError(`Unknown permission${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+  return list;
+};
+
+const loadTargetAdmin = async (actor, adminId) => {
+  if (String(actor._id) === String(adminId)) {
+    throw new PermissionError('You cannot change your own permissions', 403);
+  }
+  const admin = await Admin.findById(adminId).select('-password');
+  if (!admin) {
+    throw new PermissionError('Admin not found', 404);
+  }
+  return admin;
+};
+
+const changePermissions = async (actor, adminId, permissions, action, context) => {
+  const requested = validatePermissions(permissions);
+  const admin = await loadTargetAdmin(actor, adminId);
+
+  const before = [...(admin.permissions || [])];
+  const changed = action === 'grant'
+    ? requested.filter((permission) => !before.includes(permission))
+    : requested.filter((permission) => before.includes(permission));
+  if (changed.length === 0) {
+    return { admin, changed };
+  }
+
+  admin.permissions = action === 'grant'
+    ? [...before, ...changed]
+    : before.filter((permission) => !changed.includes(permission));
+  await admin.save();
+
+  await AdminActionLog.create({
+    adminId: actor._id,
+    actionType: action === 'grant' ? 'ADMIN_PERMISSIONS_GRANTED' : 'ADMIN_PERMISSIONS_REVOKED',
+    targetId: admin._id,
+    targetModel: 'User',
+    details: `${action === 'grant' ? 'Granted' : 'Revoked'} ${changed.join(', ')} ${action === 'grant' ? 'to' : 'from'} ${admin.email}`,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    metadata: {
+      permissions: changed,
+      previousPermissions: before,
+      currentPermissions: [...admin.permissions]
+    }
+  });
+
+  return { admin, changed };
+};
+
+/**
+ * Give permissions to another admin
+ * @param {Object} actor - the super admin making the change
+ * @param {Object} [context] - request ipAddress and userAgent for the action log
+ * @returns {Promise<{admin: Object, changed: string[]}>} `changed` omits permissions already held
+ */
+export const grantPermissions = (actor, adminId, permissions, context = {}) => (
+  changePermissions(actor, adminId, permissions, 'grant', context)
+);
+
+/**
+ * Take permissions away from another admin
+ * @returns {Promise<{admin: Object, changed: string[]}>} `changed` omits permissions not held
+ */
+export const revokePermissions = (actor, adminId, permissions, context = {}) => (
+  changePermissions(actor, adminId, permissions, 'revoke', context)
+);
+
+/**
+ * All admins with the permissions they hold
+ */
+export const listAdminPermissions = async () => {
+  const admins = await Admin.find({}).select('fullName email permissions isSuperAdmin createdAt').sort({ createdAt: 1 });
+  return admins.map((admin) => ({
+    id: admin._id,
+    fullName: admin.fullName,
+    email: admin.email,
+    isSuperAdmin: isSuperAdmin(admin),
+    permissions: getEffectivePermissions(admin)
+  }));
+};
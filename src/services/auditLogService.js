@@ -0,0 +1,216 @@
+import { once } from 'events';
+import mongoose from 'mongoose';
+import AdminActionLog from '../models/AdminActionLog.js';
+import { toCsvRow } from '../utils/csv.js';
+
+/**
+ * Search and export of the admin audit trail (AdminActionLog).
+ * Results are newest first and paged with an opaque cursor (the last entry's createdAt and
+ * _id), so entries logged while an admin pages through do not shift later pages. Exports
+ * stream every matching entry as CSV or NDJSON without holding them in memory.
+ */
+
+export class AuditLogError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AuditLogError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const AUDIT_LOG_PAGE_SIZE = 50;
+export const AUDIT_LOG_MAX_PAGE_SIZE = 200;
+export const AUDIT_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const ACTION_TYPES = AdminActionLog.schema.path('actionType').enumValues;
+const TARGET_MODELS = AdminActionLog.schema.path('targetModel').enumValues;
+const SORT = { createdAt: -1, _id: -1 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseObjectId = (value, label) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new AuditLogError(`Invalid ${label}`);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AuditLogError(`Invalid ${label} date`);
+  }
+  return date;
+};
+
+export const encodeCursor = (log) => Buffer
+  .from(`${new Date(log.createdAt).toISOString()}|${log._id}`)
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new AuditLogError('Invalid cursor');
+  }
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Build the query for audit log filters
+ * @param {Object} filters
+ * @param {string} [filters.adminId] - admin who acted
+ * @param {string} [filters.actionType] - one action type, or several separated by commas
+ * @param {string} [filters.targetModel] - e.g. User, Task
+ * @param {string} [filters.targetId]
+ * @param {string} [filters.from] - earliest createdAt (inclusive)
+ * @param {string} [filters.to] - latest createdAt (inclusive)
+ * @param {string} [filters.q] - text searched in the details and IP address
+ */
+export const buildAuditLogQuery = ({ adminId, actionType, targetModel, targetId, from, to, q } = {}) => {
+  const query = {};
+
+  if (adminId) query.adminId = parseObjectId(adminId, 'admin ID');
+
+  if (actionType) {
+    const types = String(actionType).split(',').map((type) => type.trim()).filter(Boolean);
+    const unknown = types.filter((type) => !ACTION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new AuditLogError(`Unknown action type: ${unknown.join(', ')}`);
+    }
+    query.actionType = types.length === 1 ? types[0] : { $in: types };
+  }
+
+  if (targetModel) {
+    if (!TARGET_MODELS.includes(targetModel)) {
+      throw new AuditLogError(`Unknown target model: ${targetModel}`);
+    }
+    query.targetModel = targetModel;
+  }
+  if (targetId) query.targetId = parseObjectId(targetId, 'target ID');
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = parseDate(from, 'from');
+    if (to) query.createdAt.$lte = parseDate(to, 'to');
+    if (from && to && query.createdAt.$gte > query.createdAt.$lte) {
+      throw new AuditLogError('The from date must be before the to date');
+    }
+  }
+
+  const text = String(q || '').trim();
+  if (text) {
+    const pattern = { $regex: escapeRegex(text.slice(0, 200)), $options: 'i' };
+    query.$or = [{ details: pattern }, { ipAddress: pattern }];
+  }
+
+  return query;
+};
+
+/**
+ * One page of matching audit log entries, newest first
+ * @returns {Promise<{logs: Array, nextCursor: string|null}>} nextCursor is null on the last page
+ */
+export const listAuditLogs = async (filters = {}, { cursor, limit } = {}) => {
+  const query = buildAuditLogQuery(filters);
+  const pageSize = Math.min(Math.max(parseInt(limit) || AUDIT_LOG_PAGE_SIZE, 1), AUDIT_LOG_MAX_PAGE_SIZE);
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    return fetchPage({
+      $and: [query, {
+        $or: [
+          { createdAt: { $lt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $lt: after._id } }
+        ]
+      }]
+    }, pageSize);
+  }
+
+  return fetchPage(query, pageSize);
+};
+
+const fetchPage = async (query, pageSize) => {
+  const logs = await AdminActionLog.find(query)
+    .sort(SORT)
+    .limit(pageSize + 1)
+    .populate('adminId', 'fullName email');
+
+  const hasMore = logs.length > pageSize;
+  const page = hasMore ? logs.slice(0, pageSize) : logs;
+  return {
+    logs: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+/**
+ * Latest audit entries about one record, for its admin detail page
+ */
+export const getEntityAuditTrail = (targetModel, targetId, { limit = 20 } = {}) => (
+  AdminActionLog.getLogsByTarget(targetId, targetModel, { limit })
+);
+
+const EXPORT_COLUMNS = [
+  { header: 'Timestamp', value: (log) => log.createdAt },
+  { header: 'Action', value: (log) => log.actionType },
+  { header: 'Category', value: (log) => log.actionCategory },
+  { header: 'Admin ID', value: (log) => log.adminId?._id || log.adminId },
+  { header: 'Admin Name', value: (log) => log.adminId?.fullName },
+  { header: 'Admin Email', value: (log) => log.adminId?.email },
+  { header: 'Target Model', value: (log) => log.targetModel },
+  { header: 'Target ID', value: (log) => log.targetId },
+  { header: 'Details', value: (log) => log.details },
+  { header: 'IP Address', value: (log) => log.ipAddress },
+  { header: 'Metadata', value: (log) => (log.metadata && Object.keys(log.metadata).length ? JSON.stringify(log.metadata) : '') }
+];
+
+const toExportRecord = (log) => ({
+  id: log._id,
+  createdAt: log.createdAt,
+  actionType: log.actionType,
+  category: log.actionCategory,
+  admin: log.adminId?._id
+    ? { id: log.adminId._id, fullName: log.adminId.fullName, email: log.adminId.email }
+    : { id: log.adminId },
+  targetModel: log.targetModel,
+  targetId: log.targetId,
+  details: log.details,
+  ipAddress: log.ipAddress,
+  userAgent: log.userAgent,
+  metadata: log.metadata
+});
+
+/**
+ * Write every matching entry to a writable stream (an Express response), waiting for the
+ * stream to drain so large exports are not buffered in memory. Stops early if the client
+ * disconnects.
+ * @returns {Promise<number>} how many entries were written
+ */
+export const streamAuditLogs = async (filters, format, output) => {
+  if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+    throw new AuditLogError(`Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`);
+  }
+  const query = buildAuditLogQuery(filters);
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) {
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+  };
+
+  if (format === 'csv') {
+    await write(`${toCsvRow(EXPORT_COLUMNS.map((column) => column.header))}\r\n`);
+  }
+
+  let count = 0;
+  const cursor = AdminActionLog.find(query).sort(SORT).populate('adminId', 'fullName email').cursor();
+  for await (const log of cursor) {
+    if (output.destroyed) break;
+    await write(format === 'csv'
+      ? `${toCsvRow(EXPORT_COLUMNS.map((column) => column.value(log)))}\r\n`
+      : `${JSON.stringify(toExportRecord(log))}\n`);
+    count += 1;
+  }
+  return count;
+};
@@ -0,0 +1,313 @@
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import {
+  DAY_MS,
+  localWeekday,
+  localMinutesOfDay,
+  localDateKey,
+  startOfLocalDate
+} from '../utils/localTime.js';
+import { toIcs } from '../utils/ics.js';
+
+/**
+ * Tasker availability
+ * A tasker's calendar has weekly working hours, blocked periods and holidays (all in
+ * Sri Lanka time). Tasks a tasker was selected for are busy slots from the agreed time
+ * for the application's estimated duration. Selecting a tasker, confirming a time and
+ * accepting an offer are refused when the booking falls outside the calendar or overlaps
+ * a busy slot.
+ */
+
+export class AvailabilityError extends Error {
+  constructor(message, statusCode = 400, conflict = null) {
+    super(message);
+    this.name = 'AvailabilityError';
+    this.statusCode = statusCode;
+    this.conflict = conflict;
+  }
+}
+
+export const DEFAULT_BOOKING_HOURS = Number(process.env.DEFAULT_BOOKING_HOURS) || 2;
+export const MAX_BOOKING_HOURS = 24;
+// Hours given to days ticked at registration
+export const DEFAULT_WORKING_HOURS = { start: '08:00', end: '18:00' };
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Selected but unpaid tasks hold the slot too, so it cannot be given away meanwhile
+const BUSY_STATUSES = ['active', 'scheduled', 'in_progress'];
+const MAX_CALENDAR_DAYS = 62;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(date.getTime())) {
+    throw new AvailabilityError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Weekly hours from the registration form's `{ monday: true, ... }` ticks
+ */
+export const weeklyHoursFromDays = (days = {}) => WEEKDAYS
+  .map((name, day) => (days[name] ? { day, ...DEFAULT_WORKING_HOURS } : null))
+  .filter(Boolean);
+
+const normaliseWeeklyHours = (input) => {
+  // Also accept { monday: true | { start, end } } keyed by weekday name
+  const entries = Array.isArray(input)
+    ? input
+    : Object.entries(input || {}).flatMap(([name, value]) => {
+      const day = WEEKDAYS.indexOf(name.toLowerCase());
+      if (day === -1) throw new AvailabilityError(`Unknown weekday "${name}"`);
+      if (!value) return [];
+      return [{ day, ...(value === true ? DEFAULT_WORKING_HOURS : value) }];
+    });
+
+  const hours = entries.map(({ day, start, end }) => {
+    if (!Number.isInteger(Number(day)) || day < 0 || day > 6) {
+      throw new AvailabilityError('Working hours day must be from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (!TIME_OF_DAY.test(start || '') || !TIME_OF_DAY.test(end || '')) {
+      throw new AvailabilityError('Working hours must be in HH:mm format');
+    }
+    if (toMinutes(end) <= toMinutes(start)) {
+      throw new AvailabilityError('Working hours must end after they start');
+    }
+    return { day: Number(day), start, end };
+  }).sort((a, b) => a.day - b.day || toMinutes(a.start) - toMinutes(b.start));
+
+  for (let i = 1; i < hours.length; i += 1) {
+    if (hours[i].day === hours[i - 1].day && toMinutes(hours[i].start) < toMinutes(hours[i - 1].end)) {
+      throw new AvailabilityError(`Working hours overlap on ${WEEKDAYS[hours[i].day]}`);
+    }
+  }
+  return hours;
+};
+
+const normaliseBlockedPeriods = (input) => {
+  if (!Array.isArray(input)) throw new AvailabilityError('blockedPeriods must be a list');
+  return input.map(({ start, end, reason }) => {
+    const period = { start: parseDate(start, 'Blocked period start'), end: parseDate(end, 'Blocked period end') };
+    if (period.end <= period.start) {
+      throw new AvailabilityError('Blocked periods must end after they start');
+    }
+    if (reason) period.reason = String(reason).trim();
+    return period;
+  }).sort((a, b) => a.start - b.start);
+};
+
+const normaliseHolidays = (input) => {
+  if (!Array.isArray(input)) throw new AvailabilityError('holidays must be a list');
+  const holidays = new Map();
+  for (const holiday of input) {
+    const { date, name } = typeof holiday === 'string' ? { date: holiday } : holiday || {};
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+      throw new AvailabilityError('Holiday dates must be in YYYY-MM-DD format');
+    }
+    holidays.set(date, name ? { date, name: String(name).trim() } : { date });
+  }
+  return [...holidays.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Validate the calendar fields in a request body. Only the fields given are returned,
+ * each replacing the stored list.
+ * @returns {{weeklyHours?: Array, blockedPeriods?: Array, holidays?: Array}}
+ */
+export const normaliseAvailability = ({ weeklyHours, blockedPeriods, holidays } = {}) => {
+  const availability = {};
+  if (weeklyHours !== undefined) availability.weeklyHours = normaliseWeeklyHours(weeklyHours);
+  if (blockedPeriods !== undefined) availability.blockedPeriods = normaliseBlockedPeriods(blockedPeriods);
+  if (holidays !== undefined) availability.holidays = normaliseHolidays(holidays);
+  return availability;
+};
+
+/**
+ * How long a booking lasts: the application's estimated duration, or DEFAULT_BOOKING_HOURS
+ */
+export const getBookingHours = (application) => {
+  const hours = Number(application?.estimatedDuration) || DEFAULT_BOOKING_HOURS;
+  return Math.min(Math.max(hours, 0.5), MAX_BOOKING_HOURS);
+};
+
+/**
+ * Why a booking does not fit the tasker's calendar, or null when it does
+ */
+export const checkCalendar = (availability, start, end) => {
+  const { weeklyHours = [], blockedPeriods = [], holidays = [] } = availability || {};
+
+  const holiday = holidays.find(({ date }) => date === localDateKey(start) || date === localDateKey(end - 1));
+  if (holiday) {
+    return { type: 'holiday', message: `The tasker is on holiday on ${holiday.date}`, date: holiday.date };
+  }
+
+  const blocked = blockedPeriods.find((period) => period.start < end && period.end > start);
+  if (blocked) {
+    return {
+      type: 'blocked',
+      message: 'The tasker is unavailable at this time',
+      start: blocked.start,
+      end: blocked.end
+    };
+  }
+
+  if (weeklyHours.length) {
+    const day = localWeekday(start);
+    const startMinutes = localMinutesOfDay(start);
+    const endMinutes = startMinutes + Math.round((end - start) / 60000);
+    const fits = weeklyHours.some((hours) => hours.day === day
+      && toMinutes(hours.start) <= startMinutes && endMinutes <= toMinutes(hours.end));
+    if (!fits) {
+      return { type: 'outside_hours', message: 'The booking is outside the tasker\'s working hours' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Tasks the tasker is booked for that overlap [from, to)
+ * @returns {Promise<Array<{taskId, title, area, status, start: Date, end: Date}>>}
+ */
+export const getBusySlots = async (taskerId, { from, to, excludeTaskId } = {}) => {
+  const query = {
+    // Crew members other than the lead are only on the task's assignments
+    $or: [{ selectedTasker: idOf(taskerId) }, { 'assignments.tasker': idOf(taskerId) }],
+    status: { $in: BUSY_STATUSES },
+    agreedTime: { $gt: new Date(from.getTime() - MAX_BOOKING_HOURS * 60 * 60 * 1000), $lt: to }
+  };
+  if (excludeTaskId) query._id = { $ne: excludeTaskId };
+
+  const tasks = await Task.find(query).select('title area status agreedTime').sort({ agreedTime: 1 });
+  if (tasks.length === 0) return [];
+
+  const applications = await Application.find({
+    task: { $in: tasks.map((task) => task._id) },
+    tasker: idOf(taskerId)
+  }).select('task estimatedDuration');
+  const applicationByTask = new Map(applications.map((application) => [application.task.toString(), application]));
+
+  return tasks
+    .map((task) => ({
+      taskId: task._id,
+      title: task.title,
+      area: task.area,
+      status: task.status,
+      start: task.agreedTime,
+      end: new Date(task.agreedTime.getTime() + getBookingHours(applicationByTask.get(task._id.toString())) * 60 * 60 * 1000)
+    }))
+    .filter((slot) => slot.end > from);
+};
+
+/**
+ * Refuse a booking that falls outside the tasker's calendar or overlaps another booking
+ * @param {Object|string} tasker - tasker or their id
+ * @param {Object} booking
+ * @param {Date} booking.start
+ * @param {number} booking.hours
+ * @param {string} [booking.excludeTaskId] - the task being booked, when it already holds a slot
+ */
+export const assertTaskerCanBook = async (tasker, { start, hours, excludeTaskId }) => {
+  const end = new Date(start.getTime() + hours * 60 * 60 * 1000);
+
+  const user = tasker?.taskerProfile?.availability
+    ? tasker
+    : await User.findById(idOf(tasker)).select('taskerProfile.availability');
+
+  const calendarConflict = checkCalendar(user?.taskerProfile?.availability, start, end);
+  if (calendarConflict) {
+    throw new AvailabilityError(calendarConflict.message, 409, calendarConflict);
+  }
+
+  const [busy] = await getBusySlots(idOf(tasker), { from: start, to: end, excludeTaskId });
+  if (busy) {
+    throw new AvailabilityError('The tasker is already booked at this time', 409, {
+      type: 'booked',
+      taskId: busy.taskId,
+      start: busy.start,
+      end: busy.end
+    });
+  }
+};
+
+/**
+ * Parse a calendar range from a query string, defaulting to the next `defaultDays` days
+ */
+export const parseCalendarRange = ({ from, to } = {}, { now = new Date(), defaultDays = 14 } = {}) => {
+  const rangeStart = from ? parseDate(from, 'from') : now;
+  const rangeEnd = to ? parseDate(to, 'to') : new Date(rangeStart.getTime() + defaultDays * DAY_MS);
+  if (rangeEnd <= rangeStart) {
+    throw new AvailabilityError('to must be after from');
+  }
+  if (rangeEnd - rangeStart > MAX_CALENDAR_DAYS * DAY_MS) {
+    throw new AvailabilityError(`A calendar range can cover at most ${MAX_CALENDAR_DAYS} days`);
+  }
+  return { from: rangeStart, to: rangeEnd };
+};
+
+/**
+ * A tasker's calendar between two dates. Public calendars show busy times only.
+ */
+export const getTaskerCalendar = async (tasker, { from, to, includeDetails = false }) => {
+  const { weeklyHours = [], blockedPeriods = [], holidays = [] } = tasker.taskerProfile?.availability || {};
+  const busy = await getBusySlots(tasker._id, { from, to });
+  const fromKey = localDateKey(from);
+  const toKey = localDateKey(to);
+
+  return {
+    isAvailable: tasker.taskerProfile?.isAvailable !== false,
+    weeklyHours,
+    holidays: holidays.filter(({ date }) => date >= fromKey && date <= toKey),
+    blockedPeriods: blockedPeriods
+      .filter((period) => period.start < to && period.end > from)
+      .map((period) => (includeDetails ? period : { start: period.start, end: period.end })),
+    busy: busy.map((slot) => (includeDetails ? slot : { start: slot.start, end: slot.end }))
+  };
+};
+
+/**
+ * The tasker's bookings, blocked periods and holidays as an iCalendar file
+ */
+export const buildScheduleIcs = async (tasker, { from, to, now = new Date() }) => {
+  const { blockedPeriods = [], holidays = [] } = tasker.taskerProfile?.availability || {};
+  const busy = await getBusySlots(tasker._id, { from, to });
+
+  const events = [
+    ...busy.map((slot) => ({
+      uid: `task-${slot.taskId}@taskgo`,
+      start: slot.start,
+      end: slot.end,
+      summary: slot.title,
+      location: slot.area,
+      description: slot.status === 'active' ? 'Selected - waiting for the advance payment' : undefined,
+      status: slot.status === 'active' ? 'TENTATIVE' : 'CONFIRMED'
+    })),
+    ...blockedPeriods
+      .filter((period) => period.start < to && period.end > from)
+      .map((period) => ({
+        uid: `blocked-${period.start.getTime()}-${tasker._id}@taskgo`,
+        start: period.start,
+        end: period.end,
+        summary: period.reason ? `Unavailable: ${period.reason}` : 'Unavailable'
+      })),
+    ...holidays
+      .filter(({ date }) => startOfLocalDate(date) < to && startOfLocalDate(date).getTime() + DAY_MS > from.getTime())
+      .map((holiday) => ({
+        uid: `holiday-${holiday.date}-${tasker._id}@taskgo`,
+        start: holiday.date,
+        allDay: true,
+        summary: holiday.name ? `Holiday: ${holiday.name}` : 'Holiday'
+      }))
+  ];
+
+  return toIcs({ name: `TaskGo schedule - ${tasker.fullName}`, events, now });
+};
@@ -0,0 +1,169 @@
+/**
+ * Crew tasks
+ * A task with `crewSize` above 1 needs several taskers. Each selected tasker gets an
+ * assignment on the task with their own agreed payment, advance and final payment,
+ * schedule confirmation, completion and ratings. The whole crew works at the same agreed
+ * time. Task-level fields mirror the crew so single-tasker code keeps working:
+ * `selectedTasker` is the first tasker selected, `agreedPayment` is the crew total, and
+ * `taskerConfirmed`, `taskerCompletedAt` and `advancePaymentStatus` are only set once every
+ * assignment has reached that point.
+ */
+
+export class CrewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CrewError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => Boolean(a && b) && String(idOf(a)) === String(idOf(b));
+
+export const isCrewTask = (task) => (task.crewSize || 1) > 1;
+
+export const getAssignment = (task, taskerId) => (
+  (task.assignments || []).find((assignment) => sameId(assignment.tasker, taskerId)) || null
+);
+
+/**
+ * Taskers working on the task: the crew, or the selected (or targeted) tasker
+ */
+export const getWorkingTaskerIds = (task) => {
+  if (task.assignments && task.assignments.length > 0) {
+    return task.assignments.map((assignment) => idOf(assignment.tasker));
+  }
+  const taskerId = idOf(task.selectedTasker) || idOf(task.targetedTasker);
+  return taskerId ? [taskerId] : [];
+};
+
+/**
+ * Whether the user is the selected tasker or a member of the crew
+ */
+export const isWorkingTasker = (task, userId) => (
+  sameId(task.selectedTasker, userId) || Boolean(getAssignment(task, userId))
+);
+
+export const isCrewFull = (task) => (task.assignments || []).length >= (task.crewSize || 1);
+
+/**
+ * Refuse to add a tasker to a crew that is full, already has them or works at another time
+ */
+export const assertCanJoinCrew = (task, taskerId, agreedTime) => {
+  if (getAssignment(task, taskerId)) {
+    throw new CrewError('This tasker is already part of the crew', 409);
+  }
+  if (isCrewFull(task)) {
+    throw new CrewError(`The crew already has ${task.crewSize} taskers`, 409);
+  }
+  if (task.agreedTime && Math.abs(new Date(agreedTime).getTime() - new Date(task.agreedTime).getTime()) > 60000) {
+    throw new CrewError('Crew members must be booked for the same time as the rest of the crew');
+  }
+};
+
+/**
+ * Add a selected tasker to the crew and update the task-level totals
+ */
+export const addCrewAssignment = (task, application, { agreedTime, agreedPayment }) => {
+  const taskerId = idOf(application.tasker);
+  assertCanJoinCrew(task, taskerId, agreedTime);
+
+  task.assignments.push({
+    tasker: taskerId,
+    application: application._id,
+    agreedPayment
+  });
+
+  if (!task.selectedTasker) task.selectedTasker = taskerId;
+  task.agreedTime = task.agreedTime || agreedTime;
+  task.agreedPayment = task.assignments.reduce((sum, assignment) => sum + assignment.agreedPayment, 0);
+  return getAssignment(task, taskerId);
+};
+
+/**
+ * Record a tasker's confirmation of the schedule
+ * @returns {boolean} whether the whole crew has confirmed
+ */
+export const confirmCrewAssignment = (task, taskerId, { now = new Date() } = {}) => {
+  const assignment = getAssignment(task, taskerId);
+  if (!assignment) {
+    throw new CrewError('You are not part of this crew', 403);
+  }
+  assignment.confirmedAt = assignment.confirmedAt || now;
+  task.taskerConfirmed = task.assignments.every((a) => a.confirmedAt);
+  return task.taskerConfirmed;
+};
+
+/**
+ * Mark an assignment's advance or final payment as paid
+ * @returns {boolean} whether every assignment of a full crew has now paid that payment
+ */
+export const markCrewPaymentPaid = (task, payment, { now = new Date() } = {}) => {
+  const assignment = getAssignment(task, payment.tasker);
+  if (!assignment) return false;
+
+  if (payment.paymentType === 'final') {
+    assignment.finalPaymentStatus = 'paid';
+    assignment.finalPaymentDate = now;
+    return isCrewFull(task) && task.assignments.every((a) => a.finalPaymentStatus === 'paid');
+  }
+
+  assignment.advancePaymentStatus = 'paid';
+  assignment.advancePaymentDate = now;
+  return isCrewFull(task) && task.assignments.every((a) => a.advancePaymentStatus === 'paid');
+};
+
+// The tasker side of the task is complete once every crew member has finished
+const syncCrewCompletion = (task) => {
+  const done = isCrewFull(task) && task.assignments.every((a) => a.completedAt);
+  task.taskerCompletedAt = done
+    ? new Date(Math.max(...task.assignments.map((a) => new Date(a.completedAt).getTime())))
+    : null;
+};
+
+/**
+ * Record a crew member marking their part complete
+ */
+export const completeCrewAssignment = (task, taskerId, {
+  completionPhotos,
+  completionNotes,
+  taskerFeedback,
+  taskerRatingForCustomer
+} = {}, { now = new Date() } = {}) => {
+  const assignment = getAssignment(task, taskerId);
+  if (!assignment) {
+    throw new CrewError('You are not part of this crew', 403);
+  }
+
+  if (completionPhotos && completionPhotos.length > 0) {
+    assignment.completionPhotos = completionPhotos;
+    task.completionPhotos = [...(task.completionPhotos || []), ...completionPhotos];
+  }
+  if (completionNotes) assignment.completionNotes = completionNotes;
+  if (taskerFeedback) assignment.taskerFeedback = taskerFeedback;
+  if (taskerRatingForCustomer) assignment.taskerRatingForCustomer = taskerRatingForCustomer;
+  assignment.completedAt = now;
+
+  syncCrewCompletion(task);
+  return assignment;
+};
+
+/**
+ * Record the customer's ratings for the crew.
+ * `ratings` rates taskers one by one; `rating` and `review` apply to anyone not rated there.
+ */
+export const rateCrew = (task, { ratings = [], rating, review } = {}) => {
+  for (const entry of ratings) {
+    const assignment = getAssignment(task, entry.taskerId);
+    if (!assignment) {
+      throw new CrewError('Ratings can only be given to taskers in the crew');
+    }
+    if (entry.rating) assignment.customerRating = entry.rating;
+    if (entry.review) assignment.customerReview = entry.review;
+  }
+
+  for (const assignment of task.assignments) {
+    if (rating && !assignment.customerRating) assignment.customerRating = rating;
+    if (review && !assignment.customerReview) assignment.customerReview = review;
+  }
+};
@@ -0,0 +1,391 @@
+import mongoose from 'mongoose';
+import Dispute, { ACTIVE_DISPUTE_STATUSES, DISPUTE_OUTCOMES } from '../models/Dispute.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Refund from '../models/Refund.js';
+import ChatMessage from '../models/ChatMessage.js';
+import { findRefundablePayment, executeRefund, settleTaskAdvance } from './refundService.js';
+import { recordEscrowRelease } from './ledgerService.js';
+import { notify } from './notifications/index.js';
+import { isCrewTask } from './crewService.js';
+
+/**
+ * Disputes over a task's advance payment.
+ * Either party can dispute a scheduled, in-progress or recently completed task, or a cancelled
+ * schedule whose refund is still waiting for approval. The advance stays frozen until an admin
+ * releases it to the tasker, refunds the customer or splits it between them.
+ */
+
+export class DisputeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DisputeError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 14;
+export const MAX_EVIDENCE_PHOTOS = 10;
+export const MAX_CHAT_EXCERPTS = 20;
+
+const DISPUTABLE_TASK_STATUSES = ['scheduled', 'in_progress', 'completed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+/**
+ * The open or under-review dispute on a task. Its advance must not be released or refunded
+ * while one exists.
+ */
+export const findActiveDispute = (taskId) => (
+  Dispute.findOne({ task: taskId, status: { $in: ACTIVE_DISPUTE_STATUSES } })
+);
+
+/**
+ * 'customer', 'tasker' or null for users who are not a party to the dispute
+ */
+export const getDisputeRole = (dispute, user) => {
+  if (sameId(dispute.customer, user)) return 'customer';
+  if (sameId(dispute.tasker, user)) return 'tasker';
+  return null;
+};
+
+const normaliseEvidencePhotos = (photos, user) => {
+  const list = Array.isArray(photos) ? photos : [photos].filter(Boolean);
+  return list.map((photo) => ({
+    url: typeof photo === 'string' ? photo : photo?.url,
+    uploadedBy: user._id
+  }));
+};
+
+/**
+ * Copy the chosen messages from the task chat
+ * @throws {DisputeError} when a message does not belong to the task
+ */
+export const buildChatExcerpts = async (taskId, messageIds = []) => {
+  const ids = [...new Set((Array.isArray(messageIds) ? messageIds : [messageIds]).map(String))];
+  if (ids.length === 0) return [];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new DisputeError('Invalid chat message ID');
+  }
+
+  const messages = await ChatMessage.find({ _id: { $in: ids }, taskId })
+    .select('senderId message createdAt')
+    .sort({ createdAt: 1 });
+  if (messages.length !== ids.length) {
+    throw new DisputeError('Chat excerpts must be messages from this task');
+  }
+
+  return messages.map((message) => ({
+    message: message._id,
+    sender: message.senderId,
+    text: message.message,
+    sentAt: message.createdAt
+  }));
+};
+
+const assertEvidenceLimits = (dispute) => {
+  if (dispute.evidencePhotos.length > MAX_EVIDENCE_PHOTOS) {
+    throw new DisputeError(`A dispute can have at most ${MAX_EVIDENCE_PHOTOS} evidence photos`);
+  }
+  if (dispute.chatExcerpts.length > MAX_CHAT_EXCERPTS) {
+    throw new DisputeError(`A dispute can have at most ${MAX_CHAT_EXCERPTS} chat excerpts`);
+  }
+};
+
+// A cancelled schedule can still be disputed while its refund waits for approval
+const hasUnsettledRefund = async (payment) => Boolean(await Refund.exists({
+  payment: payment._id,
+  status: { $in: ['pending_approval', 'failed'] }
+}));
+
+/**
+ * Open a dispute on a task's held advance
+ * @param {Object} params
+ * @param {string} params.taskId
+ * @param {Object} params.user - customer or paid tasker of the task
+ * @param {string} params.category
+ * @param {string} params.reason
+ * @param {Array<string|{url: string}>} [params.evidencePhotos] - uploaded photo URLs
+ * @param {string[]} [params.chatMessageIds] - task chat messages to quote
+ * @param {string} [params.taskerId] - crew member the customer disputes, on crew tasks
+ */
+export const openDispute = async (
+  { taskId, user, category, reason, evidencePhotos = [], chatMessageIds = [], taskerId },
+  { now = new Date(), io } = {}
+) => {
+  const task = await Task.findById(taskId);
+  if (!task) {
+    throw new DisputeError('Task not found', 404);
+  }
+
+  // Each crew member's advance is disputed on its own
+  let crewTaskerId;
+  if (isCrewTask(task)) {
+    crewTaskerId = sameId(task.customer, user) ? taskerId : user._id;
+    if (!crewTaskerId) {
+      throw new DisputeError('Choose which crew member the dispute is about');
+    }
+  }
+
+  const payment = await findRefundablePayment(task._id, { tasker: crewTaskerId });
+  if (!payment || !payment.tasker) {
+    throw new DisputeError('There is no advance payment held for this task to dispute');
+  }
+
+  const dispute = new Dispute({
+    task: task._id,
+    payment: payment._id,
+    customer: payment.customer || task.customer,
+    tasker: payment.tasker,
+    category,
+    reason,
+    taskStatus: task.status
+  });
+
+  const role = getDisputeRole(dispute, user);
+  if (!role) {
+    throw new DisputeError('Only the customer or tasker of this task can open a dispute', 403);
+  }
+
+  if (!DISPUTABLE_TASK_STATUSES.includes(task.status) && !(await hasUnsettledRefund(payment))) {
+    throw new DisputeError(`Tasks that are ${task.status} cannot be disputed`);
+  }
+
+  if (task.status === 'completed') {
+    const completedAt = task.customerCompletedAt || task.taskerCompletedAt || task.updatedAt;
+    if (completedAt && now.getTime() - new Date(completedAt).getTime() > DISPUTE_WINDOW_DAYS * DAY_MS) {
+      throw new DisputeError(`Completed tasks can only be disputed within ${DISPUTE_WINDOW_DAYS} days`);
+    }
+  }
+
+  if (await findActiveDispute(task._id)) {
+    throw new DisputeError('A dispute is already open for this task', 409);
+  }
+
+  dispute.openedBy = user._id;
+  dispute.openedByRole = role;
+  dispute.evidencePhotos = normaliseEvidencePhotos(evidencePhotos, user);
+  dispute.chatExcerpts = await buildChatExcerpts(task._id, chatMessageIds);
+  assertEvidenceLimits(dispute);
+  await dispute.save();
+
+  await notify(role === 'customer' ? dispute.tasker : dispute.customer, 'dispute_opened', {
+    disputeId: dispute._id,
+    taskId: task._id,
+    taskTitle: task.title,
+    openedByRole: role
+  }, { io });
+
+  return dispute;
+};
+
+/**
+ * Add photos or chat excerpts to an open dispute
+ */
+export const addEvidence = async (dispute, user, { evidencePhotos = [], chatMessageIds = [] } = {}) => {
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw new DisputeError(`Evidence cannot be added to a ${dispute.status} dispute`, 409);
+  }
+
+  const photos = normaliseEvidencePhotos(evidencePhotos, user);
+  const excerpts = await buildChatExcerpts(dispute.task, chatMessageIds);
+  if (photos.length === 0 && excerpts.length === 0) {
+    throw new DisputeError('Provide evidence photos or chat messages to add');
+  }
+
+  const quoted = new Set(dispute.chatExcerpts.map((excerpt) => String(excerpt.message)));
+  dispute.evidencePhotos.push(...photos);
+  dispute.chatExcerpts.push(...excerpts.filter((excerpt) => !quoted.has(String(excerpt.message))));
+  assertEvidenceLimits(dispute);
+  await dispute.save();
+  return dispute;
+};
+
+/**
+ * The party who opened a dispute can withdraw it until it is resolved
+ */
+export const withdrawDispute = async (dispute, user, { now = new Date() } = {}) => {
+  if (!sameId(dispute.openedBy, user)) {
+    throw new DisputeError('Only the party who opened the dispute can withdraw it', 403);
+  }
+
+  const withdrawn = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: { $in: ACTIVE_DISPUTE_STATUSES } },
+    { $set: { status: 'withdrawn', withdrawnAt: now } },
+    { new: true }
+  );
+  if (!withdrawn) {
+    throw new DisputeError(`Dispute is already ${dispute.status}`, 409);
+  }
+  return withdrawn;
+};
+
+/**
+ * Assign a dispute to an admin for review
+ */
+export const assignDispute = async (disputeId, assigneeId, { now = new Date() } = {}) => {
+  const assignee = await User.findById(assigneeId).select('role fullName');
+  if (!assignee || assignee.role !== 'admin') {
+    throw new DisputeError('Disputes can only be assigned to admins');
+  }
+
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, status: { $in: ACTIVE_DISPUTE_STATUSES } },
+    { $set: { assignedTo: assignee._id, assignedAt: now, status: 'under_review' } },
+    { new: true }
+  );
+  if (!dispute) {
+    const existing = await Dispute.findById(disputeId).select('status');
+    if (!existing) throw new DisputeError('Dispute not found', 404);
+    throw new DisputeError(`Dispute is already ${existing.status}`, 409);
+  }
+  return dispute;
+};
+
+/**
+ * Add a note to the internal admin thread
+ */
+export const addInternalNote = async (disputeId, admin, text) => {
+  if (!text || !String(text).trim()) {
+    throw new DisputeError('Note text is required');
+  }
+
+  const dispute = await Dispute.findByIdAndUpdate(
+    disputeId,
+    { $push: { notes: { author: admin._id, text: String(text).trim() } } },
+    { new: true, runValidators: true }
+  ).select('+notes');
+  if (!dispute) {
+    throw new DisputeError('Dispute not found', 404);
+  }
+  return dispute.notes[dispute.notes.length - 1];
+};
+
+/**
+ * Work out who gets what for an outcome
+ * @returns {{ refundAmount: number, releasedAmount: number }}
+ */
+export const calculateSettlement = (outcome, total, refundAmount) => {
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    throw new DisputeError(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`);
+  }
+  if (outcome === 'release_to_tasker') return { refundAmount: 0, releasedAmount: roundAmount(total) };
+  if (outcome === 'refund_to_customer') return { refundAmount: roundAmount(total), releasedAmount: 0 };
+
+  const amount = roundAmount(Number(refundAmount));
+  if (refundAmount === undefined || refundAmount === null || isNaN(amount) || amount <= 0 || amount >= total) {
+    throw new DisputeError(`A split needs a refund amount between 0 and ${total}`);
+  }
+  return { refundAmount: amount, releasedAmount: roundAmount(total - amount) };
+};
+
+// Undo the claim on a dispute whose refund sent nothing, so it can be settled again
+const reopenDispute = (dispute) => Dispute.updateOne(
+  { _id: dispute._id, status: 'resolved' },
+  { $set: { status: 'under_review' }, $unset: { resolution: 1 } }
+);
+
+/**
+ * Settle a dispute and move the advance accordingly.
+ * Refunds go through the refund records; cancellation refunds still waiting for approval are
+ * closed. When the gateway refund fails the dispute goes back under review and a DisputeError
+ * is thrown. A refund the gateway accepted but that could not be settled leaves the dispute
+ * resolved; the settlement is retried from the refunds queue.
+ * @returns {{ dispute, refund }} - refund is null when everything was released to the tasker
+ */
+export const resolveDispute = async (disputeId, admin, { outcome, refundAmount, summary } = {}, { now = new Date(), io } = {}) => {
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw new DisputeError('Dispute not found', 404);
+  }
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw new DisputeError(`Dispute is already ${dispute.status}`, 409);
+  }
+
+  const payment = await Payment.findById(dispute.payment);
+  if (!payment || payment.escrowReleasedAt || payment.refundedAt) {
+    throw new DisputeError('The advance payment has already been settled', 409);
+  }
+
+  const settlement = calculateSettlement(outcome, payment.amount, refundAmount);
+  const task = await Task.findById(dispute.task).select('title');
+
+  // Claim the dispute so two admins cannot settle it at the same time
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: { $in: ACTIVE_DISPUTE_STATUSES } },
+    {
+      $set: {
+        status: 'resolved',
+        resolution: {
+          outcome,
+          ...settlement,
+          summary,
+          resolvedBy: admin._id,
+          resolvedAt: now
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!claimed) {
+    throw new DisputeError('Dispute is already being resolved', 409);
+  }
+
+  let refund = null;
+  if (outcome === 'release_to_tasker') {
+    payment.escrowReleasedAt = now;
+    await payment.save();
+    await recordEscrowRelease(payment, { createdBy: admin._id });
+    await settleTaskAdvance(dispute.task, payment, { released: true, now });
+  } else {
+    await Refund.updateMany(
+      { payment: payment._id, status: { $in: ['pending_approval', 'failed'] } },
+      { $set: { status: 'rejected', reviewedBy: admin._id, reviewedAt: now, reviewNotes: 'Settled by dispute' } }
+    );
+
+    try {
+      refund = await Refund.create({
+        payment: payment._id,
+        task: dispute.task,
+        customer: payment.customer,
+        tasker: payment.tasker,
+        originalAmount: payment.amount,
+        amount: settlement.refundAmount,
+        retainedAmount: settlement.releasedAmount,
+        reason: `Dispute resolution: ${summary || outcome}`.slice(0, 500),
+        status: 'processing',
+        requestedBy: dispute.openedBy,
+        reviewedBy: admin._id,
+        reviewedAt: now
+      });
+      refund = await executeRefund(refund, { now });
+    } catch (error) {
+      await reopenDispute(claimed);
+      throw error;
+    }
+
+    if (refund.status === 'failed') {
+      await reopenDispute(claimed);
+      throw new DisputeError(`The gateway refund failed (${refund.failureReason}); the dispute is back under review`, 502);
+    }
+
+    claimed.resolution.refund = refund._id;
+    await Dispute.updateOne({ _id: claimed._id }, { $set: { 'resolution.refund': refund._id } });
+  }
+
+  const data = {
+    disputeId: claimed._id,
+    taskId: dispute.task,
+    taskTitle: task?.title,
+    outcome,
+    refundAmount: settlement.refundAmount,
+    releasedAmount: settlement.releasedAmount
+  };
+  await notify(dispute.customer, 'dispute_resolved', data, { io });
+  await notify(dispute.tasker, 'dispute_resolved', data, { io });
+
+  return { dispute: claimed, refund };
+};
@@ -0,0 +1,136 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+/**
+ * Fake gateway for local development and tests
+ * Never leaves the process unless asked to: checkout returns a local URL and, when an
+ * outcome is configured, the gateway calls back into /api/payments/notify/fake itself.
+ * Notifications are signed with an HMAC so the verification path is exercised too.
+ *
+ * FAKE_GATEWAY_SECRET    HMAC key for the notifications (required)
+ * FAKE_GATEWAY_OUTCOME   success | failure | pending | cancelled | none (default none: no callback)
+ * FAKE_GATEWAY_DELAY_MS  delay before the callback is sent (default 0)
+ */
+
+export const FAKE_OUTCOMES = ['success', 'failure', 'pending', 'cancelled', 'none'];
+
+const OUTCOME_STATUSES = {
+  success: 'completed',
+  failure: 'failed',
+  pending: 'pending',
+  cancelled: 'cancelled'
+};
+
+const sign = (secret, { order_id, payment_id, amount, currency, outcome }) => (
+  crypto.createHmac('sha256', secret)
+    .update(`${order_id}|${payment_id}|${amount}|${currency}|${outcome}`)
+    .digest('hex')
+);
+
+const postToNotifyUrl = (notifyUrl) => (body) => axios.post(notifyUrl, body, { timeout: 5000 });
+
+export const createFakeGateway = ({
+  secret = process.env.FAKE_GATEWAY_SECRET,
+  outcome = process.env.FAKE_GATEWAY_OUTCOME || 'none',
+  callbackDelayMs = Number(process.env.FAKE_GATEWAY_DELAY_MS) || 0,
+  notifyUrl = process.env.FAKE_GATEWAY_NOTIFY_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/notify/fake`,
+  deliver = postToNotifyUrl(notifyUrl)
+} = {}) => {
+  // Anyone who knows the key can mark payments paid, so there is no built-in default
+  if (!secret) {
+    throw new Error('The fake gateway requires FAKE_GATEWAY_SECRET');
+  }
+
+  let sequence = 0;
+  const callbacks = [];
+
+  const gateway = {
+    name: 'fake',
+    currencies: null,
+    callbacks,
+
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * A signed notification body for an order, as the gateway would send it
+     */
+    buildNotification({ orderId, amount, currency = 'LKR', outcome: result = 'success', paymentId }) {
+      const body = {
+        order_id: orderId,
+        payment_id: paymentId || `FAKE_${Date.now()}_${++sequence}`,
+        amount: Number(amount).toFixed(2),
+        currency,
+        outcome: result
+      };
+      return { ...body, signature: sign(secret, body) };
+    },
+
+    /**
+     * Send a notification for an order after `delayMs`. Resolves once it has been delivered.
+     */
+    simulateCallback({ orderId, amount, currency, outcome: result = 'success', delayMs = 0 }) {
+      const body = gateway.buildNotification({ orderId, amount, currency, outcome: result });
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          Promise.resolve(deliver(body))
+            .then(() => { callbacks.push(body); resolve(body); })
+            .catch(reject);
+        }, delayMs);
+        if (timer.unref) timer.unref();
+      });
+    },
+
+    async initiate({ orderId, amount, currency = 'LKR' }) {
+      if (outcome !== 'none') {
+        gateway.simulateCallback({ orderId, amount, currency, outcome, delayMs: callbackDelayMs })
+          .catch(error => console.error('Fake gateway callback failed:', error.message));
+      }
+
+      return {
+        paymentUrl: `${process.env.FRONTEND_URL || ''}/payment/fake?order_id=${encodeURIComponent(orderId)}`,
+        paymentData: { order_id: orderId, amount, currency, outcome }
+      };
+    },
+
+    async verifyNotification(req) {
+      const { order_id, payment_id, amount, currency, outcome: result, signature } = req.body || {};
+      const expected = sign(secret, { order_id, payment_id, amount, currency, outcome: result });
+
+      if (!signature || signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return { valid: false, error: 'Invalid signature', orderId: order_id };
+      }
+
+      return {
+        valid: true,
+        orderId: order_id,
+        gatewayPaymentId: payment_id,
+        status: OUTCOME_STATUSES[result] || 'failed',
+        statusCode: result,
+        statusMessage: result === 'success' ? 'Fake payment successful' : `Fake payment ${result}`,
+        amount: Number(amount),
+        currency,
+        method: 'FAKE',
+        paymentFields: {}
+      };
+    },
+
+    async queryStatus(payment) {
+      return { success: true, status: payment.status };
+    },
+
+    async refund({ payment, amount }) {
+      return {
+        success: true,
+        refundId: `FAKE_REFUND_${++sequence}`,
+        raw: { fake: true, paymentId: payment._id, amount }
+      };
+    }
+  };
+
+  return gateway;
+};
+
+export default createFakeGateway;
@@ -0,0 +1,87 @@
+import dotenv from 'dotenv';
+import { createPayHereGateway } from './payhere.js';
+import { createStripeGateway } from './stripe.js';
+import { createFakeGateway } from './fake.js';
+
+dotenv.config();
+
+/**
+ * Payment gateway registry
+ * Every gateway implements:
+ *   name, currencies (null = any)
+ *   isConfigured()
+ *   initiate({ orderId, amount, currency, items, user, task, applicationId, paymentType })
+ *     -> { paymentUrl, paymentData, hash?, reference? }
+ *   verifyNotification(req)
+ *     -> { valid, error?, ignored?, orderId, gatewayPaymentId, status, statusCode, statusMessage,
+ *          amount, currency, method, paymentFields }
+ *     status is one of completed | pending | failed | cancelled
+ *   queryStatus(payment) -> { success, status, gatewayPaymentId?, raw?, error? }
+ *   refund({ payment, amount, reason }) -> { success, refundId, raw, error }
+ *
+ * PAYMENT_GATEWAY picks the gateway for the deployment (default payhere);
+ * PAYMENT_GATEWAY_BY_CURRENCY (JSON, e.g. {"USD":"stripe"}) overrides it per currency.
+ * The fake gateway is only registered when ENABLE_FAKE_GATEWAY=true, never in production,
+ * and refuses to start without FAKE_GATEWAY_SECRET.
+ */
+
+export const DEFAULT_CURRENCY = process.env.PAYMENT_CURRENCY || 'LKR';
+
+const parseCurrencyMap = () => {
+  if (!process.env.PAYMENT_GATEWAY_BY_CURRENCY) return {};
+  try {
+    return JSON.parse(process.env.PAYMENT_GATEWAY_BY_CURRENCY);
+  } catch (error) {
+    console.error('Invalid PAYMENT_GATEWAY_BY_CURRENCY, ignoring it:', error.message);
+    return {};
+  }
+};
+
+const gateways = new Map();
+
+const registerDefaults = () => {
+  gateways.set('payhere', createPayHereGateway());
+  gateways.set('stripe', createStripeGateway());
+  if (process.env.ENABLE_FAKE_GATEWAY === 'true' && process.env.NODE_ENV !== 'production') {
+    gateways.set('fake', createFakeGateway());
+  }
+};
+
+registerDefaults();
+
+export const getGateway = (name) => gateways.get(name) || null;
+
+export const getGatewayNames = () => [...gateways.keys()];
+
+/**
+ * Gateway used for a new checkout in `currency`
+ */
+export const resolveGateway = ({ currency = DEFAULT_CURRENCY } = {}) => {
+  const byCurrency = parseCurrencyMap();
+  const name = byCurrency[currency.toUpperCase()] || process.env.PAYMENT_GATEWAY || 'payhere';
+  return getGateway(name);
+};
+
+/**
+ * Gateway that processed an existing payment (payments created before gateway support used PayHere)
+ */
+export const getGatewayForPayment = (payment) => getGateway(payment.gateway || 'payhere');
+
+/**
+ * Replace or add a gateway (tests, local development). Pass null to remove it.
+ */
+export const registerGateway = (name, gateway) => {
+  if (gateway) {
+    gateways.set(name, gateway);
+  } else {
+    gateways.delete(name);
+  }
+};
+
+/**
+ * Restore the built-in gateways
+ */
+export const resetGateways = () => {
+  gateways.clear();
+  registerDefaults();
+};
@@ -0,0 +1,241 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * PayHere gateway
+ * Checkout uses the hosted form / JavaScript SDK signed with an MD5 hash of the merchant
+ * secret; status queries and refunds go through the Merchant API (OAuth client credentials).
+ */
+
+const CHECKOUT_URLS = {
+  SANDBOX: 'https://sandbox.payhere.lk/pay/checkout',
+  LIVE: 'https://www.payhere.lk/pay/checkout'
+};
+
+const MERCHANT_API_URLS = {
+  SANDBOX: 'https://sandbox.payhere.lk/merchant/v1',
+  LIVE: 'https://www.payhere.lk/merchant/v1'
+};
+
+// PayHere status_code values
+const NOTIFICATION_STATUSES = {
+  '2': 'completed',
+  '0': 'pending',
+  '-1': 'cancelled',
+  '-2': 'failed',
+  '-3': 'failed' // charged back
+};
+
+// Merchant API payment search statuses
+const QUERY_STATUSES = {
+  RECEIVED: 'completed',
+  REFUNDED: 'refunded',
+  CHARGEDBACK: 'failed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const md5Upper = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+
+export const createPayHereGateway = ({
+  merchantId = process.env.PAYHERE_MERCHANT_ID,
+  merchantSecret = process.env.PAYHERE_MERCHANT_SECRET,
+  appId = process.env.PAYHERE_APP_ID,
+  appSecret = process.env.PAYHERE_APP_SECRET,
+  notifyUrl = process.env.PAYHERE_NOTIFY_URL,
+  returnUrl = process.env.PAYHERE_RETURN_URL,
+  cancelUrl = process.env.PAYHERE_CANCEL_URL,
+  live = process.env.NODE_ENV === 'production'
+} = {}) => {
+  const merchantApiUrl = live ? MERCHANT_API_URLS.LIVE : MERCHANT_API_URLS.SANDBOX;
+
+  const getAccessToken = async () => {
+    const credentials = Buffer.from(`${appId}:${appSecret}`).toString('base64');
+    const response = await axios.post(
+      `${merchantApiUrl}/oauth/token`,
+      'grant_type=client_credentials',
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 15000
+      }
+    );
+    return response.data.access_token;
+  };
+
+  return {
+    name: 'payhere',
+    currencies: ['LKR', 'USD', 'GBP', 'EUR', 'AUD'],
+
+    isConfigured() {
+      return Boolean(merchantId && merchantSecret);
+    },
+
+    // Build the checkout payload with its md5sig and the hash required by the JavaScript SDK
+    async initiate({ orderId, amount, currency = 'LKR', items, user, task, applicationId = '', paymentType }) {
+      const paymentData = {
+        merchant_id: merchantId,
+        return_url: returnUrl,
+        cancel_url: cancelUrl,
+        notify_url: notifyUrl,
+        order_id: orderId,
+        items,
+        currency,
+        amount,
+        first_name: user.fullName?.split(' ')[0] || user.name?.split(' ')[0] || 'Customer',
+        last_name: user.fullName?.split(' ').slice(1).join(' ') || user.name?.split(' ').slice(1).join(' ') || '',
+        email: user.email,
+        phone: user.phone || '',
+        address: task.area,
+        city: task.area,
+        country: 'Sri Lanka',
+        custom_1: task._id.toString(),
+        custom_2: applicationId || '',
+        custom_3: `${paymentType}_payment`
+      };
+
+      const signatureString = Object.keys(paymentData)
+        .sort()
+        .map(key => `${key}=${paymentData[key]}`)
+        .join('&') + merchantSecret;
+      paymentData.md5sig = md5Upper(signatureString);
+
+      // hash = to_upper_case(md5(merchant_id + order_id + amount + currency + to_upper_case(md5(merchant_secret))))
+      const hash = md5Upper(merchantId + orderId + Number(amount).toFixed(2) + currency + md5Upper(merchantSecret));
+
+      return {
+        paymentUrl: live ? CHECKOUT_URLS.LIVE : CHECKOUT_URLS.SANDBOX,
+        paymentData,
+        hash
+      };
+    },
+
+    /**
+     * Verify a notify_url callback.
+     * md5sig = toUpperCase(md5(merchant_id + order_id + payhere_amount + payhere_currency + status_code + toUpperCase(md5(merchant_secret))))
+     */
+    async verifyNotification(req) {
+      const {
+        merchant_id,
+        order_id,
+        payment_id,
+        payhere_amount,
+        payhere_currency,
+        status_code,
+        md5sig,
+        method,
+        status_message
+      } = req.body || {};
+
+      if (!merchant_id || merchant_id !== merchantId) {
+        return { valid: false, error: 'Invalid merchant ID' };
+      }
+
+      const expected = md5Upper(
+        `${merchant_id}${order_id}${payhere_amount}${payhere_currency}${status_code}${md5Upper(merchantSecret || '')}`
+      );
+      const received = String(md5sig || '').toUpperCase();
+      if (received.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+        return { valid: false, error: 'Invalid signature', orderId: order_id };
+      }
+
+      return {
+        valid: true,
+        orderId: order_id,
+        gatewayPaymentId: payment_id,
+        status: NOTIFICATION_STATUSES[String(status_code)] || 'failed',
+        statusCode: String(status_code),
+        statusMessage: status_message,
+        amount: Number(payhere_amount),
+        currency: payhere_currency,
+        method,
+        paymentFields: {
+          payherePaymentId: payment_id,
+          payhereStatus: status_message,
+          payhereStatusCode: status_code,
+          payhereMethod: method,
+          payhereAmount: payhere_amount,
+          payhereCurrency: payhere_currency
+        }
+      };
+    },
+
+    async queryStatus(payment) {
+      if (!appId || !appSecret) {
+        return { success: false, error: 'PayHere Merchant API credentials are not configured' };
+      }
+
+      try {
+        const accessToken = await getAccessToken();
+        const response = await axios.get(`${merchantApiUrl}/payment/search`, {
+          params: { order_id: payment.payhereOrderId },
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 15000
+        });
+
+        const [record] = response.data?.data || [];
+        if (!record) {
+          return { success: true, status: 'pending', raw: response.data };
+        }
+        return {
+          success: true,
+          status: QUERY_STATUSES[record.status] || 'pending',
+          gatewayPaymentId: record.payment_id ? String(record.payment_id) : undefined,
+          raw: response.data
+        };
+      } catch (error) {
+        return { success: false, error: error.response?.data?.msg || error.message };
+      }
+    },
+
+    async refund({ payment, amount, reason }) {
+      if (!appId || !appSecret) {
+        return { success: false, error: 'PayHere Merchant API credentials are not configured' };
+      }
+      const paymentId = payment.gatewayPaymentId || payment.payherePaymentId;
+      if (!paymentId) {
+        return { success: false, error: 'Payment has no PayHere payment ID' };
+      }
+
+      try {
+        const accessToken = await getAccessToken();
+        const body = {
+          payment_id: paymentId,
+          description: reason || `Refund for order ${payment.payhereOrderId}`
+        };
+        // PayHere refunds the full payment unless an amount is given
+        if (amount < payment.amount) {
+          body.amount = amount.toFixed(2);
+        }
+
+        const response = await axios.post(`${merchantApiUrl}/payment/refund`, body, {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 15000
+        });
+
+        const { status, msg, data } = response.data || {};
+        if (status === 1) {
+          return { success: true, refundId: data ? String(data) : undefined, raw: response.data };
+        }
+        return { success: false, error: msg || 'PayHere rejected the refund', raw: response.data };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.response?.data?.msg || error.message,
+          raw: error.response?.data
+        };
+      }
+    }
+  };
+};
+
+export default createPayHereGateway;
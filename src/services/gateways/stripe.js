@@ -0,0 +1,170 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Stripe gateway
+ * Checkout runs on a hosted Checkout Session; the order ID travels as `client_reference_id`.
+ * Webhooks are verified with the endpoint signing secret against the raw request body.
+ */
+
+// Currencies Stripe charges in whole units
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+export const toMinorUnits = (amount, currency) => (
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? Math.round(amount) : Math.round(amount * 100)
+);
+
+export const fromMinorUnits = (amount, currency) => (
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? amount : amount / 100
+);
+
+const sessionStatus = (session) => {
+  if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') return 'completed';
+  if (session.status === 'expired') return 'cancelled';
+  return 'pending';
+};
+
+// Webhook events that settle a checkout; everything else is acknowledged and ignored
+const EVENT_STATUSES = {
+  'checkout.session.completed': sessionStatus,
+  'checkout.session.async_payment_succeeded': () => 'completed',
+  'checkout.session.async_payment_failed': () => 'failed',
+  'checkout.session.expired': () => 'cancelled'
+};
+
+export const createStripeGateway = ({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+  successUrl = process.env.STRIPE_SUCCESS_URL || `${process.env.FRONTEND_URL}/payment/success`,
+  cancelUrl = process.env.STRIPE_CANCEL_URL || process.env.PAYHERE_CANCEL_URL,
+  client
+} = {}) => {
+  let stripe = client || null;
+  const getClient = () => {
+    if (!stripe) stripe = new Stripe(secretKey);
+    return stripe;
+  };
+
+  return {
+    name: 'stripe',
+    currencies: null, // any currency enabled on the Stripe account
+
+    isConfigured() {
+      return Boolean(secretKey && webhookSecret);
+    },
+
+    async initiate({ orderId, amount, currency = 'LKR', items, user, task, applicationId = '', paymentType }) {
+      const session = await getClient().checkout.sessions.create({
+        mode: 'payment',
+        client_reference_id: orderId,
+        customer_email: user.email,
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: currency.toLowerCase(),
+            unit_amount: toMinorUnits(amount, currency),
+            product_data: { name: items }
+          }
+        }],
+        metadata: {
+          orderId,
+          taskId: task._id.toString(),
+          applicationId: applicationId || '',
+          paymentType
+        },
+        payment_intent_data: {
+          metadata: { orderId }
+        },
+        success_url: `${successUrl}?order_id=${encodeURIComponent(orderId)}`,
+        cancel_url: `${cancelUrl}?order_id=${encodeURIComponent(orderId)}`
+      });
+
+      return {
+        paymentUrl: session.url,
+        paymentData: { sessionId: session.id },
+        reference: session.id
+      };
+    },
+
+    async verifyNotification(req) {
+      let event;
+      try {
+        event = getClient().webhooks.constructEvent(
+          req.rawBody,
+          req.headers['stripe-signature'],
+          webhookSecret
+        );
+      } catch (error) {
+        return { valid: false, error: 'Invalid signature' };
+      }
+
+      const resolveStatus = EVENT_STATUSES[event.type];
+      if (!resolveStatus) {
+        return { valid: true, ignored: true, eventType: event.type };
+      }
+
+      const session = event.data.object;
+      const currency = (session.currency || '').toUpperCase();
+      return {
+        valid: true,
+        eventId: event.id,
+        eventType: event.type,
+        orderId: session.client_reference_id || session.metadata?.orderId,
+        gatewayPaymentId: session.payment_intent || undefined,
+        status: resolveStatus(session),
+        statusCode: event.type,
+        statusMessage: session.payment_status,
+        amount: session.amount_total !== null && session.amount_total !== undefined
+          ? fromMinorUnits(session.amount_total, currency)
+          : undefined,
+        currency,
+        method: session.payment_method_types?.[0],
+        paymentFields: {}
+      };
+    },
+
+    async queryStatus(payment) {
+      if (!payment.gatewayReference) {
+        return { success: false, error: 'Payment has no Stripe Checkout Session' };
+      }
+
+      try {
+        const session = await getClient().checkout.sessions.retrieve(payment.gatewayReference);
+        return {
+          success: true,
+          status: sessionStatus(session),
+          gatewayPaymentId: session.payment_intent || undefined,
+          raw: { id: session.id, status: session.status, payment_status: session.payment_status }
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    async refund({ payment, amount, reason }) {
+      if (!payment.gatewayPaymentId) {
+        return { success: false, error: 'Payment has no Stripe payment intent' };
+      }
+
+      try {
+        const refund = await getClient().refunds.create({
+          payment_intent: payment.gatewayPaymentId,
+          amount: toMinorUnits(amount, payment.payhereCurrency || 'LKR'),
+          reason: 'requested_by_customer',
+          metadata: { orderId: payment.payhereOrderId, note: reason || '' }
+        });
+
+        if (['succeeded', 'pending'].includes(refund.status)) {
+          return { success: true, refundId: refund.id, raw: { id: refund.id, status: refund.status } };
+        }
+        return { success: false, error: `Stripe refund ${refund.status}`, raw: { id: refund.id, status: refund.status } };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+  };
+};
+
+export default createStripeGateway;
@@ -0,0 +1,265 @@
+import mongoose from 'mongoose';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import Payment from '../models/Payment.js';
+
+/**
+ * Escrow ledger
+ * Posts balanced journals for every money movement on a task:
+ *   customer charge  Dr gateway_clearing / Cr escrow
+ *   escrow release   Dr escrow / Cr platform_commission + tasker_payable
+ *   refund           Dr escrow / Cr gateway_clearing
+ *   payout           Dr tasker_payable / Cr gateway_clearing
+ * Each journal has a unique reference, so posting the same movement twice is a no-op.
+ */
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const paymentParties = (payment) => ({
+  task: idOf(payment.task),
+  payment: payment._id,
+  customer: idOf(payment.customer),
+  tasker: idOf(payment.tasker),
+  currency: payment.payhereCurrency || 'LKR'
+});
+
+const postTransaction = async (data, { session } = {}) => {
+  const existing = await LedgerTransaction.findOne({ reference: data.reference }).session(session || null);
+  if (existing) return existing;
+
+  try {
+    const [transaction] = await LedgerTransaction.create([data], session ? { session } : undefined);
+    return transaction;
+  } catch (error) {
+    // Another request posted the same movement first
+    if (error.code === 11000) {
+      return LedgerTransaction.findOne({ reference: data.reference }).session(session || null);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Customer money received by the gateway and held in escrow
+ */
+export const recordCustomerCharge = (payment, { createdBy = null, session } = {}) => {
+  const amount = roundAmount(payment.amount);
+
+  return postTransaction({
+    reference: `charge:${payment._id}`,
+    type: 'customer_charge',
+    ...paymentParties(payment),
+    description: `${payment.paymentType} payment ${payment.payhereOrderId} received`,
+    createdBy,
+    entries: [
+      { account: 'gateway_clearing', debit: amount, memo: 'Customer charge' },
+      { account: 'escrow', credit: amount, memo: 'Platform escrow hold' }
+    ]
+  }, { session });
+};
+
+/**
+ * Move escrowed money to commission and tasker payable.
+ * `amount` defaults to the full payment; the commission share follows the payment's own split.
+ */
+export const recordEscrowRelease = (payment, { amount = payment.amount, reference, createdBy = null, session } = {}) => {
+  const released = roundAmount(amount);
+  const commissionShare = payment.amount ? (payment.platformCommissionAmount || 0) / payment.amount : 0;
+  const commission = roundAmount(released * commissionShare);
+  const taskerShare = roundAmount(released - commission);
+
+  const entries = [{ account: 'escrow', debit: released, memo: 'Escrow released' }];
+  if (commission > 0) {
+    entries.push({ account: 'platform_commission', credit: commission, memo: 'Platform commission' });
+  }
+  if (taskerShare > 0) {
+    entries.push({ account: 'tasker_payable', credit: taskerShare, memo: 'Payable to tasker' });
+  }
+
+  return postTransaction({
+    reference: reference || `release:${payment._id}`,
+    type: 'escrow_release',
+    ...paymentParties(payment),
+    description: `Escrow released for payment ${payment.payhereOrderId}`,
+    createdBy,
+    entries
+  }, { session });
+};
+
+/**
+ * Escrowed money returned to the customer through the gateway
+ */
+export const recordRefund = (payment, { amount = payment.amount, reference, createdBy = null, session } = {}) => {
+  const refunded = roundAmount(amount);
+
+  return postTransaction({
+    reference: reference || `refund:${payment._id}`,
+    type: 'refund',
+    ...paymentParties(payment),
+    description: `Refund for payment ${payment.payhereOrderId}`,
+    createdBy,
+    entries: [
+      { account: 'escrow', debit: refunded, memo: 'Escrow refunded' },
+      { account: 'gateway_clearing', credit: refunded, memo: 'Refund to customer' }
+    ]
+  }, { session });
+};
+
+/**
+ * Money paid out to a tasker's bank account
+ */
+export const recordPayout = (payoutRequest, { createdBy = null, session } = {}) => {
+  const amount = roundAmount(payoutRequest.amount);
+
+  return postTransaction({
+    reference: `payout:${payoutRequest._id}`,
+    type: 'payout',
+    tasker: idOf(payoutRequest.tasker),
+    description: `Payout ${payoutRequest._id} to tasker`,
+    createdBy,
+    entries: [
+      { account: 'tasker_payable', debit: amount, memo: 'Tasker payout' },
+      { account: 'gateway_clearing', credit: amount, memo: 'Bank transfer to tasker' }
+    ]
+  }, { session });
+};
+
+export const getLedgerBalances = (match = {}) => LedgerTransaction.getAccountBalances(match);
+
+export const getTaskLedger = async (taskId) => {
+  const [transactions, balances] = await Promise.all([
+    LedgerTransaction.getTaskLedger(taskId),
+    LedgerTransaction.getAccountBalances({ task: new mongoose.Types.ObjectId(taskId) })
+  ]);
+  return { transactions, balances };
+};
+
+/**
+ * Escrow movements per payment, as recorded in the ledger
+ */
+const getEscrowMovementsByPayment = async (paymentIds = null) => {
+  const match = { payment: { $ne: null } };
+  if (paymentIds) match.payment = { $in: paymentIds };
+
+  const rows = await LedgerTransaction.aggregate([
+    { $match: match },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': 'escrow' } },
+    {
+      $group: {
+        _id: { payment: '$payment', type: '$type' },
+        debits: { $sum: '$entries.debit' },
+        credits: { $sum: '$entries.credit' }
+      }
+    }
+  ]);
+
+  const movements = new Map();
+  for (const row of rows) {
+    const key = row._id.payment.toString();
+    const totals = movements.get(key) || { charged: 0, released: 0, refunded: 0 };
+    if (row._id.type === 'customer_charge') totals.charged += row.credits - row.debits;
+    if (row._id.type === 'escrow_release') totals.released += row.debits - row.credits;
+    if (row._id.type === 'refund') totals.refunded += row.debits - row.credits;
+    movements.set(key, totals);
+  }
+  return movements;
+};
+
+/**
+ * What the ledger should contain for a payment, derived from the Payment record
+ */
+export const getExpectedMovements = (payment) => {
+  const charged = ['completed', 'refunded'].includes(payment.status) ? payment.amount : 0;
+  const refunded = payment.refundedAt ? (payment.refundAmount || 0) : 0;
+  const released = payment.escrowReleasedAt ? Math.max(charged - refunded, 0) : 0;
+  return { charged, released, refunded };
+};
+
+/**
+ * Compare ledger movements with Payment records and flag mismatches
+ * @param {Object} options
+ * @param {Date} [options.from] - only payments created on/after this date
+ * @param {Date} [options.to] - only payments created on/before this date
+ */
+export const reconcileLedger = async ({ from, to } = {}) => {
+  const paymentQuery = {};
+  if (from || to) {
+    paymentQuery.createdAt = {};
+    if (from) paymentQuery.createdAt.$gte = from;
+    if (to) paymentQuery.createdAt.$lte = to;
+  }
+
+  const payments = await Payment.find(paymentQuery)
+    .select('task payhereOrderId paymentType amount status refundAmount refundedAt escrowReleasedAt')
+    .lean();
+  const movements = await getEscrowMovementsByPayment(
+    paymentQuery.createdAt ? payments.map(p => p._id) : null
+  );
+
+  const mismatches = [];
+  const flag = (payment, issue, expected, actual) => mismatches.push({
+    paymentId: payment._id,
+    orderId: payment.payhereOrderId,
+    taskId: payment.task,
+    paymentType: payment.paymentType,
+    paymentStatus: payment.status,
+    issue,
+    expected: roundAmount(expected),
+    actual: roundAmount(actual)
+  });
+
+  for (const payment of payments) {
+    const expected = getExpectedMovements(payment);
+    const actual = movements.get(payment._id.toString()) || { charged: 0, released: 0, refunded: 0 };
+    movements.delete(payment._id.toString());
+
+    for (const movement of ['charged', 'released', 'refunded']) {
+      const expectedCents = Math.round(expected[movement] * 100);
+      const actualCents = Math.round(actual[movement] * 100);
+      if (expectedCents === actualCents) continue;
+
+      if (actualCents === 0) {
+        flag(payment, `missing_${movement}`, expected[movement], actual[movement]);
+      } else if (expectedCents === 0) {
+        flag(payment, `unexpected_${movement}`, expected[movement], actual[movement]);
+      } else {
+        flag(payment, `${movement}_amount_mismatch`, expected[movement], actual[movement]);
+      }
+    }
+
+    const held = actual.charged - actual.released - actual.refunded;
+    if (Math.round(held * 100) < 0) {
+      flag(payment, 'negative_escrow', 0, held);
+    }
+  }
+
+  // Ledger movements whose payment no longer exists (only meaningful for a full run)
+  if (!paymentQuery.createdAt) {
+    for (const [paymentId, actual] of movements) {
+      mismatches.push({
+        paymentId,
+        issue: 'orphaned_ledger_entries',
+        expected: 0,
+        actual: roundAmount(actual.charged - actual.released - actual.refunded)
+      });
+    }
+  }
+
+  const balances = await LedgerTransaction.getAccountBalances();
+  const totalDebits = Object.values(balances).reduce((sum, b) => sum + b.debits, 0);
+  const totalCredits = Object.values(balances).reduce((sum, b) => sum + b.credits, 0);
+
+  return {
+    summary: {
+      paymentsChecked: payments.length,
+      mismatchCount: mismatches.length,
+      ledgerBalanced: Math.round(totalDebits * 100) === Math.round(totalCredits * 100),
+      heldInEscrow: balances.escrow.balance,
+      owedToTaskers: balances.tasker_payable.balance,
+      platformCommission: balances.platform_commission.balance
+    },
+    balances,
+    mismatches
+  };
+};
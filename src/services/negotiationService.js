@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+
+/**
+ * Offer negotiation
+ * After applying, the customer and tasker can trade offers (payment and time) on the
+ * application. Making an offer while the other party's offer is pending counters it.
+ * Accepting an offer confirms the tasker's availability at those terms, as confirmTime
+ * does, and the tasker is then selected through the usual selectTasker path.
+ */
+
+export class NegotiationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NegotiationError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const OFFER_EXPIRY_HOURS = Number(process.env.OFFER_EXPIRY_HOURS) || 48;
+export const OFFER_EXPIRY_INTERVAL_MS = Number(process.env.OFFER_EXPIRY_INTERVAL_MS) || 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const isExpired = (offer, now) => offer.status === 'pending' && offer.expiresAt <= now;
+
+/**
+ * Which side of the negotiation a user is on, or null when they take no part
+ */
+export const getOfferParty = (task, application, user) => {
+  const userId = idOf(user).toString();
+  if (idOf(task.customer).toString() === userId) return 'customer';
+  if (idOf(application.tasker).toString() === userId) return 'tasker';
+  return null;
+};
+
+/**
+ * Mark pending offers past their expiry as expired (on the document, not saved)
+ * @returns {boolean} whether any offer changed
+ */
+export const expireOffers = (application, now = new Date()) => {
+  let changed = false;
+  for (const offer of application.offers || []) {
+    if (isExpired(offer, now)) {
+      offer.status = 'expired';
+      changed = true;
+    }
+  }
+  return changed;
+};
+
+/**
+ * The offer awaiting a response, if any
+ */
+export const getOpenOffer = (application, now = new Date()) => (
+  (application.offers || []).find((offer) => offer.status === 'pending' && offer.expiresAt > now) || null
+);
+
+/**
+ * Check proposed terms against the task
+ * @returns {{payment: number, time: Date}}
+ */
+export const validateOfferTerms = (task, { payment, time }, now = new Date()) => {
+  if (typeof payment !== 'number' || !Number.isFinite(payment) || payment <= 0) {
+    throw new NegotiationError('Offer payment must be a positive number');
+  }
+  if (payment < task.minPayment || payment > task.maxPayment) {
+    throw new NegotiationError(`Offer payment must be between $${task.minPayment} and $${task.maxPayment}`);
+  }
+
+  const timeDate = new Date(time);
+  if (!time || isNaN(timeDate.getTime())) {
+    throw new NegotiationError('Invalid offer time format');
+  }
+  if (timeDate <= now) {
+    throw new NegotiationError('Offer time must be in the future');
+  }
+  if (timeDate < task.startDate || timeDate > task.endDate) {
+    throw new NegotiationError('Offer time must be within the task\'s start and end date range');
+  }
+
+  return { payment, time: timeDate };
+};
+
+const assertNegotiable = (task, application) => {
+  if (!task.canBeScheduled()) {
+    throw new NegotiationError('Task is no longer open for negotiation');
+  }
+  if (application.status !== 'pending') {
+    throw new NegotiationError('Application is no longer pending');
+  }
+};
+
+// Every negotiation step bumps the document version, so two concurrent steps cannot both apply
+const saveNegotiation = async (application) => {
+  application.increment();
+  try {
+    await application.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new NegotiationError('The negotiation changed in the meantime, please reload it', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Propose new terms, countering the other party's pending offer if there is one
+ * @returns {Promise<{offer: Object, countered: Object|null}>}
+ */
+export const makeOffer = async (task, application, user, { payment, time, note } = {}, now = new Date()) => {
+  const party = getOfferParty(task, application, user);
+  if (!party) {
+    throw new NegotiationError('Only the task owner and the applicant can make offers', 403);
+  }
+  assertNegotiable(task, application);
+  const terms = validateOfferTerms(task, { payment, time }, now);
+
+  expireOffers(application, now);
+  const countered = getOpenOffer(application, now);
+  if (countered && countered.party === party) {
+    throw new NegotiationError('Your previous offer is still awaiting a response', 409);
+  }
+  if (countered) {
+    countered.status = 'countered';
+    countered.respondedBy = idOf(user);
+    countered.respondedAt = now;
+  }
+
+  application.offers.push({
+    proposedBy: idOf(user),
+    party,
+    payment: terms.payment,
+    time: terms.time,
+    note,
+    expiresAt: new Date(now.getTime() + OFFER_EXPIRY_HOURS * HOUR_MS)
+  });
+  await saveNegotiation(application);
+
+  return { offer: application.offers[application.offers.length - 1], countered };
+};
+
+/**
+ * Accept or reject the other party's pending offer. Accepting confirms the tasker's
+ * availability at the offered terms; the caller then selects the tasker.
+ */
+export const respondToOffer = async (task, application, offerId, user, action, now = new Date()) => {
+  if (!['accept', 'reject'].includes(action)) {
+    throw new NegotiationError('Action must be either accept or reject');
+  }
+
+  const party = getOfferParty(task, application, user);
+  if (!party) {
+    throw new NegotiationError('Only the task owner and the applicant can respond to offers', 403);
+  }
+
+  const offer = application.offers.id(offerId);
+  if (!offer) {
+    throw new NegotiationError('Offer not found', 404);
+  }
+  if (offer.party === party) {
+    throw new NegotiationError('You cannot respond to your own offer', 403);
+  }
+  if (isExpired(offer, now)) {
+    expireOffers(application, now);
+    await saveNegotiation(application);
+    throw new NegotiationError('Offer has expired');
+  }
+  if (offer.status !== 'pending') {
+    throw new NegotiationError(`Offer has already been ${offer.status}`);
+  }
+  assertNegotiable(task, application);
+
+  offer.respondedBy = idOf(user);
+  offer.respondedAt = now;
+
+  if (action === 'reject') {
+    offer.status = 'rejected';
+  } else {
+    validateOfferTerms(task, offer, now);
+    offer.status = 'accepted';
+    application.confirmedByTasker = true;
+    application.confirmedTime = offer.time;
+    application.confirmedPayment = offer.payment;
+  }
+
+  await saveNegotiation(application);
+  return offer;
+};
+
+/**
+ * Expire every pending offer past its expiry (run by the `applications.expireOffers` job)
+ * @returns {Promise<{expired: number}>} number of applications with offers expired
+ */
+export const expirePendingOffers = async ({ now = new Date() } = {}) => {
+  const result = await Application.updateMany(
+    { offers: { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } } },
+    { $set: { 'offers.$[offer].status': 'expired' }, $inc: { __v: 1 } },
+    { arrayFilters: [{ 'offer.status': 'pending', 'offer.expiresAt': { $lte: now } }] }
+  );
+  return { expired: result.modifiedCount };
+};
@@ -0,0 +1,141 @@
+import nodemailer from 'nodemailer';
+import axios from 'axios';
+
+/**
+ * Notification channels
+ * Every channel implements:
+ *   name
+ *   isConfigured()
+ *   send({ user, notification, rendered, io }) -> { providerId? } or { skipped: reason }
+ * and throws when delivery fails.
+ */
+
+/**
+ * Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM)
+ */
+export const createEmailChannel = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM,
+  transport = null
+} = {}) => {
+  let transporter = transport;
+
+  const getTransporter = () => {
+    if (!transporter) {
+      transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000
+      });
+    }
+    return transporter;
+  };
+
+  return {
+    name: 'email',
+    isConfigured: () => Boolean(from && (transport || host)),
+    async send({ user: recipient, rendered }) {
+      if (!recipient.email) return { skipped: 'No email address' };
+
+      const info = await getTransporter().sendMail({
+        from,
+        to: recipient.email,
+        subject: rendered.email.subject,
+        text: rendered.email.text,
+        html: rendered.email.html
+      });
+      return { providerId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Sri Lankan numbers in the 94XXXXXXXXX form the SMS gateway expects
+ */
+export const normalisePhoneNumber = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (/^0\d{9}$/.test(digits)) return `94${digits.slice(1)}`;
+  if (/^94\d{9}$/.test(digits)) return digits;
+  if (/^\d{9}$/.test(digits)) return `94${digits}`;
+  return null;
+};
+
+/**
+ * SMS through Notify.lk (NOTIFY_LK_USER_ID, NOTIFY_LK_API_KEY, NOTIFY_LK_SENDER_ID)
+ */
+export const createSmsChannel = ({
+  userId = process.env.NOTIFY_LK_USER_ID,
+  apiKey = process.env.NOTIFY_LK_API_KEY,
+  senderId = process.env.NOTIFY_LK_SENDER_ID || 'NotifyDEMO',
+  apiUrl = process.env.NOTIFY_LK_API_URL || 'https://app.notify.lk/api/v1/send',
+  httpClient = axios
+} = {}) => ({
+  name: 'sms',
+  isConfigured: () => Boolean(userId && apiKey),
+  async send({ user: recipient, rendered }) {
+    const to = normalisePhoneNumber(recipient.phone);
+    if (!to) return { skipped: 'No valid phone number' };
+
+    const response = await httpClient.post(apiUrl, null, {
+      params: {
+        user_id: userId,
+        api_key: apiKey,
+        sender_id: senderId,
+        to,
+        message: rendered.sms
+      },
+      timeout: 10000
+    });
+
+    if (response.data?.status !== 'success') {
+      throw new Error(response.data?.message || 'SMS gateway rejected the message');
+    }
+    return { providerId: response.data?.data?.id };
+  }
+});
+
+/**
+ * Real-time push to the user's Socket.IO room
+ */
+export const createSocketChannel = () => ({
+  name: 'socket',
+  isConfigured: () => true,
+  async send({ user: recipient, notification, io }) {
+    if (!io) return { skipped: 'Socket server not available' };
+
+    io.to(`user-${recipient._id}`).emit('notification', {
+      _id: notification._id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      read: false,
+      createdAt: notification.createdAt
+    });
+    return {};
+  }
+});
+
+/**
+ * In-memory channel for tests and local development; `sent` holds every message
+ */
+export const createMemoryChannel = (name) => {
+  const sent = [];
+  return {
+    name,
+    sent,
+    isConfigured: () => true,
+    async send({ user: recipient, notification, rendered }) {
+      sent.push({ to: recipient._id, type: notification.type, rendered });
+      return { providerId: `memory-${sent.length}` };
+    }
+  };
+};
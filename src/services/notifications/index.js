@@ -0,0 +1,171 @@
+import User from '../../models/User.js';
+import Notification from '../../models/Notification.js';
+import { renderNotification } from './templates.js';
+import {
+  createEmailChannel,
+  createSmsChannel,
+  createSocketChannel,
+  createMemoryChannel
+} from './channels.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Notification service
+ * notify() stores an in-app notification and sends it on the template's channels that the
+ * recipient has not turned off. Email and SMS use in-memory channels when
+ * NOTIFICATION_CHANNELS=memory or under tests, so nothing leaves the process.
+ * Sending never throws: a failed channel is recorded on the notification and logged.
+ */
+
+const channels = new Map();
+
+const registerDefaults = () => {
+  const useMemory = process.env.NOTIFICATION_CHANNELS === 'memory' || process.env.NODE_ENV === 'test';
+  channels.set('email', useMemory ? createMemoryChannel('email') : createEmailChannel());
+  channels.set('sms', useMemory ? createMemoryChannel('sms') : createSmsChannel());
+  channels.set('socket', createSocketChannel());
+};
+
+registerDefaults();
+
+export const getChannel = (name) => channels.get(name) || null;
+
+/**
+ * Replace or add a channel (tests, local development). Pass null to remove it.
+ */
+export const registerChannel = (name, channel) => {
+  if (channel) {
+    channels.set(name, channel);
+  } else {
+    channels.delete(name);
+  }
+};
+
+/**
+ * Restore the default channels
+ */
+export const resetChannels = () => {
+  channels.clear();
+  registerDefaults();
+};
+
+const RECIPIENT_FIELDS = 'fullName email phone role notificationPreferences';
+
+// Always reloaded: callers often hold a document with only some fields selected
+const loadRecipient = async (recipient) => {
+  const recipientId = recipient?._id || recipient;
+  if (!recipientId) return null;
+  return User.findById(recipientId).select(RECIPIENT_FIELDS);
+};
+
+/**
+ * Channels to send a notification type on, after the user's preferences
+ */
+export const selectChannels = (templateChannels, preferences = {}, type) => {
+  if ((preferences.mutedTypes || []).includes(type)) return [];
+  return templateChannels.filter((name) => preferences[name] !== false);
+};
+
+const deliver = async (name, { user, notification, rendered, io }) => {
+  const channel = getChannel(name);
+  if (!channel || !channel.isConfigured()) {
+    return { channel: name, status: 'skipped', error: 'Channel not configured' };
+  }
+
+  try {
+    const result = (await channel.send({ user, notification, rendered, io })) || {};
+    if (result.skipped) {
+      return { channel: name, status: 'skipped', error: result.skipped };
+    }
+    return { channel: name, status: 'sent', providerId: result.providerId };
+  } catch (error) {
+    logger.warn('Notification delivery failed', {
+      channel: name,
+      notificationId: notification._id,
+      type: notification.type,
+      error: error.message
+    });
+    return { channel: name, status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * Notify a user
+ * @param {Object|string} recipient - user document or id
+ * @param {string} type - template name, e.g. 'tasker_selected'
+ * @param {Object} data - template data; stored on the notification for the client
+ * @param {Object} options - { io } Socket.IO server for the socket channel
+ * @returns {Promise<Object|null>} the notification, or null when it could not be created
+ */
+export const notify = async (recipient, type, data = {}, { io = null } = {}) => {
+  try {
+    const user = await loadRecipient(recipient);
+    if (!user) {
+      logger.warn('Notification recipient not found', { type, recipient: recipient?._id || recipient });
+      return null;
+    }
+
+    const rendered = renderNotification(type, data, user);
+    const notification = await Notification.create({
+      recipient: user._id,
+      type,
+      title: rendered.title,
+      message: rendered.message,
+      data
+    });
+
+    const selected = selectChannels(rendered.channels, user.notificationPreferences || {}, type);
+    const deliveries = [];
+    for (const name of selected) {
+      deliveries.push(await deliver(name, { user, notification, rendered, io }));
+    }
+
+    if (deliveries.length > 0) {
+      notification.deliveries = deliveries;
+      await Notification.updateOne({ _id: notification._id }, { $set: { deliveries } });
+    }
+    return notification;
+  } catch (error) {
+    logger.error('Failed to send notification', {
+      type,
+      recipient: recipient?._id || recipient,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Send an account message (verification link, password reset, phone code) straight to one
+ * channel. Unlike notify(), nothing is stored because the message carries a secret, the
+ * user's preferences are not applied, and delivery failures are thrown to the caller.
+ * @param {Object} user - user document with fullName, email and phone
+ * @param {string} type - account template name, e.g. 'email_verification'
+ * @param {string} channelName - 'email' or 'sms'
+ */
+export const sendAccountMessage = async (user, type, data, channelName) => {
+  const channel = getChannel(channelName);
+  if (!channel || !channel.isConfigured()) {
+    throw new Error(`The ${channelName} channel is not configured`);
+  }
+
+  const rendered = renderNotification(type, data, user);
+  const result = (await channel.send({ user, notification: { type }, rendered })) || {};
+  if (result.skipped) {
+    throw new Error(result.skipped);
+  }
+  return result;
+};
+
+/**
+ * Notify several users of the same event
+ */
+export const notifyMany = async (recipients, type, data = {}, options = {}) => {
+  const results = [];
+  for (const recipient of recipients.filter(Boolean)) {
+    results.push(await notify(recipient, type, data, options));
+  }
+  return results;
+};
+
+export default notify;
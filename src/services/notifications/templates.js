@@ -0,0 +1,191 @@
+/**
+ * Notification templates
+ * Each template turns the event data into an in-app title and message and lists the
+ * channels it is sent on by default. Email and SMS bodies are derived from the message.
+ */
+
+const formatAmount = (amount, currency = 'LKR') => (
+  `${currency} ${Number(amount || 0).toLocaleString('en-LK', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+);
+
+const taskName = (data) => data.taskTitle || 'your task';
+
+const formatDate = (date) => new Date(date).toLocaleString('en-LK', {
+  timeZone: 'Asia/Colombo',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+export const NOTIFICATION_TEMPLATES = {
+  application_received: {
+    channels: ['socket', 'email'],
+    title: () => 'New application',
+    message: (data) => `${data.taskerName || 'A tasker'} applied to ${taskName(data)}.`
+  },
+  tasker_selected: {
+    channels: ['socket', 'email', 'sms'],
+    title: () => 'You were selected',
+    message: (data) => (
+      `You have been selected for ${taskName(data)}` +
+      (data.agreedPayment ? ` at ${formatAmount(data.agreedPayment, data.currency)}` : '') +
+      '. The task is scheduled once the customer pays the advance.'
+    )
+  },
+  offer_received: {
+    channels: ['socket', 'email'],
+    title: (data) => (data.counter ? 'New counter-offer' : 'New offer'),
+    message: (data) => (
+      `${data.fromName || 'The other party'} ${data.counter ? 'countered with' : 'offered'} ` +
+      `${formatAmount(data.payment, data.currency)} for ${taskName(data)}. ` +
+      'Accept, reject or counter it before it expires.'
+    )
+  },
+  offer_responded: {
+    channels: ['socket', 'email'],
+    title: (data) => (data.status === 'accepted' ? 'Offer accepted' : 'Offer rejected'),
+    message: (data) => (
+      `${data.fromName || 'The other party'} ${data.status === 'accepted' ? 'accepted' : 'rejected'} ` +
+      `your offer of ${formatAmount(data.payment, data.currency)} for ${taskName(data)}.`
+    )
+  },
+  saved_search_match: {
+    channels: ['socket'],
+    title: (data) => `New task for "${data.searchName}"`,
+    message: (data) => (
+      `${taskName(data)} (${data.category}, ${data.area})` +
+      (data.maxPayment ? ` pays up to ${formatAmount(data.maxPayment, data.currency)}` : '') +
+      '.'
+    )
+  },
+  saved_search_digest: {
+    channels: ['socket', 'email'],
+    title: (data) => `${data.count} new task${data.count === 1 ? '' : 's'} for "${data.searchName}"`,
+    message: (data) => {
+      const titles = (data.tasks || []).slice(0, 5).map((task) => task.taskTitle);
+      const more = data.count > titles.length ? ` and ${data.count - titles.length} more` : '';
+      return `New tasks matching your saved search: ${titles.join(', ')}${more}.`;
+    }
+  },
+  recurring_task_occurrence: {
+    channels: ['socket', 'email'],
+    title: () => 'New task from a regular customer',
+    message: (data) => (
+      `${data.customerName || 'A customer'} posted ${taskName(data)} for ${formatDate(data.occurrenceDate)} ` +
+      'and asked for you. Apply to take it on.'
+    )
+  },
+  payment_success: {
+    channels: ['socket', 'email'],
+    title: () => 'Payment successful',
+    message: (data) => (
+      `Your ${data.paymentType === 'final' ? 'final' : 'advance'} payment of ` +
+      `${formatAmount(data.amount, data.currency)} for ${taskName(data)} was received.`
+    )
+  },
+  task_completed: {
+    channels: ['socket', 'email'],
+    title: () => 'Task completed',
+    message: (data) => (
+      data.autoCompleted
+        ? `${taskName(data)} was completed automatically.`
+        : `${taskName(data)} has been completed. Thank you for using TaskGo.`
+    )
+  },
+  dispute_opened: {
+    channels: ['socket', 'email'],
+    title: () => 'Dispute opened',
+    message: (data) => (
+      `The ${data.openedByRole === 'tasker' ? 'tasker' : 'customer'} opened a dispute on ${taskName(data)}. ` +
+      'The advance payment is on hold until our team reviews it. You can add your own evidence.'
+    )
+  },
+  dispute_resolved: {
+    channels: ['socket', 'email'],
+    title: () => 'Dispute resolved',
+    message: (data) => {
+      if (data.outcome === 'release_to_tasker') {
+        return `The dispute on ${taskName(data)} was resolved: the advance of ${formatAmount(data.releasedAmount)} goes to the tasker.`;
+      }
+      if (data.outcome === 'refund_to_customer') {
+        return `The dispute on ${taskName(data)} was resolved: the advance of ${formatAmount(data.refundAmount)} is refunded to the customer.`;
+      }
+      return (
+        `The dispute on ${taskName(data)} was resolved: ${formatAmount(data.refundAmount)} is refunded to the customer ` +
+        `and ${formatAmount(data.releasedAmount)} goes to the tasker.`
+      );
+    }
+  },
+  tasker_approved: {
+    channels: ['socket', 'email', 'sms'],
+    title: () => 'Tasker account approved',
+    message: () => 'Your tasker account has been approved. You can now apply for tasks on TaskGo.'
+  },
+  tasker_rejected: {
+    channels: ['socket', 'email'],
+    title: () => 'Tasker application not approved',
+    message: (data) => (
+      'Your tasker application was not approved' +
+      (data.reason ? `: ${data.reason}` : '.') +
+      ' You can update your profile and contact support to apply again.'
+    )
+  },
+  // Account messages: sent with sendAccountMessage, never stored or muted
+  email_verification: {
+    channels: ['email'],
+    title: () => 'Verify your email address',
+    message: (data) => (
+      `Please confirm your email address by opening this link within ${data.expiresInHours} hours: ${data.link}`
+    )
+  },
+  password_reset: {
+    channels: ['email'],
+    title: () => 'Reset your password',
+    message: (data) => (
+      `We received a request to reset your password. Open this link within ${data.expiresInMinutes} minutes ` +
+      `to choose a new one: ${data.link} If you did not ask for this, you can ignore this email.`
+    )
+  },
+  phone_verification: {
+    channels: ['sms'],
+    title: () => 'Your verification code',
+    message: (data) => `Your verification code is ${data.code}. It expires in ${data.expiresInMinutes} minutes.`
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const SMS_MAX_LENGTH = 320;
+
+/**
+ * Render a notification for a user
+ * @returns {{ title, message, channels, email: { subject, text, html }, sms }}
+ * @throws {Error} for unknown notification types
+ */
+export const renderNotification = (type, data = {}, user = {}) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const title = template.title(data);
+  const message = template.message(data);
+  const greeting = `Hi ${user.fullName || 'there'},`;
+  const sms = `TaskGo: ${message}`;
+
+  return {
+    title,
+    message,
+    channels: template.channels,
+    email: {
+      subject: `TaskGo - ${title}`,
+      text: `${greeting}\n\n${message}\n\nThe TaskGo team`,
+      html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(message)}</p><p>The TaskGo team</p>`
+    },
+    sms: sms.length > SMS_MAX_LENGTH ? `${sms.slice(0, SMS_MAX_LENGTH - 3)}...` : sms
+  };
+};
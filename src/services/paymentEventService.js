@@ -0,0 +1,126 @@
+import PaymentEvent, { MAX_RECORDED_DELIVERIES } from '../models/PaymentEvent.js';
+import { redact } from '../utils/redact.js';
+
+/**
+ * Inbound payment notifications
+ * Gateways retry notifications until they get a 2xx, so the same notification can arrive
+ * many times. Each verified notification is claimed once by its event key; later deliveries
+ * are appended to the event without being processed again. Processing that failed is retried by the next delivery, and a claim that
+ * has been stuck in `processing` for STALE_PROCESSING_MS is treated as failed.
+ */
+
+export const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+export const buildEventKey = (gatewayName, notification) => [
+  gatewayName,
+  notification.orderId,
+  notification.gatewayPaymentId || '-',
+  notification.statusCode
+].join(':');
+
+const rawPayloadOf = (req) => redact(req.body || {});
+
+// Update that records one more delivery of an existing event
+const deliveryUpdate = (req, receivedAt) => ({
+  $push: {
+    deliveries: {
+      $each: [{ receivedAt, rawPayload: rawPayloadOf(req), ipAddress: req.ip }],
+      $slice: -MAX_RECORDED_DELIVERIES
+    }
+  }
+});
+
+/**
+ * Store a notification that will not be processed (failed verification, ignored event type)
+ */
+export const recordUnprocessedNotification = async (gatewayName, req, notification, processingStatus) => {
+  try {
+    await PaymentEvent.create({
+      gateway: gatewayName,
+      orderId: notification.orderId,
+      statusCode: notification.statusCode || notification.eventType,
+      processingStatus,
+      rawPayload: rawPayloadOf(req),
+      error: notification.error,
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    console.error('Payment event audit error:', { gateway: gatewayName, error: error.message });
+  }
+};
+
+/**
+ * Claim a verified notification for processing.
+ * Returns the event, or null when the notification was already handled or is being handled.
+ */
+export const claimPaymentEvent = async (gatewayName, req, notification) => {
+  const eventKey = buildEventKey(gatewayName, notification);
+
+  try {
+    return await PaymentEvent.create({
+      gateway: gatewayName,
+      eventKey,
+      orderId: notification.orderId,
+      gatewayPaymentId: notification.gatewayPaymentId,
+      statusCode: notification.statusCode,
+      status: notification.status,
+      processingStatus: 'processing',
+      rawPayload: rawPayloadOf(req),
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // A retry of a notification whose earlier processing failed or stalled
+  const receivedAt = new Date();
+  const reclaimed = await PaymentEvent.findOneAndUpdate(
+    {
+      eventKey,
+      $or: [
+        { processingStatus: 'failed' },
+        { processingStatus: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    {
+      $set: { processingStatus: 'processing', lastDeliveredAt: receivedAt },
+      $inc: { attempts: 1, deliveryCount: 1 },
+      ...deliveryUpdate(req, receivedAt)
+    },
+    { new: true }
+  );
+  if (reclaimed) return reclaimed;
+
+  await PaymentEvent.updateOne(
+    { eventKey },
+    {
+      $inc: { deliveryCount: 1 },
+      $set: { lastDeliveredAt: receivedAt },
+      ...deliveryUpdate(req, receivedAt)
+    }
+  );
+  return null;
+};
+
+/**
+ * Record how a claimed notification ended: processed, skipped (nothing to change) or failed
+ */
+export const finishPaymentEvent = async (event, { processingStatus, payment, error } = {}) => {
+  if (!event) return;
+
+  try {
+    await PaymentEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          processingStatus,
+          payment: payment || event.payment || null,
+          error,
+          processedAt: new Date()
+        }
+      }
+    );
+  } catch (updateError) {
+    console.error('Payment event update error:', { eventKey: event.eventKey, error: updateError.message });
+  }
+};
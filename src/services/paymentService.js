@@ -0,0 +1,65 @@
+import Payment from '../models/Payment.js';
+import Task from '../models/Task.js';
+import { isCrewTask, getAssignment } from './crewService.js';
+
+/**
+ * Payment lifecycle helpers shared by the payment controller and background jobs
+ */
+
+/**
+ * Clear a task's pending payment fields after a failed, cancelled or expired checkout.
+ * Only the checkout the task is currently waiting on is reset; the selected tasker and
+ * agreed payment are kept so the customer can retry. Returns true if the task changed.
+ */
+export const resetPendingTaskPayment = async (task, payment) => {
+  // Crew checkouts are tracked on the crew member's assignment
+  const assignment = isCrewTask(task) ? getAssignment(task, payment.tasker) : null;
+  if (assignment && payment.isFinalPayment()) {
+    if (assignment.finalPaymentStatus !== 'pending' || assignment.finalPaymentId !== payment.payhereOrderId) return false;
+    assignment.finalPaymentStatus = null;
+    assignment.finalPayment = null;
+    assignment.finalPaymentId = null;
+  } else if (assignment) {
+    if (assignment.advancePaymentStatus !== 'pending' || assignment.paymentId !== payment.payhereOrderId) return false;
+    assignment.advancePaymentStatus = null;
+    assignment.advancePayment = null;
+    assignment.paymentId = null;
+  } else if (payment.isFinalPayment()) {
+    if (task.finalPaymentStatus !== 'pending' || task.finalPaymentId !== payment.payhereOrderId) return false;
+    task.finalPaymentStatus = null;
+    task.finalPayment = null;
+    task.finalPaymentId = null;
+  } else {
+    if (task.status !== 'active' || task.advancePaymentStatus !== 'pending') return false;
+    if (task.paymentId && task.paymentId !== payment.payhereOrderId) return false;
+    task.advancePaymentStatus = null;
+    task.advancePayment = null;
+    task.paymentId = null;
+  }
+  await task.save();
+  return true;
+};
+
+/**
+ * Close a pending payment (customer cancelled, checkout expired) and reset its task.
+ * The status filter makes the claim atomic, so only one caller closes a given payment
+ * even when several server instances race; the others get `payment: null`.
+ */
+export const closePendingPayment = async (filter, { status = 'cancelled', reason, expired = false } = {}) => {
+  const update = { status };
+  if (reason) update.failureReason = reason;
+  if (expired) update.expiredAt = new Date();
+
+  const payment = await Payment.findOneAndUpdate(
+    { ...filter, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!payment) {
+    return { payment: null, task: null, taskReset: false };
+  }
+
+  const task = await Task.findById(payment.task);
+  const taskReset = task ? await resetPendingTaskPayment(task, payment) : false;
+  return { payment, task, taskReset };
+};
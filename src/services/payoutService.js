@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import PayoutRequest, { OPEN_PAYOUT_STATUSES } from '../models/PayoutRequest.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import { recordPayout } from './ledgerService.js';
+import { toCsv } from '../utils/csv.js';
+
+/**
+ * Tasker payouts
+ * Taskers withdraw against their released earnings (payments whose escrow has been
+ * released, less any refunded part and platform commission). Admins approve requests,
+ * group approved ones into a batch, export the batch for the bank and mark it completed.
+ */
+
+export class PayoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const PAYOUT_MINIMUM_AMOUNT = Number(process.env.PAYOUT_MINIMUM_AMOUNT) || 1000;
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * The tasker's share of a payment that has been released from escrow.
+ * Mirrors the split posted by recordEscrowRelease so balances agree with the ledger.
+ */
+export const getReleasedEarnings = (payment) => {
+  if (!payment.escrowReleasedAt || !payment.amount) return 0;
+
+  const released = roundAmount(payment.amount - (payment.refundedAt ? (payment.refundAmount || 0) : 0));
+  if (released <= 0) return 0;
+
+  const commissionShare = (payment.platformCommissionAmount || 0) / payment.amount;
+  return roundAmount(released - roundAmount(released * commissionShare));
+};
+
+/**
+ * Balance summary from a tasker's payments and payout requests
+ */
+export const summarizeTaskerBalance = (payments, payouts) => {
+  const releasedEarnings = roundAmount(payments.reduce((sum, p) => sum + getReleasedEarnings(p), 0));
+  const pendingPayouts = roundAmount(payouts
+    .filter(p => OPEN_PAYOUT_STATUSES.includes(p.status))
+    .reduce((sum, p) => sum + p.amount, 0));
+  const paidOut = roundAmount(payouts
+    .filter(p => p.status === 'paid')
+    .reduce((sum, p) => sum + p.amount, 0));
+
+  return {
+    releasedEarnings,
+    pendingPayouts,
+    paidOut,
+    availableBalance: roundAmount(releasedEarnings - pendingPayouts - paidOut),
+    minimumPayout: PAYOUT_MINIMUM_AMOUNT,
+    currency: 'LKR'
+  };
+};
+
+export const getTaskerBalance = async (taskerId, { session } = {}) => {
+  const [payments, payouts] = await Promise.all([
+    Payment.getPaymentsByTasker(taskerId).session(session || null),
+    PayoutRequest.find({ tasker: taskerId }).select('amount status').session(session || null).lean()
+  ]);
+  return summarizeTaskerBalance(payments, payouts);
+};
+
+export const maskAccountNumber = (accountNumber = '') => (
+  accountNumber.length > 4 ? `${'*'.repeat(accountNumber.length - 4)}${accountNumber.slice(-4)}` : accountNumber
+);
+
+export const createPayoutRequest = async (taskerId, { amount, note } = {}) => {
+  const payoutAmount = roundAmount(Number(amount));
+  if (!payoutAmount || payoutAmount <= 0) {
+    throw new PayoutError('A positive payout amount is required');
+  }
+  if (payoutAmount < PAYOUT_MINIMUM_AMOUNT) {
+    throw new PayoutError(`The minimum payout is LKR ${PAYOUT_MINIMUM_AMOUNT}`);
+  }
+
+  const tasker = await User.findById(taskerId).select('+taskerProfile.bankAccount');
+  const bankAccount = tasker?.taskerProfile?.bankAccount;
+  if (!bankAccount || !bankAccount.accountNumber) {
+    throw new PayoutError('Add your bank account details before requesting a payout');
+  }
+
+  // The balance check and the request are written together, and the transaction writes the
+  // tasker first: a second request for the same tasker hits a write conflict instead of
+  // reserving the same balance twice, and nothing is visible to a payout batch until commit
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await User.updateOne(
+      { _id: taskerId },
+      { $set: { 'taskerProfile.lastPayoutRequestAt': new Date() } },
+      { session }
+    );
+
+    const balance = await getTaskerBalance(taskerId, { session });
+    if (payoutAmount > balance.availableBalance) {
+      throw new PayoutError(`Requested amount exceeds your available balance of LKR ${balance.availableBalance}`);
+    }
+
+    const [request] = await PayoutRequest.create([{
+      tasker: taskerId,
+      amount: payoutAmount,
+      note,
+      bankAccount: {
+        accountHolderName: bankAccount.accountHolderName,
+        bankName: bankAccount.bankName,
+        bankCode: bankAccount.bankCode,
+        branchName: bankAccount.branchName,
+        branchCode: bankAccount.branchCode,
+        accountNumber: bankAccount.accountNumber
+      }
+    }], { session });
+
+    await session.commitTransaction();
+    return request;
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.hasErrorLabel?.('TransientTransactionError')) {
+      throw new PayoutError('Your available balance changed, please try again', 409);
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+export const cancelPayoutRequest = async (requestId, taskerId) => {
+  const request = await PayoutRequest.findOneAndUpdate(
+    { _id: requestId, tasker: taskerId, status: 'requested' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+
+  if (!request) {
+    const existing = await PayoutRequest.findOne({ _id: requestId, tasker: taskerId });
+    if (!existing) throw new PayoutError('Payout request not found', 404);
+    throw new PayoutError(`Payout request is already ${existing.status}`, 409);
+  }
+  return request;
+};
+
+// Move a request between statuses, failing if another admin got there first
+const claimPayoutRequest = async (requestId, fromStatuses, update) => {
+  const request = await PayoutRequest.findOneAndUpdate(
+    { _id: requestId, status: { $in: fromStatuses } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!request) {
+    const existing = await PayoutRequest.findById(requestId);
+    if (!existing) throw new PayoutError('Payout request not found', 404);
+    throw new PayoutError(`Payout request is already ${existing.status}`, 409);
+  }
+  return request;
+};
+
+export const approvePayoutRequest = (requestId, admin) => (
+  claimPayoutRequest(requestId, ['requested'], {
+    status: 'approved',
+    reviewedBy: admin._id,
+    reviewedAt: new Date()
+  })
+);
+
+export const rejectPayoutRequest = (requestId, admin, { reason } = {}) => (
+  claimPayoutRequest(requestId, ['requested', 'approved'], {
+    status: 'rejected',
+    reviewedBy: admin._id,
+    reviewedAt: new Date(),
+    rejectionReason: reason
+  })
+);
+
+const generateBatchReference = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `PB-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Group approved, unbatched requests into a new batch.
+ * `requestIds` limits the batch to specific requests; otherwise every approved request is included.
+ */
+export const createPayoutBatch = async (admin, { requestIds } = {}) => {
+  const query = { status: 'approved', batch: null };
+  if (Array.isArray(requestIds) && requestIds.length > 0) {
+    query._id = { $in: requestIds };
+  }
+
+  const candidates = await PayoutRequest.find(query).select('amount').lean();
+  if (candidates.length === 0) {
+    throw new PayoutError('There are no approved payout requests to batch');
+  }
+
+  const batch = await PayoutBatch.create({
+    reference: generateBatchReference(),
+    requests: candidates.map(r => r._id),
+    totalAmount: roundAmount(candidates.reduce((sum, r) => sum + r.amount, 0)),
+    requestCount: candidates.length,
+    createdBy: admin._id
+  });
+
+  await PayoutRequest.updateMany(
+    { _id: { $in: batch.requests }, status: 'approved', batch: null },
+    { $set: { status: 'batched', batch: batch._id } }
+  );
+
+  // Requests claimed by a concurrent batch or rejected meanwhile are dropped from this one
+  const claimed = await PayoutRequest.find({ batch: batch._id }).select('amount').lean();
+  if (claimed.length === 0) {
+    await PayoutBatch.deleteOne({ _id: batch._id });
+    throw new PayoutError('The approved payout requests were batched by another admin', 409);
+  }
+  if (claimed.length !== candidates.length) {
+    batch.requests = claimed.map(r => r._id);
+    batch.totalAmount = roundAmount(claimed.reduce((sum, r) => sum + r.amount, 0));
+    batch.requestCount = claimed.length;
+    await batch.save();
+  }
+
+  return batch;
+};
+
+export const BANK_UPLOAD_COLUMNS = [
+  { header: 'Reference', value: (r, batch) => `${batch.reference}-${r._id.toString().slice(-6).toUpperCase()}` },
+  { header: 'Beneficiary Name', value: (r) => r.bankAccount?.accountHolderName },
+  { header: 'Bank Name', value: (r) => r.bankAccount?.bankName },
+  { header: 'Bank Code', value: (r) => r.bankAccount?.bankCode },
+  { header: 'Branch Code', value: (r) => r.bankAccount?.branchCode },
+  { header: 'Account Number', value: (r) => r.bankAccount?.accountNumber },
+  { header: 'Amount', value: (r) => roundAmount(r.amount).toFixed(2) },
+  { header: 'Currency', value: (r) => r.currency || 'LKR' },
+  { header: 'Narration', value: (r, batch) => `TaskGo payout ${batch.reference}` },
+  { header: 'Beneficiary Email', value: (r) => r.tasker?.email }
+];
+
+/**
+ * Bank-upload CSV for a batch, with one row per payout request
+ */
+export const buildBatchCsv = (batch, requests) => toCsv(
+  BANK_UPLOAD_COLUMNS.map(column => ({ header: column.header, value: (r) => column.value(r, batch) })),
+  requests
+);
+
+export const exportPayoutBatch = async (batchId) => {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) {
+    throw new PayoutError('Payout batch not found', 404);
+  }
+
+  const requests = await PayoutRequest.find({ batch: batch._id })
+    .populate('tasker', 'fullName email')
+    .sort({ createdAt: 1 });
+
+  const csv = buildBatchCsv(batch, requests);
+
+  if (batch.status === 'created') {
+    batch.status = 'exported';
+    batch.exportedAt = new Date();
+  }
+  batch.exportCount += 1;
+  await batch.save();
+
+  return { batch, csv, filename: `${batch.reference}.csv` };
+};
+
+/**
+ * Record the bank's result for an exported batch.
+ * Requests listed in `failed` are marked failed (their amount returns to the tasker's
+ * balance); every other request is marked paid and posted to the ledger.
+ */
+export const completePayoutBatch = async (batchId, admin, { bankReference, failed = [] } = {}) => {
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: 'exported' },
+    { $set: { status: 'completed', completedAt: new Date(), completedBy: admin._id } },
+    { new: true }
+  );
+
+  if (!batch) {
+    const existing = await PayoutBatch.findById(batchId);
+    if (!existing) throw new PayoutError('Payout batch not found', 404);
+    if (existing.status === 'created') throw new PayoutError('Export the batch before completing it');
+    throw new PayoutError('Payout batch is already completed', 409);
+  }
+
+  const failures = new Map(failed.map(f => [String(f.requestId), f.reason || 'Rejected by bank']));
+  const requests = await PayoutRequest.find({ batch: batch._id, status: 'batched' });
+  const now = new Date();
+  let paidCount = 0;
+  let failedCount = 0;
+
+  for (const request of requests) {
+    if (failures.has(request._id.toString())) {
+      request.status = 'failed';
+      request.failureReason = failures.get(request._id.toString());
+      failedCount += 1;
+      await request.save();
+      continue;
+    }
+
+    request.status = 'paid';
+    request.paidAt = now;
+    request.bankReference = bankReference;
+    paidCount += 1;
+    await request.save();
+    await recordPayout(request, { createdBy: admin._id });
+  }
+
+  batch.paidCount = paidCount;
+  batch.failedCount = failedCount;
+  await batch.save();
+
+  return { batch, requests };
+};
@@ -0,0 +1,105 @@
+import Presence from '../models/Presence.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Presence tracking
+ * Socket.IO connects and disconnects add and remove connections on the user's Presence
+ * document. Every instance refreshes its own connections each PRESENCE_HEARTBEAT_MS, so
+ * connections not seen for PRESENCE_STALE_MS belong to an instance that went away; they
+ * do not count as online and are pruned by the `presence.prune` job.
+ */
+
+export const PRESENCE_HEARTBEAT_MS = Number(process.env.PRESENCE_HEARTBEAT_MS) || 30 * 1000;
+export const PRESENCE_STALE_MS = Number(process.env.PRESENCE_STALE_MS) || 90 * 1000;
+export const PRESENCE_PRUNE_INTERVAL_MS = Number(process.env.PRESENCE_PRUNE_INTERVAL_MS) || 60 * 1000;
+
+const staleBefore = (now) => new Date(now.getTime() - PRESENCE_STALE_MS);
+
+/**
+ * Online state of a Presence document (or null for users never seen)
+ */
+export const toPresenceStatus = (presence, now = new Date()) => {
+  if (!presence) return { isOnline: false, lastSeenAt: null };
+
+  const cutoff = staleBefore(now);
+  const live = (presence.connections || []).filter((connection) => connection.seenAt > cutoff);
+  return {
+    isOnline: live.length > 0,
+    lastSeenAt: live.length > 0 ? now : presence.lastSeenAt || null
+  };
+};
+
+export const markConnected = async (userId, socketId, instanceId, now = new Date()) => {
+  await Presence.updateOne(
+    { user: userId },
+    {
+      $push: { connections: { socketId, instanceId, connectedAt: now, seenAt: now } },
+      $set: { lastSeenAt: now }
+    },
+    { upsert: true }
+  );
+};
+
+export const markDisconnected = async (userId, socketId, now = new Date()) => {
+  await Presence.updateOne(
+    { user: userId },
+    {
+      $pull: { connections: { socketId } },
+      $set: { lastSeenAt: now }
+    }
+  );
+};
+
+/**
+ * Refresh every connection held by this instance
+ */
+export const heartbeat = async (instanceId, now = new Date()) => {
+  const result = await Presence.updateMany(
+    { 'connections.instanceId': instanceId },
+    { $set: { 'connections.$[connection].seenAt': now, lastSeenAt: now } },
+    { arrayFilters: [{ 'connection.instanceId': instanceId }] }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Drop connections that stopped heartbeating
+ * @returns {Promise<{pruned: number}>} number of users that had stale connections
+ */
+export const pruneStaleConnections = async ({ now = new Date() } = {}) => {
+  const cutoff = staleBefore(now);
+  const result = await Presence.updateMany(
+    { 'connections.seenAt': { $lt: cutoff } },
+    { $pull: { connections: { seenAt: { $lt: cutoff } } } }
+  );
+  return { pruned: result.modifiedCount };
+};
+
+export const getPresence = async (userId, now = new Date()) => (
+  toPresenceStatus(await Presence.findOne({ user: userId }).lean(), now)
+);
+
+/**
+ * Presence of several users at once, keyed by user id string
+ */
+export const getPresenceForUsers = async (userIds, now = new Date()) => {
+  const presences = await Presence.find({ user: { $in: userIds } }).lean();
+  const byUser = new Map(presences.map((presence) => [presence.user.toString(), presence]));
+
+  return new Map(userIds.map((userId) => [
+    userId.toString(),
+    toPresenceStatus(byUser.get(userId.toString()), now)
+  ]));
+};
+
+/**
+ * Heartbeat this instance's connections every `intervalMs`. Returns a function that stops it.
+ */
+export const startPresenceHeartbeat = ({ instanceId, intervalMs = PRESENCE_HEARTBEAT_MS }) => {
+  const timer = setInterval(() => {
+    heartbeat(instanceId).catch((error) => {
+      logger.error('Presence heartbeat failed', { instanceId, error: error.message });
+    });
+  }, intervalMs);
+  return () => clearInterval(timer);
+};
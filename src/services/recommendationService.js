@@ -0,0 +1,222 @@
+import Task from '../models/Task.js';
+import Application from '../models/Application.js';
+import logger from '../utils/logger.js';
+import { distanceKm } from '../utils/geo.js';
+
+/**
+ * Recommended tasks for taskers
+ * Every open task is scored 0..1 on five signals, combined with tunable weights:
+ *  - skills:    the task's category and tags against the tasker's skills
+ *  - location:  distance from the tasker (or their district/province when either has no coordinates)
+ *  - payment:   the task's budget against the tasker's hourly rate
+ *  - history:   categories the tasker has completed before, weighted by the ratings they got
+ *  - freshness: newer tasks first, halving every RECOMMENDATION_FRESHNESS_HALF_LIFE_HOURS
+ * Weights come from RECOMMENDATION_WEIGHTS (JSON) on top of the defaults below.
+ */
+
+export const DEFAULT_RECOMMENDATION_WEIGHTS = {
+  skills: 0.35,
+  location: 0.2,
+  payment: 0.15,
+  history: 0.15,
+  freshness: 0.15
+};
+
+export const RECOMMENDATION_FRESHNESS_HALF_LIFE_HOURS = Number(process.env.RECOMMENDATION_FRESHNESS_HALF_LIFE_HOURS) || 72;
+// A task budget is compared with this many hours at the tasker's hourly rate
+export const RECOMMENDATION_REFERENCE_HOURS = Number(process.env.RECOMMENDATION_REFERENCE_HOURS) || 2;
+// Newest open tasks considered for scoring
+export const RECOMMENDATION_CANDIDATE_LIMIT = 200;
+
+// Signals at or above this score are given as reasons
+const REASON_THRESHOLD = 0.5;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DISTRICT_PROVINCES = {
+  Colombo: 'Western', Gampaha: 'Western', Kalutara: 'Western',
+  Kandy: 'Central', Matale: 'Central', 'Nuwara Eliya': 'Central',
+  Galle: 'Southern', Matara: 'Southern', Hambantota: 'Southern',
+  Jaffna: 'Northern', Kilinochchi: 'Northern', Mannar: 'Northern', Vavuniya: 'Northern', Mullaitivu: 'Northern',
+  Batticaloa: 'Eastern', Ampara: 'Eastern', Trincomalee: 'Eastern',
+  Kurunegala: 'North Western', Puttalam: 'North Western',
+  Anuradhapura: 'North Central', Polonnaruwa: 'North Central',
+  Badulla: 'Uva', Moneragala: 'Uva',
+  Ratnapura: 'Sabaragamuwa', Kegalle: 'Sabaragamuwa'
+};
+
+const normalise = (value) => String(value || '').trim().toLowerCase();
+
+const formatAmount = (amount) => `LKR ${Number(amount || 0).toLocaleString('en-LK')}`;
+
+/**
+ * Default weights overridden by RECOMMENDATION_WEIGHTS and then by `overrides`.
+ * Unknown signals and negative weights are ignored; the result is normalised to sum to 1.
+ */
+export const resolveWeights = (overrides = {}) => {
+  let configured = {};
+  if (process.env.RECOMMENDATION_WEIGHTS) {
+    try {
+      configured = JSON.parse(process.env.RECOMMENDATION_WEIGHTS);
+    } catch (error) {
+      logger.warn('Ignoring invalid RECOMMENDATION_WEIGHTS', { error: error.message });
+    }
+  }
+
+  const weights = { ...DEFAULT_RECOMMENDATION_WEIGHTS };
+  for (const source of [configured, overrides]) {
+    for (const [signal, weight] of Object.entries(source || {})) {
+      if (signal in weights && Number.isFinite(Number(weight)) && Number(weight) >= 0) {
+        weights[signal] = Number(weight);
+      }
+    }
+  }
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) return { ...DEFAULT_RECOMMENDATION_WEIGHTS };
+  return Object.fromEntries(Object.entries(weights).map(([signal, weight]) => [signal, weight / total]));
+};
+
+export const scoreSkills = (task, skills = []) => {
+  const skillSet = new Set(skills.map(normalise));
+  const categoryMatch = skillSet.has(normalise(task.category));
+  const tags = (task.tags || []).map(normalise).filter(Boolean);
+  const matchedTags = tags.filter((tag) => skillSet.has(tag));
+
+  const score = tags.length
+    ? (categoryMatch ? 0.6 : 0) + 0.4 * (matchedTags.length / tags.length)
+    : (categoryMatch ? 1 : 0);
+
+  let reason = null;
+  if (categoryMatch) reason = `Matches your ${task.category} skill`;
+  else if (matchedTags.length) reason = `Tagged with your skills: ${matchedTags.join(', ')}`;
+  return { score, reason };
+};
+
+export const scoreLocation = (task, profile = {}) => {
+  if (task.location && profile.location) {
+    const km = distanceKm(profile.location, task.location);
+    const radius = profile.serviceRadiusKm || 10;
+    // Full score within the service radius, fading out by three times the radius
+    const score = km <= radius ? 1 : Math.max(0, 1 - (km - radius) / (2 * radius));
+    return { score, reason: km <= radius ? `About ${Math.max(1, Math.round(km))} km from you` : null };
+  }
+
+  if (task.area && normalise(task.area) === normalise(profile.district)) {
+    return { score: 1, reason: `In your district (${task.area})` };
+  }
+  const province = DISTRICT_PROVINCES[task.area];
+  if (province && normalise(province) === normalise(profile.province)) {
+    return { score: 0.5, reason: `In your province (${province})` };
+  }
+  return { score: 0, reason: null };
+};
+
+export const scorePayment = (task, hourlyRate) => {
+  // Without an hourly rate the budget says nothing either way
+  if (!hourlyRate) return { score: 0.5, reason: null };
+
+  const expected = hourlyRate * RECOMMENDATION_REFERENCE_HOURS;
+  const score = Math.min(1, (task.maxPayment || 0) / expected);
+  return {
+    score,
+    reason: task.maxPayment >= expected ? `Pays up to ${formatAmount(task.maxPayment)}, in line with your rate` : null
+  };
+};
+
+/**
+ * @param {Map<string, {count: number, averageRating: number|null}>} history - completed tasks by category
+ */
+export const scoreHistory = (task, history) => {
+  const entry = history.get(task.category);
+  if (!entry || !entry.count) return { score: 0, reason: null };
+
+  const mostCompleted = Math.max(...[...history.values()].map((item) => item.count));
+  // Unrated work counts as average
+  const ratingFactor = entry.averageRating ? entry.averageRating / 5 : 0.6;
+  const score = (entry.count / mostCompleted) * ratingFactor;
+
+  const rated = entry.averageRating ? ` (rated ${entry.averageRating.toFixed(1)})` : '';
+  return {
+    score,
+    reason: `You have completed ${entry.count} ${task.category} task${entry.count === 1 ? '' : 's'}${rated}`
+  };
+};
+
+export const scoreFreshness = (task, now = new Date()) => {
+  const ageHours = Math.max(0, (now.getTime() - new Date(task.createdAt).getTime()) / HOUR_MS);
+  const score = 0.5 ** (ageHours / RECOMMENDATION_FRESHNESS_HALF_LIFE_HOURS);
+  return { score, reason: ageHours < 24 ? 'Posted in the last day' : null };
+};
+
+/**
+ * Score one task for a tasker
+ * @returns {{score: number, signals: Object, reasons: string[]}} score and signals in 0..1
+ */
+export const scoreTask = (task, { tasker, history = new Map(), weights = resolveWeights(), now = new Date() }) => {
+  const profile = tasker.taskerProfile || {};
+  const results = {
+    skills: scoreSkills(task, profile.skills),
+    location: scoreLocation(task, profile),
+    payment: scorePayment(task, profile.hourlyRate),
+    history: scoreHistory(task, history),
+    freshness: scoreFreshness(task, now)
+  };
+
+  const signals = {};
+  let score = 0;
+  for (const [signal, result] of Object.entries(results)) {
+    signals[signal] = Math.round(result.score * 100) / 100;
+    score += (weights[signal] || 0) * result.score;
+  }
+
+  // Strongest contributions first
+  const reasons = Object.entries(results)
+    .filter(([, result]) => result.reason && result.score >= REASON_THRESHOLD)
+    .sort(([a, first], [b, second]) => (weights[b] * second.score) - (weights[a] * first.score))
+    .map(([, result]) => result.reason);
+
+  return { score: Math.round(score * 1000) / 1000, signals, reasons };
+};
+
+/**
+ * Completed tasks of a tasker grouped by category, with the average customer rating
+ */
+export const getCompletedCategoryHistory = async (taskerId) => {
+  const rows = await Task.aggregate([
+    { $match: { selectedTasker: taskerId, status: 'completed' } },
+    { $group: { _id: '$category', count: { $sum: 1 }, averageRating: { $avg: '$customerRating' } } }
+  ]);
+  return new Map(rows.map((row) => [row._id, { count: row.count, averageRating: row.averageRating || null }]));
+};
+
+/**
+ * Open tasks the tasker can still apply to, ranked by score
+ */
+export const getRecommendedTasks = async (tasker, { limit = 20, weights: overrides, now = new Date() } = {}) => {
+  const weights = resolveWeights(overrides);
+  const [appliedTaskIds, history] = await Promise.all([
+    Application.find({ tasker: tasker._id }).distinct('task'),
+    getCompletedCategoryHistory(tasker._id)
+  ]);
+
+  const candidates = await Task.find({
+    status: 'active',
+    startDate: { $gt: now },
+    customer: { $ne: tasker._id },
+    _id: { $nin: appliedTaskIds },
+    $or: [
+      { isTargeted: false },
+      { isTargeted: true, targetedTasker: tasker._id }
+    ]
+  })
+    .populate('customer', 'fullName rating')
+    .sort({ createdAt: -1 })
+    .limit(RECOMMENDATION_CANDIDATE_LIMIT);
+
+  const recommendations = candidates
+    .map((task) => ({ task, ...scoreTask(task, { tasker, history, weights, now }) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { recommendations, weights };
+};
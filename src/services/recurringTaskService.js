@@ -0,0 +1,470 @@
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import RecurringTask from '../models/RecurringTask.js';
+import { recordTransition, transitionTask, TaskTransitionError } from './taskStateMachine.js';
+import { publishTaskToSavedSearches } from './savedSearchService.js';
+import { notify } from './notifications/index.js';
+import { toGeoPoint, GeoError } from '../utils/geo.js';
+import { DAY_MS, toLocalMs, fromLocalMs } from '../utils/localTime.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Recurring tasks
+ * A series repeats weekly, every other week or monthly at the (Sri Lanka) time of day of
+ * its first occurrence. The `recurringTasks.generate` job creates each occurrence as a
+ * normal Task RECURRING_TASK_LEAD_DAYS ahead, targeted at the preferred tasker when one is
+ * set, so it goes through the usual apply → select → pay flow. Occurrences are unique per
+ * series and start time, so running the job twice never creates duplicates.
+ */
+
+export class RecurringTaskError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RecurringTaskError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const RECURRING_TASK_LEAD_DAYS = Number(process.env.RECURRING_TASK_LEAD_DAYS) || 7;
+export const RECURRING_TASK_INTERVAL_MS = Number(process.env.RECURRING_TASK_INTERVAL_MS) || 60 * 60 * 1000;
+
+const BATCH_SIZE = 100;
+
+export const TEMPLATE_FIELDS = ['title', 'description', 'category', 'tags', 'area', 'location', 'minPayment', 'maxPayment'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Start times of a series' occurrences after `from` and up to `to`, leaving out skipped ones
+ * @returns {Date[]}
+ */
+export const listOccurrences = (series, { from, to }) => {
+  const startsOn = new Date(series.startsOn);
+  const rangeStart = Math.max(new Date(from).getTime(), startsOn.getTime() - 1);
+  const rangeEnd = Math.min(new Date(to).getTime(), series.endsOn ? new Date(series.endsOn).getTime() : Infinity);
+  if (!(rangeEnd > rangeStart)) return [];
+
+  const anchorDay = Math.floor(toLocalMs(startsOn) / DAY_MS);
+  const timeOfDay = toLocalMs(startsOn) - anchorDay * DAY_MS;
+  const anchor = new Date(anchorDay * DAY_MS);
+  const anchorWeek = anchorDay - anchor.getUTCDay();
+
+  const { frequency, weekdays, dayOfMonth } = series.recurrence;
+  const days = weekdays?.length ? weekdays : [anchor.getUTCDay()];
+  const skipped = new Set((series.skippedOccurrences || []).map((date) => new Date(date).getTime()));
+
+  const occursOn = (day) => {
+    const date = new Date(day * DAY_MS);
+    if (frequency === 'monthly') {
+      const target = Math.min(dayOfMonth || anchor.getUTCDate(), daysInMonth(date.getUTCFullYear(), date.getUTCMonth()));
+      return date.getUTCDate() === target;
+    }
+    if (!days.includes(date.getUTCDay())) return false;
+    // Every other week, counted from the week of the first occurrence
+    return frequency !== 'biweekly' || Math.floor((day - anchorWeek) / 7) % 2 === 0;
+  };
+
+  const occurrences = [];
+  const lastDay = Math.floor(toLocalMs(rangeEnd) / DAY_MS);
+  for (let day = Math.floor(toLocalMs(rangeStart) / DAY_MS); day <= lastDay; day += 1) {
+    if (!occursOn(day)) continue;
+    const time = fromLocalMs(day * DAY_MS + timeOfDay).getTime();
+    if (time <= rangeStart || time > rangeEnd || skipped.has(time)) continue;
+    occurrences.push(new Date(time));
+  }
+  return occurrences;
+};
+
+/**
+ * The next `count` occurrences (within a year) for previews
+ */
+export const getUpcomingOccurrences = (series, { now = new Date(), count = 5 } = {}) => (
+  listOccurrences(series, { from: now, to: new Date(now.getTime() + 366 * DAY_MS) }).slice(0, count)
+);
+
+// Task fields shared by every occurrence
+const occurrenceContent = (series) => {
+  const content = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (series.template[field] !== undefined) content[field] = series.template[field];
+  }
+  return content;
+};
+
+// Changing any of these moves occurrences, so future ones are recreated
+const scheduleKey = (series) => JSON.stringify([
+  series.recurrence?.frequency,
+  [...(series.recurrence?.weekdays || [])],
+  series.recurrence?.dayOfMonth,
+  series.startsOn?.getTime(),
+  series.endsOn?.getTime(),
+  series.windowDays,
+  String(series.preferredTasker || '')
+]);
+
+const buildOccurrence = (series, occurrenceDate, targetedTasker) => ({
+  ...occurrenceContent(series),
+  customer: series.customer,
+  startDate: occurrenceDate,
+  endDate: new Date(occurrenceDate.getTime() + series.windowDays * DAY_MS),
+  isTargeted: Boolean(targetedTasker),
+  targetedTasker: targetedTasker || undefined,
+  recurringTask: series._id,
+  occurrenceDate
+});
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new RecurringTaskError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const parseRecurrence = (input, current = {}) => {
+  const frequency = input.frequency ?? current.frequency;
+  if (!RecurringTask.schema.path('recurrence.frequency').enumValues.includes(frequency)) {
+    throw new RecurringTaskError('Frequency must be weekly, biweekly or monthly');
+  }
+
+  if (frequency === 'monthly') {
+    const dayOfMonth = input.dayOfMonth ?? (input.frequency ? undefined : current.dayOfMonth);
+    if (dayOfMonth !== undefined && dayOfMonth !== null
+      && (!Number.isInteger(Number(dayOfMonth)) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      throw new RecurringTaskError('dayOfMonth must be between 1 and 31');
+    }
+    return { frequency, weekdays: [], dayOfMonth: dayOfMonth ? Number(dayOfMonth) : undefined };
+  }
+
+  const weekdays = input.weekdays ?? (input.frequency ? [] : current.weekdays) ?? [];
+  if (!Array.isArray(weekdays) || weekdays.some((day) => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+    throw new RecurringTaskError('weekdays must be a list of days from 0 (Sunday) to 6 (Saturday)');
+  }
+  return { frequency, weekdays: [...new Set(weekdays.map(Number))].sort(), dayOfMonth: undefined };
+};
+
+/**
+ * Validate request fields and apply them to a series. Template fields are checked with
+ * the Task schema so a series can only hold tasks that would be accepted on their own.
+ * @param {Object} input - any of the template fields, recurrence, startsOn, endsOn, windowDays, preferredTasker
+ */
+export const applySeriesChanges = async (series, input = {}, { now = new Date() } = {}) => {
+  for (const field of TEMPLATE_FIELDS) {
+    if (input[field] === undefined) continue;
+    if (field === 'location') {
+      try {
+        series.template.location = input.location ? toGeoPoint(input.location) : undefined;
+      } catch (error) {
+        if (error instanceof GeoError) throw new RecurringTaskError(error.message);
+        throw error;
+      }
+      continue;
+    }
+    series.template[field] = input[field];
+  }
+
+  if (input.recurrence !== undefined) {
+    series.recurrence = parseRecurrence(input.recurrence || {}, series.recurrence || {});
+  } else if (series.isNew) {
+    throw new RecurringTaskError('Recurrence is required');
+  }
+
+  if (input.startsOn !== undefined) {
+    const startsOn = parseDate(input.startsOn, 'startsOn');
+    if (startsOn <= now) {
+      throw new RecurringTaskError('The series must start in the future');
+    }
+    series.startsOn = startsOn;
+  }
+  if (input.endsOn !== undefined) {
+    series.endsOn = input.endsOn === null ? undefined : parseDate(input.endsOn, 'endsOn');
+  }
+  if (series.endsOn && series.startsOn && series.endsOn <= series.startsOn) {
+    throw new RecurringTaskError('The series must end after it starts');
+  }
+  if (input.windowDays !== undefined) series.windowDays = input.windowDays;
+
+  if (input.preferredTasker !== undefined) {
+    if (input.preferredTasker) {
+      const tasker = await User.findById(input.preferredTasker).select('role');
+      if (!tasker || tasker.role !== 'tasker') {
+        throw new RecurringTaskError('Preferred tasker not found');
+      }
+      series.preferredTasker = tasker._id;
+    } else {
+      series.preferredTasker = undefined;
+    }
+  }
+
+  const seriesErrors = series.validateSync();
+  if (seriesErrors) {
+    throw new RecurringTaskError(Object.values(seriesErrors.errors).map((e) => e.message).join(', '));
+  }
+
+  const sampleDate = series.startsOn > now ? series.startsOn : now;
+  const sample = new Task(buildOccurrence(series, sampleDate, series.preferredTasker));
+  const taskErrors = sample.validateSync();
+  if (taskErrors) {
+    throw new RecurringTaskError(Object.values(taskErrors.errors).map((e) => e.message).join(', '));
+  }
+  return series;
+};
+
+// Cancel an open occurrence and turn down its pending applications
+const cancelOccurrence = async (task, { actor = null, reason, now, freeSlot = false }) => {
+  if (task.paymentId && task.advancePaymentStatus === 'pending') {
+    throw new RecurringTaskError('An advance payment for this occurrence is in progress', 409);
+  }
+
+  await transitionTask(task, 'cancelled', {
+    actor,
+    reason,
+    metadata: { recurringTask: task.recurringTask, occurrenceDate: task.occurrenceDate },
+    update: (doc) => {
+      doc.cancellationReason = reason;
+      doc.cancelledBy = actor ? idOf(actor) : undefined;
+      doc.cancelledAt = now;
+      // Lets the series create this start time again after a reschedule
+      if (freeSlot) doc.occurrenceDate = undefined;
+    }
+  });
+
+  await Application.updateMany(
+    { task: task._id, status: 'pending' },
+    { $set: { status: 'rejected' } }
+  );
+};
+
+/**
+ * Cancel the series' occurrences that are still open and have not started.
+ * Occurrences already scheduled with a tasker are left alone.
+ * @returns {Promise<number>} how many were cancelled
+ */
+export const cancelFutureOccurrences = async (series, { actor = null, reason, now = new Date(), freeSlot = false } = {}) => {
+  const tasks = await Task.find({ recurringTask: series._id, status: 'active', startDate: { $gt: now } });
+
+  let cancelled = 0;
+  for (const task of tasks) {
+    try {
+      await cancelOccurrence(task, { actor, reason, now, freeSlot });
+      cancelled += 1;
+    } catch (error) {
+      if (error instanceof TaskTransitionError || error instanceof RecurringTaskError) continue;
+      throw error;
+    }
+  }
+  return cancelled;
+};
+
+/**
+ * Create the occurrences due within the lead time that do not exist yet
+ * @returns {Promise<{created: number, tasks: Array}>}
+ */
+export const generateOccurrences = async (series, { now = new Date(), io = null } = {}) => {
+  if (series.status !== 'active') return { created: 0, tasks: [] };
+
+  if (series.endsOn && series.endsOn <= now) {
+    series.status = 'ended';
+    await RecurringTask.updateOne({ _id: series._id }, { $set: { status: 'ended' } });
+    return { created: 0, tasks: [] };
+  }
+
+  const horizon = new Date(now.getTime() + RECURRING_TASK_LEAD_DAYS * DAY_MS);
+  const from = series.generatedUntil && series.generatedUntil > now ? series.generatedUntil : now;
+  const dates = listOccurrences(series, { from, to: horizon });
+
+  let preferredTasker = null;
+  if (dates.length && series.preferredTasker) {
+    const tasker = await User.findById(series.preferredTasker).select('role');
+    if (tasker?.role === 'tasker') {
+      preferredTasker = tasker._id;
+    } else {
+      logger.warn('Preferred tasker of recurring task is no longer a tasker', { recurringTaskId: series._id });
+    }
+  }
+
+  const tasks = [];
+  for (const date of dates) {
+    let task;
+    try {
+      task = await Task.create(buildOccurrence(series, date, preferredTasker));
+    } catch (error) {
+      // Already created by an earlier run (or skipped after being created)
+      if (error.code === 11000) continue;
+      throw error;
+    }
+    await recordTransition(task, null, task.status, {
+      reason: 'Recurring occurrence created',
+      metadata: { recurringTask: series._id, occurrenceDate: date }
+    });
+    tasks.push(task);
+  }
+
+  series.generatedUntil = horizon;
+  series.lastGeneratedAt = now;
+  await RecurringTask.updateOne(
+    { _id: series._id },
+    { $set: { generatedUntil: horizon, lastGeneratedAt: now } }
+  );
+
+  if (tasks.length) {
+    await User.updateOne({ _id: idOf(series.customer) }, { $inc: { 'statistics.tasksPosted': tasks.length } });
+
+    const customer = preferredTasker ? await User.findById(idOf(series.customer)).select('fullName') : null;
+    for (const task of tasks) {
+      if (task.isTargeted) {
+        await notify(task.targetedTasker, 'recurring_task_occurrence', {
+          taskId: task._id,
+          taskTitle: task.title,
+          recurringTaskId: series._id,
+          occurrenceDate: task.occurrenceDate,
+          customerName: customer?.fullName
+        }, { io });
+      } else {
+        publishTaskToSavedSearches(task, { io, now })
+          .catch((error) => logger.error('Saved search alert failed', { taskId: task._id, error: error.message }));
+      }
+    }
+  }
+
+  return { created: tasks.length, tasks };
+};
+
+/**
+ * Top up every active series whose occurrences run out within the lead time
+ * @returns {Promise<{checked: number, created: number}>}
+ */
+export const generateDueOccurrences = async ({ io = null, now = new Date(), limit = BATCH_SIZE } = {}) => {
+  // Series are topped up about once a day rather than on every run
+  const threshold = new Date(now.getTime() + (RECURRING_TASK_LEAD_DAYS - 1) * DAY_MS);
+  const seriesList = await RecurringTask.find({
+    status: 'active',
+    $or: [{ generatedUntil: null }, { generatedUntil: { $lt: threshold } }]
+  })
+    .sort({ generatedUntil: 1 })
+    .limit(limit);
+
+  const result = { checked: seriesList.length, created: 0 };
+  for (const series of seriesList) {
+    try {
+      result.created += (await generateOccurrences(series, { io, now })).created;
+    } catch (error) {
+      logger.error('Failed to generate recurring task occurrences', { recurringTaskId: series._id, error: error.message });
+    }
+  }
+
+  if (result.created > 0) {
+    logger.info('Generated recurring task occurrences', result);
+  }
+  return result;
+};
+
+/**
+ * Skip one occurrence. One that was already created is cancelled; a later one is
+ * remembered so it is never created.
+ * @returns {Promise<{occurrenceDate: Date, task: Object|null}>}
+ */
+export const skipOccurrence = async (series, occurrence, { actor = null, now = new Date() } = {}) => {
+  const occurrenceDate = parseDate(occurrence, 'date');
+  if (occurrenceDate <= now) {
+    throw new RecurringTaskError('Only upcoming occurrences can be skipped');
+  }
+
+  const task = await Task.findOne({ recurringTask: series._id, occurrenceDate });
+  if (task) {
+    if (task.status === 'cancelled') {
+      throw new RecurringTaskError('This occurrence is already skipped', 409);
+    }
+    if (task.status !== 'active') {
+      throw new RecurringTaskError('This occurrence is already scheduled with a tasker; cancel the schedule first', 409);
+    }
+    await cancelOccurrence(task, { actor, reason: 'Occurrence skipped', now });
+    return { occurrenceDate, task };
+  }
+
+  if ((series.skippedOccurrences || []).some((date) => date.getTime() === occurrenceDate.getTime())) {
+    throw new RecurringTaskError('This occurrence is already skipped', 409);
+  }
+  const [match] = listOccurrences(series, { from: new Date(occurrenceDate.getTime() - 1), to: occurrenceDate });
+  if (!match) {
+    throw new RecurringTaskError('The series has no occurrence at this date and time');
+  }
+
+  series.skippedOccurrences.push(occurrenceDate);
+  await RecurringTask.updateOne({ _id: series._id }, { $addToSet: { skippedOccurrences: occurrenceDate } });
+  return { occurrenceDate, task: null };
+};
+
+/**
+ * Edit a whole series. Content changes are copied to open future occurrences; schedule
+ * changes cancel them and create them again under the new schedule.
+ * @returns {Promise<{series: Object, updated: number, cancelled: number, created: number}>}
+ */
+export const updateSeries = async (series, input, { actor = null, now = new Date(), io = null } = {}) => {
+  if (series.status === 'ended') {
+    throw new RecurringTaskError('This recurring task has ended', 409);
+  }
+
+  const previousContent = JSON.stringify(occurrenceContent(series));
+  const previousSchedule = scheduleKey(series);
+  await applySeriesChanges(series, input, { now });
+  const contentChanged = JSON.stringify(occurrenceContent(series)) !== previousContent;
+  const scheduleChanged = scheduleKey(series) !== previousSchedule;
+  if (scheduleChanged) series.generatedUntil = undefined;
+  await series.save();
+
+  const result = { series, updated: 0, cancelled: 0, created: 0 };
+  if (scheduleChanged) {
+    result.cancelled = await cancelFutureOccurrences(series, {
+      actor,
+      reason: 'Recurring task rescheduled',
+      now,
+      freeSlot: true
+    });
+    result.created = (await generateOccurrences(series, { now, io })).created;
+  } else if (contentChanged) {
+    const content = occurrenceContent(series);
+    const update = { $set: content };
+    if (!content.location) update.$unset = { location: 1 };
+    const { modifiedCount } = await Task.updateMany(
+      { recurringTask: series._id, status: 'active', startDate: { $gt: now } },
+      update
+    );
+    result.updated = modifiedCount;
+  }
+  return result;
+};
+
+/**
+ * Pause or resume a series. Paused series create no occurrences; existing ones stay open.
+ */
+export const setSeriesPaused = async (series, paused, { now = new Date(), io = null } = {}) => {
+  if (series.status === 'ended') {
+    throw new RecurringTaskError('This recurring task has ended', 409);
+  }
+  if (series.status === (paused ? 'paused' : 'active')) {
+    throw new RecurringTaskError(`This recurring task is already ${paused ? 'paused' : 'active'}`, 409);
+  }
+
+  series.status = paused ? 'paused' : 'active';
+  await series.save();
+  const created = paused ? 0 : (await generateOccurrences(series, { now, io })).created;
+  return { series, created };
+};
+
+/**
+ * End a series for good and cancel its open future occurrences
+ */
+export const endSeries = async (series, { actor = null, now = new Date() } = {}) => {
+  if (series.status === 'ended') {
+    throw new RecurringTaskError('This recurring task has already ended', 409);
+  }
+
+  series.status = 'ended';
+  series.endsOn = series.endsOn && series.endsOn < now ? series.endsOn : now;
+  await series.save();
+  const cancelled = await cancelFutureOccurrences(series, { actor, reason: 'Recurring task ended', now });
+  return { series, cancelled };
+};
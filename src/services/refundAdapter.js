@@ -0,0 +1,64 @@
+import { getGatewayForPayment } from './gateways/index.js';
+
+/**
+ * Refund adapters
+ * An adapter exposes `refund({ payment, amount, reason })` and resolves to
+ * `{ success, refundId, raw, error }`. The gateway adapter refunds through the gateway
+ * that took the payment; the stub adapter never leaves the process and is used in tests
+ * and local development.
+ */
+
+export const gatewayRefundAdapter = {
+  name: 'gateway',
+
+  async refund({ payment, amount, reason }) {
+    const gateway = getGatewayForPayment(payment);
+    if (!gateway) {
+      return { success: false, error: `Payment gateway ${payment.gateway} is not available` };
+    }
+    return gateway.refund({ payment, amount, reason });
+  }
+};
+
+/**
+ * In-process adapter that records every call. Pass `{ fail: true }` to simulate a rejected refund.
+ */
+export const createStubRefundAdapter = ({ fail = false } = {}) => {
+  const calls = [];
+
+  return {
+    name: 'stub',
+    calls,
+
+    async refund({ payment, amount, reason }) {
+      calls.push({ paymentId: payment._id, amount, reason });
+      if (fail) {
+        return { success: false, error: 'Stub refund failure' };
+      }
+      return {
+        success: true,
+        refundId: `STUB_REFUND_${calls.length}`,
+        raw: { stub: true, amount }
+      };
+    }
+  };
+};
+
+let activeAdapter = null;
+
+/**
+ * Adapter used for refunds: the stub when REFUND_ADAPTER=stub or under tests, the payment's gateway otherwise
+ */
+export const getRefundAdapter = () => {
+  if (activeAdapter) return activeAdapter;
+  const useStub = process.env.REFUND_ADAPTER === 'stub' || process.env.NODE_ENV === 'test';
+  activeAdapter = useStub ? createStubRefundAdapter() : gatewayRefundAdapter;
+  return activeAdapter;
+};
+
+/**
+ * Replace the refund adapter (tests, local development). Pass null to restore the default.
+ */
+export const setRefundAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
@@ -0,0 +1,321 @@
+import Payment from '../models/Payment.js';
+import Refund from '../models/Refund.js';
+import Task from '../models/Task.js';
+import cancellationPolicy from '../config/cancellationPolicy.js';
+import { getRefundAdapter } from './refundAdapter.js';
+import { recordRefund, recordEscrowRelease } from './ledgerService.js';
+import { findActiveDispute } from './disputeService.js';
+
+/**
+ * Refund processing for cancelled schedules.
+ * A cancellation creates a Refund pending approval; an admin then approves it
+ * (gateway refund + release of the retained part to the tasker) or rejects it
+ * (the whole advance is released to the tasker).
+ */
+
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+// A disputed advance is settled through the dispute, not the refunds queue
+const assertNotDisputed = async (refund) => {
+  if (await findActiveDispute(refund.task)) {
+    throw new RefundError('The advance payment is frozen while a dispute on this task is open', 409);
+  }
+};
+
+/**
+ * Decide how much of a paid advance goes back to the customer
+ * @param {Object} params
+ * @param {string} params.cancelledByRole - customer, tasker, admin or system
+ * @param {Date} params.agreedTime - scheduled time of the task
+ * @param {Date} [params.cancelledAt] - when the schedule was cancelled
+ * @param {number} params.amount - advance amount paid
+ * @param {Object} [params.policy] - policy to apply (defaults to the configured one)
+ */
+export const evaluateCancellationPolicy = ({
+  cancelledByRole,
+  agreedTime,
+  cancelledAt = new Date(),
+  amount,
+  policy = cancellationPolicy
+}) => {
+  const hoursBeforeAgreedTime = agreedTime
+    ? (new Date(agreedTime).getTime() - new Date(cancelledAt).getTime()) / (60 * 60 * 1000)
+    : null;
+
+  // Roles without rules (e.g. system jobs) refund in full
+  const rules = policy[cancelledByRole] || [{ refundPercent: 100 }];
+  const rule = rules.find(r => (
+    r.minHoursBefore === undefined || r.minHoursBefore === null ||
+    (hoursBeforeAgreedTime !== null && hoursBeforeAgreedTime >= r.minHoursBefore)
+  ));
+
+  const refundPercent = Math.min(Math.max(rule ? rule.refundPercent : 0, 0), 100);
+  const refundAmount = roundAmount(amount * refundPercent / 100);
+  const retainedAmount = roundAmount(amount - refundAmount);
+
+  let outcome = 'partial';
+  if (refundPercent === 100) outcome = 'full';
+  if (refundPercent === 0) outcome = 'none';
+
+  return {
+    outcome,
+    refundPercent,
+    refundAmount,
+    retainedAmount,
+    cancelledByRole,
+    hoursBeforeAgreedTime: hoursBeforeAgreedTime === null ? null : Math.round(hoursBeforeAgreedTime * 10) / 10
+  };
+};
+
+const refundableAdvanceQuery = (taskId) => ({
+  task: taskId,
+  paymentType: 'advance',
+  status: 'completed',
+  escrowReleasedAt: null,
+  refundedAt: null
+});
+
+/**
+ * The paid advance on a task that has not been released or refunded yet.
+ * Pass `tasker` for a crew member's advance on a crew task.
+ */
+export const findRefundablePayment = async (taskId, { tasker } = {}) => {
+  const payment = await Payment.findOne({
+    ...refundableAdvanceQuery(taskId),
+    ...(tasker ? { tasker } : {})
+  }).sort({ processedAt: -1 });
+  return payment && payment.canBeRefunded() ? payment : null;
+};
+
+/**
+ * Every held advance on a task (one per crew member on crew tasks)
+ */
+export const findRefundablePayments = async (taskId) => {
+  const payments = await Payment.find(refundableAdvanceQuery(taskId)).sort({ processedAt: 1 });
+  return payments.filter((payment) => payment.canBeRefunded());
+};
+
+/**
+ * Create the refund record for a cancelled schedule.
+ * Returns the existing refund if the payment already has one in progress or completed.
+ * Pass `session` to create it in the same transaction as the cancellation.
+ */
+export const createCancellationRefund = async ({ task, payment, settlement, requestedBy, reason, session }) => {
+  const existing = await Refund.findOne({
+    payment: payment._id,
+    status: { $in: ['pending_approval', 'processing', 'completed'] }
+  }).session(session || null);
+  if (existing) return existing;
+
+  const [refund] = await Refund.create([{
+    payment: payment._id,
+    task: task._id,
+    customer: payment.customer,
+    tasker: payment.tasker,
+    originalAmount: payment.amount,
+    amount: settlement.refundAmount,
+    retainedAmount: settlement.retainedAmount,
+    policy: {
+      outcome: settlement.outcome,
+      refundPercent: settlement.refundPercent,
+      cancelledByRole: settlement.cancelledByRole,
+      hoursBeforeAgreedTime: settlement.hoursBeforeAgreedTime
+    },
+    reason,
+    requestedBy: requestedBy ? requestedBy._id : undefined
+  }], session ? { session } : undefined);
+  return refund;
+};
+
+/**
+ * Record on the task (or the crew member's assignment) how its advance was settled.
+ * Only touches the task while the payment is still its advance: a task reopened by a
+ * cancelled schedule keeps the link until a new advance is started.
+ * @param {boolean} released - part of the advance went to the tasker
+ */
+export const settleTaskAdvance = async (taskId, payment, { released, now = new Date() }) => {
+  const { matchedCount } = await Task.updateOne(
+    { _id: taskId, paymentId: payment.payhereOrderId, advancePaymentStatus: { $in: ['paid', null] } },
+    {
+      $set: released
+        ? { advancePaymentStatus: 'released', advancePaymentReleasedAt: now }
+        : { advancePaymentStatus: 'refunded' }
+    }
+  );
+  if (!matchedCount) {
+    await Task.updateOne(
+      { _id: taskId, 'assignments.paymentId': payment.payhereOrderId },
+      { $set: { 'assignments.$.advancePaymentStatus': released ? 'released' : 'refunded' } }
+    );
+  }
+};
+
+// Apply a refund the gateway has accepted to the payment, the ledger and the task
+const settleRefund = async (refund, payment, now) => {
+  if (refund.amount > 0) {
+    payment.refundedAt = payment.refundedAt || now;
+    payment.refundAmount = refund.amount;
+    if (refund.amount >= payment.amount) {
+      payment.status = 'refunded';
+    }
+  }
+  if (refund.retainedAmount > 0) {
+    payment.escrowReleasedAt = payment.escrowReleasedAt || now;
+  }
+  await payment.save();
+
+  if (refund.amount > 0) {
+    await recordRefund(payment, {
+      amount: refund.amount,
+      reference: `refund:${refund._id}`,
+      createdBy: refund.reviewedBy
+    });
+  }
+  if (refund.retainedAmount > 0) {
+    await recordEscrowRelease(payment, {
+      amount: refund.retainedAmount,
+      createdBy: refund.reviewedBy
+    });
+  }
+
+  await settleTaskAdvance(refund.task, payment, { released: refund.retainedAmount > 0, now });
+};
+
+/**
+ * Send the refund through the gateway and settle the payment, ledger and task.
+ * Failed gateway calls leave the refund in `failed` so it can be approved again.
+ * The gateway refund id is saved as soon as the gateway accepts the refund; if settling
+ * afterwards fails the refund is left in `settlement_failed`, and executing it again
+ * skips the gateway and only retries the settlement (each step is idempotent).
+ */
+export const executeRefund = async (refund, { now = new Date() } = {}) => {
+  const payment = await Payment.findById(refund.payment);
+  if (!payment) {
+    refund.status = 'failed';
+    refund.failureReason = 'Payment not found';
+    await refund.save();
+    return refund;
+  }
+
+  if (refund.amount > 0 && !refund.gatewayRefundId) {
+    const result = await getRefundAdapter().refund({
+      payment,
+      amount: refund.amount,
+      reason: refund.reason
+    });
+
+    refund.gatewayResponse = result.raw;
+    if (!result.success) {
+      refund.status = 'failed';
+      refund.failureReason = result.error;
+      await refund.save();
+      return refund;
+    }
+    // The money has moved: keep the proof before touching anything else
+    refund.gatewayRefundId = result.refundId;
+    await refund.save();
+  }
+
+  try {
+    await settleRefund(refund, payment, now);
+  } catch (error) {
+    refund.status = 'settlement_failed';
+    refund.failureReason = `Settlement failed: ${error.message}`;
+    await refund.save();
+    return refund;
+  }
+
+  refund.status = 'completed';
+  refund.failureReason = undefined;
+  refund.processedAt = now;
+  await refund.save();
+  return refund;
+};
+
+/**
+ * Approve and execute a refund. `amount` optionally overrides the policy amount.
+ * Approving a refund in `settlement_failed` retries its settlement; its amount is final.
+ */
+export const approveRefund = async (refundId, admin, { amount, notes } = {}) => {
+  const refund = await Refund.findById(refundId);
+  if (!refund) {
+    throw new RefundError('Refund not found', 404);
+  }
+  await assertNotDisputed(refund);
+
+  const update = {
+    status: 'processing',
+    reviewedBy: admin._id,
+    reviewedAt: new Date(),
+    reviewNotes: notes
+  };
+
+  if (amount !== undefined && amount !== null) {
+    if (refund.status === 'settlement_failed') {
+      throw new RefundError('The gateway has already refunded this amount; only its settlement can be retried', 409);
+    }
+    const refundAmount = roundAmount(Number(amount));
+    if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > refund.originalAmount) {
+      throw new RefundError(`Refund amount must be between 0 and ${refund.originalAmount}`);
+    }
+    update.amount = refundAmount;
+    update.retainedAmount = roundAmount(refund.originalAmount - refundAmount);
+  }
+
+  // Claim the refund so two admins cannot execute it at the same time
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ['pending_approval', 'failed', 'settlement_failed'] } },
+    { $set: update },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new RefundError(`Refund is already ${refund.status}`, 409);
+  }
+
+  return executeRefund(claimed);
+};
+
+/**
+ * Reject a refund: nothing goes back to the customer and the advance is released to the tasker
+ */
+export const rejectRefund = async (refundId, admin, { reason } = {}) => {
+  const existing = await Refund.findById(refundId);
+  if (!existing) throw new RefundError('Refund not found', 404);
+  await assertNotDisputed(existing);
+
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $in: ['pending_approval', 'failed'] } },
+    {
+      $set: {
+        status: 'rejected',
+        reviewedBy: admin._id,
+        reviewedAt: new Date(),
+        reviewNotes: reason
+      }
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    const current = await Refund.findById(refundId);
+    throw new RefundError(`Refund is already ${current ? current.status : existing.status}`, 409);
+  }
+
+  const payment = await Payment.findById(refund.payment);
+  if (payment && !payment.escrowReleasedAt) {
+    payment.escrowReleasedAt = new Date();
+    await payment.save();
+    await recordEscrowRelease(payment, { createdBy: admin._id });
+    await settleTaskAdvance(refund.task, payment, { released: true });
+  }
+
+  return refund;
+};
@@ -0,0 +1,87 @@
+import User from '../models/User.js';
+import ChatMessage from '../models/ChatMessage.js';
+
+/**
+ * Tasker response time
+ * The time from a customer reaching out (a chat message, or a task targeted at the tasker)
+ * to the tasker replying or applying. `User.statistics.responseTime` holds the running
+ * average in hours over `statistics.responseTimeSamples` responses.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Add one response to the tasker's average. The update is a single pipeline so
+ * concurrent responses cannot overwrite each other.
+ * @returns {Promise<number|null>} the response time in hours, or null when not recorded
+ */
+export const recordTaskerResponse = async (taskerId, requestedAt, respondedAt = new Date()) => {
+  const elapsedMs = new Date(respondedAt).getTime() - new Date(requestedAt).getTime();
+  if (!taskerId || !Number.isFinite(elapsedMs) || elapsedMs < 0) return null;
+
+  const hours = elapsedMs / HOUR_MS;
+  const samples = { $ifNull: ['$statistics.responseTimeSamples', 0] };
+  const average = { $ifNull: ['$statistics.responseTime', 0] };
+
+  await User.updateOne({ _id: taskerId }, [{
+    $set: {
+      'statistics.responseTime': {
+        $divide: [{ $add: [{ $multiply: [average, samples] }, hours] }, { $add: [samples, 1] }]
+      },
+      'statistics.responseTimeSamples': { $add: [samples, 1] }
+    }
+  }]);
+  return hours;
+};
+
+/**
+ * A tasker's chat message answers the customer's oldest message since the tasker last wrote
+ */
+export const recordChatReply = async (chatMessage, task) => {
+  const taskerId = idOf(chatMessage.senderId);
+  const customerId = idOf(task.customer);
+  if (idOf(chatMessage.receiverId).toString() !== customerId.toString()) return null;
+  if (taskerId.toString() === customerId.toString()) return null;
+
+  const previousReply = await ChatMessage.findOne({
+    taskId: task._id,
+    senderId: taskerId,
+    receiverId: customerId,
+    _id: { $ne: chatMessage._id },
+    createdAt: { $lte: chatMessage.createdAt }
+  }).sort({ createdAt: -1 }).select('createdAt');
+
+  const createdAt = { $lt: chatMessage.createdAt };
+  if (previousReply) createdAt.$gt = previousReply.createdAt;
+
+  const unanswered = await ChatMessage.findOne({
+    taskId: task._id,
+    senderId: customerId,
+    receiverId: taskerId,
+    createdAt
+  }).sort({ createdAt: 1 }).select('createdAt');
+
+  if (!unanswered) return null;
+  return recordTaskerResponse(taskerId, unanswered.createdAt, chatMessage.createdAt);
+};
+
+/**
+ * Applying to a task targeted at the tasker answers the customer's request
+ */
+export const recordTargetedTaskResponse = async (task, application) => {
+  const taskerId = idOf(application.tasker);
+  if (!task.isTargeted || !task.targetedTasker) return null;
+  if (idOf(task.targetedTasker).toString() !== taskerId.toString()) return null;
+
+  return recordTaskerResponse(taskerId, task.createdAt, application.createdAt);
+};
+
+/**
+ * Average response time for display: hours rounded to one decimal, null without samples
+ */
+export const getAverageResponseTime = (user) => {
+  if (!user?.statistics?.responseTimeSamples) return null;
+  return Math.round(user.statistics.responseTime * 10) / 10;
+};
@@ -0,0 +1,206 @@
+import Task from '../models/Task.js';
+import SavedSearch, { MAX_PENDING_MATCHES } from '../models/SavedSearch.js';
+import { notify } from './notifications/index.js';
+
+/**
+ * Saved searches and new-task alerts
+ * When a customer publishes an active, non-targeted task it is matched against every
+ * saved search that is not paused. Taskers with a matching `instant` search get one alert
+ * right away; matches of `daily` searches are queued and sent by the
+ * `savedSearches.digest` job at most once every SAVED_SEARCH_DIGEST_HOURS.
+ */
+
+export class SavedSearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SavedSearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const SAVED_SEARCH_DIGEST_HOURS = Number(process.env.SAVED_SEARCH_DIGEST_HOURS) || 24;
+export const SAVED_SEARCH_DIGEST_INTERVAL_MS = Number(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MS) || 60 * 60 * 1000;
+
+const MAX_KEYWORDS = 10;
+const DIGEST_BATCH_SIZE = 500;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Validate and clean a filter set from a request body
+ * @returns {Object} filters with only the given fields
+ */
+export const normaliseFilters = (input = {}) => {
+  const filters = {};
+
+  if (input.category) {
+    if (!Task.schema.path('category').enumValues.includes(input.category)) {
+      throw new SavedSearchError('Invalid category selected');
+    }
+    filters.category = input.category;
+  }
+
+  if (input.area) {
+    if (!Task.schema.path('area').enumValues.includes(input.area)) {
+      throw new SavedSearchError('Invalid area selected');
+    }
+    filters.area = input.area;
+  }
+
+  for (const field of ['minPayment', 'maxPayment']) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const amount = Number(input[field]);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new SavedSearchError(`${field} must be a positive number`);
+    }
+    filters[field] = amount;
+  }
+  if (filters.minPayment !== undefined && filters.maxPayment !== undefined && filters.minPayment > filters.maxPayment) {
+    throw new SavedSearchError('minPayment cannot be greater than maxPayment');
+  }
+
+  if (input.keywords) {
+    const keywords = (Array.isArray(input.keywords) ? input.keywords : String(input.keywords).split(','))
+      .map((keyword) => String(keyword).trim().toLowerCase())
+      .filter(Boolean);
+    if (keywords.length > MAX_KEYWORDS) {
+      throw new SavedSearchError(`A saved search can have at most ${MAX_KEYWORDS} keywords`);
+    }
+    if (keywords.length) filters.keywords = [...new Set(keywords)];
+  }
+
+  if (Object.keys(filters).length === 0) {
+    throw new SavedSearchError('A saved search needs at least one filter');
+  }
+  return filters;
+};
+
+/**
+ * Whether a task satisfies a filter set. Payment filters apply to the task's maximum
+ * payment, as in GET /api/tasks.
+ */
+export const matchesFilters = (filters = {}, task) => {
+  if (filters.category && filters.category !== task.category) return false;
+  if (filters.area && filters.area !== task.area) return false;
+  if (filters.minPayment !== undefined && filters.minPayment !== null && task.maxPayment < filters.minPayment) return false;
+  if (filters.maxPayment !== undefined && filters.maxPayment !== null && task.maxPayment > filters.maxPayment) return false;
+
+  if (filters.keywords && filters.keywords.length) {
+    const text = [task.title, task.description, ...(task.tags || [])].join(' ').toLowerCase();
+    if (!filters.keywords.some((keyword) => text.includes(keyword))) return false;
+  }
+  return true;
+};
+
+/**
+ * Alert taskers whose saved searches match a newly published task
+ * @returns {Promise<{alerted: number, queued: number}>} taskers alerted now and searches queued for a digest
+ */
+export const publishTaskToSavedSearches = async (task, { io = null, now = new Date() } = {}) => {
+  if (task.status !== 'active' || task.isTargeted) return { alerted: 0, queued: 0 };
+
+  const candidates = await SavedSearch.find({
+    isPaused: false,
+    tasker: { $ne: idOf(task.customer) },
+    'filters.category': { $in: [null, task.category] },
+    'filters.area': { $in: [null, task.area] }
+  });
+  const matches = candidates.filter((search) => matchesFilters(search.filters, task));
+
+  // One alert per tasker however many of their searches match; daily searches of a tasker
+  // who was just alerted do not repeat the task in the digest
+  const byTasker = new Map();
+  for (const search of matches) {
+    const key = search.tasker.toString();
+    if (!byTasker.has(key)) byTasker.set(key, []);
+    byTasker.get(key).push(search);
+  }
+
+  let alerted = 0;
+  const alertedSearchIds = [];
+  const queuedSearchIds = [];
+  for (const searches of byTasker.values()) {
+    const instant = searches.filter((search) => search.frequency === 'instant');
+    if (instant.length === 0) {
+      queuedSearchIds.push(...searches.map((search) => search._id));
+      continue;
+    }
+
+    await notify(instant[0].tasker, 'saved_search_match', {
+      searchId: instant[0]._id,
+      searchName: instant.map((search) => search.name).join(', '),
+      taskId: task._id,
+      taskTitle: task.title,
+      category: task.category,
+      area: task.area,
+      maxPayment: task.maxPayment
+    }, { io });
+    alerted += 1;
+    alertedSearchIds.push(...instant.map((search) => search._id));
+  }
+
+  if (alertedSearchIds.length) {
+    await SavedSearch.updateMany({ _id: { $in: alertedSearchIds } }, { $set: { lastAlertAt: now } });
+  }
+  if (queuedSearchIds.length) {
+    await SavedSearch.updateMany(
+      { _id: { $in: queuedSearchIds } },
+      { $push: { pendingMatches: { $each: [{ task: task._id, matchedAt: now }], $slice: -MAX_PENDING_MATCHES } } }
+    );
+  }
+
+  return { alerted, queued: queuedSearchIds.length };
+};
+
+/**
+ * Send the queued matches of daily searches whose last digest is old enough
+ * (run by the `savedSearches.digest` job)
+ * @returns {Promise<{sent: number}>}
+ */
+export const sendSavedSearchDigests = async ({ io = null, now = new Date() } = {}) => {
+  const dueBefore = new Date(now.getTime() - SAVED_SEARCH_DIGEST_HOURS * 60 * 60 * 1000);
+  const due = {
+    frequency: 'daily',
+    isPaused: false,
+    'pendingMatches.0': { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: dueBefore } }]
+  };
+
+  const searches = await SavedSearch.find(due).select('_id').limit(DIGEST_BATCH_SIZE);
+  let sent = 0;
+
+  for (const { _id } of searches) {
+    // Take the queue atomically so two instances cannot send the same digest
+    const search = await SavedSearch.findOneAndUpdate(
+      { ...due, _id },
+      { $set: { pendingMatches: [], lastDigestAt: now } },
+      { new: false }
+    );
+    if (!search) continue;
+
+    // Skip tasks that were filled or withdrawn since they matched
+    const tasks = await Task.find({
+      _id: { $in: search.pendingMatches.map((match) => match.task) },
+      status: 'active'
+    })
+      .select('title category area maxPayment')
+      .sort({ createdAt: -1 });
+    if (tasks.length === 0) continue;
+
+    await notify(search.tasker, 'saved_search_digest', {
+      searchId: search._id,
+      searchName: search.name,
+      count: tasks.length,
+      tasks: tasks.map((task) => ({
+        taskId: task._id,
+        taskTitle: task.title,
+        category: task.category,
+        area: task.area,
+        maxPayment: task.maxPayment
+      }))
+    }, { io });
+    sent += 1;
+  }
+
+  return { sent };
+};
@@ -0,0 +1,303 @@
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import { getInstanceId } from '../utils/instanceId.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Background job scheduler
+ * Jobs live in MongoDB so they survive restarts and can be shared by several server
+ * instances. Each instance polls for due jobs and claims one at a time with an atomic
+ * update that sets a lease (`lockedUntil`); only the lease holder runs the job. A failed
+ * attempt is retried with exponential backoff up to `maxAttempts`, after which a recurring
+ * job waits for its next interval and a one-off job is marked failed. Every attempt is
+ * written to the JobRun history.
+ */
+
+export const SCHEDULER_POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_INTERVAL_MS) || 15 * 1000;
+export const SCHEDULER_LOCK_MS = Number(process.env.SCHEDULER_LOCK_MS) || 5 * 60 * 1000;
+export const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+export class SchedulerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Delay before retry number `attempts` (1 = first retry): backoffMs, 2x, 4x... capped at an hour
+ */
+export const computeBackoffMs = (backoffMs, attempts) => (
+  Math.min(backoffMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS)
+);
+
+/**
+ * Decide what happens to a job after an attempt
+ * @returns {Object} fields to $set on the job
+ */
+export const planNextRun = (job, { succeeded, now, error }) => {
+  const recurring = Boolean(job.intervalMs);
+  const base = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastFinishedAt: now,
+    lastStatus: succeeded ? 'succeeded' : 'failed',
+    lastError: succeeded ? null : error
+  };
+
+  if (succeeded) {
+    return recurring
+      ? { ...base, status: 'scheduled', attempts: 0, nextRunAt: new Date(now.getTime() + job.intervalMs) }
+      : { ...base, status: 'completed', attempts: 0 };
+  }
+
+  const attempts = (job.attempts || 0) + 1;
+  if (attempts < job.maxAttempts) {
+    return {
+      ...base,
+      status: 'scheduled',
+      attempts,
+      nextRunAt: new Date(now.getTime() + computeBackoffMs(job.backoffMs, attempts))
+    };
+  }
+
+  // Out of attempts: a recurring job gets a fresh start at its next interval
+  return recurring
+    ? { ...base, status: 'scheduled', attempts: 0, nextRunAt: new Date(now.getTime() + job.intervalMs) }
+    : { ...base, status: 'failed', attempts };
+};
+
+/**
+ * Make a job due now (admin "run now"). Running jobs are left alone.
+ */
+export const triggerJob = async (jobId, now = new Date()) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $ne: 'running' } },
+    { $set: { nextRunAt: now, status: 'scheduled', attempts: 0, enabled: true } },
+    { new: true }
+  );
+  if (job) return job;
+
+  const existing = await Job.findById(jobId);
+  if (!existing) throw new SchedulerError('Job not found', 404);
+  throw new SchedulerError('Job is running', 409);
+};
+
+/**
+ * Pause or resume a job
+ */
+export const setJobEnabled = async (jobId, enabled) => {
+  const job = await Job.findByIdAndUpdate(jobId, { $set: { enabled: Boolean(enabled) } }, { new: true });
+  if (!job) throw new SchedulerError('Job not found', 404);
+  return job;
+};
+
+export const createScheduler = ({
+  instanceId = getInstanceId(),
+  pollIntervalMs = SCHEDULER_POLL_INTERVAL_MS,
+  lockMs = SCHEDULER_LOCK_MS,
+  context = {}
+} = {}) => {
+  const handlers = new Map();
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Register a handler. With `intervalMs` the job is recurring and is created on start.
+   * The handler receives the job data and { ...context, job, now } and may return a
+   * summary that is stored on the run.
+   */
+  const define = (name, handler, { intervalMs = null, maxAttempts = 3, backoffMs = 30 * 1000 } = {}) => {
+    if (typeof handler !== 'function') {
+      throw new SchedulerError(`Handler for job ${name} must be a function`);
+    }
+    handlers.set(name, { handler, intervalMs, maxAttempts, backoffMs });
+    return api;
+  };
+
+  /**
+   * Create or update the documents of recurring jobs. New jobs are due immediately;
+   * existing ones keep their schedule and pick up changed settings.
+   */
+  const syncRecurringJobs = async (now = new Date()) => {
+    for (const [name, definition] of handlers) {
+      if (!definition.intervalMs) continue;
+      try {
+        await Job.updateOne(
+          { key: name },
+          {
+            $set: {
+              name,
+              intervalMs: definition.intervalMs,
+              maxAttempts: definition.maxAttempts,
+              backoffMs: definition.backoffMs
+            },
+            $setOnInsert: { nextRunAt: now, status: 'scheduled', enabled: true }
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another instance created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+  };
+
+  /**
+   * Schedule a one-off job. With a `key`, scheduling the same key again returns the existing job.
+   */
+  const schedule = async (name, { runAt = new Date(), data = {}, key, maxAttempts, backoffMs } = {}) => {
+    const definition = handlers.get(name);
+    if (!definition) throw new SchedulerError(`Unknown job: ${name}`);
+
+    try {
+      return await Job.create({
+        name,
+        key,
+        data,
+        nextRunAt: runAt,
+        maxAttempts: maxAttempts || definition.maxAttempts,
+        backoffMs: backoffMs || definition.backoffMs
+      });
+    } catch (error) {
+      if (error.code === 11000 && key) return Job.findOne({ key });
+      throw error;
+    }
+  };
+
+  /**
+   * Atomically take the oldest due job this instance has a handler for.
+   * A running job whose lease has expired belongs to a dead instance and is taken over.
+   */
+  const claimNextJob = (now = new Date()) => Job.findOneAndUpdate(
+    {
+      enabled: true,
+      name: { $in: [...handlers.keys()] },
+      nextRunAt: { $lte: now },
+      $or: [
+        { status: 'scheduled' },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockMs),
+        lastRunAt: now
+      }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  const runJob = async (job, now = new Date()) => {
+    const { handler } = handlers.get(job.name);
+    const run = await JobRun.create({
+      job: job._id,
+      name: job.name,
+      instanceId,
+      attempt: (job.attempts || 0) + 1,
+      startedAt: now
+    });
+
+    let succeeded = true;
+    let result;
+    let errorMessage;
+    try {
+      result = await handler(job.data || {}, { ...context, job, now });
+    } catch (error) {
+      succeeded = false;
+      errorMessage = error.message;
+      logger.error('Scheduled job failed', { job: job.name, jobId: job._id, attempt: run.attempt, error: error.message });
+    }
+
+    const finishedAt = new Date();
+    const next = planNextRun(job, { succeeded, now: finishedAt, error: errorMessage });
+
+    // Only the lease holder may reschedule; a lost lease means another instance took over
+    await Job.updateOne({ _id: job._id, lockedBy: instanceId }, { $set: next });
+    await JobRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: succeeded ? 'succeeded' : 'failed',
+          finishedAt,
+          durationMs: finishedAt.getTime() - run.startedAt.getTime(),
+          result,
+          error: errorMessage,
+          nextRunAt: next.nextRunAt
+        }
+      }
+    );
+
+    return { succeeded, result, error: errorMessage, next };
+  };
+
+  /**
+   * Run due jobs one after another until none are left (or `limit` is reached)
+   * @returns {Promise<number>} number of jobs run
+   */
+  const runDueJobs = async ({ limit = 20 } = {}) => {
+    let count = 0;
+    while (count < limit) {
+      const job = await claimNextJob(new Date());
+      if (!job) break;
+      await runJob(job, new Date());
+      count += 1;
+    }
+    return count;
+  };
+
+  const poll = async () => {
+    // Skip a tick rather than overlap with a slow previous poll
+    if (polling) return;
+    polling = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      logger.error('Scheduler poll failed', { instanceId, error: error.message });
+    } finally {
+      polling = false;
+    }
+  };
+
+  /**
+   * Create recurring jobs and start polling. Returns a function that stops the scheduler.
+   */
+  const start = async () => {
+    if (timer) return stop;
+    await syncRecurringJobs();
+    timer = setInterval(poll, pollIntervalMs);
+    logger.info('Job scheduler started', { instanceId, jobs: [...handlers.keys()] });
+    poll();
+    return stop;
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  const api = {
+    instanceId,
+    define,
+    schedule,
+    syncRecurringJobs,
+    claimNextJob,
+    runJob,
+    runDueJobs,
+    start,
+    stop,
+    get definitions() {
+      return [...handlers.keys()];
+    }
+  };
+
+  return api;
+};
+
+export default createScheduler;
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Server-side refresh-token sessions.
+ * Logging in creates a session for the device and returns its first refresh token. Every
+ * refresh rotates the token; replaying a rotated token revokes the session (see the
+ * Session model). Sessions can be listed and revoked by their user, and are all revoked
+ * when the password changes or the account is suspended.
+ */
+
+export class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+export const getRefreshSecret = () => (
+  process.env.JWT_REFRESH_SECRET || process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET
+);
+
+const signRefreshToken = (session, jti, now) => jwt.sign(
+  {
+    userId: session.user,
+    tokenType: 'refresh',
+    sid: session._id,
+    jti,
+    iat: Math.floor(now.getTime() / 1000)
+  },
+  getRefreshSecret(),
+  { expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000) }
+);
+
+const verifyRefreshToken = (token, { now, ignoreExpiration = false }) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), getRefreshSecret(), {
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+      ignoreExpiration
+    });
+  } catch (error) {
+    throw new SessionError('Invalid refresh token');
+  }
+  // Refresh tokens issued before sessions existed have no session id
+  if (payload.tokenType !== 'refresh' || !payload.sid || !payload.jti) {
+    throw new SessionError('Invalid refresh token');
+  }
+  return payload;
+};
+
+/**
+ * Start a session for a login on one device
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified] - the login passed a two-factor challenge
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+export const createSession = async (
+  user,
+  { deviceName, userAgent, ipAddress } = {},
+  { now = new Date(), twoFactorVerified = false } = {}
+) => {
+  const jti = crypto.randomUUID();
+  const session = await Session.create({
+    user: user._id,
+    jti,
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : undefined,
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+    ipAddress,
+    lastUsedAt: now,
+    twoFactorVerifiedAt: twoFactorVerified ? now : null,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, refreshToken: signRefreshToken(session, jti, now) };
+};
+
+/**
+ * Exchange a refresh token for the next one in its family
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ * @throws {SessionError} when the token is invalid, its session has ended, or it was
+ *   already rotated (the session is then revoked)
+ */
+export const rotateSession = async (refreshToken, { userAgent, ipAddress } = {}, { now = new Date() } = {}) => {
+  const payload = verifyRefreshToken(refreshToken, { now });
+
+  const nextJti = crypto.randomUUID();
+  const session = await Session.findOneAndUpdate(
+    { _id: payload.sid, user: payload.userId, jti: payload.jti, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        jti: nextJti,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...(userAgent && { userAgent: String(userAgent).slice(0, 500) }),
+        ...(ipAddress && { ipAddress })
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Either the session has ended, or this token was already exchanged and is being replayed
+    const revoked = await Session.findOneAndUpdate(
+      { _id: payload.sid, user: payload.userId, jti: { $ne: payload.jti }, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } },
+      { new: true }
+    );
+    if (revoked) {
+      logger.warn('Refresh token reuse detected; session revoked', {
+        sessionId: String(payload.sid),
+        userId: String(payload.userId),
+        ipAddress
+      });
+      throw new SessionError('This refresh token was already used. The session has been ended; please log in again.');
+    }
+    throw new SessionError('Your session has ended. Please log in again.');
+  }
+
+  return { session, refreshToken: signRefreshToken(session, nextJti, now) };
+};
+
+/**
+ * End the session a refresh token belongs to (logout). Expired and rotated tokens still
+ * end their session; invalid tokens are ignored.
+ */
+export const endSessionForToken = async (refreshToken, { now = new Date() } = {}) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken, { now, ignoreExpiration: true });
+  } catch (error) {
+    return null;
+  }
+  return revokeSession(payload.userId, payload.sid, 'logout', { now });
+};
+
+/**
+ * Revoke one of the user's sessions
+ * @returns {Promise<Object|null>} the revoked session, or null if the user has no such active session
+ */
+export const revokeSession = (userId, sessionId, reason = 'user_revoked', { now = new Date() } = {}) => (
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } },
+    { new: true }
+  )
+);
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @returns {Promise<number>} how many sessions were revoked
+ */
+export const revokeAllSessions = async (userId, reason, { exceptSessionId, now = new Date() } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } });
+  return result.modifiedCount || 0;
+};
+
+/**
+ * The user's sessions that can still be refreshed, most recently used first
+ */
+export const listActiveSessions = (userId, { now = new Date() } = {}) => (
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: now } }).sort({ lastUsedAt: -1 })
+);
+
+/**
+ * Record that a two-factor code was just confirmed in an active session
+ * @returns {Promise<Object|null>} the session, or null if it is not the user's active session
+ */
+export const markSessionTwoFactorVerified = (userId, sessionId, { now = new Date() } = {}) => (
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { twoFactorVerifiedAt: now } },
+    { new: true }
+  )
+);
+
+/**
+ * Whether a two-factor code was confirmed in the session after `since`
+ */
+export const isTwoFactorVerifiedSince = async (sessionId, since) => (
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, twoFactorVerifiedAt: { $gt: since } }))
+);
+
+/**
+ * Whether the session an access token was issued for is still active
+ */
+export const isSessionActive = async (sessionId, { now = new Date() } = {}) => (
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: now } }))
+);
@@ -0,0 +1,112 @@
+import User from '../models/User.js';
+import Feedback from '../models/Feedback.js';
+import { isCrewTask } from './crewService.js';
+
+// Ratings and reviews exchanged between the customer and each tasker who worked on the task
+const getWorkRecords = (task) => {
+  if (isCrewTask(task)) {
+    return task.assignments.map((assignment) => ({
+      taskerId: assignment.tasker?._id || assignment.tasker,
+      customerRating: assignment.customerRating,
+      customerReview: assignment.customerReview,
+      taskerRatingForCustomer: assignment.taskerRatingForCustomer,
+      taskerFeedback: assignment.taskerFeedback
+    }));
+  }
+
+  const workingTaskerId = task.selectedTasker?._id || task.selectedTasker || task.targetedTasker?._id || task.targetedTasker;
+  return [{
+    taskerId: workingTaskerId,
+    customerRating: task.customerRating,
+    customerReview: task.customerReview,
+    taskerRatingForCustomer: task.taskerRatingForCustomer,
+    taskerFeedback: task.taskerFeedback
+  }];
+};
+
+/**
+ * Side effects of a task reaching `completed` through the two-party flow: task statistics
+ * and ratings for both users, and feedback records from the ratings/reviews each left.
+ * On crew tasks every crew member is counted and rated separately.
+ * Shared by markTaskComplete and the auto-complete job.
+ */
+export const applyCompletionEffects = async (task) => {
+  const records = getWorkRecords(task);
+
+  // Update statistics for the tasker(s)
+  for (const record of records) {
+    if (!record.taskerId) continue;
+    const tasker = await User.findById(record.taskerId);
+    if (tasker) {
+      await tasker.incrementTaskStat('tasksCompleted');
+
+      // Update tasker's rating if customer provided one
+      if (record.customerRating) {
+        await tasker.updateRating(record.customerRating);
+      }
+    }
+  }
+
+  // Update customer's completed tasks statistics and rating
+  const customer = await User.findById(task.customer?._id || task.customer);
+  if (customer) {
+    await customer.incrementTaskStat('tasksCompleted');
+
+    // Update customer's rating for every tasker who provided one
+    for (const record of records) {
+      if (record.taskerRatingForCustomer) {
+        await customer.updateRating(record.taskerRatingForCustomer);
+      }
+    }
+  }
+
+  for (const record of records) {
+    // Create customer-to-tasker feedback if rating/review exists
+    if (record.taskerId && (record.customerRating || record.customerReview)) {
+      try {
+        await Feedback.create({
+          task: task._id,
+          fromUser: task.customer,
+          toUser: record.taskerId,
+          rating: record.customerRating || 3,
+          review: record.customerReview || 'No review provided',
+          feedbackType: 'customer-to-tasker',
+          taskerFeedbackCategories: {
+            quality: record.customerRating || 3,
+            punctuality: record.customerRating || 3,
+            communication: record.customerRating || 3,
+            professionalism: record.customerRating || 3
+          }
+        });
+      } catch (feedbackError) {
+        console.error('Error creating customer feedback:', feedbackError);
+        // Don't fail the task completion if feedback creation fails
+      }
+    }
+
+    // Create tasker-to-customer feedback if rating/review exists
+    if (record.taskerId && (record.taskerRatingForCustomer || record.taskerFeedback)) {
+      try {
+        await Feedback.create({
+          task: task._id,
+          fromUser: record.taskerId,
+          toUser: task.customer,
+          rating: record.taskerRatingForCustomer || 3,
+          review: record.taskerFeedback || 'No review provided',
+          feedbackType: 'tasker-to-customer',
+          customerFeedbackCategories: {
+            clarity: record.taskerRatingForCustomer || 3,
+            responsiveness: record.taskerRatingForCustomer || 3,
+            cooperation: record.taskerRatingForCustomer || 3,
+            fairness: record.taskerRatingForCustomer || 3
+          }
+        });
+      } catch (feedbackError) {
+        console.error('Error creating tasker feedback:', feedbackError);
+        // Don't fail the task completion if feedback creation fails
+      }
+    }
+  }
+};
+
+export default applyCompletionEffects;
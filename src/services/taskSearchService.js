@@ -0,0 +1,307 @@
+import Task from '../models/Task.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Task search
+ * Keyword search runs on the `task_text_search` index (title, tags and description).
+ * MongoDB text search has no fuzzy matching, so query terms it would not recognise are
+ * corrected against a vocabulary of categories, areas, common task words and the tags of
+ * open tasks before searching. Results, total and facet counts come from one aggregation.
+ */
+
+export const PAYMENT_BUCKETS = [0, 2500, 5000, 10000, 25000, 50000];
+export const SEARCH_MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+const VOCABULARY_CACHE_MS = 10 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'by', 'for', 'from', 'i', 'in', 'is', 'it', 'me', 'my',
+  'need', 'of', 'on', 'or', 'please', 'some', 'someone', 'the', 'to', 'with'
+]);
+
+// Everyday words used in task posts, on top of categories, areas and tags
+const COMMON_TASK_TERMS = [
+  'air', 'appliance', 'assemble', 'bathroom', 'bed', 'carpenter', 'ceiling', 'chair', 'clean',
+  'computer', 'conditioner', 'cupboard', 'deliver', 'dog', 'door', 'drain', 'electrician',
+  'errand', 'fan', 'fence', 'fix', 'floor', 'furniture', 'garage', 'gate', 'grass', 'grocery',
+  'gutter', 'house', 'install', 'kitchen', 'laptop', 'lawn', 'leak', 'light', 'lock', 'mathematics',
+  'mow', 'office', 'paint', 'pipe', 'plumber', 'repair', 'roof', 'shelf', 'shift', 'sink',
+  'sofa', 'switch', 'table', 'tank', 'tap', 'tile', 'toilet', 'tree', 'tutor', 'wall',
+  'wardrobe', 'wash', 'water', 'window', 'wiring'
+];
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const tokenize = (text = '') => String(text)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+
+/**
+ * Rough English stem so "leaking", "leaks" and "leak" highlight alike
+ */
+export const stem = (word) => {
+  const lower = word.toLowerCase();
+  for (const suffix of ['ing', 'ers', 'er', 'ed', 'es', 's']) {
+    if (lower.endsWith(suffix) && lower.length - suffix.length >= 3) {
+      return lower.slice(0, -suffix.length);
+    }
+  }
+  return lower;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+export const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j += 1) d[0][j] = j;
+
+  for (let i = 1; i < rows; i += 1) {
+    for (let j = 1; j < cols; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+/**
+ * Replace terms that are not in the vocabulary with the closest word, allowing one edit
+ * (two for words of eight letters or more). Short and numeric terms are left alone.
+ * @returns {{terms: string[], corrections: Object}} corrected terms and original → correction
+ */
+export const correctTerms = (terms, vocabulary) => {
+  const words = vocabulary instanceof Set ? vocabulary : new Set(vocabulary);
+  const stems = new Set([...words].map(stem));
+  const corrections = {};
+
+  const corrected = terms.map((term) => {
+    if (term.length < 4 || /\d/.test(term) || words.has(term) || stems.has(stem(term))) return term;
+
+    const allowed = term.length >= 8 ? 2 : 1;
+    let best = null;
+    let bestDistance = allowed + 1;
+    for (const word of words) {
+      if (Math.abs(word.length - term.length) > allowed) continue;
+      const distance = editDistance(term, word);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+    if (!best) return term;
+    corrections[term] = best;
+    return best;
+  });
+
+  return { terms: corrected, corrections };
+};
+
+let vocabularyCache = null;
+
+/**
+ * Words the search knows how to spell, refreshed every few minutes
+ */
+export const getSearchVocabulary = async (now = Date.now()) => {
+  if (vocabularyCache && vocabularyCache.expiresAt > now) return vocabularyCache.words;
+
+  const words = new Set(COMMON_TASK_TERMS);
+  for (const value of [...Task.schema.path('category').enumValues, ...Task.schema.path('area').enumValues]) {
+    tokenize(value).forEach((word) => words.add(word));
+  }
+  try {
+    const tags = await Task.distinct('tags', { status: 'active' });
+    tags.forEach((tag) => tokenize(tag).forEach((word) => words.add(word)));
+  } catch (error) {
+    logger.warn('Could not load task tags for search vocabulary', { error: error.message });
+  }
+
+  vocabularyCache = { words, expiresAt: now + VOCABULARY_CACHE_MS };
+  return words;
+};
+
+export const resetSearchVocabulary = () => {
+  vocabularyCache = null;
+};
+
+const highlightText = (text, stems) => escapeHtml(text).replace(/[\p{L}\p{N}]+/gu, (word) => (
+  stems.has(stem(word)) ? `<mark>${word}</mark>` : word
+));
+
+/**
+ * Highlighted title and a description snippet around the first match (HTML-escaped, matches in <mark>)
+ */
+export const buildHighlights = (task, terms) => {
+  const stems = new Set(terms.map(stem));
+  const description = task.description || '';
+
+  let start = 0;
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(description)) !== null) {
+    if (stems.has(stem(match[0]))) {
+      start = Math.max(0, match.index - Math.floor(SNIPPET_LENGTH / 3));
+      break;
+    }
+  }
+
+  // Cut on word boundaries
+  if (start > 0) {
+    const space = description.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+  let end = Math.min(description.length, start + SNIPPET_LENGTH);
+  if (end < description.length) {
+    const space = description.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const snippet = description.slice(start, end);
+  return {
+    title: highlightText(task.title || '', stems),
+    description: `${start > 0 ? '…' : ''}${highlightText(snippet, stems)}${end < description.length ? '…' : ''}`
+  };
+};
+
+const formatPaymentBucket = (bucket) => {
+  const index = PAYMENT_BUCKETS.indexOf(bucket._id);
+  const min = index === -1 ? PAYMENT_BUCKETS[PAYMENT_BUCKETS.length - 1] : bucket._id;
+  const max = index === -1 ? null : PAYMENT_BUCKETS[index + 1];
+  return { min, max, count: bucket.count };
+};
+
+/**
+ * Facet counts as [{ value, count }] lists, payment ranges as [{ min, max, count }] on maxPayment
+ */
+export const formatFacets = ({ categories = [], areas = [], payment = [] }) => ({
+  categories: categories.map((row) => ({ value: row._id, count: row.count })),
+  areas: areas.map((row) => ({ value: row._id, count: row.count })),
+  paymentRanges: payment.map(formatPaymentBucket)
+});
+
+const openTaskQuery = (now) => ({ status: 'active', isTargeted: false, startDate: { $gt: now } });
+
+/**
+ * Search open tasks by keywords
+ * @returns {Promise<{results: Array, total: number, facets: Object, corrections: Object, didYouMean: string|null}>}
+ */
+export const searchTasks = async ({
+  q,
+  category,
+  area,
+  minPayment,
+  maxPayment,
+  page = 1,
+  limit = 10,
+  now = new Date()
+}) => {
+  const originalTerms = tokenize(q);
+  if (originalTerms.length === 0) {
+    return { results: [], total: 0, facets: formatFacets({}), corrections: {}, didYouMean: null };
+  }
+
+  const { terms, corrections } = correctTerms(originalTerms, await getSearchVocabulary());
+  const searchTerms = [...new Set([...originalTerms, ...terms])];
+
+  const match = { $text: { $search: searchTerms.join(' ') }, ...openTaskQuery(now) };
+  if (category) match.category = category;
+  if (area) match.area = area;
+  if (minPayment || maxPayment) {
+    match.maxPayment = {};
+    if (minPayment) match.maxPayment.$gte = Number(minPayment);
+    if (maxPayment) match.maxPayment.$lte = Number(maxPayment);
+  }
+
+  const pageNumber = Math.max(Number(page) || 1, 1);
+  const pageSize = Math.min(Math.max(Number(limit) || 10, 1), SEARCH_MAX_LIMIT);
+
+  const [result] = await Task.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        results: [
+          { $sort: { score: -1, createdAt: -1 } },
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+          {
+            $project: {
+              title: 1, description: 1, tags: 1, category: 1, area: 1, location: 1,
+              minPayment: 1, maxPayment: 1, startDate: 1, endDate: 1, photos: 1,
+              customer: 1, createdAt: 1, score: 1
+            }
+          }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [{ $sortByCount: '$category' }],
+        areas: [{ $sortByCount: '$area' }],
+        payment: [{
+          $bucket: {
+            groupBy: '$maxPayment',
+            boundaries: PAYMENT_BUCKETS,
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }]
+      }
+    }
+  ]);
+
+  await Task.populate(result.results, { path: 'customer', select: 'fullName rating' });
+
+  return {
+    results: result.results.map((task) => ({
+      ...task,
+      score: Math.round(task.score * 100) / 100,
+      highlights: buildHighlights(task, searchTerms)
+    })),
+    total: result.total[0]?.count || 0,
+    facets: formatFacets(result),
+    corrections,
+    didYouMean: Object.keys(corrections).length ? terms.join(' ') : null
+  };
+};
+
+/**
+ * Open tasks similar to a draft (or existing) task: text match on its title and tags,
+ * with tasks in the same category ranked higher
+ */
+export const findSimilarTasks = async ({ title, description, tags = [], category, excludeId, limit = 5, now = new Date() }) => {
+  const originalTerms = [...new Set(tokenize([title, ...(Array.isArray(tags) ? tags : [tags])].join(' ')))];
+  // Fall back to the description when the title alone is too short to compare on
+  const terms = originalTerms.length >= 2 ? originalTerms : [...new Set([...originalTerms, ...tokenize(description)])];
+  if (terms.length === 0) return [];
+
+  const { terms: corrected } = correctTerms(terms.slice(0, 10), await getSearchVocabulary());
+  const match = { $text: { $search: corrected.join(' ') }, ...openTaskQuery(now) };
+  if (excludeId) match._id = { $ne: excludeId };
+
+  return Task.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        similarity: {
+          $multiply: [{ $meta: 'textScore' }, { $cond: [{ $eq: ['$category', category || null] }, 1.5, 1] }]
+        }
+      }
+    },
+    { $sort: { similarity: -1, createdAt: -1 } },
+    { $limit: Math.min(Math.max(Number(limit) || 5, 1), 20) },
+    {
+      $project: {
+        title: 1, category: 1, area: 1, minPayment: 1, maxPayment: 1,
+        startDate: 1, createdAt: 1, similarity: 1
+      }
+    }
+  ]);
+};
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import { notify } from './notifications/index.js';
+import { assertTaskerCanBook, getBookingHours } from './availabilityService.js';
+import { isCrewTask, isCrewFull, assertCanJoinCrew, addCrewAssignment, getAssignment } from './crewService.js';
+
+/**
+ * Selecting a tasker: the task takes the agreed time and payment, the tasker's application
+ * is confirmed and every other pending application is rejected. The task stays `active`
+ * until the advance payment is made. Shared by selectTasker and accepted offers.
+ * On crew tasks the tasker is added to the crew instead, and the other applications are
+ * only rejected once the crew is full.
+ * Throws an AvailabilityError when the tasker cannot be booked at the agreed time, and a
+ * CrewError when they cannot join the crew.
+ */
+export const selectApplicationForTask = async (task, application, { agreedTime, agreedPayment }) => {
+  if (isCrewTask(task)) {
+    assertCanJoinCrew(task, application.tasker._id || application.tasker, agreedTime);
+  }
+
+  await assertTaskerCanBook(application.tasker, {
+    start: agreedTime,
+    hours: getBookingHours(application),
+    excludeTaskId: task._id
+  });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (isCrewTask(task)) {
+      addCrewAssignment(task, application, { agreedTime, agreedPayment });
+    } else {
+      task.selectedTasker = application.tasker._id || application.tasker;
+      task.agreedPayment = agreedPayment;
+      task.agreedTime = agreedTime;
+    }
+    await task.save({ session });
+
+    application.status = 'confirmed';
+    await application.save({ session });
+
+    if (!isCrewTask(task) || isCrewFull(task)) {
+      await Application.updateMany(
+        {
+          task: task._id,
+          _id: { $ne: application._id },
+          status: 'pending'
+        },
+        { status: 'rejected' },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await task.populate('selectedTasker', 'fullName email phone taskerProfile rating statistics');
+  await task.populate('targetedTasker', 'fullName email phone taskerProfile rating statistics');
+  await task.populate('customer', 'fullName email');
+  return task;
+};
+
+/**
+ * Tell both parties a tasker was selected (expects the task populated by selectApplicationForTask).
+ * `taskerId` names the crew member who joined on crew tasks.
+ */
+export const announceTaskerSelected = async (task, io, taskerId = task.selectedTasker) => {
+  const selectedId = taskerId._id || taskerId;
+  const assignment = getAssignment(task, selectedId);
+  const agreedPayment = assignment ? assignment.agreedPayment : task.agreedPayment;
+
+  try {
+    if (io) {
+      // Notify selected tasker
+      io.to(`user-${selectedId}`).emit('task-update', {
+        type: 'tasker-selected',
+        taskId: task._id,
+        taskTitle: task.title,
+        message: `You have been selected for task ${task.title}. Please proceed to confirm and complete payment process.`,
+        timestamp: new Date().toISOString()
+      });
+      // Notify customer (confirmation info)
+      io.to(`user-${task.customer._id || task.customer}`).emit('task-update', {
+        type: 'tasker-selected',
+        taskId: task._id,
+        taskTitle: task.title,
+        message: `You selected a tasker for task ${task.title}. Awaiting payment to schedule.`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (wsError) {
+    console.error('WebSocket task update (tasker-selected) error:', wsError);
+  }
+
+  await notify(selectedId, 'tasker_selected', {
+    taskId: task._id,
+    taskTitle: task.title,
+    agreedPayment,
+    agreedTime: task.agreedTime
+  }, { io });
+};
@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import TaskTransition from '../models/TaskTransition.js';
+import { isCrewTask, isCrewFull, getAssignment } from './crewService.js';
+
+/**
+ * Task state machine
+ * Single place that decides which task status changes are legal, who may
+ * trigger them and what must be true beforehand. Every change is written
+ * to the TaskTransition history.
+ */
+
+export const TASK_STATUSES = ['active', 'scheduled', 'in_progress', 'completed', 'cancelled'];
+
+const hasSchedulingDetails = (task) => {
+  if (!task.selectedTasker) return 'A tasker must be selected before the task can be scheduled';
+  if (!task.agreedPayment) return 'An agreed payment is required before the task can be scheduled';
+  if (!task.agreedTime) return 'An agreed time is required before the task can be scheduled';
+  if (isCrewTask(task) && !isCrewFull(task)) {
+    return `All ${task.crewSize} crew members must be selected before the task can be scheduled`;
+  }
+  return null;
+};
+
+const bothPartiesCompleted = (task, role) => {
+  // Admin overrides and system jobs may close a task on behalf of a party
+  if (role === 'admin' || role === 'system') return null;
+  if (!task.customerCompletedAt || !task.taskerCompletedAt) {
+    return 'Both the customer and the tasker must mark the task as complete';
+  }
+  return null;
+};
+
+const hasSelectedTasker = (task) => (
+  task.selectedTasker ? null : 'Task has no selected tasker'
+);
+
+/**
+ * Legal transitions keyed by current status, then target status.
+ * `roles` lists who may trigger the move, `guard` returns an error message
+ * when a precondition is not met.
+ */
+export const TRANSITIONS = {
+  active: {
+    scheduled: { roles: ['system', 'admin'], guard: hasSchedulingDetails },
+    cancelled: { roles: ['customer', 'admin', 'system'] }
+  },
+  scheduled: {
+    in_progress: { roles: ['tasker', 'admin'], guard: hasSelectedTasker },
+    completed: { roles: ['customer', 'tasker', 'admin', 'system'], guard: bothPartiesCompleted },
+    // Schedule cancelled by either party: the task is reopened for applications
+    active: { roles: ['customer', 'tasker', 'admin'] },
+    cancelled: { roles: ['admin'] }
+  },
+  in_progress: {
+    completed: { roles: ['customer', 'tasker', 'admin', 'system'], guard: bothPartiesCompleted },
+    cancelled: { roles: ['admin'] }
+  },
+  completed: {},
+  cancelled: {
+    active: { roles: ['admin'] }
+  }
+};
+
+export class TaskTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'TaskTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Work out which role the actor plays on this task.
+ * A missing actor is the system (payment callbacks, scheduled jobs).
+ */
+export const resolveActorRole = (task, actor) => {
+  if (!actor) return 'system';
+  if (actor.role === 'admin') return 'admin';
+
+  const actorId = idOf(actor).toString();
+  if (idOf(task.customer)?.toString() === actorId) return 'customer';
+
+  const selectedTasker = idOf(task.selectedTasker);
+  const targetedTasker = idOf(task.targetedTasker);
+  if ((selectedTasker && selectedTasker.toString() === actorId) ||
+      (targetedTasker && targetedTasker.toString() === actorId) ||
+      getAssignment(task, actorId)) {
+    return 'tasker';
+  }
+
+  return null;
+};
+
+/**
+ * Check a transition without applying it.
+ * Returns null when allowed, otherwise the reason it is not.
+ */
+export const checkTransition = (task, to, actor) => {
+  if (!TASK_STATUSES.includes(to)) {
+    return `Invalid status: ${to}`;
+  }
+
+  const from = task.status;
+  const rule = TRANSITIONS[from] && TRANSITIONS[from][to];
+  if (!rule) {
+    return `Cannot move task from ${from} to ${to}`;
+  }
+
+  const role = resolveActorRole(task, actor);
+  if (!role || !rule.roles.includes(role)) {
+    return `${role || 'This user'} is not allowed to move a task from ${from} to ${to}`;
+  }
+
+  return rule.guard ? rule.guard(task, role) : null;
+};
+
+/**
+ * Statuses the actor could move the task to right now
+ */
+export const getAvailableTransitions = (task, actor) => (
+  Object.keys(TRANSITIONS[task.status] || {}).filter((to) => !checkTransition(task, to, actor))
+);
+
+/**
+ * Append a history record without changing the task (used for task creation)
+ */
+export const recordTransition = async (task, from, to, { actor = null, reason, metadata = {}, session } = {}) => {
+  const [entry] = await TaskTransition.create([{
+    task: task._id,
+    from,
+    to,
+    actor: actor ? idOf(actor) : null,
+    actorRole: resolveActorRole(task, actor) || 'system',
+    reason,
+    metadata
+  }], session ? { session } : undefined);
+  return entry;
+};
+
+// The task as it was before a transition touched it, so a lost race can be undone
+const snapshotTask = (task) => (typeof task.$clone === 'function'
+  ? { doc: task.$clone(), modified: new Set(task.modifiedPaths()) }
+  : { fields: { ...task } });
+
+const restoreTask = (task, { doc, modified, fields }) => {
+  if (doc) {
+    // Put back every top-level path changed since the snapshot; earlier pending changes stay pending
+    for (const path of task.modifiedPaths().filter((p) => !p.includes('.'))) {
+      task.set(path, doc.get(path));
+      if (!modified.has(path)) task.unmarkModified(path);
+    }
+    return;
+  }
+  for (const key of Object.keys(task)) {
+    if (!(key in fields)) delete task[key];
+  }
+  Object.assign(task, fields);
+};
+
+/**
+ * Move a task to a new status, save it and record the transition.
+ * Any other pending field changes on the document are saved with it.
+ * `update` runs after the checks pass, for changes that would otherwise
+ * affect them (e.g. clearing the selected tasker on a cancelled schedule).
+ * The save only matches while the stored status is still the one checked,
+ * so when two callers race for the same transition only one of them wins;
+ * the loser's task is left as it was before the call, `update` included.
+ * @throws {TaskTransitionError} when the transition is not allowed, or the
+ * task changed status in the meantime
+ */
+export const transitionTask = async (task, to, { actor = null, reason, metadata = {}, session, update } = {}) => {
+  const error = checkTransition(task, to, actor);
+  if (error) {
+    throw new TaskTransitionError(error);
+  }
+
+  // Resolve the role now, before `update` can change who the participants are
+  const actorRole = resolveActorRole(task, actor);
+  const from = task.status;
+  const snapshot = snapshotTask(task);
+  if (update) update(task);
+  task.status = to;
+  const where = task.$where;
+  task.$where = { ...where, status: from };
+  try {
+    await task.save(session ? { session } : undefined);
+  } catch (saveError) {
+    if (saveError instanceof mongoose.Error.DocumentNotFoundError) {
+      restoreTask(task, snapshot);
+      throw new TaskTransitionError(`Task is no longer ${from}; it was updated by another request`);
+    }
+    throw saveError;
+  } finally {
+    task.$where = where;
+  }
+  await TaskTransition.create([{
+    task: task._id,
+    from,
+    to,
+    actor: actor ? idOf(actor) : null,
+    actorRole,
+    reason,
+    metadata
+  }], session ? { session } : undefined);
+
+  return task;
+};
+
+export const getTaskHistory = (taskId) => TaskTransition.getHistoryForTask(taskId);
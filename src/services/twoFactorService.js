@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { isTwoFactorVerifiedSince } from './sessionService.js';
+import {
+  base32Encode,
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpauthUrl
+} from '../utils/totp.js';
+
+/**
+ * TOTP two-factor authentication.
+ * Enrollment stores a pending secret, shown once as an otpauth:// URI for the authenticator
+ * app, and enables 2FA when the first code from the app confirms it. Enabling also issues
+ * single-use recovery codes. Accounts with 2FA log in in two steps: the password returns a
+ * short-lived challenge token, which is exchanged for a session together with a code.
+ * 2FA is mandatory for TWO_FACTOR_REQUIRED_ROLES, and their sessions must have confirmed a
+ * code within TWO_FACTOR_ADMIN_MAX_AGE_MINUTES to use admin routes (see authorize()).
+ */
+
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'TaskGo';
+export const TWO_FACTOR_REQUIRED_ROLES = ['admin'];
+export const TWO_FACTOR_ADMIN_MAX_AGE_MINUTES = parseInt(process.env.TWO_FACTOR_ADMIN_MAX_AGE_MINUTES) || 60;
+export const TWO_FACTOR_CHALLENGE_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5;
+export const TWO_FACTOR_MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+export const TWO_FACTOR_LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15;
+export const RECOVERY_CODE_COUNT = 10;
+
+const MINUTE_MS = 60 * 1000;
+const CHALLENGE_PURPOSE = 'two_factor_login';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const getChallengeSecret = () => process.env.ACCOUNT_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// AES-256-GCM key for TOTP secrets at rest
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = String(stored).split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// XXXXX-XXXXX, 50 random bits each
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) {
+    throw new TwoFactorError('User not found', 404);
+  }
+  return user;
+};
+
+/**
+ * Whether the user's role has to use two-factor authentication
+ */
+export const isTwoFactorRequired = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+
+/**
+ * Record `step` as the user's last accepted TOTP step unless it, or a later one, already is.
+ * Done in one conditional write so two requests racing with the same code cannot both pass.
+ * @returns {Promise<boolean>} whether this call claimed the step
+ */
+const claimTotpStep = async (user, step) => {
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(claimed);
+};
+
+/**
+ * Check a code from the authenticator app (or, when allowed, a recovery code) and update
+ * the user's replay and lockout state. The caller saves the user on success.
+ * @returns {'totp'|'recovery_code'}
+ */
+const checkCode = async (user, code, secret, { now, allowRecoveryCode = true }) => {
+  const { twoFactor } = user;
+  if (twoFactor.lockedUntil && twoFactor.lockedUntil > now) {
+    const minutes = Math.ceil((twoFactor.lockedUntil.getTime() - now.getTime()) / MINUTE_MS);
+    throw new TwoFactorError(`Too many incorrect codes. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+  }
+
+  let method = null;
+  const step = verifyTotpCode(secret, code, { now });
+  // A code is accepted once, so one seen over someone's shoulder cannot be reused
+  if (step !== null && step > (twoFactor.lastUsedStep ?? -1) && await claimTotpStep(user, step)) {
+    twoFactor.lastUsedStep = step;
+    method = 'totp';
+  } else if (allowRecoveryCode) {
+    const index = (twoFactor.recoveryCodes || []).indexOf(hashRecoveryCode(code));
+    if (index !== -1) {
+      twoFactor.recoveryCodes.splice(index, 1);
+      method = 'recovery_code';
+    }
+  }
+
+  if (!method) {
+    twoFactor.failedAttempts = (twoFactor.failedAttempts || 0) + 1;
+    if (twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      twoFactor.failedAttempts = 0;
+      twoFactor.lockedUntil = new Date(now.getTime() + TWO_FACTOR_LOCK_MINUTES * MINUTE_MS);
+    }
+    await user.save();
+    throw new TwoFactorError('The code is incorrect');
+  }
+
+  twoFactor.failedAttempts = 0;
+  twoFactor.lockedUntil = null;
+  return method;
+};
+
+/**
+ * Start enrollment: store a new pending secret and return it for the authenticator app
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+export const beginEnrollment = async (userId) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+  };
+};
+
+/**
+ * Enable 2FA once the first code from the authenticator app matches the pending secret
+ * @returns {Promise<{recoveryCodes: string[]}>} recovery codes, shown to the user only now
+ */
+export const confirmEnrollment = async (userId, code, { now = new Date() } = {}) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new TwoFactorError('Please start two-factor setup first');
+  }
+
+  await checkCode(user, code, decryptSecret(user.twoFactor.pendingSecret), { now, allowRecoveryCode: false });
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = now;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+
+  return { recoveryCodes };
+};
+
+/**
+ * Check a code from the authenticator app or a recovery code
+ * @returns {Promise<{user: Object, method: string, remainingRecoveryCodes: number}>}
+ */
+export const verifySecondFactor = async (userId, code, { now = new Date() } = {}) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+
+  const method = await checkCode(user, code, decryptSecret(user.twoFactor.secret), { now });
+  await user.save();
+
+  return { user, method, remainingRecoveryCodes: user.twoFactor.recoveryCodes.length };
+};
+
+/**
+ * Replace the user's recovery codes after checking a current code
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ */
+export const regenerateRecoveryCodes = async (userId, code, { now = new Date() } = {}) => {
+  const { user } = await verifySecondFactor(userId, code, { now });
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+
+  return { recoveryCodes };
+};
+
+/**
+ * Turn 2FA off after checking a current code. Not allowed for roles that require it.
+ */
+export const disableTwoFactor = async (userId, code, { now = new Date() } = {}) => {
+  const user = await loadUser(userId);
+  if (isTwoFactorRequired(user)) {
+    throw new TwoFactorError(`Two-factor authentication is required for ${user.role} accounts`, 403);
+  }
+  if (!user.twoFactor.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+
+  await checkCode(user, code, decryptSecret(user.twoFactor.secret), { now });
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = null;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  await user.save();
+};
+
+/**
+ * Short-lived token returned by the password step of a 2FA login
+ */
+export const issueLoginChallenge = (user, { now = new Date() } = {}) => jwt.sign(
+  { userId: user._id, purpose: CHALLENGE_PURPOSE, iat: Math.floor(now.getTime() / 1000) },
+  getChallengeSecret(),
+  { expiresIn: TWO_FACTOR_CHALLENGE_MINUTES * 60 }
+);
+
+/**
+ * Finish a 2FA login with the challenge token and a code
+ * @returns {Promise<Object>} the user, who can now be given a session
+ */
+export const completeLoginChallenge = async (challengeToken, code, { now = new Date() } = {}) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(challengeToken || ''), getChallengeSecret(), {
+      clockTimestamp: Math.floor(now.getTime() / 1000)
+    });
+  } catch (error) {
+    throw new TwoFactorError('Your login has expired. Please sign in again.', 401);
+  }
+  if (payload.purpose !== CHALLENGE_PURPOSE || !payload.userId) {
+    throw new TwoFactorError('Your login has expired. Please sign in again.', 401);
+  }
+
+  const { user } = await verifySecondFactor(payload.userId, code, { now });
+  return user;
+};
+
+/**
+ * Whether the session confirmed a code recently enough for admin actions
+ */
+export const hasRecentTwoFactor = async (sessionId, { now = new Date() } = {}) => (
+  Boolean(sessionId) && isTwoFactorVerifiedSince(
+    sessionId,
+    new Date(now.getTime() - TWO_FACTOR_ADMIN_MAX_AGE_MINUTES * MINUTE_MS)
+  )
+);
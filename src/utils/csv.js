@@ -0,0 +1,34 @@
+/**
+ * Minimal CSV writer (RFC 4180 quoting)
+ * Cells starting with a formula character are prefixed with a quote so that
+ * spreadsheet tools do not evaluate them.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+export const toCsvRow = (values) => values.map(escapeCsvValue).join(',');
+
+/**
+ * @param {Array<{header: string, value: Function}>} columns - column header and row accessor
+ * @param {Array} rows
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [toCsvRow(columns.map(c => c.header))];
+  for (const row of rows) {
+    lines.push(toCsvRow(columns.map(c => c.value(row))));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
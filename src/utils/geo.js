@@ -0,0 +1,125 @@
+/**
+ * Geo helpers
+ * Locations are stored as GeoJSON points ([longitude, latitude]) behind 2dsphere indexes.
+ * Anything shown to users who are not part of a task is coarsened: coordinates are
+ * rounded to about a kilometre and distances to whole kilometres.
+ */
+
+export class GeoError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GeoError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const EARTH_RADIUS_KM = 6378.1;
+export const DEFAULT_SEARCH_RADIUS_KM = Number(process.env.DEFAULT_SEARCH_RADIUS_KM) || 10;
+export const MAX_SEARCH_RADIUS_KM = 100;
+
+// Two decimals is roughly 1.1 km at Sri Lankan latitudes
+const COARSE_COORDINATE_DECIMALS = 2;
+
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+
+/**
+ * Build a GeoJSON point from `{ lat, lng }`, a GeoJSON point or a "lat,lng" string
+ * @returns {{type: 'Point', coordinates: number[]}}
+ */
+export const toGeoPoint = (value) => {
+  let lng;
+  let lat;
+
+  if (typeof value === 'string') {
+    [lat, lng] = value.split(',').map((part) => Number(part.trim()));
+  } else if (value && value.type === 'Point' && Array.isArray(value.coordinates)) {
+    [lng, lat] = value.coordinates.map(Number);
+  } else if (value && typeof value === 'object') {
+    lat = Number(value.lat ?? value.latitude);
+    lng = Number(value.lng ?? value.longitude);
+  }
+
+  if (!isLongitude(lng) || !isLatitude(lat)) {
+    throw new GeoError('Location must be a valid latitude and longitude');
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Parse `near` ("lat,lng") and `radius` (km) query parameters
+ * @returns {{point: Object, radiusKm: number}|null} null when `near` is not given
+ */
+export const parseNearQuery = ({ near, radius } = {}, { defaultRadiusKm = DEFAULT_SEARCH_RADIUS_KM } = {}) => {
+  if (!near) return null;
+
+  const point = toGeoPoint(near);
+  const radiusKm = radius === undefined || radius === '' ? defaultRadiusKm : Number(radius);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_SEARCH_RADIUS_KM) {
+    throw new GeoError(`Radius must be between 0 and ${MAX_SEARCH_RADIUS_KM} km`);
+  }
+  return { point, radiusKm };
+};
+
+/**
+ * Great-circle distance between two GeoJSON points in kilometres
+ */
+export const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Distance for display: whole kilometres, never below 1 so nearby addresses cannot be pinpointed
+ */
+export const coarseDistanceKm = (km) => Math.max(1, Math.round(km));
+
+export const coarsenPoint = (point) => {
+  if (!point || !Array.isArray(point.coordinates)) return null;
+  const factor = 10 ** COARSE_COORDINATE_DECIMALS;
+  return {
+    type: 'Point',
+    coordinates: point.coordinates.map((value) => Math.round(value * factor) / factor)
+  };
+};
+
+/**
+ * Copy of a tasker (plain object) whose profile location is coarsened. Anything without a
+ * profile location, such as an unpopulated id, is returned as it is.
+ */
+export const withCoarseTaskerLocation = (taskerObject) => {
+  if (!taskerObject?.taskerProfile?.location) return taskerObject;
+  return {
+    ...taskerObject,
+    taskerProfile: {
+      ...taskerObject.taskerProfile,
+      location: coarsenPoint(taskerObject.taskerProfile.location)
+    }
+  };
+};
+
+/**
+ * Plain copy of a task whose populated selected and targeted taskers show coarse locations
+ */
+export const withCoarseTaskerLocations = (task) => {
+  const taskObject = typeof task.toObject === 'function' ? task.toObject() : task;
+  return {
+    ...taskObject,
+    selectedTasker: withCoarseTaskerLocation(taskObject.selectedTasker),
+    targetedTasker: withCoarseTaskerLocation(taskObject.targetedTasker)
+  };
+};
+
+/**
+ * Query matching points within `radiusKm` of `point`. Unlike $nearSphere it can be counted.
+ */
+export const withinRadius = (point, radiusKm) => ({
+  $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] }
+});
@@ -0,0 +1,68 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for schedule exports
+ * Timed events are written in UTC; all-day events take a YYYY-MM-DD date.
+ */
+
+const MAX_LINE_LENGTH = 75;
+
+export const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20250707T033000Z
+export const formatIcsDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20250707
+const formatIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const nextDateKey = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+  .toISOString().slice(0, 10);
+
+// Long lines are folded onto continuation lines starting with a space
+export const foldIcsLine = (line) => {
+  if (line.length <= MAX_LINE_LENGTH) return line;
+  const parts = [line.slice(0, MAX_LINE_LENGTH)];
+  for (let i = MAX_LINE_LENGTH; i < line.length; i += MAX_LINE_LENGTH - 1) {
+    parts.push(` ${line.slice(i, i + MAX_LINE_LENGTH - 1)}`);
+  }
+  return parts.join('\r\n');
+};
+
+/**
+ * @param {Object} calendar
+ * @param {string} calendar.name - calendar name shown by calendar apps
+ * @param {Array<{uid: string, start: Date|string, end?: Date, allDay?: boolean, summary: string,
+ *   description?: string, location?: string, status?: string}>} calendar.events - `start` is a
+ *   YYYY-MM-DD date for all-day events
+ * @param {Date} [calendar.now] - timestamp for DTSTAMP
+ */
+export const toIcs = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TaskGo//Tasker Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatIcsDateTime(now)}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatIcsDate(nextDateKey(event.start))}`);
+    } else {
+      lines.push(`DTSTART:${formatIcsDateTime(event.start)}`, `DTEND:${formatIcsDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,13 @@
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Identifier of this server process, used to record who holds a job lock.
+ * INSTANCE_ID overrides it (e.g. the container or dyno name).
+ */
+const instanceId = process.env.INSTANCE_ID ||
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+export const getInstanceId = () => instanceId;
+
+export default getInstanceId;
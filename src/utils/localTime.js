@@ -0,0 +1,28 @@
+/**
+ * Sri Lanka local time
+ * Weekdays, times of day and calendar dates in schedules (recurring tasks, tasker working
+ * hours, holidays) are in Sri Lanka time: UTC+05:30 with no daylight saving, so a fixed
+ * offset is enough. "Local ms" are UTC-style timestamps shifted by that offset, read with
+ * the getUTC* methods.
+ */
+
+export const LOCAL_TIMEZONE = 'Asia/Colombo';
+export const LOCAL_UTC_OFFSET_MINUTES = 330;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OFFSET_MS = LOCAL_UTC_OFFSET_MINUTES * 60 * 1000;
+
+export const toLocalMs = (date) => new Date(date).getTime() + OFFSET_MS;
+export const fromLocalMs = (localMs) => new Date(localMs - OFFSET_MS);
+
+// 0 (Sunday) to 6 (Saturday)
+export const localWeekday = (date) => new Date(toLocalMs(date)).getUTCDay();
+
+// Minutes since local midnight
+export const localMinutesOfDay = (date) => Math.floor((toLocalMs(date) % DAY_MS) / 60000);
+
+// YYYY-MM-DD
+export const localDateKey = (date) => new Date(toLocalMs(date)).toISOString().slice(0, 10);
+
+// Local midnight of a YYYY-MM-DD date, as a real instant
+export const startOfLocalDate = (dateKey) => fromLocalMs(Date.parse(`${dateKey}T00:00:00Z`));
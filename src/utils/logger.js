@@ -1,25 +1,27 @@
 /**
  * Simple logger utility for the application
- * Provides consistent logging interface across all modules
+ * Provides consistent logging interface across all modules.
+ * Secrets and card data in `data` are redacted before they are written.
  */
 
+import { redact } from './redact.js';
+
 const logger = {
   info: (message, data = {}) => {
-    console.log(`[INFO] ${new Date().toISOString()}: ${message}`, data);
+    console.log(`[INFO] ${new Date().toISOString()}: ${message}`, redact(data));
   },
   
   warn: (message, data = {}) => {
-    console.warn(`[WARN] ${new Date().toISOString()}: ${message}`, data);
+    console.warn(`[WARN] ${new Date().toISOString()}: ${message}`, redact(data));
   },
   
   error: (message, data = {}) => {
-    console.error(`[ERROR] ${new Date().toISOString()}: ${message}`, data);
+    console.error(`[ERROR] ${new Date().toISOString()}: ${message}`, redact(data));
   },
   
   auth: (message, data = {}) => {
-    console.log(`[AUTH] ${new Date().toISOString()}: ${message}`, data);
+    console.log(`[AUTH] ${new Date().toISOString()}: ${message}`, redact(data));
   }
 };
 
 export default logger;
-
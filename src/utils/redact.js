@@ -0,0 +1,67 @@
+/**
+ * Redaction of secrets and card data before values are logged or stored for audit
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Keys are compared case-insensitively with separators removed (md5sig, card_no, Authorization...)
+const SENSITIVE_KEYS = new Set([
+  'password',
+  'newpassword',
+  'currentpassword',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'authorization',
+  'cookie',
+  'secret',
+  'merchantsecret',
+  'merchantsecrethash',
+  'appsecret',
+  'clientsecret',
+  'webhooksecret',
+  'apikey',
+  'md5sig',
+  'hash',
+  'signature',
+  'signaturestring',
+  'stripesignature',
+  'cardno',
+  'cardnumber',
+  'cardexpiry',
+  'cvv',
+  'otp',
+  'totpsecret'
+]);
+
+const normaliseKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const isSensitiveKey = (key) => SENSITIVE_KEYS.has(normaliseKey(key));
+
+/**
+ * Deep copy of `value` with sensitive keys replaced by [REDACTED].
+ * Errors are reduced to name and message; cycles are cut.
+ */
+export const redact = (value, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Error) return { name: value.name, message: value.message };
+  if (typeof value.toHexString === 'function') return value.toHexString(); // ObjectId
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const source = typeof value.toObject === 'function' ? value.toObject() : value;
+  const result = {};
+  for (const [key, item] of Object.entries(source)) {
+    result[key] = isSensitiveKey(key) ? REDACTED : redact(item, seen);
+  }
+  return result;
+};
+
+export default redact;